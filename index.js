@@ -30,7 +30,7 @@ async function startServer() {
   try {
     logger.info(`Starting application in ${ENVIRONMENT} mode...`);
 
-    const { app, server, initialize, container } = createApp();
+    const { app, server, initialize, shutdown, container } = createApp();
 
     await initialize();
 
@@ -49,6 +49,32 @@ async function startServer() {
       }
     });
 
+    // Graceful shutdown: stop accepting requests, let jobs finish their current run, close the DB pool
+    let stopping = false;
+    const onSignal = (signal) => {
+      if (stopping) return;
+      stopping = true;
+      logger.warn(`${signal} received, shutting down...`);
+      const forceExit = setTimeout(() => {
+        logger.error("Shutdown timed out, forcing exit");
+        process.exit(1);
+      }, Number(process.env.SHUTDOWN_TIMEOUT_MS || 30000));
+      forceExit.unref();
+
+      server.close(async () => {
+        try {
+          await shutdown();
+          logger.success("Shutdown complete");
+          process.exit(0);
+        } catch (err) {
+          logger.error(`Shutdown failed: ${err.message}`);
+          process.exit(1);
+        }
+      });
+    };
+    process.on("SIGTERM", () => onSignal("SIGTERM"));
+    process.on("SIGINT", () => onSignal("SIGINT"));
+
     return server;
   } catch (error) {
     logger.error(`Failed to initialize application: ${error.message}`);
@@ -3,8 +3,28 @@
 /**
  * Deposit configuration (env-driven, validated at load).
  * Fail-fast on misconfiguration.
+ *
+ * Per-network settings live under NETWORKS[<id>] and read DEPOSIT_ADDRESS_<ID>,
+ * MIN_DEPOSIT_USD_<ID> and EXPLORER_BASE_URL_<ID>. The unsuffixed DEPOSIT_ADDRESS
+ * and EXPLORER_BASE_URL remain the ERC20 values (DEPOSIT_ADDRESS is also the
+ * fallback for BEP20, which shares the EVM address format).
+ *
+ * DEPOSIT_ADDRESS_MODE:
+ * - shared:   everyone sends to the configured address; a deposit belongs to whoever
+ *             submits its tx hash first.
+ * - per_user: each user gets their own provider sub-account address per network and
+ *             deposits are attributed by the receiving address (shared addresses unused).
+ *
+ * DEPOSIT_ONCHAIN_VERIFY=true: before crediting, the USDT transfer is checked against an
+ * EVM JSON-RPC node (DEPOSIT_RPC_URL_<ID>) and must have MIN_CONFIRMATIONS (or
+ * MIN_CONFIRMATIONS_<ID>). Required for every enabled EVM network; TRC20 has no EVM
+ * RPC and keeps relying on the provider status. Defaults to true as soon as an enabled
+ * EVM network has a DEPOSIT_RPC_URL_<ID>, so startup fails if another one lacks it.
+ * Set DEPOSIT_ONCHAIN_VERIFY=false explicitly to rely on the provider alone.
  */
 
+const { NETWORKS, resolveNetwork } = require('../utils/networks');
+
 const env = (key, def = undefined) => {
     const v = process.env[key];
     return v === undefined || v === '' ? def : v;
@@ -20,43 +40,123 @@ const toNumber = (v, def = undefined) => {
 const parseNetworks = (raw) =>
     String(raw || 'ERC20')
         .split(',')
-        .map((s) => s.trim().toUpperCase())
-        .filter(Boolean);
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((s) => {
+            const id = resolveNetwork(s);
+            if (!id) throw new Error(`DEPOSIT_NETWORKS: unknown network "${s}" (known: ${Object.keys(NETWORKS).join(', ')})`);
+            return id;
+        })
+        .filter((id, i, all) => all.indexOf(id) === i);
+
+const withSlash = (url) => (url.endsWith('/') ? url : url + '/');
+
+const networkSettings = (id, defaults) => ({
+    DEPOSIT_ADDRESS: env(`DEPOSIT_ADDRESS_${id}`, NETWORKS[id].evm ? env('DEPOSIT_ADDRESS') : undefined),
+    MIN_DEPOSIT_USD: toNumber(env(`MIN_DEPOSIT_USD_${id}`), defaults.MIN_DEPOSIT_USD),
+    EXPLORER_BASE_URL: withSlash(env(`EXPLORER_BASE_URL_${id}`, id === 'ERC20' ? defaults.EXPLORER_BASE_URL : NETWORKS[id].explorer)),
+    MIN_CONFIRMATIONS: toNumber(env(`MIN_CONFIRMATIONS_${id}`), defaults.MIN_CONFIRMATIONS),
+    RPC_URL: env(`DEPOSIT_RPC_URL_${id}`),
+    TOKEN_CONTRACT: env(`USDT_CONTRACT_${id}`, NETWORKS[id].usdt.contract),
+    TOKEN_DECIMALS: NETWORKS[id].usdt.decimals,
+    ONCHAIN_VERIFY: defaults.ONCHAIN_VERIFY && NETWORKS[id].evm,
+});
 
 const cfg = {
     SUPPORTED_ASSET: env('DEPOSIT_ASSET', 'USDT'),
     SUPPORTED_NETWORKS: parseNetworks(env('DEPOSIT_NETWORKS', 'ERC20')),
-    DEPOSIT_ADDRESS: env('DEPOSIT_ADDRESS'), // REQUIRED
+    DEPOSIT_ADDRESS: env('DEPOSIT_ADDRESS'), // ERC20 (and BEP20 fallback)
     MIN_DEPOSIT_USD: toNumber(env('MIN_DEPOSIT_USD'), 10),
     MAX_DEPOSIT_USD: toNumber(env('MAX_DEPOSIT_USD'), undefined),
     MIN_CONFIRMATIONS: toNumber(env('MIN_CONFIRMATIONS'), 12),
+    ONCHAIN_VERIFY: env('DEPOSIT_ONCHAIN_VERIFY'), // boolean once resolved below
     DUPLICATE_WINDOW_HOURS: toNumber(env('DEPOSIT_DUP_WINDOW_HOURS'), 168),
-    PROVIDER: (env('DEPOSIT_PROVIDER', 'binance') || 'binance').toLowerCase(), // binance|etherscan|alchemy
+    PROVIDER: (env('DEPOSIT_PROVIDER', 'binance') || 'binance').toLowerCase(), // binance|etherscan|fake
     PROVIDER_TIMEOUT_MS: toNumber(env('DEPOSIT_PROVIDER_TIMEOUT_MS'), 10000),
     PROVIDER_RETRIES: toNumber(env('DEPOSIT_PROVIDER_RETRIES'), 3),
+    ETHERSCAN_API_URL: env('ETHERSCAN_API_URL', 'https://api.etherscan.io/v2/api'), // multichain (chainid) API
     POLL_INTERVAL_SEC: toNumber(env('DEPOSIT_POLL_INTERVAL_SEC'), 30),
+    MONITOR_ENABLED: String(env('DEPOSIT_MONITOR_ENABLED', 'false')).toLowerCase() === 'true',
+    MONITOR_LOOKBACK_HOURS: toNumber(env('DEPOSIT_MONITOR_LOOKBACK_HOURS'), 24), // first run only
+    MONITOR_SETTLE_SEC: toNumber(env('DEPOSIT_MONITOR_SETTLE_SEC'), 300),
+    MONITOR_MAX_HOLD_HOURS: toNumber(env('DEPOSIT_MONITOR_MAX_HOLD_HOURS'), 72), // how far back a stuck deposit can hold the cursor
+    WEBHOOK_TOLERANCE_SEC: toNumber(env('DEPOSIT_WEBHOOK_TOLERANCE_SEC'), 300), // max X-Webhook-Timestamp skew
     EXPLORER_BASE_URL: env('EXPLORER_BASE_URL', 'https://etherscan.io/tx/'),
+    ADDRESS_MODE: String(env('DEPOSIT_ADDRESS_MODE', 'shared')).toLowerCase(), // shared|per_user
 };
 
 (function validate(c) {
-    if (!c.DEPOSIT_ADDRESS) throw new Error('DEPOSIT_ADDRESS is required');
     if (!Array.isArray(c.SUPPORTED_NETWORKS) || c.SUPPORTED_NETWORKS.length === 0) {
         throw new Error('DEPOSIT_NETWORKS must include at least one network (e.g., ERC20)');
     }
-    if (!c.SUPPORTED_NETWORKS.includes('ERC20')) {
-        throw new Error('ERC20 must be included in SUPPORTED_NETWORKS for this release');
-    }
     if (!(c.MIN_DEPOSIT_USD >= 1)) throw new Error('MIN_DEPOSIT_USD must be >= 1');
     if (c.MAX_DEPOSIT_USD !== undefined && !(c.MAX_DEPOSIT_USD >= c.MIN_DEPOSIT_USD)) {
         throw new Error('MAX_DEPOSIT_USD must be >= MIN_DEPOSIT_USD');
     }
+    if (!(Number.isInteger(c.MIN_CONFIRMATIONS) && c.MIN_CONFIRMATIONS >= 1)) {
+        throw new Error('MIN_CONFIRMATIONS must be an integer >= 1');
+    }
     if (!(c.DUPLICATE_WINDOW_HOURS >= 0)) {
         throw new Error('DEPOSIT_DUP_WINDOW_HOURS must be >= 0');
     }
-    if (!c.EXPLORER_BASE_URL.endsWith('/')) {
-        // normalize for url builder
-        c.EXPLORER_BASE_URL = c.EXPLORER_BASE_URL + '/';
+    if (!(Number.isInteger(c.PROVIDER_RETRIES) && c.PROVIDER_RETRIES >= 0)) {
+        throw new Error('DEPOSIT_PROVIDER_RETRIES must be an integer >= 0');
+    }
+    if (!(c.POLL_INTERVAL_SEC >= 1)) throw new Error('DEPOSIT_POLL_INTERVAL_SEC must be >= 1');
+    if (!(c.MONITOR_LOOKBACK_HOURS > 0)) throw new Error('DEPOSIT_MONITOR_LOOKBACK_HOURS must be > 0');
+    if (!(c.MONITOR_SETTLE_SEC >= 0)) throw new Error('DEPOSIT_MONITOR_SETTLE_SEC must be >= 0');
+    if (!(c.MONITOR_MAX_HOLD_HOURS * 3600 > c.MONITOR_SETTLE_SEC)) {
+        throw new Error('DEPOSIT_MONITOR_MAX_HOLD_HOURS must be longer than DEPOSIT_MONITOR_SETTLE_SEC');
+    }
+    if (!(Number.isInteger(c.WEBHOOK_TOLERANCE_SEC) && c.WEBHOOK_TOLERANCE_SEC >= 1)) {
+        throw new Error('DEPOSIT_WEBHOOK_TOLERANCE_SEC must be an integer >= 1');
+    }
+    if (!['shared', 'per_user'].includes(c.ADDRESS_MODE)) {
+        throw new Error('DEPOSIT_ADDRESS_MODE must be shared or per_user');
     }
+    if (c.PROVIDER === 'alchemy') {
+        throw new Error('DEPOSIT_PROVIDER=alchemy was removed; use etherscan (EVM networks, shared addresses) or binance');
+    }
+    if (!['binance', 'etherscan', 'fake'].includes(c.PROVIDER)) {
+        throw new Error('DEPOSIT_PROVIDER must be binance, etherscan or fake');
+    }
+    if (c.PROVIDER === 'etherscan' && c.ADDRESS_MODE === 'per_user') {
+        // an explorer API can only watch addresses, it can't open sub-accounts
+        throw new Error('DEPOSIT_ADDRESS_MODE=per_user is not available with DEPOSIT_PROVIDER=etherscan');
+    }
+    if (c.PROVIDER === 'etherscan') {
+        const nonEvm = c.SUPPORTED_NETWORKS.filter((id) => !NETWORKS[id].evm);
+        if (nonEvm.length) throw new Error(`DEPOSIT_PROVIDER=etherscan only covers EVM networks (not ${nonEvm.join(', ')})`);
+    }
+    // normalize for url builder
+    c.EXPLORER_BASE_URL = withSlash(c.EXPLORER_BASE_URL);
+
+    c.ONCHAIN_VERIFY = c.ONCHAIN_VERIFY === undefined
+        ? c.SUPPORTED_NETWORKS.some((id) => NETWORKS[id].evm && env(`DEPOSIT_RPC_URL_${id}`))
+        : String(c.ONCHAIN_VERIFY).toLowerCase() === 'true';
+
+    c.NETWORKS = {};
+    for (const id of c.SUPPORTED_NETWORKS) {
+        const n = networkSettings(id, c);
+        if (!n.DEPOSIT_ADDRESS && c.ADDRESS_MODE === 'shared') {
+            throw new Error(`DEPOSIT_ADDRESS_${id} is required when ${id} is enabled`);
+        }
+        if (!(n.MIN_DEPOSIT_USD >= 1)) throw new Error(`MIN_DEPOSIT_USD_${id} must be >= 1`);
+        if (c.MAX_DEPOSIT_USD !== undefined && !(c.MAX_DEPOSIT_USD >= n.MIN_DEPOSIT_USD)) {
+            throw new Error(`MAX_DEPOSIT_USD must be >= MIN_DEPOSIT_USD_${id}`);
+        }
+        if (!(Number.isInteger(n.MIN_CONFIRMATIONS) && n.MIN_CONFIRMATIONS >= 1)) {
+            throw new Error(`MIN_CONFIRMATIONS_${id} must be an integer >= 1`);
+        }
+        if (n.ONCHAIN_VERIFY && !n.RPC_URL) {
+            throw new Error(`DEPOSIT_RPC_URL_${id} is required when DEPOSIT_ONCHAIN_VERIFY=true (the default once any DEPOSIT_RPC_URL_<ID> is set)`);
+        }
+        c.NETWORKS[id] = Object.freeze(n);
+    }
+    Object.freeze(c.NETWORKS);
+
+    // legacy single-address field: the ERC20 address, else the first enabled network's
+    c.DEPOSIT_ADDRESS = c.DEPOSIT_ADDRESS || (c.NETWORKS.ERC20 || c.NETWORKS[c.SUPPORTED_NETWORKS[0]]).DEPOSIT_ADDRESS;
 })(cfg);
 
 module.exports = Object.freeze(cfg);
@@ -1,5 +1,24 @@
 'use strict';
 
+const { toBinanceNetwork } = require('../utils/txUtils');
+const { DepositError } = require('../models/deposit.model');
+const {
+    validateUnclaimedId,
+    validateListUnclaimedQuery,
+    validateAssignUnclaimedBody,
+    validateIgnoreUnclaimedBody,
+    validateReprocessWebhookEventsBody,
+} = require('../validations/deposit.validation');
+
+const ERROR_STATUS = Object.freeze({
+    ERR_UNCLAIMED_NOT_FOUND: 404,
+    ERR_USER_NOT_FOUND: 404,
+    ERR_UNCLAIMED_RESOLVED: 409,
+    ERR_TXID_ALREADY_CLAIMED: 409,
+    ERR_DUPLICATE_TXID: 409,
+    ERR_PROVIDER_STATUS: 422,
+});
+
 class AdminDepositController {
     constructor({ depositService, logger }) {
         if (!depositService) throw new Error('AdminDepositController requires depositService');
@@ -7,13 +26,26 @@ class AdminDepositController {
         this.log = logger || console;
         this.listBinanceDeposits = this.listBinanceDeposits.bind(this);
         this.listUserDeposits = this.listUserDeposits.bind(this);
+        this.listUnclaimed = this.listUnclaimed.bind(this);
+        this.assignUnclaimed = this.assignUnclaimed.bind(this);
+        this.ignoreUnclaimed = this.ignoreUnclaimed.bind(this);
+        this.reprocessWebhookEvents = this.reprocessWebhookEvents.bind(this);
     }
 
     async listBinanceDeposits(req, res) {
         try {
             const days = parseInt(req.query.days) || 1000;
             const coin = req.query.coin || 'USDT';
-            const network = req.query.network || 'ETH';
+            // accepts our ids (ERC20/TRC20/BEP20) as well as Binance codes (ETH/TRX/BSC)
+            let network;
+            try {
+                network = toBinanceNetwork(req.query.network || 'ERC20');
+            } catch {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unsupported network: ${req.query.network}`,
+                });
+            }
 
             if (days < 1 || days > 1000) {
                 return res.status(400).json({
@@ -40,6 +72,13 @@ class AdminDepositController {
             });
         } catch (err) {
             this.log.error({ err }, 'listBinanceDeposits failed');
+            if (err?.code === 'ERR_PROVIDER_UNAVAILABLE') {
+                return res.status(503).json({
+                    success: false,
+                    message: 'Deposit provider is unavailable; try again shortly',
+                    code: err.code,
+                });
+            }
             return res.status(500).json({
                 success: false,
                 message: 'Failed to fetch Binance deposits',
@@ -76,6 +115,79 @@ class AdminDepositController {
             });
         }
     }
+
+    // GET /admin/deposits/unclaimed?status=unclaimed&page&limit
+    async listUnclaimed(req, res) {
+        try {
+            const query = validateListUnclaimedQuery(req.query);
+            const data = await this.svc.listUnclaimedDeposits(query);
+            return res.status(200).json({ success: true, data });
+        } catch (err) {
+            return this._handle(err, res, 'listUnclaimed failed');
+        }
+    }
+
+    // POST /admin/deposits/unclaimed/:unclaimedId/assign { userId, note? }
+    async assignUnclaimed(req, res) {
+        try {
+            const unclaimedId = validateUnclaimedId(req.params.unclaimedId);
+            const { userId, note } = validateAssignUnclaimedBody(req.body);
+            const deposit = await this.svc.assignUnclaimedDeposit({
+                adminId: req.admin.adminId,
+                unclaimedId,
+                userId,
+                note,
+            });
+            return res.status(200).json({
+                success: true,
+                message: 'Deposit assigned and credited',
+                data: {
+                    depositId: deposit.deposit_id,
+                    userId: deposit.user_id,
+                    txId: deposit.tx_id,
+                    amountUsd: Number(deposit.amount_usd || 0),
+                    network: deposit.network,
+                    status: deposit.status,
+                },
+            });
+        } catch (err) {
+            return this._handle(err, res, 'assignUnclaimed failed');
+        }
+    }
+
+    // POST /admin/deposits/unclaimed/:unclaimedId/ignore { reason }
+    async ignoreUnclaimed(req, res) {
+        try {
+            const unclaimedId = validateUnclaimedId(req.params.unclaimedId);
+            const { reason } = validateIgnoreUnclaimedBody(req.body);
+            const data = await this.svc.ignoreUnclaimedDeposit({ adminId: req.admin.adminId, unclaimedId, reason });
+            return res.status(200).json({ success: true, data });
+        } catch (err) {
+            return this._handle(err, res, 'ignoreUnclaimed failed');
+        }
+    }
+
+    // POST /admin/deposits/webhook-events/reprocess { limit? }
+    async reprocessWebhookEvents(req, res) {
+        try {
+            const { limit } = validateReprocessWebhookEventsBody(req.body);
+            const data = await this.svc.reprocessWebhookEvents({ limit });
+            return res.status(200).json({ success: true, data });
+        } catch (err) {
+            return this._handle(err, res, 'reprocessWebhookEvents failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof DepositError) {
+            return res.status(ERROR_STATUS[err.code] || 400).json({ success: false, message: err.message, code: err.code });
+        }
+        if (err?.issues?.length) {
+            return res.status(400).json({ success: false, message: err.issues[0]?.message || 'Invalid request', code: 'VALIDATION_ERROR' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, message: 'Something went wrong' });
+    }
 }
 
 module.exports = { AdminDepositController };
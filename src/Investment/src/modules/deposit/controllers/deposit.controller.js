@@ -1,12 +1,17 @@
 // src/modules/investment/deposit/controllers/deposit.controller.js
 'use strict';
 
+const { validateListDepositsQuery, validateDepositId } = require('../validations/deposit.validation');
+
 /**
  * DepositController
  *
  * Endpoints:
- * - POST /deposit/submit         (auth: user)   -> submit txhash, system verifies & credits if confirmed
+ * - POST /deposit/submit         (auth: user)   -> submit txhash (+ optional network, default ERC20), system verifies & credits if confirmed
  * - GET  /deposit/status/:txId   (auth: user)   -> re-verify now (fresh pull) and return current status
+ * - GET  /deposit/address        (auth: user)   -> the user's receiving address for ?network (default ERC20)
+ * - GET  /deposit                (auth: user)   -> the user's deposits (?status, ?from, ?to, ?limit, ?cursor)
+ * - GET  /deposit/:depositId     (auth: user)   -> one of the user's deposits with its stage timeline
  *
  * Notes:
  * - We do NOT accept an amount from the client; we fetch it from Binance.
@@ -26,13 +31,16 @@ class DepositController {
 
         this.submit = this.submit.bind(this);
         this.status = this.status.bind(this);
+        this.address = this.address.bind(this);
+        this.list = this.list.bind(this);
+        this.detail = this.detail.bind(this);
     }
 
     // POST /deposit/submit
     async submit(req, res) {
         try {
             const userId = req.user?.userId || req.user?.id;
-            const { txId } = req.body || {};
+            const { txId, network } = req.body || {};
 
             if (!userId) {
                 return res.status(401).json({
@@ -48,7 +56,7 @@ class DepositController {
                 });
             }
 
-            const result = await this.svc.submitDeposit({ userId, txId: txId.trim() });
+            const result = await this.svc.submitDeposit({ userId, txId: txId.trim(), network });
 
             // Friendly message depending on status
             const status = String(result.status || '').toLowerCase();
@@ -67,18 +75,20 @@ class DepositController {
             const code = err?.code || 'ERR_SUBMIT_DEPOSIT';
             const msg = err?.message || 'Unable to submit deposit. Please try again.';
 
-            const http = (code === 'ERR_TXID_INVALID') ? 400
+            const http = (code === 'ERR_TXID_INVALID' || code === 'ERR_NETWORK_UNSUPPORTED') ? 400
                 : (code === 'ERR_TXID_ALREADY_CLAIMED') ? 409
                     : (code === 'ERR_TXID_NOT_FOUND') ? 404
                         : (code === 'ERR_ADDRESS_MISMATCH') ? 400
                             : (code === 'ERR_PENDING_CONFIRMATION') ? 202
                                 : (code === 'ERR_PROVIDER_STATUS') ? 422
                                     : (code === 'ERR_AMOUNT_OUT_OF_RANGE') ? 400
-                                        : 422;
+                                        : (code === 'ERR_PROVIDER_UNAVAILABLE') ? 503
+                                            : 422;
 
             // Expected business errors - log as info/warn, not error
             const expectedErrors = ['ERR_TXID_INVALID', 'ERR_TXID_ALREADY_CLAIMED', 'ERR_TXID_NOT_FOUND', 
-                                   'ERR_ADDRESS_MISMATCH', 'ERR_PENDING_CONFIRMATION', 'ERR_AMOUNT_OUT_OF_RANGE'];
+                                   'ERR_ADDRESS_MISMATCH', 'ERR_PENDING_CONFIRMATION', 'ERR_AMOUNT_OUT_OF_RANGE',
+                                   'ERR_NETWORK_UNSUPPORTED'];
             if (expectedErrors.includes(code)) {
                 this.log.info({ code, txId: req.body?.txId }, msg);
             } else {
@@ -136,6 +146,68 @@ class DepositController {
             return res.status(500).json({ success: false, message: 'Could not fetch status. Try again later.' });
         }
     }
+
+    // GET /deposit/address?network=TRC20
+    async address(req, res) {
+        try {
+            const userId = req.user?.userId || req.user?.id;
+            if (!userId) {
+                return res.status(401).json({ success: false, message: 'Unauthorized' });
+            }
+
+            const data = await this.svc.getDepositAddress({ userId, network: req.query.network });
+            return res.status(200).json({ success: true, data });
+        } catch (err) {
+            if (err?.code === 'ERR_NETWORK_UNSUPPORTED') {
+                return res.status(400).json({ success: false, message: err.message, code: err.code });
+            }
+            this.log.error({ err }, 'get deposit address failed');
+            return res.status(500).json({ success: false, message: 'Could not fetch your deposit address. Try again later.' });
+        }
+    }
+
+    // GET /deposit?status=pending,completed&from=2025-01-01&to=2025-01-31&limit=20&cursor=...
+    async list(req, res) {
+        try {
+            const userId = req.user?.userId || req.user?.id;
+            if (!userId) {
+                return res.status(401).json({ success: false, message: 'Unauthorized' });
+            }
+
+            const query = validateListDepositsQuery(req.query);
+            const data = await this.svc.listUserDeposits({ userId, ...query });
+            return res.status(200).json({ success: true, data });
+        } catch (err) {
+            if (err?.issues?.length) {
+                return res.status(400).json({ success: false, message: err.issues[0].message, code: 'VALIDATION_ERROR' });
+            }
+            this.log.error({ err }, 'list deposits failed');
+            return res.status(500).json({ success: false, message: 'Could not fetch your deposits. Try again later.' });
+        }
+    }
+
+    // GET /deposit/:depositId
+    async detail(req, res) {
+        try {
+            const userId = req.user?.userId || req.user?.id;
+            if (!userId) {
+                return res.status(401).json({ success: false, message: 'Unauthorized' });
+            }
+
+            const depositId = validateDepositId(req.params.depositId);
+            const data = await this.svc.getUserDeposit({ userId, depositId });
+            return res.status(200).json({ success: true, data });
+        } catch (err) {
+            if (err?.issues?.length) {
+                return res.status(400).json({ success: false, message: err.issues[0].message, code: 'VALIDATION_ERROR' });
+            }
+            if (err?.code === 'ERR_DEPOSIT_NOT_FOUND') {
+                return res.status(404).json({ success: false, message: err.message, code: err.code });
+            }
+            this.log.error({ err }, 'get deposit failed');
+            return res.status(500).json({ success: false, message: 'Could not fetch this deposit. Try again later.' });
+        }
+    }
 }
 
 module.exports = { DepositController };
@@ -1,33 +1,84 @@
 'use strict';
 
+const cfg = require('../config/deposit.config');
+const { NETWORKS, resolveNetwork } = require('../utils/networks');
+
+const TX_HASH_EXAMPLE = '1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef';
+
+/** Public per-network deposit details (address, minimum, explorer, tx-hash format). */
+function describeNetwork(id) {
+    const meta = NETWORKS[id];
+    const net = cfg.NETWORKS[id];
+    const prefixed = meta.txHash.source.startsWith('^0x');
+    return {
+        network: id,
+        label: meta.label,
+        binanceNetwork: meta.binance,
+        // per_user mode: every user has their own address (GET /deposit/address)
+        depositAddress: cfg.ADDRESS_MODE === 'per_user' ? null : net.DEPOSIT_ADDRESS,
+        minDeposit: net.MIN_DEPOSIT_USD,
+        minConfirmations: net.MIN_CONFIRMATIONS,
+        explorerUrl: net.EXPLORER_BASE_URL,
+        txHashFormat: {
+            description: 'Valid transaction hash format',
+            format: meta.txHashFormat,
+            example: prefixed ? `0x${TX_HASH_EXAMPLE}` : TX_HASH_EXAMPLE,
+            length: prefixed ? 66 : 64,
+            validation: prefixed
+                ? 'Must start with 0x and contain only 0-9 and a-f characters'
+                : 'Must contain only 0-9 and a-f characters, without a 0x prefix',
+        },
+    };
+}
+
 class DepositInstructionsController {
     constructor({ logger } = {}) {
         this.logger = logger || console;
         this.getInstructions = this.getInstructions.bind(this);
     }
 
+    // GET /deposit/instructions[?network=TRC20] - steps are written for the selected
+    // network (default ERC20 when enabled); `networks` lists every enabled network.
     getInstructions(req, res) {
         try {
+            const requested = req.query?.network;
+            const selectedId = requested
+                ? resolveNetwork(requested)
+                : (cfg.SUPPORTED_NETWORKS.includes('ERC20') ? 'ERC20' : cfg.SUPPORTED_NETWORKS[0]);
+            if (!selectedId || !cfg.SUPPORTED_NETWORKS.includes(selectedId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unsupported network: ${requested}`,
+                    code: 'ERR_NETWORK_UNSUPPORTED',
+                });
+            }
+            const selected = describeNetwork(selectedId);
+            const asset = cfg.SUPPORTED_ASSET;
+            const addressText = selected.depositAddress || `your personal ${selected.network} deposit address (shown on the deposit page)`;
+
             const instructions = {
-                depositAddress: process.env.DEPOSIT_ADDRESS,
-                asset: process.env.DEPOSIT_ASSET || 'USDT',
-                networks: (process.env.DEPOSIT_NETWORKS || 'ERC20').split(','),
-                minDeposit: Number(process.env.MIN_DEPOSIT_USD || 10),
-                minConfirmations: Number(process.env.MIN_CONFIRMATIONS || 12),
-                explorerUrl: process.env.EXPLORER_BASE_URL || 'https://etherscan.io/tx/',
-                
+                network: selected.network,
+                depositAddress: selected.depositAddress,
+                addressMode: cfg.ADDRESS_MODE,
+                asset,
+                networks: cfg.SUPPORTED_NETWORKS.map(describeNetwork),
+                minDeposit: selected.minDeposit,
+                minConfirmations: selected.minConfirmations,
+                explorerUrl: selected.explorerUrl,
+
+
                 steps: [
                     {
                         step: 1,
                         title: 'Withdraw from Binance',
-                        description: 'Send USDT from your Binance account to our deposit address',
+                        description: `Send ${asset} from your Binance account to our deposit address`,
                         actions: [
                             'Open Binance app or website',
                             'Go to Wallet → Withdraw → Crypto',
-                            'Select Coin: USDT',
-                            `Paste Address: ${process.env.DEPOSIT_ADDRESS}`,
-                            'Select Network: ETH (Ethereum ERC20)',
-                            `Enter Amount: Minimum $${process.env.MIN_DEPOSIT_USD || 10} USDT`,
+                            `Select Coin: ${asset}`,
+                            `Paste Address: ${addressText}`,
+                            `Select Network: ${selected.binanceNetwork} (${selected.label})`,
+                            `Enter Amount: Minimum $${selected.minDeposit} ${asset}`,
                             'Complete security verification',
                             'Click Withdraw',
                         ],
@@ -38,9 +89,9 @@ class DepositInstructionsController {
                         description: 'Copy your transaction hash from Binance',
                         actions: [
                             'Go to Wallet → Transaction History',
-                            'Find your USDT withdrawal',
+                            `Find your ${asset} withdrawal`,
                             'Click on the transaction',
-                            'Copy the TxID (starts with 0x...)',
+                            `Copy the TxID (${selected.txHashFormat.format})`,
                         ],
                     },
                     {
@@ -59,18 +110,12 @@ class DepositInstructionsController {
                 requirements: {
                     platform: 'Binance Only',
                     description: 'All deposits must be made from Binance',
-                    network: 'Ethereum (ERC20)',
-                    asset: 'USDT',
-                    minAmount: `$${process.env.MIN_DEPOSIT_USD || 10}`,
+                    network: selected.label,
+                    asset,
+                    minAmount: `$${selected.minDeposit}`,
                 },
 
-                txHashFormat: {
-                    description: 'Valid transaction hash format',
-                    format: '0x followed by 64 hexadecimal characters',
-                    example: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
-                    length: 66,
-                    validation: 'Must start with 0x and contain only 0-9 and a-f characters',
-                },
+                txHashFormat: selected.txHashFormat,
 
                 warnings: [
                     {
@@ -79,11 +124,11 @@ class DepositInstructionsController {
                     },
                     {
                         type: 'critical',
-                        message: 'Network must be Ethereum (ERC20). Wrong network = lost funds.',
+                        message: `Network must match the address you send to: ${selected.label} for ${addressText}. Wrong network = lost funds.`,
                     },
                     {
                         type: 'warning',
-                        message: `Minimum deposit: $${process.env.MIN_DEPOSIT_USD || 10} USDT. Lower amounts will be rejected.`,
+                        message: `Minimum deposit on ${selected.network}: $${selected.minDeposit} ${asset}. Lower amounts will be rejected.`,
                     },
                     {
                         type: 'info',
@@ -116,7 +161,7 @@ class DepositInstructionsController {
 
                 security: [
                     'Always verify the deposit address matches what is shown in our app',
-                    'Double-check the network is Ethereum (ERC20) before sending',
+                    `Double-check the network is ${selected.label} before sending`,
                     'Keep your transaction hash private until you submit it',
                     'Never share your wallet private keys or seed phrases',
                 ],
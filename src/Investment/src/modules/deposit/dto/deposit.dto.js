@@ -49,11 +49,96 @@ function makeDepositListItem(row) {
     };
 }
 
-function makeListDepositsResponse(items, page, limit, total) {
-    const hasNext = page * limit < total;
+/**
+ * Cursor pagination: `nextCursor` is opaque to clients (see encodeDepositCursor)
+ * and null on the last page.
+ */
+function makeListDepositsResponse(items, { limit, nextCursor = null }) {
     return {
         items,
-        pageInfo: { page, limit, total, hasNext },
+        pageInfo: { limit, nextCursor, hasNext: nextCursor !== null },
+    };
+}
+
+/** Opaque list cursor: the last deposit_id of a page, base64url-encoded. */
+function encodeDepositCursor(depositId) {
+    return Buffer.from(String(depositId), 'utf8').toString('base64url');
+}
+
+/** Inverse of encodeDepositCursor; garbage in -> garbage out (validate the result). */
+function decodeDepositCursor(cursor) {
+    return Buffer.from(String(cursor), 'base64url').toString('utf8');
+}
+
+// DepositLoggerService stages users may see, with the label shown to them. Anything
+// else (emails, new internal stages) is left out of the timeline.
+const TIMELINE_LABELS = Object.freeze({
+    SUBMIT_STARTED: 'Deposit submitted',
+    VALIDATION_FAILED: 'Transaction hash rejected',
+    DUPLICATE_CLAIM: 'Transaction already claimed',
+    BINANCE_LOOKUP: 'Looking up the transaction',
+    BINANCE_FOUND: 'Transaction found',
+    ADDRESS_VALIDATION: 'Destination address checked',
+    STATUS_CHECK: 'Transfer status checked',
+    CHAIN_CHECK: 'Blockchain confirmations checked',
+    DB_RECORD_CREATED: 'Deposit recorded',
+    WALLET_CREDITED: 'Wallet credited',
+    STATUS_CONFIRMED: 'Deposit confirmed',
+    DEPOSIT_COMPLETED: 'Deposit completed',
+});
+
+/**
+ * End-user timeline from deposit_logs documents (oldest first). Stage `data` and error
+ * messages are internal (other users' ids, provider responses) and are dropped; only
+ * the error code is kept.
+ */
+function makeDepositTimeline(logs = []) {
+    return logs
+        .flatMap((log) => log.stages || [])
+        .filter((s) => TIMELINE_LABELS[s.stage])
+        .map((s) => ({
+            stage: s.stage,
+            label: TIMELINE_LABELS[s.stage],
+            status: s.status,
+            code: s.error?.code || null,
+            at: s.timestamp,
+        }))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Where a user should send funds on one network.
+ * shared=true means the platform-wide address (attribution by tx hash claim).
+ */
+function makeDepositAddressDTO({ network, label, address, tag = null, minDeposit, shared }) {
+    return {
+        network,
+        label,
+        address,
+        tag: tag || null,
+        minDeposit,
+        shared: !!shared,
+    };
+}
+
+/** Admin view of a staged provider deposit nobody has claimed. */
+function makeUnclaimedDepositDTO(row) {
+    return {
+        unclaimedId: row.unclaimed_id,
+        txId: row.tx_id,
+        network: row.network,
+        address: row.address,
+        amount: Number(row.amount || 0),
+        coin: row.coin,
+        providerStatus: row.provider_status,
+        providerInsertTime: row.provider_insert_time,
+        status: row.status,
+        userId: row.user_id || null,
+        depositId: row.deposit_id || null,
+        resolvedBy: row.resolved_by || null,
+        resolvedAt: row.resolved_at || null,
+        note: row.note || null,
+        createdAt: row.created_at,
     };
 }
 
@@ -62,4 +147,9 @@ module.exports = {
     makeSubmitDepositResponse,
     makeDepositListItem,
     makeListDepositsResponse,
+    encodeDepositCursor,
+    decodeDepositCursor,
+    makeDepositTimeline,
+    makeDepositAddressDTO,
+    makeUnclaimedDepositDTO,
 };
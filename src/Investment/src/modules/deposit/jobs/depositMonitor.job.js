@@ -3,39 +3,71 @@
 /**
  * DepositMonitorJob
  *
- * A polling job that queries Binance for recent deposits and tries to
- * resolve any PENDING/PROCESSING claims in our DB.
+ * A polling job that queries the deposit provider (Binance by default) for recent
+ * deposits, resolves any PENDING/PROCESSING claims in our DB and stages deposits
+ * nobody has claimed.
  *
  * Strategy:
- * - Keep a "since" cursor (in ms epoch) to avoid reprocessing old data.
- * - Fetch recent deposits from Binance every POLL_INTERVAL_SEC.
- * - For each provider deposit, if a matching tx_id exists in our DB and is not CONFIRMED:
- *     -> call DepositService.verifyAndConfirm(txId, userId)
- * - Log unclaimed provider deposits for admin review (optional).
+ * - Keep a persisted "since" cursor per network (deposit_monitor_cursors, epoch ms of the
+ *   provider's insertTime) so a restart resumes where the last run stopped.
+ * - Fetch recent deposits from the provider every POLL_INTERVAL_SEC, for each enabled network.
+ * - Hand each one to DepositService.processProviderDeposit:
+ *     -> a claimed tx is verified/confirmed (verifyAndConfirm)
+ *     -> in per_user address mode it is credited to the owner of the receiving address
+ *     -> anything else is staged in unclaimed_deposits for admin assignment
+ * - In per_user address mode, every user's sub-account is polled instead of the master, once
+ *   per tick for all networks (from the oldest network cursor), and the rows are split by network.
  *
- * Notes:
- * - Because our entity requires user_id, this job does not auto-create records.
- * - If you later store unassigned provider deposits, you can add a "staging" table for reconciliation.
+ * Cursor rules:
+ * - Never moves past the oldest deposit still PENDING at the provider, or still PROCESSING
+ *   on our side (awaiting on-chain confirmations), so it is seen again on later ticks
+ *   (insertTime doesn't change when the status does).
+ * - Otherwise moves to now - MONITOR_SETTLE_SEC: the provider can list a deposit a little
+ *   after its insertTime. Re-seeing a deposit within that window is harmless (idempotent).
+ * - A hold reaches back at most MONITOR_MAX_HOLD_HOURS: a deposit that never settles or keeps
+ *   failing would otherwise pin the cursor and grow every tick's window until the provider's
+ *   page limit hides newer deposits. Deposits left behind are logged as errors for follow-up
+ *   (a claimed one can still be confirmed through the user's tx hash).
+ * - Not advanced when the provider call for a network fails.
  */
 
 const pino = require('pino');
 const cfg = require('../config/deposit.config');
 const { BinanceProvider } = require('../providers/binance.provider');
+const { MonitorCursorRepository } = require('../models/depositMonitor.model');
+const { toBinanceNetwork } = require('../utils/txUtils');
 
 class DepositMonitorJob {
     /**
      * @param {object} deps
      * @param {import('../services/deposit.service').DepositService} deps.depositService
-     * @param {BinanceProvider} deps.binance
+     * @param {object} deps.provider - deposit provider (see providers/provider.registry.js)
+     * @param {BinanceProvider} [deps.binance] - legacy name for `provider`
+     * @param {import('pg').Pool|any} deps.db - for the persisted cursor
      * @param {import('pino').Logger} [deps.logger]
-     * @param {number} [deps.lookbackMs]
+     * @param {number} [deps.lookbackMs] - first run only (no stored cursor yet)
+     * @param {number} [deps.settleMs]
+     * @param {number} [deps.maxHoldMs]
      */
-    constructor({ depositService, binance, logger, lookbackMs = 1000 * 60 * 60 * 24 }) {
+    constructor({
+        depositService,
+        provider,
+        binance,
+        db,
+        logger,
+        lookbackMs = cfg.MONITOR_LOOKBACK_HOURS * 60 * 60 * 1000,
+        settleMs = cfg.MONITOR_SETTLE_SEC * 1000,
+        maxHoldMs = cfg.MONITOR_MAX_HOLD_HOURS * 60 * 60 * 1000,
+    }) {
         this.depositService = depositService;
-        this.binance = binance;
+        this.provider = provider || binance;
+        this.cursors = new MonitorCursorRepository(db);
         this.logger = logger || pino({ name: 'DepositMonitorJob' });
+        this.lookbackMs = lookbackMs;
+        this.settleMs = settleMs;
+        this.maxHoldMs = maxHoldMs;
         this._timer = null;
-        this._cursorMs = Date.now() - lookbackMs; // start with 24h lookback
+        this._current = null;
         this._isRunning = false;
     }
 
@@ -43,48 +75,130 @@ class DepositMonitorJob {
         if (this._timer) return;
         this.logger.info('Starting DepositMonitorJob...');
         const intervalMs = (cfg.POLL_INTERVAL_SEC || 30) * 1000;
-        this._timer = setInterval(() => this._tick().catch((e) => this.logger.error(e, 'monitor tick error')), intervalMs);
+        this._timer = setInterval(() => this._run(), intervalMs);
         // fire once immediately
-        this._tick().catch((e) => this.logger.error(e, 'monitor first tick error'));
+        this._run();
     }
 
-    stop() {
+    /** Stops polling and waits for an in-flight tick to finish. */
+    async stop() {
         if (this._timer) clearInterval(this._timer);
         this._timer = null;
+        if (this._current) await this._current;
         this.logger.info('Stopped DepositMonitorJob');
     }
 
+    _run() {
+        if (this._isRunning) return;
+        this._current = this._tick()
+            .catch((e) => this.logger.error(e, 'monitor tick error'))
+            .finally(() => { this._current = null; });
+    }
+
     async _tick() {
         if (this._isRunning) return;
         this._isRunning = true;
         try {
-            const deposits = await this.binance.listRecentDeposits({ sinceMs: this._cursorMs, coin: 'USDT', network: 'ETH' });
-            if (deposits.length === 0) {
-                this.logger.debug('No recent provider deposits');
-                this._cursorMs = Date.now(); // advance cursor
-                return;
+            // taken before any provider call, so nothing listed meanwhile falls behind a cursor
+            const now = Date.now();
+            const cursors = new Map();
+            for (const net of cfg.SUPPORTED_NETWORKS) {
+                try {
+                    cursors.set(net, (await this.cursors.get(this._cursorKey(net))) ?? now - this.lookbackMs);
+                } catch (err) {
+                    this.logger.error({ err, network: net }, 'Deposit monitor cursor unavailable; network skipped');
+                }
             }
+            if (cursors.size === 0) return;
 
-            this.logger.info({ count: deposits.length }, 'Fetched recent provider deposits');
-
-            for (const d of deposits) {
+            let accountDeposits = null;
+            if (cfg.ADDRESS_MODE === 'per_user') {
                 try {
-                    // We don't know userId here, but verifyAndConfirm can use record.user_id
-                    await this.depositService.verifyAndConfirm({ txId: d.txId });
+                    accountDeposits = await this._fetchAccountDeposits(Math.min(...cursors.values()));
                 } catch (err) {
-                    this.logger.warn({ err, txId: d.txId }, 'Failed to verifyAndConfirm provider deposit');
+                    this.logger.error({ err }, 'Deposit monitor sync failed; cursors kept');
+                    return;
                 }
-                // Keep cursor moving forward based on observed insertTime
-                if (typeof d.insertTime === 'number') {
-                    this._cursorMs = Math.max(this._cursorMs, d.insertTime);
+            }
+
+            for (const [net, since] of cursors) {
+                try {
+                    const network = toBinanceNetwork(net);
+                    const deposits = accountDeposits
+                        ? accountDeposits.filter((d) => d.network === network && !(d.insertTime < since))
+                        : await this.provider.listRecentDeposits({ sinceMs: since, coin: cfg.SUPPORTED_ASSET, network });
+                    await this._syncNetwork(net, since, now, deposits);
+                } catch (err) {
+                    this.logger.error({ err, network: net }, 'Deposit monitor sync failed; cursor kept');
                 }
             }
         } finally {
-            // ensure we always move past current time to avoid tight loop
-            this._cursorMs = Math.max(this._cursorMs, Date.now() - 1000);
             this._isRunning = false;
         }
     }
+
+    _cursorKey(net) {
+        return `${cfg.PROVIDER}:${net}`;
+    }
+
+    /**
+     * per_user mode: one history call per sub-account covering every enabled network
+     * (subHisrec has no network filter anyway); _tick splits the rows by network.
+     */
+    async _fetchAccountDeposits(sinceMs) {
+        const accounts = (await this.depositService.listDepositAccounts()).map((a) => a.provider_account);
+        const deposits = [];
+        for (const account of accounts) {
+            deposits.push(...await this.provider.listAccountDeposits({
+                account,
+                sinceMs,
+                coin: cfg.SUPPORTED_ASSET,
+                network: null,
+            }));
+        }
+        return deposits;
+    }
+
+    async _syncNetwork(net, since, now, deposits) {
+        if (deposits.length === 0) {
+            this.logger.debug({ network: net }, 'No recent provider deposits');
+        } else {
+            this.logger.info({ network: net, count: deposits.length }, 'Fetched recent provider deposits');
+        }
+
+        // deposits to see again next tick, with the time they hold the cursor at
+        const held = [];
+        for (const d of deposits) {
+            let result = null;
+            try {
+                result = await this.depositService.processProviderDeposit({ onChain: d, network: net });
+            } catch (err) {
+                // hold the cursor so the next tick retries it; without a time, don't move at all
+                this.logger.warn({ err, txId: d.txId }, 'Failed to process provider deposit; cursor held');
+                held.push({ txId: d.txId, at: typeof d.insertTime === 'number' ? d.insertTime : since, reason: 'failed' });
+                continue;
+            }
+            const waiting = d.status === 'PENDING' || result?.status === 'processing';
+            if (waiting && typeof d.insertTime === 'number') {
+                held.push({ txId: d.txId, at: d.insertTime, reason: d.status === 'PENDING' ? 'pending' : 'processing' });
+            }
+        }
+
+        const floor = now - this.maxHoldMs;
+        const dropped = held.filter((h) => h.at < floor);
+        if (dropped.length) {
+            this.logger.error(
+                { network: net, deposits: dropped, maxHoldHours: this.maxHoldMs / 3600000 },
+                'Deposits held the monitor cursor too long; moving on without them'
+            );
+        }
+        const oldestHeld = Math.min(Infinity, ...held.filter((h) => h.at >= floor).map((h) => h.at));
+        const next = Math.max(since, Math.min(oldestHeld, now - this.settleMs));
+        if (next < now - this.settleMs) {
+            this.logger.info({ network: net, heldAt: new Date(next).toISOString(), deposits: held.filter((h) => h.at === next) }, 'Deposit monitor cursor held');
+        }
+        if (next !== since) await this.cursors.save(this._cursorKey(net), next);
+    }
 }
 
 module.exports = { DepositMonitorJob };
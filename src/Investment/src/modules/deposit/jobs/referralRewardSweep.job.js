@@ -0,0 +1,64 @@
+'use strict';
+
+const cron = require('node-cron');
+
+/**
+ * ReferralRewardSweepJob
+ * ----------------------
+ * Cron-based job that retries the referral bonus and commissions of confirmed
+ * deposits whose inline payout failed (deposits.referral_rewards_paid_at unset).
+ */
+
+class ReferralRewardSweepJob {
+    constructor({ depositService, logger = console }) {
+        this.svc = depositService;
+        this.log = logger;
+        this.task = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start cron job
+     * @param {string} schedule - Cron expression (default: every 5 minutes)
+     */
+    start(schedule = '*/5 * * * *') {
+        if (this.task) {
+            this.log.warn('ReferralRewardSweepJob already running');
+            return this;
+        }
+
+        this.task = cron.schedule(schedule, async () => {
+            if (this.isRunning) {
+                this.log.warn('ReferralRewardSweepJob: Previous run still in progress, skipping');
+                return;
+            }
+            await this.run().catch(err => this.log.error({ err }, 'ReferralRewardSweepJob failed'));
+        });
+
+        this.log.info({ schedule }, 'ReferralRewardSweepJob started');
+        return this;
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+            this.log.info('ReferralRewardSweepJob stopped');
+        }
+    }
+
+    async run() {
+        if (this.isRunning) return null;
+
+        this.isRunning = true;
+        try {
+            const summary = await this.svc.retryReferralRewards({ limit: 50 });
+            if (summary.total > 0) this.log.info(summary, 'ReferralRewardSweepJob: Cycle complete');
+            return summary;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = { ReferralRewardSweepJob };
@@ -5,6 +5,7 @@
  *
  * A lightweight Express-compatible handler for "deposit events" delivered
  * via a proxy integration (since Binance doesn't provide native webhooks).
+ * Mounted at POST /api/v1/deposit/webhook when DEPOSIT_WEBHOOK_SECRET is set.
  *
  * Expected payload shape (example):
  * {
@@ -12,34 +13,53 @@
  *   "txId": "0xabc...",
  *   "amount": "100.00",
  *   "asset": "USDT",
- *   "network": "ETH",
+ *   "network": "ETH",     // Binance code: ETH | TRX | BSC
  *   "status": "SUCCESS",  // or PENDING
  *   "address": "0xAdminDepositAddress",
  *   "insertTime": 1730966400000
  * }
  *
- * Security:
- * - HMAC signature in header: X-Webhook-Signature = hex(hmacSHA256(body, WEBHOOK_SECRET))
- * - Time-based replay check via X-Webhook-Timestamp (optional; recommended)
+ * Security (all three headers required):
+ * - X-Webhook-Timestamp: unix seconds; rejected outside ±DEPOSIT_WEBHOOK_TOLERANCE_SEC
+ * - X-Webhook-Nonce: unique per delivery (8-128 of [A-Za-z0-9_-]); a reused nonce is a replay
+ * - X-Webhook-Signature: hex(hmacSHA256(`${timestamp}.${nonce}.${rawBody}`, WEBHOOK_SECRET)),
+ *   optionally prefixed "sha256="; compared in constant time
+ * The signature covers the exact request bytes (req.rawBody, captured by the JSON parser,
+ * or a Buffer body from express.raw), never a re-serialized req.body.
+ *
+ * Authenticated deliveries are stored (deposit_webhook_events) before they're acted on,
+ * so failed ones can be reprocessed from the admin API.
  */
 
 const crypto = require('crypto');
 const pino = require('pino');
 const cfg = require('../config/deposit.config');
 
+const NONCE_RE = /^[A-Za-z0-9_-]{8,128}$/;
+const TIMESTAMP_RE = /^\d{1,12}$/;
+const SIGNATURE_RE = /^(?:sha256=)?([0-9a-f]{64})$/i;
+
 /**
  * @param {object} deps
  * @param {import('../services/deposit.service').DepositService} deps.depositService
  * @param {string} deps.webhookSecret
+ * @param {number} [deps.toleranceSec] - default cfg.WEBHOOK_TOLERANCE_SEC
  * @param {import('pino').Logger} [deps.logger]
+ * @param {() => number} [deps.now] - epoch ms clock (tests)
  */
-function createWebhookHandler({ depositService, webhookSecret, logger }) {
+function createWebhookHandler({ depositService, webhookSecret, toleranceSec = cfg.WEBHOOK_TOLERANCE_SEC, logger, now = Date.now }) {
+    if (!depositService) throw new Error('createWebhookHandler requires depositService');
+    if (!webhookSecret) throw new Error('createWebhookHandler requires webhookSecret');
     const log = logger || pino({ name: 'DepositWebhook' });
 
-    const verifySignature = (raw, sig) => {
-        if (!webhookSecret) return false;
-        const h = crypto.createHmac('sha256', webhookSecret).update(raw).digest('hex');
-        return typeof sig === 'string' && sig.toLowerCase() === h.toLowerCase();
+    const verifySignature = (raw, timestamp, nonce, sig) => {
+        const match = SIGNATURE_RE.exec(typeof sig === 'string' ? sig.trim() : '');
+        if (!match) return false;
+        const expected = crypto.createHmac('sha256', webhookSecret)
+            .update(`${timestamp}.${nonce}.`)
+            .update(raw)
+            .digest();
+        return crypto.timingSafeEqual(expected, Buffer.from(match[1], 'hex'));
     };
 
     /**
@@ -47,26 +67,48 @@ function createWebhookHandler({ depositService, webhookSecret, logger }) {
      */
     return async function webhookHandler(req, res) {
         try {
-            const raw = req.rawBody || req.bodyRaw || JSON.stringify(req.body || {});
-            const sig = req.headers['x-webhook-signature'] || req.headers['X-Webhook-Signature'];
-            if (!verifySignature(raw, sig)) {
+            const raw = Buffer.isBuffer(req.rawBody) ? req.rawBody : Buffer.isBuffer(req.body) ? req.body : null;
+            if (!raw) {
+                log.error('Webhook raw body not captured; check the JSON parser setup');
+                return res.status(400).json({ error: 'raw_body_required' });
+            }
+
+            const timestamp = String(req.headers['x-webhook-timestamp'] || '');
+            const nonce = String(req.headers['x-webhook-nonce'] || '');
+            const sig = req.headers['x-webhook-signature'];
+            if (!TIMESTAMP_RE.test(timestamp) || !NONCE_RE.test(nonce) || !verifySignature(raw, timestamp, nonce, sig)) {
                 log.warn('Invalid webhook signature');
                 return res.status(401).json({ error: 'invalid_signature' });
             }
 
-            const evt = typeof req.body === 'object' ? req.body : JSON.parse(raw);
-            if (!evt || evt.type !== 'deposit' || !evt.txId) {
+            const sentAtMs = Number(timestamp) * 1000;
+            if (Math.abs(now() - sentAtMs) > toleranceSec * 1000) {
+                log.warn({ timestamp, nonce }, 'Webhook timestamp outside the allowed window');
+                return res.status(401).json({ error: 'stale_timestamp' });
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(raw.toString('utf8'));
+            } catch {
                 return res.status(400).json({ error: 'invalid_payload' });
             }
 
-            // Safety check: ensure event is for our configured address (if present)
-            if (evt.address && String(evt.address).toLowerCase() !== String(cfg.DEPOSIT_ADDRESS).toLowerCase()) {
-                log.warn({ evt }, 'Webhook address mismatch');
-                return res.status(202).json({ accepted: true }); // ignore silently
+            const event = await depositService.recordWebhookEvent({ nonce, sentAt: new Date(sentAtMs), payload });
+            if (!event) {
+                log.warn({ nonce }, 'Webhook replay rejected');
+                return res.status(409).json({ error: 'replayed' });
             }
 
-            const result = await depositService.verifyAndConfirm({ txId: evt.txId });
-            return res.status(200).json({ ok: true, txId: evt.txId, status: result?.status || 'unknown' });
+            const outcome = await depositService.processWebhookEvent(event);
+            if (outcome.reason === 'invalid_payload') {
+                return res.status(400).json({ error: 'invalid_payload' });
+            }
+            if (outcome.reason === 'address_mismatch') {
+                log.warn({ eventId: event.event_id, address: payload.address }, 'Webhook address mismatch');
+                return res.status(202).json({ accepted: true }); // ignore silently
+            }
+            return res.status(200).json({ ok: true, txId: payload.txId, status: outcome.depositStatus });
         } catch (err) {
             log.error({ err }, 'Webhook processing failed');
             return res.status(500).json({ error: 'internal_error' });
@@ -142,7 +142,40 @@ class DepositRepository {
         return rows[0];
     }
 
-    async listForUser(userId, { page = 1, limit = 20, status = undefined, from = undefined, to = undefined } = {}) {
+    async markReferralRewardsPaid(depositId) {
+        await this.db.query(
+            `UPDATE ${this.table} SET referral_rewards_paid_at = NOW() WHERE deposit_id = $1`,
+            [depositId]
+        );
+    }
+
+    /**
+     * Confirmed deposits whose referral rewards haven't settled yet, oldest credit first.
+     */
+    async listReferralRewardsDue(limit = 50) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM ${this.table}
+              WHERE status = $1 AND referral_rewards_paid_at IS NULL
+              ORDER BY credited_at NULLS LAST
+              LIMIT $2`,
+            [DepositStatus.CONFIRMED, limit]
+        );
+        return rows;
+    }
+
+    async findForUser(depositId, userId) {
+        const q = `SELECT * FROM ${this.table} WHERE deposit_id = $1 AND user_id = $2 LIMIT 1`;
+        const { rows } = await this.db.query(q, [depositId, userId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Newest-first keyset page of a user's deposits. `after` is the last deposit_id of
+     * the previous page; rows are ordered by (created_at, deposit_id) so ties can't
+     * repeat or skip. An `after` that isn't the user's deposit yields an empty page.
+     * @returns {Promise<{items: object[], hasMore: boolean}>}
+     */
+    async listForUser(userId, { limit = 20, after = undefined, status = undefined, from = undefined, to = undefined } = {}) {
         const where = ['user_id = $1'];
         const params = [userId];
         let p = 2;
@@ -152,24 +185,23 @@ class DepositRepository {
         }
         if (from) { where.push(`created_at >= $${p}`); params.push(from); p++; }
         if (to) { where.push(`created_at <= $${p}`); params.push(to); p++; }
+        if (after) {
+            where.push(`(created_at, deposit_id) < (
+        SELECT created_at, deposit_id FROM ${this.table} WHERE deposit_id = $${p} AND user_id = $1
+      )`);
+            params.push(after); p++;
+        }
 
-        const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
-
-        const countSql = `SELECT COUNT(*)::int AS total FROM ${this.table} ${whereSql}`;
-        const { rows: countRows } = await this.db.query(countSql, params);
-        const total = countRows[0]?.total ?? 0;
-
-        const offset = (page - 1) * limit;
         const listSql = `
       SELECT *
       FROM ${this.table}
-      ${whereSql}
-      ORDER BY created_at DESC
-      LIMIT $${p} OFFSET $${p + 1}
+      WHERE ${where.join(' AND ')}
+      ORDER BY created_at DESC, deposit_id DESC
+      LIMIT $${p}
     `;
-        const { rows } = await this.db.query(listSql, [...params, limit, offset]);
+        const { rows } = await this.db.query(listSql, [...params, limit + 1]);
 
-        return { items: rows, total };
+        return { items: rows.slice(0, limit), hasMore: rows.length > limit };
     }
 }
 
@@ -0,0 +1,106 @@
+'use strict';
+
+const { isSameAddress } = require('../utils/txUtils');
+
+/**
+ * Per-user deposit addresses (DEPOSIT_ADDRESS_MODE=per_user).
+ * One provider sub-account per user (user_deposit_accounts, also copied to each
+ * address row's provider_account), one address per network.
+ *
+ * Methods accept an optional transaction client; default is the pool.
+ */
+class DepositAddressRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('DepositAddressRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+    }
+
+    async findForUser(userId, network, client = null) {
+        const { rows } = await (client || this.db).query(
+            `SELECT * FROM user_deposit_addresses WHERE user_id = $1 AND network = $2`,
+            [userId, network]
+        );
+        return rows[0] || null;
+    }
+
+    async listForUser(userId) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM user_deposit_addresses WHERE user_id = $1 ORDER BY network`,
+            [userId]
+        );
+        return rows;
+    }
+
+    /** Sub-account already created for the user (shared by all their networks). */
+    async findAccountForUser(userId, client = null) {
+        const { rows } = await (client || this.db).query(
+            `SELECT provider_account FROM user_deposit_addresses WHERE user_id = $1 LIMIT 1`,
+            [userId]
+        );
+        return rows[0]?.provider_account || null;
+    }
+
+    /**
+     * The user's user_deposit_accounts row, created (without an account) if missing and
+     * locked FOR UPDATE: concurrent first requests queue here, so only one opens a sub-account.
+     * Needs a transaction client.
+     */
+    async lockAccountRow(userId, provider, client) {
+        await client.query(
+            `INSERT INTO user_deposit_accounts (user_id, provider)
+             VALUES ($1, $2)
+             ON CONFLICT (user_id) DO NOTHING`,
+            [userId, provider]
+        );
+        const { rows } = await client.query(
+            `SELECT * FROM user_deposit_accounts WHERE user_id = $1 FOR UPDATE`,
+            [userId]
+        );
+        return rows[0];
+    }
+
+    async setAccount(userId, providerAccount, client = null) {
+        const { rows } = await (client || this.db).query(
+            `UPDATE user_deposit_accounts
+                SET provider_account = $2, account_created_at = NOW()
+              WHERE user_id = $1
+              RETURNING *`,
+            [userId, providerAccount]
+        );
+        return rows[0];
+    }
+
+    /**
+     * Owner of a receiving address. The index is on LOWER(address); TRON addresses
+     * are case-sensitive, so the final comparison is per network.
+     */
+    async findByAddress(network, address) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM user_deposit_addresses WHERE network = $1 AND LOWER(address) = LOWER($2)`,
+            [network, address]
+        );
+        return rows.find((r) => isSameAddress(r.address, address, network)) || null;
+    }
+
+    /** Distinct sub-accounts to poll, with their owner. */
+    async listAccounts() {
+        const { rows } = await this.db.query(
+            `SELECT DISTINCT provider_account, user_id FROM user_deposit_addresses ORDER BY provider_account`
+        );
+        return rows;
+    }
+
+    async insert({ userId, network, address, tag = null, provider = 'binance', providerAccount }, client = null) {
+        const { rows } = await (client || this.db).query(
+            `INSERT INTO user_deposit_addresses (user_id, network, address, tag, provider, provider_account)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [userId, network, address, tag, provider, providerAccount]
+        );
+        return rows[0];
+    }
+}
+
+module.exports = { DepositAddressRepository };
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * Persistence for DepositMonitorJob:
+ * - deposit_monitor_cursors: resume point per provider/network (epoch ms of provider insertTime)
+ * - unclaimed_deposits: provider deposits with no claim, staged for admin assignment
+ *
+ * Methods accept an optional transaction client; default is the pool.
+ */
+
+const UnclaimedStatus = Object.freeze({
+    UNCLAIMED: 'unclaimed',
+    CLAIMED: 'claimed', // a user submitted the tx hash afterwards
+    ASSIGNED: 'assigned', // an admin credited it to a user
+    IGNORED: 'ignored',
+});
+
+class MonitorCursorRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('MonitorCursorRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+    }
+
+    /** @returns {Promise<number|null>} */
+    async get(key) {
+        const { rows } = await this.db.query(
+            `SELECT cursor_ms FROM deposit_monitor_cursors WHERE cursor_key = $1`,
+            [key]
+        );
+        return rows[0] ? Number(rows[0].cursor_ms) : null;
+    }
+
+    async save(key, cursorMs) {
+        await this.db.query(
+            `INSERT INTO deposit_monitor_cursors (cursor_key, cursor_ms, updated_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (cursor_key) DO UPDATE SET cursor_ms = EXCLUDED.cursor_ms, updated_at = NOW()`,
+            [key, cursorMs]
+        );
+    }
+}
+
+class UnclaimedDepositRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('UnclaimedDepositRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+    }
+
+    /**
+     * Stage (or refresh the provider status of) an unclaimed deposit.
+     * Resolved rows are left untouched.
+     */
+    async upsert({ txId, network, address, amount, coin, providerStatus, insertTime, payload }) {
+        const { rows } = await this.db.query(
+            `INSERT INTO unclaimed_deposits
+               (tx_id, network, address, amount, coin, provider_status, provider_insert_time, payload)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+             ON CONFLICT (tx_id) DO UPDATE
+               SET provider_status = EXCLUDED.provider_status,
+                   amount = EXCLUDED.amount,
+                   payload = EXCLUDED.payload,
+                   updated_at = NOW()
+               WHERE unclaimed_deposits.status = '${UnclaimedStatus.UNCLAIMED}'
+             RETURNING *`,
+            [
+                txId,
+                network,
+                address || null,
+                amount,
+                coin,
+                providerStatus,
+                insertTime ? new Date(insertTime) : null,
+                payload ? JSON.stringify(payload) : null,
+            ]
+        );
+        return rows[0] || null;
+    }
+
+    async findById(unclaimedId, { client = null, lock = false } = {}) {
+        const { rows } = await (client || this.db).query(
+            `SELECT * FROM unclaimed_deposits WHERE unclaimed_id = $1${lock ? ' FOR UPDATE' : ''}`,
+            [unclaimedId]
+        );
+        return rows[0] || null;
+    }
+
+    async list({ status = UnclaimedStatus.UNCLAIMED, page = 1, limit = 20 } = {}) {
+        const where = status ? 'WHERE status = $1' : '';
+        const params = status ? [status] : [];
+        const { rows: countRows } = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM unclaimed_deposits ${where}`,
+            params
+        );
+        const { rows } = await this.db.query(
+            `SELECT * FROM unclaimed_deposits ${where}
+             ORDER BY provider_insert_time DESC NULLS LAST, created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, (page - 1) * limit]
+        );
+        return { items: rows, total: countRows[0]?.total || 0 };
+    }
+
+    async resolve(unclaimedId, { status, userId = null, depositId = null, adminId = null, note = null }, client = null) {
+        const { rows } = await (client || this.db).query(
+            `UPDATE unclaimed_deposits
+             SET status = $2, user_id = $3, deposit_id = $4, resolved_by = $5, note = $6,
+                 resolved_at = NOW(), updated_at = NOW()
+             WHERE unclaimed_id = $1
+             RETURNING *`,
+            [unclaimedId, status, userId, depositId, adminId, note]
+        );
+        return rows[0] || null;
+    }
+
+    /** A user claimed the tx through submitDeposit; close its staging row if there is one. */
+    async markClaimed(txId, { userId, depositId }) {
+        await this.db.query(
+            `UPDATE unclaimed_deposits
+             SET status = '${UnclaimedStatus.CLAIMED}', user_id = $2, deposit_id = $3,
+                 resolved_at = NOW(), updated_at = NOW()
+             WHERE tx_id = $1 AND status = '${UnclaimedStatus.UNCLAIMED}'`,
+            [txId, userId, depositId]
+        );
+    }
+
+    async logAdminAction(client, { adminId, targetUserId = null, action, details }) {
+        await (client || this.db).query(
+            `INSERT INTO admin_actions (admin_id, target_user_id, action, details, created_at)
+             VALUES ($1, $2, $3, $4, NOW())`,
+            [adminId, targetUserId, action, details ? JSON.stringify(details) : null]
+        );
+    }
+}
+
+module.exports = { MonitorCursorRepository, UnclaimedDepositRepository, UnclaimedStatus };
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Persistence for the deposit webhook (deposit_webhook_events): one row per authenticated
+ * delivery, keyed by its nonce so a replayed delivery can't be stored (or acted on) twice.
+ * Rows keep the parsed payload and the processing outcome, so `received`/`failed`
+ * events can be reprocessed later.
+ */
+
+const WebhookEventStatus = Object.freeze({
+    RECEIVED: 'received', // stored, not processed yet (or the process died mid-way)
+    PROCESSED: 'processed',
+    IGNORED: 'ignored', // authentic but not actionable (bad payload, not our address)
+    FAILED: 'failed', // processing threw; retryable
+});
+
+class DepositWebhookEventRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('DepositWebhookEventRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+    }
+
+    /**
+     * Store a delivery. Returns null when the nonce was already used (replay).
+     */
+    async insert({ nonce, sentAt, payload }) {
+        const { rows } = await this.db.query(
+            `INSERT INTO deposit_webhook_events (nonce, sent_at, event_type, tx_id, payload)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (nonce) DO NOTHING
+             RETURNING *`,
+            [
+                nonce,
+                sentAt,
+                typeof payload?.type === 'string' ? payload.type.slice(0, 32) : null,
+                typeof payload?.txId === 'string' ? payload.txId.slice(0, 255) : null,
+                JSON.stringify(payload),
+            ]
+        );
+        return rows[0] || null;
+    }
+
+    async markResult(eventId, { status, depositStatus = null, error = null }) {
+        const { rows } = await this.db.query(
+            `UPDATE deposit_webhook_events
+             SET status = $2, deposit_status = $3, error = $4, attempts = attempts + 1, processed_at = NOW()
+             WHERE event_id = $1
+             RETURNING *`,
+            [eventId, status, depositStatus, error]
+        );
+        return rows[0] || null;
+    }
+
+    /** Oldest events that never completed processing. */
+    async listRetryable({ limit = 50 } = {}) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM deposit_webhook_events
+             WHERE status IN ('${WebhookEventStatus.RECEIVED}', '${WebhookEventStatus.FAILED}')
+             ORDER BY received_at ASC
+             LIMIT $1`,
+            [limit]
+        );
+        return rows;
+    }
+}
+
+module.exports = { DepositWebhookEventRepository, WebhookEventStatus };
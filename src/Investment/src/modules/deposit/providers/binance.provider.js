@@ -9,8 +9,77 @@
  */
 
 const { Spot } = require('@binance/connector');
+const cfg = require('../config/deposit.config');
 
-const DEFAULT_LOOKBACK_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DEFAULT_LOOKBACK_MS = 7 * DAY_MS;
+
+/**
+ * Deposit history paging. hisrec rejects ranges of 90 days or more and returns at most
+ * `limit` rows per call, so history is read in fixed, epoch-aligned windows (cacheable)
+ * and each window is paged by offset until a short page.
+ * subHisrec is read in smaller windows with its default page size.
+ */
+const MASTER_WINDOW_MS = 30 * DAY_MS;
+const SUB_WINDOW_MS = 7 * DAY_MS;
+const MASTER_PAGE_LIMIT = 1000;
+const SUB_PAGE_LIMIT = 500;
+const MAX_PAGES_PER_WINDOW = 50;
+// a window is only cached once it closed this long ago (deposits can be listed late)
+const CACHE_SETTLE_MS = 60 * 60 * 1000;
+const CACHE_MAX_WINDOWS = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Transient failures worth retrying: no response (network/timeout), 5xx, 429 and
+ * Binance's rate-limit / clock-skew codes. 418 (IP ban) and auth errors are not.
+ */
+const isRetryable = (err) => {
+    const status = err?.response?.status;
+    const code = err?.response?.data?.code;
+    if (!err?.response) return true;
+    if (status === 429 || status >= 500) return true;
+    return code === -1003 || code === -1021;
+};
+
+const describeError = (err) => {
+    const data = err?.response?.data;
+    if (data?.msg) return `${data.msg} (code ${data.code}, HTTP ${err.response.status})`;
+    return err?.message || String(err);
+};
+
+const mapDeposit = (d) => ({
+    txId: d.txId,
+    amount: Number(d.amount),
+    coin: d.coin,
+    network: d.network,
+    address: d.address,
+    status: mapDepositStatus(d.status),
+    insertTime: d.insertTime, // ms epoch
+});
+
+/**
+ * Binance withdrawHistory status codes -> payout status used by the withdrawal module.
+ * 0 Email Sent, 2 Awaiting Approval, 4 Processing -> PROCESSING
+ * 6 Completed -> COMPLETED
+ * 1 Cancelled, 3 Rejected, 5 Failure -> FAILED
+ */
+const mapWithdrawStatus = (s) => {
+    if (s === 6) return 'COMPLETED';
+    if (s === 1 || s === 3 || s === 5) return 'FAILED';
+    return 'PROCESSING';
+};
+
+/**
+ * Binance deposit history status codes (0=pending, 1=success, 6=credited but cannot withdraw).
+ */
+const mapDepositStatus = (s) => {
+    if (s === 1) return 'SUCCESS';
+    if (s === 0) return 'PENDING';
+    if (s === 6) return 'CREDITED';
+    return String(s);
+};
 
 class BinanceProvider {
     /**
@@ -19,109 +88,257 @@ class BinanceProvider {
      * @param {string} opts.apiSecret
      * @param {number} [opts.recvWindow]
      * @param {number} [opts.timeout] - request timeout ms
+     * @param {number} [opts.retries] - extra attempts for transient errors (default DEPOSIT_PROVIDER_RETRIES)
+     * @param {number} [opts.retryDelayMs] - first backoff delay, doubled per attempt
+     * @param {number} [opts.cacheTtlMs] - how long closed history windows are reused
      * @param {import('pino').Logger} [opts.logger]
      */
-    constructor({ apiKey, apiSecret, recvWindow = 5000, timeout = 10000, logger }) {
+    constructor({
+        apiKey,
+        apiSecret,
+        recvWindow = 5000,
+        timeout = 10000,
+        retries = cfg.PROVIDER_RETRIES,
+        retryDelayMs = 500,
+        cacheTtlMs = 30 * 60 * 1000,
+        logger,
+    }) {
         this.client = new Spot(apiKey, apiSecret, { recvWindow, timeout });
         this.logger = logger || console;
+        this.retries = retries;
+        this.retryDelayMs = retryDelayMs;
+        this.cacheTtlMs = cacheTtlMs;
+        this._windows = new Map(); // window key -> { rows, expiresAt }
     }
 
     /**
      * Get a single deposit by txId by scanning recent deposit history.
      * Binance "Get Deposit History (supporting network)": /sapi/v1/capital/deposit/hisrec
-     * No direct txId filter is provided, so we pull a window and match locally.
+     * No direct txId filter is provided, so we pull the lookback and match locally.
      *
      * @param {object} params
      * @param {string} params.txId - blockchain tx hash
      * @param {string} [params.coin='USDT']
-     * @param {string} [params.network='ETH'] - Binance network code (ETH for ERC20)
+     * @param {string} [params.network='ETH'] - Binance network code (ETH for ERC20, TRX for TRC20, BSC for BEP20)
      * @param {number} [params.lookbackMs] - default 7 days
      * @returns {Promise<null|{
      *   txId:string, amount:number, coin:string, network:string, address:string,
      *   status:string, insertTime:number
-     * }>}
+     * }>} null only when the deposit genuinely isn't in the history; provider failures throw
      */
     async getDepositByTxId({ txId, coin = 'USDT', network = 'ETH', lookbackMs = DEFAULT_LOOKBACK_MS }) {
-        const endTime = Date.now();
-        const startTime = endTime - Math.max(lookbackMs, 60_000);
-
-        // Binance returns status as integer (0=pending,1=success,6=credited but cannot withdraw)
-        const mapStatus = (s) => {
-            if (s === 1) return 'SUCCESS';
-            if (s === 0) return 'PENDING';
-            if (s === 6) return 'CREDITED';
-            return String(s);
-        };
+        const deposits = await this._depositHistory({
+            coin,
+            network,
+            sinceMs: Date.now() - Math.max(lookbackMs, 60_000),
+        });
+        return deposits.find((d) => (d.txId || '').toLowerCase() === txId.toLowerCase()) || null;
+    }
+
+    /**
+     * List deposits since a timestamp (monitor polling, submit lookups), newest first.
+     * Throws (err.code = 'ERR_PROVIDER_UNAVAILABLE') once retries are exhausted, so an
+     * outage is never mistaken for "no deposits".
+     *
+     * @param {object} params
+     * @param {number} params.sinceMs - epoch ms
+     * @param {string} [params.coin='USDT']
+     * @param {string} [params.network='ETH']
+     * @returns {Promise<Array>}
+     */
+    async listRecentDeposits({ sinceMs, coin = 'USDT', network = 'ETH' }) {
+        return this._depositHistory({ coin, network, sinceMs });
+    }
+
+    /**
+     * Create a virtual sub-account to hold one user's deposit addresses.
+     * Binance "Create a Virtual Sub-account": /sapi/v1/sub-account/virtualSubAccount
+     *
+     * @param {string} label - letters/digits; Binance derives the sub-account email from it
+     * @returns {Promise<{account:string}>} account = sub-account email
+     */
+    async createDepositAccount(label) {
+        const { data } = await this.client.subAccountCreation(label);
+        return { account: data.email };
+    }
 
-        // Paginate up to a sensible limit (avoid unbounded scans)
-        let deposits = [];
-        let currentStart = startTime;
-        const pageSpan = 1000 * 60 * 60 * 24; // 1d pages
-        for (let i = 0; i < 10; i++) {
-            const thisEnd = Math.min(currentStart + pageSpan, endTime);
+    /**
+     * Deposit address of a sub-account (or of the master account when `account` is omitted).
+     * Binance "Get Sub-account Deposit Address": /sapi/v1/capital/deposit/subAddress
+     *
+     * @param {object} params
+     * @param {string} [params.account] - sub-account email
+     * @param {string} [params.coin='USDT']
+     * @param {string} [params.network='ETH']
+     * @returns {Promise<{address:string, tag:(string|null)}>}
+     */
+    async getDepositAddress({ account, coin = 'USDT', network = 'ETH' }) {
+        const { data } = account
+            ? await this.client.subAccountDepositAddress(account, coin, { network })
+            : await this.client.depositAddress(coin, { network });
+        return { address: data.address, tag: data.tag || null };
+    }
+
+    /**
+     * List a sub-account's deposits since a timestamp (same shape as listRecentDeposits).
+     * Binance "Get Sub-account Deposit History": /sapi/v1/capital/deposit/subHisrec
+     * That endpoint has no network filter, so we filter locally.
+     *
+     * @param {object} params
+     * @param {string} params.account - sub-account email
+     * @param {number} params.sinceMs - epoch ms
+     * @param {string} [params.coin='USDT']
+     * @param {string} [params.network='ETH']
+     * @returns {Promise<Array>}
+     */
+    async listAccountDeposits({ account, sinceMs, coin = 'USDT', network = 'ETH' }) {
+        const deposits = await this._depositHistory({ account, coin, sinceMs });
+        return deposits.filter((d) => !network || d.network === network);
+    }
+
+    /**
+     * Deposits since `sinceMs` from the master (hisrec) or a sub-account (subHisrec),
+     * newest first. Windows that closed more than CACHE_SETTLE_MS ago are cached
+     * unless they still hold a PENDING deposit; the recent window is always fetched.
+     * @private
+     */
+    async _depositHistory({ account = null, coin, network, sinceMs }) {
+        const now = Date.now();
+        const windowMs = account ? SUB_WINDOW_MS : MASTER_WINDOW_MS;
+        const seen = new Set();
+        const deposits = [];
+
+        for (let start = Math.floor(sinceMs / windowMs) * windowMs; start <= now; start += windowMs) {
+            const end = start + windowMs - 1;
+            let rows;
+            if (end < now - CACHE_SETTLE_MS) {
+                // sub-account rows are cached unfiltered, so the key has no network
+                const key = [account || 'master', coin, account ? '*' : network, start].join(':');
+                rows = this._cacheGet(key);
+                if (!rows) {
+                    rows = await this._fetchWindow({ account, coin, network, startTime: start, endTime: end });
+                    if (!rows.some((r) => r.status === 'PENDING')) this._cacheSet(key, rows);
+                }
+            } else {
+                rows = await this._fetchWindow({ account, coin, network, startTime: Math.max(start, sinceMs), endTime: now });
+            }
+
+            for (const r of rows) {
+                const id = `${r.txId}:${r.address}`;
+                if (r.insertTime < sinceMs || seen.has(id)) continue;
+                seen.add(id);
+                deposits.push(r);
+            }
+        }
+        return deposits.sort((a, b) => b.insertTime - a.insertTime);
+    }
+
+    /**
+     * One time window, paged by offset until a short page.
+     * @private
+     */
+    async _fetchWindow({ account, coin, network, startTime, endTime }) {
+        const limit = account ? SUB_PAGE_LIMIT : MASTER_PAGE_LIMIT;
+        const rows = [];
+        for (let page = 0; page < MAX_PAGES_PER_WINDOW; page++) {
+            const offset = page * limit;
+            const data = account
+                ? await this._withRetry('subAccountDepositHistory', () =>
+                    this.client.subAccountDepositHistory(account, { coin, startTime, endTime, offset, limit }))
+                : await this._withRetry('depositHistory', () =>
+                    this.client.depositHistory({ coin, network, startTime, endTime, offset, limit }));
+            const batch = Array.isArray(data) ? data : [];
+            rows.push(...batch.map(mapDeposit));
+            if (batch.length < limit) return rows;
+        }
+        // never return a truncated window as if it were complete
+        const err = new Error(`Binance deposit history exceeds ${MAX_PAGES_PER_WINDOW} pages for ${new Date(startTime).toISOString()}..${new Date(endTime).toISOString()}`);
+        err.code = 'ERR_PROVIDER_UNAVAILABLE';
+        throw err;
+    }
+
+    /**
+     * Run a connector call, retrying transient failures with exponential backoff.
+     * Gives up with err.code = 'ERR_PROVIDER_UNAVAILABLE'.
+     * @private
+     */
+    async _withRetry(label, call) {
+        for (let attempt = 0; ; attempt++) {
             try {
-                const { data } = await this.client.depositHistory({
-                    coin,
-                    startTime: currentStart,
-                    endTime: thisEnd,
-                    // network param exists, but not all accounts require it; include for specificity
-                    network,
-                });
-                if (Array.isArray(data)) {
-                    deposits = deposits.concat(
-                        data.map((d) => ({
-                            txId: d.txId,
-                            amount: Number(d.amount),
-                            coin: d.coin,
-                            network: d.network,
-                            address: d.address,
-                            status: mapStatus(d.status),
-                            insertTime: d.insertTime, // ms epoch
-                        })),
-                    );
+                const { data } = await call();
+                return data;
+            } catch (cause) {
+                const retryable = isRetryable(cause);
+                if (!retryable || attempt >= this.retries) {
+                    const err = new Error(`Binance ${label} failed after ${attempt + 1} attempt(s): ${describeError(cause)}`);
+                    err.code = 'ERR_PROVIDER_UNAVAILABLE';
+                    err.cause = cause;
+                    throw err;
                 }
-            } catch (err) {
-                this.logger.warn({ err }, 'Binance depositHistory window failed');
+                const delay = this.retryDelayMs * 2 ** attempt;
+                this.logger.warn({ err: describeError(cause), attempt: attempt + 1, delay }, `Binance ${label} failed; retrying`);
+                await sleep(delay);
             }
-            currentStart = thisEnd + 1;
-            if (currentStart > endTime) break;
         }
+    }
 
-        const match = deposits.find((d) => (d.txId || '').toLowerCase() === txId.toLowerCase());
-        return match || null;
+    /** @private */
+    _cacheGet(key) {
+        const hit = this._windows.get(key);
+        if (!hit) return null;
+        if (hit.expiresAt <= Date.now()) {
+            this._windows.delete(key);
+            return null;
+        }
+        return hit.rows;
+    }
+
+    /** @private */
+    _cacheSet(key, rows) {
+        if (this._windows.size >= CACHE_MAX_WINDOWS) {
+            this._windows.delete(this._windows.keys().next().value); // oldest insert
+        }
+        this._windows.set(key, { rows, expiresAt: Date.now() + this.cacheTtlMs });
     }
 
     /**
-     * List recent deposits since a timestamp for polling monitor job.
+     * Submit a withdrawal (payout) from the platform account.
+     * Binance "Withdraw": /sapi/v1/capital/withdraw/apply
+     * Errors are thrown so the caller can decide whether to retry.
+     *
      * @param {object} params
-     * @param {number} params.sinceMs - epoch ms
+     * @param {string} params.withdrawOrderId - our withdrawal id; lets us find the payout again after a crash
+     * @param {string} params.address
+     * @param {number} params.amount
      * @param {string} [params.coin='USDT']
      * @param {string} [params.network='ETH']
-     * @returns {Promise<Array>}
+     * @returns {Promise<{providerId:string}>}
      */
-    async listRecentDeposits({ sinceMs, coin = 'USDT', network = 'ETH' }) {
-        try {
-            const { data } = await this.client.depositHistory({
-                coin,
-                startTime: sinceMs,
-                endTime: Date.now(),
-                network,
-            });
-            return Array.isArray(data)
-                ? data.map((d) => ({
-                    txId: d.txId,
-                    amount: Number(d.amount),
-                    coin: d.coin,
-                    network: d.network,
-                    address: d.address,
-                    status: d.status === 1 ? 'SUCCESS' : d.status === 0 ? 'PENDING' : String(d.status),
-                    insertTime: d.insertTime,
-                }))
-                : [];
-        } catch (err) {
-            this.logger.error({ err }, 'Binance listRecentDeposits failed');
-            return [];
-        }
+    async submitWithdrawal({ withdrawOrderId, address, amount, coin = 'USDT', network = 'ETH' }) {
+        const { data } = await this.client.withdraw(coin, address, amount, { network, withdrawOrderId });
+        return { providerId: String(data.id) };
+    }
+
+    /**
+     * Look up a payout by our withdrawOrderId.
+     * Binance "Withdraw History (supporting network)": /sapi/v1/capital/withdraw/history
+     *
+     * @param {object} params
+     * @param {string} params.withdrawOrderId
+     * @param {string} [params.coin='USDT']
+     * @returns {Promise<null|{providerId:string, status:'PROCESSING'|'COMPLETED'|'FAILED', txId:(string|null), info:(string|null)}>}
+     */
+    async getWithdrawalStatus({ withdrawOrderId, coin = 'USDT' }) {
+        const { data } = await this.client.withdrawHistory({ coin, withdrawOrderId });
+        const match = Array.isArray(data) ? data.find((w) => w.withdrawOrderId === withdrawOrderId) : null;
+        if (!match) return null;
+
+        return {
+            providerId: String(match.id),
+            status: mapWithdrawStatus(match.status),
+            txId: match.txId || null,
+            info: match.info || null,
+        };
     }
 }
 
@@ -0,0 +1,137 @@
+'use strict';
+
+/**
+ * EtherscanProvider:
+ * Deposit provider backed by an Etherscan-style explorer API (account/tokentx).
+ * It watches our own receiving addresses for incoming USDT transfers, so it needs no
+ * exchange account, but it also can't open per-user sub-accounts (shared mode only).
+ *
+ * Same deposit shape as BinanceProvider; `network` params are the exchange-style codes
+ * the service already passes (ETH, BSC). Status comes from the explorer's confirmation
+ * count: SUCCESS at MIN_CONFIRMATIONS for the network, PENDING below it.
+ *
+ * Errors are thrown (callers decide whether to retry); "No transactions found" is not an error.
+ */
+
+const axios = require('axios');
+const cfg = require('../config/deposit.config');
+const { NETWORKS, resolveNetwork } = require('../utils/networks');
+const { fromBaseUnits } = require('./onchainVerifier.provider');
+
+const DEFAULT_LOOKBACK_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
+const PAGE_SIZE = 1000;
+const MAX_PAGES = 10; // explorer APIs cap page * offset at 10k rows
+
+class EtherscanProvider {
+    /**
+     * @param {object} opts
+     * @param {string} opts.apiKey
+     * @param {Record<string,string>} opts.addresses - our receiving address per network id (ERC20, BEP20)
+     * @param {string} [opts.baseUrl] - default cfg.ETHERSCAN_API_URL
+     * @param {Record<string,{MIN_CONFIRMATIONS:number, TOKEN_CONTRACT:string}>} [opts.networks] - default cfg.NETWORKS
+     * @param {number} [opts.timeout] - request timeout ms
+     * @param {import('pino').Logger} [opts.logger]
+     */
+    constructor({ apiKey, addresses, baseUrl = cfg.ETHERSCAN_API_URL, networks = cfg.NETWORKS, timeout = cfg.PROVIDER_TIMEOUT_MS, logger }) {
+        if (!apiKey) throw new Error('EtherscanProvider requires an apiKey');
+        this.apiKey = apiKey;
+        this.addresses = addresses || {};
+        this.baseUrl = baseUrl;
+        this.networks = networks;
+        this.timeout = timeout;
+        this.logger = logger || console;
+    }
+
+    /**
+     * Incoming USDT transfers to our address since a timestamp (newest first).
+     * @param {object} params
+     * @param {number} params.sinceMs - epoch ms
+     * @param {string} [params.coin='USDT']
+     * @param {string} [params.network='ETH']
+     * @returns {Promise<Array>}
+     */
+    async listRecentDeposits({ sinceMs, coin = 'USDT', network = 'ETH' }) {
+        const id = this._networkId(network);
+        const address = this.addresses[id];
+        if (!address) throw new Error(`EtherscanProvider has no ${id} address to watch`);
+        const netCfg = this.networks[id];
+
+        const deposits = [];
+        for (let page = 1; page <= MAX_PAGES; page++) {
+            const rows = await this._get({
+                chainid: NETWORKS[id].chainId,
+                module: 'account',
+                action: 'tokentx',
+                contractaddress: netCfg.TOKEN_CONTRACT,
+                address,
+                page,
+                offset: PAGE_SIZE,
+                sort: 'desc',
+            });
+
+            for (const t of rows) {
+                const insertTime = Number(t.timeStamp) * 1000;
+                if (insertTime < sinceMs) return deposits;
+                if (String(t.to || '').toLowerCase() !== address.toLowerCase()) continue; // outgoing
+                if (coin && t.tokenSymbol && t.tokenSymbol !== coin) continue;
+                deposits.push({
+                    txId: t.hash,
+                    amount: Number(fromBaseUnits(BigInt(t.value), Number(t.tokenDecimal))),
+                    coin: t.tokenSymbol || coin,
+                    network,
+                    address: t.to,
+                    status: Number(t.confirmations) >= netCfg.MIN_CONFIRMATIONS ? 'SUCCESS' : 'PENDING',
+                    insertTime,
+                });
+            }
+            if (rows.length < PAGE_SIZE) break;
+        }
+        return deposits;
+    }
+
+    /**
+     * Find a deposit by tx hash within the lookback window.
+     * @param {object} params
+     * @param {string} params.txId
+     * @param {string} [params.coin='USDT']
+     * @param {string} [params.network='ETH']
+     * @param {number} [params.lookbackMs] - default 7 days
+     */
+    async getDepositByTxId({ txId, coin = 'USDT', network = 'ETH', lookbackMs = DEFAULT_LOOKBACK_MS }) {
+        const deposits = await this.listRecentDeposits({ sinceMs: Date.now() - lookbackMs, coin, network });
+        return deposits.find((d) => d.txId.toLowerCase() === String(txId).toLowerCase()) || null;
+    }
+
+    /**
+     * Our configured receiving address (explorers can't create addresses).
+     * @returns {Promise<{address:string, tag:null}>}
+     */
+    async getDepositAddress({ account, network = 'ETH' }) {
+        if (account) throw new Error('EtherscanProvider does not support deposit sub-accounts');
+        const id = this._networkId(network);
+        if (!this.addresses[id]) throw new Error(`EtherscanProvider has no ${id} address`);
+        return { address: this.addresses[id], tag: null };
+    }
+
+    /** @private */
+    _networkId(network) {
+        const id = resolveNetwork(network);
+        if (!id || !NETWORKS[id].evm || !NETWORKS[id].chainId) {
+            throw new Error(`EtherscanProvider does not support network ${network}`);
+        }
+        return id;
+    }
+
+    /** @private */
+    async _get(params) {
+        const { data } = await axios.get(this.baseUrl, {
+            params: { ...params, apikey: this.apiKey },
+            timeout: this.timeout,
+        });
+        if (String(data?.status) === '1' && Array.isArray(data.result)) return data.result;
+        if (/no transactions found/i.test(String(data?.message || ''))) return [];
+        throw new Error(`Etherscan ${params.action} failed: ${typeof data?.result === 'string' ? data.result : data?.message}`);
+    }
+}
+
+module.exports = { EtherscanProvider };
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * FakeDepositProvider:
+ * In-memory deposit provider with the same surface as BinanceProvider's deposit side
+ * (listRecentDeposits / getDepositByTxId / getDepositAddress, plus the sub-account
+ * methods used in per_user mode), for local runs and integration tests.
+ *
+ * Deposits only exist once added with addDeposit(); move them along with setStatus().
+ * A JSON array of deposits can be preloaded (DEPOSIT_FAKE_SEED_FILE via the registry).
+ */
+
+const crypto = require('crypto');
+const { NETWORKS, resolveNetwork } = require('../utils/networks');
+
+const BASE58 = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+class FakeDepositProvider {
+    /**
+     * @param {object} [opts]
+     * @param {Record<string,string>} [opts.addresses] - master receiving address per network id (ERC20, TRC20, BEP20)
+     * @param {Array<object>} [opts.deposits] - initial deposits (addDeposit params)
+     */
+    constructor({ addresses = {}, deposits = [] } = {}) {
+        this.addresses = { ...addresses };
+        this.deposits = new Map(); // lower-cased txId -> deposit
+        this.accounts = new Set();
+        this._failures = [];
+        for (const d of deposits) this.addDeposit(d);
+    }
+
+    /**
+     * Record a deposit. `account` null = the master account; omit `address` to use
+     * that account's address for the network.
+     */
+    addDeposit({ txId, amount, coin = 'USDT', network = 'ETH', address, status = 'SUCCESS', insertTime = Date.now(), account = null }) {
+        const id = this._networkId(network);
+        const deposit = {
+            txId: txId || (NETWORKS[id].evm ? '0x' : '') + crypto.randomBytes(32).toString('hex'),
+            amount: Number(amount),
+            coin,
+            network: NETWORKS[id].binance,
+            address: address || this._address(account, id),
+            status,
+            insertTime,
+            account,
+        };
+        this.deposits.set(deposit.txId.toLowerCase(), deposit);
+        return deposit;
+    }
+
+    setStatus(txId, status) {
+        const deposit = this.deposits.get(String(txId).toLowerCase());
+        if (deposit) deposit.status = status;
+        return deposit || null;
+    }
+
+    /**
+     * Make the next `count` provider calls throw `error`.
+     */
+    failNext(error = new Error('Fake provider unavailable'), count = 1) {
+        for (let i = 0; i < count; i++) this._failures.push(error);
+        return this;
+    }
+
+    async listRecentDeposits({ sinceMs = 0, coin = 'USDT', network = 'ETH' } = {}) {
+        this._maybeFail();
+        return this._list({ account: null, sinceMs, coin, network });
+    }
+
+    async listAccountDeposits({ account, sinceMs = 0, coin = 'USDT', network = 'ETH' }) {
+        this._maybeFail();
+        return this._list({ account, sinceMs, coin, network });
+    }
+
+    async getDepositByTxId({ txId, coin = 'USDT', network = 'ETH' }) {
+        this._maybeFail();
+        const deposit = this.deposits.get(String(txId).toLowerCase());
+        if (!deposit || deposit.coin !== coin || deposit.network !== NETWORKS[this._networkId(network)].binance) return null;
+        return this._public(deposit);
+    }
+
+    async createDepositAccount(label) {
+        this._maybeFail();
+        const account = `${label}@fake.local`;
+        this.accounts.add(account);
+        return { account };
+    }
+
+    async getDepositAddress({ account, network = 'ETH' }) {
+        this._maybeFail();
+        return { address: this._address(account || null, this._networkId(network)), tag: null };
+    }
+
+    /** @private */
+    _list({ account, sinceMs, coin, network }) {
+        const code = network ? NETWORKS[this._networkId(network)].binance : null;
+        return [...this.deposits.values()]
+            .filter((d) => d.account === account && (!code || d.network === code) && d.coin === coin && d.insertTime >= sinceMs)
+            .sort((a, b) => b.insertTime - a.insertTime)
+            .map((d) => this._public(d));
+    }
+
+    /** Deposit as the real providers return it (no account field). @private */
+    _public({ account, ...deposit }) {
+        return { ...deposit };
+    }
+
+    /**
+     * Master address from `addresses`, else a stable address derived from the account
+     * (format-valid for the network, not a real key). @private
+     */
+    _address(account, id) {
+        if (!account && this.addresses[id]) return this.addresses[id];
+        const hash = crypto.createHash('sha512').update(`${account || 'master'}:${id}`).digest();
+        if (NETWORKS[id].evm) return '0x' + hash.toString('hex').slice(0, 40);
+        return 'T' + Array.from(hash.subarray(0, 33), (b) => BASE58[b % BASE58.length]).join('');
+    }
+
+    /** @private */
+    _networkId(network) {
+        const id = resolveNetwork(network);
+        if (!id) throw new Error(`FakeDepositProvider: unknown network ${network}`);
+        return id;
+    }
+
+    /** @private */
+    _maybeFail() {
+        if (this._failures.length) throw this._failures.shift();
+    }
+}
+
+module.exports = { FakeDepositProvider };
@@ -0,0 +1,139 @@
+'use strict';
+
+/**
+ * OnchainVerifier:
+ * Independent check of a USDT deposit against an EVM JSON-RPC node, so crediting
+ * doesn't rest on the exchange's status alone.
+ *
+ * A transfer is "confirmed" when:
+ * - eth_getTransactionReceipt has status 0x1,
+ * - its logs contain USDT Transfer events (emitted by the configured token contract)
+ *   to our address, adding up to at least the claimed amount, and
+ * - eth_blockNumber - receipt.blockNumber + 1 >= MIN_CONFIRMATIONS for the network.
+ *
+ * Results:
+ * - { status: 'confirmed', confirmations, required, received }
+ * - { status: 'pending', reason: 'not_mined' | 'confirmations', confirmations, required }
+ * - { status: 'failed', reason: 'reverted' | 'no_transfer' | 'amount_mismatch', ... }
+ * RPC/transport errors are thrown; callers treat them as "try again later".
+ */
+
+const axios = require('axios');
+const cfg = require('../config/deposit.config');
+const { keccak256 } = require('../utils/keccak');
+
+// 0xddf252ad...: topic 0 of every ERC20/BEP20 Transfer event
+const TRANSFER_TOPIC = '0x' + keccak256('Transfer(address,address,uint256)');
+
+/**
+ * Decimal amount (number or string) -> token base units, truncating extra decimals.
+ * @returns {bigint}
+ */
+function toBaseUnits(amount, decimals) {
+    let str = typeof amount === 'number' ? String(amount) : String(amount || '0').trim();
+    if (/e/i.test(str)) str = Number(str).toFixed(decimals);
+    if (!/^\d+(\.\d+)?$/.test(str)) throw new Error(`Invalid token amount: ${amount}`);
+    const [whole, frac = ''] = str.split('.');
+    return BigInt(whole + frac.padEnd(decimals, '0').slice(0, decimals));
+}
+
+/** Token base units -> decimal string without trailing zeros. */
+function fromBaseUnits(units, decimals) {
+    const s = units.toString().padStart(decimals + 1, '0');
+    const whole = s.slice(0, s.length - decimals);
+    const frac = s.slice(s.length - decimals).replace(/0+$/, '');
+    return frac ? `${whole}.${frac}` : whole;
+}
+
+/** Recipient of a Transfer log (topic 2 is the left-padded `to` address). */
+function topicToAddress(topic) {
+    return '0x' + String(topic || '').slice(-40).toLowerCase();
+}
+
+/**
+ * Sum of USDT transferred to `to` in a receipt's logs.
+ * @returns {bigint}
+ */
+function sumTransfersTo(logs, { contract, to }) {
+    const token = String(contract).toLowerCase();
+    const recipient = String(to).toLowerCase();
+    return (logs || [])
+        .filter((log) => String(log.address || '').toLowerCase() === token)
+        .filter((log) => Array.isArray(log.topics) && log.topics.length >= 3)
+        .filter((log) => String(log.topics[0]).toLowerCase() === TRANSFER_TOPIC)
+        .filter((log) => topicToAddress(log.topics[2]) === recipient)
+        .reduce((sum, log) => sum + BigInt(log.data && log.data !== '0x' ? log.data : 0), 0n);
+}
+
+class OnchainVerifier {
+    /**
+     * @param {object} [opts]
+     * @param {Record<string, {RPC_URL:string, MIN_CONFIRMATIONS:number, TOKEN_CONTRACT:string, TOKEN_DECIMALS:number, ONCHAIN_VERIFY:boolean}>} [opts.networks] - default cfg.NETWORKS
+     * @param {number} [opts.timeout] - request timeout ms
+     * @param {import('pino').Logger} [opts.logger]
+     */
+    constructor({ networks = cfg.NETWORKS, timeout = cfg.PROVIDER_TIMEOUT_MS, logger } = {}) {
+        this.networks = networks;
+        this.timeout = timeout;
+        this.logger = logger || console;
+        this._rpcId = 0;
+    }
+
+    /** Whether transfers on this network are checked on-chain. */
+    supports(network) {
+        const net = this.networks[network];
+        return Boolean(net && net.ONCHAIN_VERIFY && net.RPC_URL);
+    }
+
+    /**
+     * @param {object} params
+     * @param {string} params.network - ERC20 | BEP20
+     * @param {string} params.txId
+     * @param {string} params.to - our receiving address
+     * @param {number|string} params.amount - amount the provider reported
+     */
+    async verifyTransfer({ network, txId, to, amount }) {
+        const net = this.networks[network];
+        if (!this.supports(network)) throw new Error(`On-chain verification is not configured for ${network}`);
+        const required = net.MIN_CONFIRMATIONS;
+
+        const receipt = await this._rpc(net.RPC_URL, 'eth_getTransactionReceipt', [txId]);
+        if (!receipt || !receipt.blockNumber) {
+            return { status: 'pending', reason: 'not_mined', confirmations: 0, required };
+        }
+        if (receipt.status !== undefined && receipt.status !== null && BigInt(receipt.status) !== 1n) {
+            return { status: 'failed', reason: 'reverted', confirmations: 0, required };
+        }
+
+        const receivedUnits = sumTransfersTo(receipt.logs, { contract: net.TOKEN_CONTRACT, to });
+        const received = fromBaseUnits(receivedUnits, net.TOKEN_DECIMALS);
+        if (receivedUnits === 0n) {
+            return { status: 'failed', reason: 'no_transfer', confirmations: 0, required, received };
+        }
+        if (receivedUnits < toBaseUnits(amount, net.TOKEN_DECIMALS)) {
+            return { status: 'failed', reason: 'amount_mismatch', confirmations: 0, required, received };
+        }
+
+        const head = BigInt(await this._rpc(net.RPC_URL, 'eth_blockNumber', []));
+        const confirmations = Number(head - BigInt(receipt.blockNumber) + 1n);
+        if (confirmations < required) {
+            return { status: 'pending', reason: 'confirmations', confirmations, required, received };
+        }
+        return { status: 'confirmed', confirmations, required, received };
+    }
+
+    /** @private */
+    async _rpc(url, method, params) {
+        const { data } = await axios.post(
+            url,
+            { jsonrpc: '2.0', id: ++this._rpcId, method, params },
+            { timeout: this.timeout, headers: { 'Content-Type': 'application/json' } }
+        );
+        if (data?.error) {
+            throw new Error(`RPC ${method} failed: ${data.error.message || JSON.stringify(data.error)}`);
+        }
+        return data?.result ?? null;
+    }
+}
+
+module.exports = { OnchainVerifier, TRANSFER_TOPIC, toBaseUnits, fromBaseUnits };
@@ -0,0 +1,85 @@
+'use strict';
+
+/**
+ * Deposit provider registry: builds the provider named by DEPOSIT_PROVIDER.
+ *
+ * Every provider implements (deposit shape: { txId, amount, coin, network, address,
+ * status: 'SUCCESS'|'PENDING'|..., insertTime }):
+ * - listRecentDeposits({ sinceMs, coin, network }) -> deposits to the master/shared address(es)
+ * - getDepositByTxId({ txId, coin, network, lookbackMs }) -> deposit | null
+ * - getDepositAddress({ account, coin, network }) -> { address, tag }
+ * and, for DEPOSIT_ADDRESS_MODE=per_user, also:
+ * - createDepositAccount(label) -> { account }
+ * - listAccountDeposits({ account, sinceMs, coin, network }) -> deposits (network null = all)
+ * `network` is the exchange-style code from toBinanceNetwork() (ETH, TRX, BSC).
+ *
+ * Secrets are read from the environment here, like the rest of app wiring.
+ */
+
+const fs = require('fs');
+const cfg = require('../config/deposit.config');
+const { BinanceProvider } = require('./binance.provider');
+const { EtherscanProvider } = require('./etherscan.provider');
+const { FakeDepositProvider } = require('./fakeDeposit.provider');
+
+const REQUIRED_METHODS = ['listRecentDeposits', 'getDepositByTxId', 'getDepositAddress'];
+const PER_USER_METHODS = ['createDepositAccount', 'listAccountDeposits'];
+
+/** Configured shared receiving address per enabled network id. */
+const sharedAddresses = () => Object.fromEntries(
+    cfg.SUPPORTED_NETWORKS
+        .filter((id) => cfg.NETWORKS[id].DEPOSIT_ADDRESS)
+        .map((id) => [id, cfg.NETWORKS[id].DEPOSIT_ADDRESS])
+);
+
+// name -> ({ env, logger }) => provider; keep in sync with the DEPOSIT_PROVIDER check in deposit.config
+const factories = {
+    binance: ({ env, logger }) => new BinanceProvider({
+        apiKey: env.BINANCE_API_KEY,
+        apiSecret: env.BINANCE_API_SECRET,
+        timeout: cfg.PROVIDER_TIMEOUT_MS,
+        logger,
+    }),
+    etherscan: ({ env, logger }) => new EtherscanProvider({
+        apiKey: env.ETHERSCAN_API_KEY,
+        addresses: sharedAddresses(),
+        logger,
+    }),
+    fake: ({ env }) => new FakeDepositProvider({
+        addresses: sharedAddresses(),
+        deposits: env.DEPOSIT_FAKE_SEED_FILE ? JSON.parse(fs.readFileSync(env.DEPOSIT_FAKE_SEED_FILE, 'utf8')) : [],
+    }),
+};
+
+// Former DEPOSIT_PROVIDER values -> what to configure instead
+const removed = {
+    alchemy: 'use etherscan (EVM networks, shared addresses) or binance',
+};
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.name] - default cfg.PROVIDER
+ * @param {import('pino').Logger} [opts.logger]
+ * @param {NodeJS.ProcessEnv} [opts.env]
+ */
+function createDepositProvider({ name = cfg.PROVIDER, logger = console, env = process.env } = {}) {
+    if (removed[name]) throw new Error(`Deposit provider "${name}" was removed; ${removed[name]}`);
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown deposit provider "${name}" (available: ${Object.keys(factories).join(', ')})`);
+    }
+    const provider = factory({ env, logger });
+    assertDepositProvider(provider, name);
+    return provider;
+}
+
+/** Throws when `provider` lacks a method the configured address mode needs. */
+function assertDepositProvider(provider, name = 'deposit provider') {
+    const required = cfg.ADDRESS_MODE === 'per_user' ? [...REQUIRED_METHODS, ...PER_USER_METHODS] : REQUIRED_METHODS;
+    const missing = required.filter((m) => typeof provider?.[m] !== 'function');
+    if (missing.length) {
+        throw new Error(`${name} is missing ${missing.join(', ')} (DEPOSIT_ADDRESS_MODE=${cfg.ADDRESS_MODE})`);
+    }
+}
+
+module.exports = { createDepositProvider, assertDepositProvider };
@@ -16,6 +16,14 @@ function createAdminDepositRouter({ depositService, adminAuthenticate, logger })
     // Admin only - fetch all user deposits from database
     router.get('/users', adminAuthenticate, controller.listUserDeposits);
 
+    // Admin only - provider deposits nobody claimed (staged by DepositMonitorJob)
+    router.get('/unclaimed', adminAuthenticate, controller.listUnclaimed);
+    router.post('/unclaimed/:unclaimedId/assign', adminAuthenticate, controller.assignUnclaimed);
+    router.post('/unclaimed/:unclaimedId/ignore', adminAuthenticate, controller.ignoreUnclaimed);
+
+    // Admin only - retry stored deposit webhook events that failed or never finished
+    router.post('/webhook-events/reprocess', adminAuthenticate, controller.reprocessWebhookEvents);
+
     return router;
 }
 
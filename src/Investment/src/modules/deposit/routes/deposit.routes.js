@@ -5,13 +5,16 @@
  *
  * Secured with user auth middleware.
  * If you later add admin-only endpoints, chain adminAuth on those routes.
+ * POST /webhook is only mounted when a webhookHandler is given; it authenticates by
+ * signature instead (see jobs/webhookHandler.js).
  */
 
-const { Router } = require('express');
+const express = require('express');
+const { Router } = express;
 const { DepositController } = require('../controllers/deposit.controller');
 const { DepositInstructionsController } = require('../controllers/depositInstructions.controller');
 
-function createDepositRouter({ depositService, authenticate, logger }) {
+function createDepositRouter({ depositService, authenticate, webhookHandler, logger }) {
     if (!depositService) throw new Error('createDepositRouter requires depositService');
     if (!authenticate) throw new Error('createDepositRouter requires authenticate middleware');
 
@@ -22,9 +25,19 @@ function createDepositRouter({ depositService, authenticate, logger }) {
     // Public endpoint - no auth required
     router.get('/instructions', instructionsController.getInstructions);
 
+    // Signed provider events - no user auth. The app's JSON parser keeps req.rawBody for
+    // this path; express.raw covers bodies it skipped (other content types).
+    if (webhookHandler) {
+        router.post('/webhook', express.raw({ type: () => true, limit: '256kb' }), webhookHandler);
+    }
+
     // Protected endpoints - require authentication
     router.post('/submit', authenticate, controller.submit);
     router.get('/status/:txId', authenticate, controller.status);
+    router.get('/address', authenticate, controller.address);
+    router.get('/', authenticate, controller.list);
+    // keep last: matches any single segment
+    router.get('/:depositId', authenticate, controller.detail);
 
     // Example (future) admin-only route:
     // router.get('/admin/recent', authenticate, adminAuthenticate, controller.adminListRecent);
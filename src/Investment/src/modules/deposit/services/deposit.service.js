@@ -6,8 +6,10 @@
  * Responsibilities:
  * - Validate incoming txId (format).
  * - Create a PENDING deposit claim for the user (idempotent).
- * - Verify the txId with Binance and resolve its amount/network/address/status.
- * - If verified SUCCESS and matches the admin deposit address/network:
+ * - Verify the txId with the deposit provider (DEPOSIT_PROVIDER, Binance by default) and
+ *   resolve its amount/network/address/status.
+ * - If verified SUCCESS and matches the admin deposit address for the claimed network
+ *   (ERC20, TRC20 or BEP20; each has its own address, minimum and explorer):
  *     -> credit Account wallet (idempotent), then mark CONFIRMED.
  * - Otherwise move to PROCESSING (await monitor/webhook) or FAIL with reason.
  *
@@ -15,50 +17,97 @@
  * - Uses a unique tx_id in the deposits table to prevent two users claiming the same tx.
  * - Passes idempotencyKey = `deposit:${txId}` to WalletService.creditAccount() so that
  *   retries (monitor + webhook + user re-submit) never double-credit.
+ * - With DEPOSIT_ONCHAIN_VERIFY on, nothing is credited until the OnchainVerifier has seen
+ *   the USDT transfer to our address with MIN_CONFIRMATIONS; until then the claim stays
+ *   PROCESSING (monitor/sync/re-submit retry it), and a transfer that doesn't match fails.
+ * - After confirmation, asks ReferralService to pay the referrer's first-deposit bonus
+ *   (one per referee) and the multi-level deposit commissions; a failure there never
+ *   fails the deposit.
  *
- * Note on shared address model:
- * - Long-term, prefer per-user deposit addresses or tag/memo. For now, first-claim-wins
- *   guarded by unique tx_id + admin review of suspicious claims.
+ * Attribution (cfg.ADDRESS_MODE):
+ * - shared: one platform address per network; first-claim-wins guarded by unique tx_id
+ *   + admin review of suspicious claims.
+ * - per_user: each user receives on their own provider sub-account address, so a tx is
+ *   only found in its owner's deposit history and a pasted hash can't be claimed by
+ *   anyone else. The monitor credits such deposits without a claim at all.
+ *   Funds land in the sub-accounts; sweeping them to the master account is an ops task.
  */
 
+const crypto = require('crypto');
 const pino = require('pino');
 const cfg = require('../config/deposit.config'); // adjust relative path if needed
 const { DepositRepository, DepositError } = require('../models/deposit.model'); // adjust path
+const { DepositAddressRepository } = require('../models/depositAddress.model');
+const { UnclaimedDepositRepository, UnclaimedStatus } = require('../models/depositMonitor.model');
+const { DepositWebhookEventRepository, WebhookEventStatus } = require('../models/depositWebhook.model');
 const { BinanceProvider } = require('../providers/binance.provider');
-const { isValidTxHash, buildExplorerUrl, normalizeNetwork } = require('../utils/txUtils');
-const { DepositStatus, makeSubmitDepositResponse } = require('../dto/deposit.dto');
+const {
+    isValidTxHash,
+    isSameAddress,
+    isValidAddress,
+    buildExplorerUrl,
+    normalizeNetwork,
+    toBinanceNetwork,
+} = require('../utils/txUtils');
+const { NETWORKS } = require('../utils/networks');
+const {
+    DepositStatus,
+    makeSubmitDepositResponse,
+    makeDepositAddressDTO,
+    makeUnclaimedDepositDTO,
+    makeDepositListItem,
+    makeListDepositsResponse,
+    makeDepositTimeline,
+    encodeDepositCursor,
+} = require('../dto/deposit.dto');
 const { DepositEmailService } = require('./depositEmail.service');
 const { DepositLoggerService } = require('./depositLogger.service');
 
+const HISTORY_LOOKBACK_MS = 90 * 24 * 60 * 60 * 1000;
+
 class DepositService {
     /**
      * @param {object} deps
      * @param {import('pg').Pool|any} deps.db - db client with query()
      * @param {object} deps.walletService - must expose creditAccount(userId, amountUsd, {reason, txId, idempotencyKey, ...})
-     * @param {BinanceProvider} deps.binance
+     * @param {object} deps.provider - deposit provider (see providers/provider.registry.js)
+     * @param {BinanceProvider} [deps.binance] - legacy name for `provider`
+     * @param {import('../providers/onchainVerifier.provider').OnchainVerifier} [deps.chainVerifier] - required by DEPOSIT_ONCHAIN_VERIFY
+     * @param {object} [deps.referralService] - exposes awardFirstDepositBonus() and payCommissions()
+     * @param {(fn: (client:any) => Promise<any>) => Promise<any>} [deps.withTransaction] - required for per_user addresses
      * @param {import('pino').Logger} [deps.logger]
      */
-    constructor({ db, walletService, binance, logger, emailService, depositLogger }) {
+    constructor({ db, walletService, provider, binance, chainVerifier, referralService, withTransaction, logger, emailService, depositLogger }) {
         this.repo = new DepositRepository(db);
+        this.addresses = new DepositAddressRepository(db);
+        this.unclaimed = new UnclaimedDepositRepository(db);
+        this.webhookEvents = new DepositWebhookEventRepository(db);
+        this.withTransaction = withTransaction || null;
         this.wallets = walletService;
-        this.binance = binance;
+        this.referrals = referralService || null;
+        this.provider = provider || binance;
+        this.chain = chainVerifier || null;
         this.logger = logger || pino({ name: 'DepositService' });
         this.emailService = emailService || new DepositEmailService({ db });
         this.depositLogger = depositLogger || new DepositLoggerService();
         this.depositLogger.connect().catch(err => this.logger.error({ err }, 'Failed to connect deposit logger'));
+        if (cfg.ONCHAIN_VERIFY && !this.chain) {
+            throw new Error('DepositService requires chainVerifier when DEPOSIT_ONCHAIN_VERIFY=true');
+        }
     }
 
     /**
-     * Submit a deposit claim with only txId; amount is fetched from Binance.
+     * Submit a deposit claim with only txId; amount is fetched from the deposit provider.
      * If the same user re-submits a pending/processing claim, we attempt a fresh verify.
      *
      * @param {object} params
      * @param {string} params.userId
      * @param {string} params.txId
-     * @param {string} [params.network='ERC20']
+     * @param {string} [params.network='ERC20'] - ERC20 | TRC20 | BEP20 (or an alias)
      */
     async submitDeposit({ userId, txId, network = 'ERC20' }) {
-        const net = normalizeNetwork(network);
+        const net = this._resolveNetwork(network);
+        const netCfg = cfg.NETWORKS[net];
         let logId = null;
 
         // Get user info for logging
@@ -89,7 +138,7 @@ class DepositService {
 
         // 1) Validate tx format
         if (!isValidTxHash(txId, net)) {
-            const error = new DepositError('ERR_TXID_INVALID', 'Invalid transaction hash format for ERC20');
+            const error = new DepositError('ERR_TXID_INVALID', `Invalid transaction hash format for ${net}`);
             await this.depositLogger.addStage({
                 logId,
                 stage: 'VALIDATION_FAILED',
@@ -117,27 +166,34 @@ class DepositService {
 
             // Same user re-submitted; try to progress the state (fresh verify).
             const refreshed = await this.verifyAndConfirm({ txId, userId: existing.user_id || userId });
-            const explorerUrl = buildExplorerUrl(txId, net);
+            const explorerUrl = buildExplorerUrl(txId, existing.network || net);
             return makeSubmitDepositResponse({ deposit: refreshed || existing, explorerUrl });
         }
 
-        // 3) Fetch ALL recent Binance deposits (last 90 days) and find matching txId
-        const sinceMs = Date.now() - (90 * 24 * 60 * 60 * 1000);
-        const allDeposits = await this.binance.listRecentDeposits({
-            sinceMs,
-            coin: cfg.SUPPORTED_ASSET,
-            network: 'ETH',
-        });
-
-        const onChain = allDeposits.find(d => (d.txId || '').toLowerCase() === txId.toLowerCase());
+        // 3) Find the txId in the provider's deposit history (last 90 days); in per_user
+        //    mode only the user's own sub-account is searched
+        let found;
+        try {
+            found = await this._findOnChain({ txId, net, userId });
+        } catch (error) {
+            await this.depositLogger.addStage({
+                logId,
+                stage: 'BINANCE_LOOKUP',
+                status: 'error',
+                data: { reason: 'provider_unavailable', provider: cfg.PROVIDER },
+                error
+            });
+            throw error;
+        }
+        const { onChain, searched, expectedAddress } = found;
 
         if (!onChain) {
-            const error = new DepositError('ERR_TXID_NOT_FOUND', 'Transaction not found in Binance deposit history. Please verify the transaction hash and ensure it was sent to the correct address.');
+            const error = new DepositError('ERR_TXID_NOT_FOUND', 'Transaction not found in our deposit history. Please verify the transaction hash and ensure it was sent to the correct address.');
             await this.depositLogger.addStage({
                 logId,
                 stage: 'BINANCE_LOOKUP',
                 status: 'error',
-                data: { reason: 'not_found', searchedDeposits: allDeposits.length },
+                data: { reason: 'not_found', searchedDeposits: searched, mode: cfg.ADDRESS_MODE },
                 error
             });
             throw error;
@@ -152,16 +208,16 @@ class DepositService {
 
         // 4) Validate address match
         const addressMatch = onChain.address && onChain.address.length > 6
-            ? onChain.address.toLowerCase() === cfg.DEPOSIT_ADDRESS.toLowerCase()
+            ? isSameAddress(onChain.address, expectedAddress, net)
             : true;
 
         if (!addressMatch) {
-            const error = new DepositError('ERR_ADDRESS_MISMATCH', `This deposit was sent to ${onChain.address} but our address is ${cfg.DEPOSIT_ADDRESS}. Please contact support.`);
+            const error = new DepositError('ERR_ADDRESS_MISMATCH', `This deposit was sent to ${onChain.address} but your ${net} deposit address is ${expectedAddress}. Please contact support.`);
             await this.depositLogger.addStage({
                 logId,
                 stage: 'ADDRESS_VALIDATION',
                 status: 'error',
-                data: { expected: cfg.DEPOSIT_ADDRESS, received: onChain.address },
+                data: { network: net, expected: expectedAddress, received: onChain.address },
                 error
             });
             throw error;
@@ -194,11 +250,25 @@ class DepositService {
 
         // 6) SUCCESS — validate amount and credit wallet
         const amountUsd = Math.round(Number(onChain.amount || 0) * 100) / 100;
-        if (!(amountUsd >= cfg.MIN_DEPOSIT_USD) || (cfg.MAX_DEPOSIT_USD && amountUsd > cfg.MAX_DEPOSIT_USD)) {
+        if (!(amountUsd >= netCfg.MIN_DEPOSIT_USD) || (cfg.MAX_DEPOSIT_USD && amountUsd > cfg.MAX_DEPOSIT_USD)) {
             throw new DepositError('ERR_AMOUNT_OUT_OF_RANGE', 'Deposit amount outside allowed bounds');
         }
 
-        // 7) Create deposit record (only for successful transactions)
+        // 7) Independent on-chain check (DEPOSIT_ONCHAIN_VERIFY): transfer to our address, final
+        const chain = await this._checkOnChain({ net, txId, to: expectedAddress, amount: onChain.amount });
+        if (!chain.skipped) {
+            await this.depositLogger.addStage({
+                logId,
+                stage: 'CHAIN_CHECK',
+                status: chain.status === 'confirmed' ? 'success' : chain.status === 'pending' ? 'pending' : 'error',
+                data: chain
+            });
+        }
+        if (chain.status === 'failed') {
+            throw new DepositError('ERR_CHAIN_MISMATCH', `The on-chain transaction does not show the ${cfg.SUPPORTED_ASSET} transfer to your ${net} deposit address (${chain.reason}). Please contact support.`);
+        }
+
+        // 8) Create deposit record (only for successful transactions)
         const deposit = await this.repo.createPending({
             userId,
             txId,
@@ -208,6 +278,9 @@ class DepositService {
         });
 
         await this.depositLogger.updateDepositId({ logId, depositId: deposit.deposit_id });
+        await this.unclaimed.markClaimed(txId, { userId, depositId: deposit.deposit_id }).catch((err) => {
+            this.logger.error({ err, txId }, 'Failed to close staged unclaimed deposit');
+        });
         await this.depositLogger.addStage({
             logId,
             stage: 'DB_RECORD_CREATED',
@@ -215,7 +288,13 @@ class DepositService {
             data: { depositId: deposit.deposit_id, amount: amountUsd }
         });
 
-        // 8) Credit wallet (idempotent)
+        // Not final on-chain yet: keep the claim, credit once confirmations are reached
+        if (chain.status === 'pending') {
+            const processing = await this.repo.markProcessing(deposit.deposit_id, { provider: onChain, chain });
+            return makeSubmitDepositResponse({ deposit: processing, explorerUrl: buildExplorerUrl(txId, net) });
+        }
+
+        // 9) Credit wallet (idempotent)
         await this.wallets.creditAccount(userId, amountUsd, {
             reason: 'deposit',
             txId,
@@ -231,7 +310,7 @@ class DepositService {
             data: { amount: amountUsd, idempotencyKey: `deposit:${txId}` }
         });
 
-        // 9) Mark as confirmed
+        // 10) Mark as confirmed
         const confirmed = await this.repo.markConfirmed(deposit.deposit_id, {
             amountUsd,
             verifiedAt: new Date(),
@@ -246,7 +325,10 @@ class DepositService {
             data: { status: 'completed' }
         });
 
-        // 10) Send email notifications (async, don't block response)
+        // 11) Referral bonus and commissions
+        await this._payReferralRewards(userId, confirmed);
+
+        // 12) Send email notifications (async, don't block response)
         this._sendDepositEmails(userId, confirmed.deposit_id, txId, amountUsd, logId).catch(err => {
             this.logger.error({ err, depositId: confirmed.deposit_id }, 'Failed to send deposit emails');
         });
@@ -273,17 +355,16 @@ class DepositService {
         const dep = await this.repo.findByTxId(txId);
         if (!dep) return null;
 
-        if ((dep.status || '').toLowerCase() === 'confirmed') {
+        const current = (dep.status || '').toLowerCase();
+        if (current === DepositStatus.CONFIRMED || current === 'confirmed') {
             return dep; // already done
         }
 
-        const sinceMs = Date.now() - (90 * 24 * 60 * 60 * 1000);
-        const allDeposits = await this.binance.listRecentDeposits({
-            sinceMs,
-            coin: cfg.SUPPORTED_ASSET,
-            network: 'ETH',
+        const { onChain } = await this._findOnChain({
+            txId,
+            net: dep.network || 'ERC20',
+            userId: dep.user_id || userId,
         });
-        const onChain = allDeposits.find(d => (d.txId || '').toLowerCase() === txId.toLowerCase());
         if (!onChain) return dep;
 
         if (onChain.status === 'PENDING') {
@@ -301,30 +382,332 @@ class DepositService {
             return { ...dep, status: 'failed' };
         }
 
-        const amountUsd = Math.round(Number(onChain.amount || 0) * 100) / 100;
+        return this._creditAndConfirm(dep, onChain, userId || dep.user_id);
+    }
 
-        // Idempotent credit (same key as submit flow)
-        await this.wallets.creditAccount(userId || dep.user_id, amountUsd, {
-            reason: 'deposit',
-            txId,
-            network: dep.network || 'ERC20',
+    /**
+     * Per-user mode: record and credit a provider deposit found on a user's own address
+     * (used by the monitor; no tx hash claim needed). Returns null when the receiving
+     * address isn't assigned to anyone.
+     *
+     * @param {object} params
+     * @param {object} params.onChain - provider deposit (txId, amount, address, status, ...)
+     * @param {string} params.network - ERC20 | TRC20 | BEP20
+     */
+    async creditAttributedDeposit({ onChain, network }) {
+        const net = normalizeNetwork(network);
+        const owner = onChain.address ? await this.addresses.findByAddress(net, onChain.address) : null;
+        if (!owner) {
+            this.logger.warn({ txId: onChain.txId, address: onChain.address, network: net }, 'Deposit to an unassigned address');
+            return null;
+        }
+
+        const existing = await this.repo.findByTxId(onChain.txId);
+        if (existing) {
+            if (existing.user_id !== owner.user_id) {
+                // claimed under the shared model before the address was assigned; leave it to admins
+                this.logger.warn({ txId: onChain.txId, owner: owner.user_id, claimedBy: existing.user_id }, 'Attributed deposit claimed by another user');
+                return existing;
+            }
+            return this.verifyAndConfirm({ txId: onChain.txId });
+        }
+
+        if (onChain.status !== 'SUCCESS' && onChain.status !== 'CREDITED' && onChain.status !== 'PENDING') {
+            return null;
+        }
+
+        const amountUsd = Math.round(Number(onChain.amount || 0) * 100) / 100;
+        const dep = await this.repo.createPending({
+            userId: owner.user_id,
+            txId: onChain.txId,
+            amountUsd,
+            network: net,
             source: 'auto',
-            idempotencyKey: `deposit:${txId}`,
         });
 
-        const confirmed = await this.repo.markConfirmed(dep.deposit_id, {
-            amountUsd,
-            verifiedAt: new Date(),
-            creditedAt: new Date(),
-            metadata: { provider: onChain, credited_amount_usd: amountUsd },
+        if (onChain.status === 'PENDING') {
+            await this.repo.markProcessing(dep.deposit_id, { provider: onChain });
+            return { ...dep, status: 'processing' };
+        }
+        if (!(amountUsd >= cfg.NETWORKS[net].MIN_DEPOSIT_USD) || (cfg.MAX_DEPOSIT_USD && amountUsd > cfg.MAX_DEPOSIT_USD)) {
+            await this.repo.markFailed(dep.deposit_id, {
+                message: 'Deposit amount outside allowed bounds',
+                metadata: { provider: onChain },
+            });
+            return { ...dep, status: 'failed' };
+        }
+        return this._creditAndConfirm(dep, onChain, owner.user_id);
+    }
+
+    /**
+     * Monitor entry point for one provider deposit: confirm it if claimed, credit it to
+     * the address owner in per_user mode, otherwise stage it for admin assignment.
+     *
+     * @param {object} params
+     * @param {object} params.onChain - provider deposit (txId, amount, address, status, insertTime, ...)
+     * @param {string} params.network - ERC20 | TRC20 | BEP20
+     */
+    async processProviderDeposit({ onChain, network }) {
+        const net = normalizeNetwork(network);
+
+        if (cfg.ADDRESS_MODE === 'per_user') {
+            const attributed = await this.creditAttributedDeposit({ onChain, network: net });
+            if (attributed) return attributed;
+        } else if (await this.repo.findByTxId(onChain.txId)) {
+            return this.verifyAndConfirm({ txId: onChain.txId });
+        }
+
+        await this.unclaimed.upsert({
+            txId: onChain.txId,
+            network: net,
+            address: onChain.address,
+            amount: Math.round(Number(onChain.amount || 0) * 100) / 100,
+            coin: onChain.coin || cfg.SUPPORTED_ASSET,
+            providerStatus: onChain.status,
+            insertTime: onChain.insertTime,
+            payload: onChain,
         });
+        return null;
+    }
 
-        // Send email notifications (async, don't block)
-        this._sendDepositEmails(userId || dep.user_id, confirmed.deposit_id, txId, amountUsd).catch(err => {
-            this.logger.error({ err, depositId: confirmed.deposit_id }, 'Failed to send deposit emails');
+    /**
+     * The user's own deposits, newest first, one cursor page at a time.
+     * @param {object} params
+     * @param {string} params.userId
+     * @param {number} [params.limit=20]
+     * @param {string} [params.cursor] - deposit_id from a previous page's nextCursor
+     * @param {string[]} [params.status] - DepositStatus values
+     * @param {Date} [params.from]
+     * @param {Date} [params.to]
+     */
+    async listUserDeposits({ userId, limit = 20, cursor = undefined, status = undefined, from = undefined, to = undefined }) {
+        const { items, hasMore } = await this.repo.listForUser(userId, { limit, after: cursor, status, from, to });
+        return makeListDepositsResponse(items.map((row) => this._userDepositItem(row)), {
+            limit,
+            nextCursor: hasMore ? encodeDepositCursor(items[items.length - 1].deposit_id) : null,
         });
+    }
 
-        return confirmed;
+    /**
+     * One of the user's deposits with its processing timeline. Someone else's deposit
+     * is reported as not found.
+     */
+    async getUserDeposit({ userId, depositId }) {
+        const row = await this.repo.findForUser(depositId, userId);
+        if (!row) throw new DepositError('ERR_DEPOSIT_NOT_FOUND', 'Deposit not found');
+
+        const logs = await this.depositLogger.findLogs({ userId, depositId, txId: row.tx_id });
+        return {
+            ...this._userDepositItem(row),
+            asset: row.asset,
+            creditedAt: row.credited_at || null,
+            timeline: makeDepositTimeline(logs),
+        };
+    }
+
+    /**
+     * Webhook: store an authenticated delivery. Returns null for a nonce seen before.
+     * @param {object} params
+     * @param {string} params.nonce - X-Webhook-Nonce
+     * @param {Date} params.sentAt - X-Webhook-Timestamp
+     * @param {object} params.payload - parsed body
+     */
+    async recordWebhookEvent({ nonce, sentAt, payload }) {
+        return this.webhookEvents.insert({ nonce, sentAt, payload });
+    }
+
+    /**
+     * Webhook: act on a stored event (re-verify its tx) and record the outcome on it.
+     * Throws (after marking the event failed) when verification itself fails.
+     * @returns {Promise<{status: string, depositStatus?: string, reason?: string}>}
+     */
+    async processWebhookEvent(event) {
+        const evt = event.payload || {};
+        let outcome;
+        try {
+            if (evt.type !== 'deposit' || typeof evt.txId !== 'string' || !evt.txId) {
+                outcome = { status: WebhookEventStatus.IGNORED, reason: 'invalid_payload' };
+            } else if (evt.address && !this._isOurAddress(evt.address)) {
+                outcome = { status: WebhookEventStatus.IGNORED, reason: 'address_mismatch' };
+            } else {
+                const result = await this.verifyAndConfirm({ txId: evt.txId });
+                outcome = { status: WebhookEventStatus.PROCESSED, depositStatus: result?.status || 'unknown' };
+            }
+        } catch (err) {
+            await this.webhookEvents.markResult(event.event_id, { status: WebhookEventStatus.FAILED, error: err.message });
+            throw err;
+        }
+        await this.webhookEvents.markResult(event.event_id, {
+            status: outcome.status,
+            depositStatus: outcome.depositStatus,
+            error: outcome.reason,
+        });
+        return outcome;
+    }
+
+    /**
+     * Admin: retry stored webhook events that were never processed or failed, oldest first.
+     * @returns {Promise<{total:number, processed:number, ignored:number, failed:number}>}
+     */
+    async reprocessWebhookEvents({ limit = 50 } = {}) {
+        const events = await this.webhookEvents.listRetryable({ limit });
+        const summary = { total: events.length, processed: 0, ignored: 0, failed: 0 };
+        for (const event of events) {
+            try {
+                const { status } = await this.processWebhookEvent(event);
+                summary[status]++;
+            } catch (err) {
+                summary.failed++;
+                this.logger.warn({ err, eventId: event.event_id }, 'Webhook event reprocessing failed');
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Admin: staged provider deposits.
+     * @param {object} params
+     * @param {string} [params.status='unclaimed'] - unclaimed|claimed|assigned|ignored
+     */
+    async listUnclaimedDeposits({ status = UnclaimedStatus.UNCLAIMED, page = 1, limit = 20 } = {}) {
+        const { items, total } = await this.unclaimed.list({ status, page, limit });
+        return {
+            items: items.map(makeUnclaimedDepositDTO),
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+        };
+    }
+
+    /**
+     * Admin: credit a staged deposit to a user. The deposit record and the staging
+     * row are written together; the wallet credit is idempotent on `deposit:${txId}`.
+     * Amount bounds are not applied: the admin is resolving a real, received transfer.
+     */
+    async assignUnclaimedDeposit({ adminId, unclaimedId, userId, note = null }) {
+        if (!this.withTransaction) throw new Error('DepositService requires withTransaction for admin assignment');
+
+        const { row, deposit } = await this.withTransaction(async (client) => {
+            const row = await this._lockPendingUnclaimed(client, unclaimedId);
+            if (row.provider_status !== 'SUCCESS' && row.provider_status !== 'CREDITED') {
+                throw new DepositError('ERR_PROVIDER_STATUS', `Provider status is ${row.provider_status}; only completed deposits can be assigned`);
+            }
+            const { rows: users } = await client.query('SELECT user_id FROM users WHERE user_id = $1', [userId]);
+            if (!users[0]) throw new DepositError('ERR_USER_NOT_FOUND', 'User not found');
+
+            const deposits = new DepositRepository(client);
+            if (await deposits.findByTxId(row.tx_id)) {
+                throw new DepositError('ERR_TXID_ALREADY_CLAIMED', 'This transaction has already been claimed');
+            }
+            const deposit = await deposits.createPending({
+                userId,
+                txId: row.tx_id,
+                amountUsd: Number(row.amount),
+                network: row.network,
+                source: 'manual',
+            });
+            await this.unclaimed.resolve(unclaimedId, {
+                status: UnclaimedStatus.ASSIGNED,
+                userId,
+                depositId: deposit.deposit_id,
+                adminId,
+                note,
+            }, client);
+            await this.unclaimed.logAdminAction(client, {
+                adminId,
+                targetUserId: userId,
+                action: 'DEPOSIT_ASSIGNED',
+                details: { unclaimedId, txId: row.tx_id, amount: Number(row.amount), network: row.network, note },
+            });
+            return { row, deposit };
+        });
+
+        const onChain = row.payload || { txId: row.tx_id, amount: Number(row.amount), status: row.provider_status };
+        // the user doesn't own the receiving address; check the transfer to the one it was staged under
+        return this._creditAndConfirm(deposit, onChain, userId, { to: row.address });
+    }
+
+    /** Admin: dismiss a staged deposit (dust, test transfers, refunded off-platform). */
+    async ignoreUnclaimedDeposit({ adminId, unclaimedId, reason }) {
+        if (!this.withTransaction) throw new Error('DepositService requires withTransaction for admin assignment');
+
+        const row = await this.withTransaction(async (client) => {
+            const row = await this._lockPendingUnclaimed(client, unclaimedId);
+            const updated = await this.unclaimed.resolve(unclaimedId, {
+                status: UnclaimedStatus.IGNORED,
+                adminId,
+                note: reason,
+            }, client);
+            await this.unclaimed.logAdminAction(client, {
+                adminId,
+                action: 'DEPOSIT_IGNORED',
+                details: { unclaimedId, txId: row.tx_id, amount: Number(row.amount), network: row.network, reason },
+            });
+            return updated;
+        });
+        return makeUnclaimedDepositDTO(row);
+    }
+
+    /** per_user mode: the provider sub-accounts the monitor should poll. */
+    async listDepositAccounts() {
+        return this.addresses.listAccounts();
+    }
+
+    /**
+     * The user's receiving address for a network. In per_user mode the provider
+     * sub-account and address are created on first request and stored.
+     *
+     * @param {object} params
+     * @param {string} params.userId
+     * @param {string} [params.network='ERC20']
+     */
+    async getDepositAddress({ userId, network = 'ERC20' }) {
+        const net = this._resolveNetwork(network);
+        const dto = (address, tag, shared) => makeDepositAddressDTO({
+            network: net,
+            label: NETWORKS[net].label,
+            address,
+            tag,
+            minDeposit: cfg.NETWORKS[net].MIN_DEPOSIT_USD,
+            shared,
+        });
+
+        if (cfg.ADDRESS_MODE !== 'per_user') return dto(cfg.NETWORKS[net].DEPOSIT_ADDRESS, null, true);
+
+        const existing = await this.addresses.findForUser(userId, net);
+        if (existing) return dto(existing.address, existing.tag, false);
+        if (!this.withTransaction) throw new Error('DepositService requires withTransaction for per_user addresses');
+
+        // 1) the user's sub-account, opened at most once and saved in its own transaction,
+        //    so nothing that fails later (e.g. the address insert) can orphan it
+        const account = await this.withTransaction(async (client) => {
+            const accountRow = await this.addresses.lockAccountRow(userId, cfg.PROVIDER, client);
+            if (accountRow.provider_account) return accountRow.provider_account;
+
+            // users who got addresses before user_deposit_accounts existed already have one
+            let created = await this.addresses.findAccountForUser(userId, client);
+            if (!created) {
+                ({ account: created } = await this.provider.createDepositAccount(depositAccountLabel(userId)));
+            }
+            await this.addresses.setAccount(userId, created, client);
+            return created;
+        });
+
+        // 2) its address on this network, serialized on the same row
+        const row = await this.withTransaction(async (client) => {
+            await this.addresses.lockAccountRow(userId, cfg.PROVIDER, client);
+            const again = await this.addresses.findForUser(userId, net, client);
+            if (again) return again;
+
+            const { address, tag } = await this.provider.getDepositAddress({
+                account,
+                coin: cfg.SUPPORTED_ASSET,
+                network: toBinanceNetwork(net),
+            });
+            if (!isValidAddress(address, net)) {
+                throw new DepositError('ERR_PROVIDER_ADDRESS', `Provider returned an invalid ${net} address`);
+            }
+            return this.addresses.insert({ userId, network: net, address, tag, providerAccount: account }, client);
+        });
+        return dto(row.address, row.tag, false);
     }
 
     /**
@@ -332,11 +715,11 @@ class DepositService {
      * @param {object} params
      * @param {number} [params.days=90] - Number of days to look back
      * @param {string} [params.coin='USDT']
-     * @param {string} [params.network='ETH']
+     * @param {string} [params.network='ETH'] - Binance network code (ETH, TRX, BSC)
      */
     async listBinanceDeposits({ days = 90, coin = cfg.SUPPORTED_ASSET, network = 'ETH' } = {}) {
         const sinceMs = Date.now() - (days * 24 * 60 * 60 * 1000);
-        const deposits = await this.binance.listRecentDeposits({ sinceMs, coin, network });
+        const deposits = await this._providerCall(() => this.provider.listRecentDeposits({ sinceMs, coin, network }));
         
         // Enrich with our database status (check if claimed)
         const enriched = await Promise.all(
@@ -347,7 +730,7 @@ class DepositService {
                     claimed: !!claimed,
                     claimedBy: claimed?.user_id || null,
                     ourStatus: claimed?.status || null,
-                    explorerUrl: buildExplorerUrl(dep.txId, 'ERC20'),
+                    explorerUrl: buildExplorerUrl(dep.txId, dep.network || network),
                 };
             })
         );
@@ -425,7 +808,7 @@ class DepositService {
                     creditedAt: row.credited_at,
                     createdAt: row.created_at,
                     message: row.message,
-                    explorerUrl: buildExplorerUrl(row.tx_id, 'ERC20'),
+                    explorerUrl: buildExplorerUrl(row.tx_id, row.network || 'ERC20'),
                 })),
                 pagination: {
                     page,
@@ -440,6 +823,229 @@ class DepositService {
         }
     }
 
+    /**
+     * Per-user addresses are attributed by verifyAndConfirm itself, so only shared mode
+     * restricts events to the configured addresses. @private
+     */
+    _isOurAddress(address) {
+        return cfg.ADDRESS_MODE === 'per_user' || Object.entries(cfg.NETWORKS)
+            .some(([net, n]) => isSameAddress(address, n.DEPOSIT_ADDRESS, net));
+    }
+
+    /** @private */
+    _userDepositItem(row) {
+        return { ...makeDepositListItem(row), explorerUrl: buildExplorerUrl(row.tx_id, row.network || 'ERC20') };
+    }
+
+    /**
+     * Look a txId up in provider history. per_user mode searches only the user's own
+     * sub-account (no assigned address -> not found); shared mode searches the master.
+     * A provider failure throws ERR_PROVIDER_UNAVAILABLE; `onChain: null` is a genuine miss.
+     * @private
+     */
+    async _findOnChain({ txId, net, userId }) {
+        const params = {
+            sinceMs: Date.now() - HISTORY_LOOKBACK_MS,
+            coin: cfg.SUPPORTED_ASSET,
+            network: toBinanceNetwork(net),
+        };
+        let deposits;
+        let expectedAddress;
+        if (cfg.ADDRESS_MODE === 'per_user') {
+            const assigned = userId ? await this.addresses.findForUser(userId, net) : null;
+            if (!assigned) return { onChain: null, searched: 0, expectedAddress: null };
+            expectedAddress = assigned.address;
+            deposits = await this._providerCall(() => this.provider.listAccountDeposits({ ...params, account: assigned.provider_account }));
+        } else {
+            expectedAddress = cfg.NETWORKS[net]?.DEPOSIT_ADDRESS;
+            deposits = await this._providerCall(() => this.provider.listRecentDeposits(params));
+        }
+        const onChain = deposits.find(d => (d.txId || '').toLowerCase() === txId.toLowerCase()) || null;
+        return { onChain, searched: deposits.length, expectedAddress };
+    }
+
+    /**
+     * Normalize any provider failure to ERR_PROVIDER_UNAVAILABLE (retried by the provider already).
+     * @private
+     */
+    async _providerCall(call) {
+        try {
+            return await call();
+        } catch (err) {
+            this.logger.error({ err, provider: cfg.PROVIDER }, 'Deposit provider unavailable');
+            const error = new DepositError('ERR_PROVIDER_UNAVAILABLE', 'We could not reach our deposit provider to check this transaction. Please try again in a few minutes.');
+            error.cause = err;
+            throw error;
+        }
+    }
+
+    /**
+     * Idempotent credit (same key as the submit flow), confirm, then referral rewards and emails.
+     * Gated by the on-chain check: not final yet -> PROCESSING, mismatch -> FAILED.
+     * @private
+     */
+    async _creditAndConfirm(dep, onChain, userId, { to } = {}) {
+        const txId = dep.tx_id;
+        const amountUsd = Math.round(Number(onChain.amount || 0) * 100) / 100;
+        const net = dep.network || 'ERC20';
+
+        const chain = await this._checkOnChain({
+            net,
+            txId,
+            to: to || await this._expectedAddress(net, userId),
+            amount: onChain.amount,
+        });
+        if (chain.status === 'pending') {
+            if ((dep.status || '').toLowerCase() === DepositStatus.PENDING) {
+                await this.repo.markProcessing(dep.deposit_id, { provider: onChain, chain });
+            }
+            return { ...dep, status: DepositStatus.PROCESSING };
+        }
+        if (chain.status === 'failed') {
+            this.logger.warn({ txId, network: net, chain }, 'On-chain check rejected deposit');
+            await this.repo.markFailed(dep.deposit_id, {
+                message: `On-chain verification failed: ${chain.reason}`,
+                metadata: { provider: onChain, chain },
+            });
+            return { ...dep, status: DepositStatus.FAILED };
+        }
+
+        await this.wallets.creditAccount(userId, amountUsd, {
+            reason: 'deposit',
+            txId,
+            network: dep.network || 'ERC20',
+            source: 'auto',
+            idempotencyKey: `deposit:${txId}`,
+        });
+
+        const confirmed = await this.repo.markConfirmed(dep.deposit_id, {
+            amountUsd,
+            verifiedAt: new Date(),
+            creditedAt: new Date(),
+            metadata: { provider: onChain, credited_amount_usd: amountUsd },
+        });
+
+        await this._payReferralRewards(userId, confirmed);
+
+        // Send email notifications (async, don't block)
+        this._sendDepositEmails(userId, confirmed.deposit_id, txId, amountUsd).catch(err => {
+            this.logger.error({ err, depositId: confirmed.deposit_id }, 'Failed to send deposit emails');
+        });
+
+        return confirmed;
+    }
+
+    /**
+     * Verify the transfer with the OnchainVerifier when enabled for the network.
+     * RPC errors count as "not final yet" so nothing is credited on an unverified tx.
+     * @returns {Promise<{status:'confirmed'|'pending'|'failed', reason?:string, skipped?:boolean}>}
+     * @private
+     */
+    async _checkOnChain({ net, txId, to, amount }) {
+        if (!this.chain || !this.chain.supports(net)) return { status: 'confirmed', skipped: true };
+        if (!to) return { status: 'failed', reason: 'no_address' };
+        try {
+            return await this.chain.verifyTransfer({ network: net, txId, to, amount });
+        } catch (err) {
+            this.logger.error({ err, txId, network: net }, 'On-chain verification unavailable');
+            return { status: 'pending', reason: 'rpc_error' };
+        }
+    }
+
+    /** Our receiving address for a user's deposit on `net`. @private */
+    async _expectedAddress(net, userId) {
+        if (cfg.ADDRESS_MODE !== 'per_user') return cfg.NETWORKS[net]?.DEPOSIT_ADDRESS || null;
+        const assigned = userId ? await this.addresses.findForUser(userId, net) : null;
+        return assigned ? assigned.address : null;
+    }
+
+    /** @private */
+    async _lockPendingUnclaimed(client, unclaimedId) {
+        const row = await this.unclaimed.findById(unclaimedId, { client, lock: true });
+        if (!row) throw new DepositError('ERR_UNCLAIMED_NOT_FOUND', 'Unclaimed deposit not found');
+        if (row.status !== UnclaimedStatus.UNCLAIMED) {
+            throw new DepositError('ERR_UNCLAIMED_RESOLVED', `This deposit is already ${row.status}`);
+        }
+        return row;
+    }
+
+    /**
+     * Map a client-supplied network to an enabled network id.
+     * @private
+     */
+    _resolveNetwork(network) {
+        let net;
+        try {
+            net = normalizeNetwork(network || 'ERC20');
+        } catch {
+            throw new DepositError('ERR_NETWORK_UNSUPPORTED', `Unsupported network: ${network}`);
+        }
+        if (!cfg.SUPPORTED_NETWORKS.includes(net)) {
+            throw new DepositError('ERR_NETWORK_UNSUPPORTED', `Deposits on ${net} are not enabled`);
+        }
+        return net;
+    }
+
+    /**
+     * Re-run referral rewards for confirmed deposits whose rewards never settled
+     * (referral_rewards_paid_at still unset). Both payouts are idempotent per deposit,
+     * so a deposit the inline path already half-paid is safe to retry.
+     * @returns {Promise<{total:number, settled:number, failed:number}>}
+     */
+    async retryReferralRewards({ limit = 50 } = {}) {
+        if (!this.referrals) return { total: 0, settled: 0, failed: 0 };
+        const due = await this.repo.listReferralRewardsDue(limit);
+        let settled = 0;
+        for (const deposit of due) {
+            if (await this._payReferralRewards(deposit.user_id, deposit)) settled++;
+        }
+        return { total: due.length, settled, failed: due.length - settled };
+    }
+
+    /**
+     * Pay the first-deposit referral bonus and the upline's deposit commissions, then mark
+     * the deposit settled. The deposit is already credited, so errors are logged rather
+     * than thrown; an unsettled deposit is picked up by retryReferralRewards().
+     * @returns {Promise<boolean>} whether both payouts went through
+     * @private
+     */
+    async _payReferralRewards(userId, deposit) {
+        if (!this.referrals) return false;
+        const depositAmount = Number(deposit.amount_usd);
+        let ok = true;
+        try {
+            await this.referrals.awardFirstDepositBonus({
+                refereeId: userId,
+                depositId: deposit.deposit_id,
+                depositAmount,
+            });
+        } catch (err) {
+            ok = false;
+            this.logger.error({ err, depositId: deposit.deposit_id }, 'Failed to award referral bonus');
+        }
+        try {
+            await this.referrals.payCommissions({
+                sourceType: 'deposit',
+                sourceUserId: userId,
+                sourceRef: deposit.deposit_id,
+                baseAmount: depositAmount,
+            });
+        } catch (err) {
+            ok = false;
+            this.logger.error({ err, depositId: deposit.deposit_id }, 'Failed to pay referral commissions');
+        }
+        if (!ok) return false;
+
+        try {
+            await this.repo.markReferralRewardsPaid(deposit.deposit_id);
+        } catch (err) {
+            // paid; the sweep will re-run the idempotent payouts and mark it then
+            this.logger.error({ err, depositId: deposit.deposit_id }, 'Failed to mark referral rewards paid');
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Send deposit confirmation emails to user and admin
      * @private
@@ -509,4 +1115,9 @@ class DepositService {
     }
 }
 
+/** Virtual sub-account name: letters/digits only, unique per attempt. */
+function depositAccountLabel(userId) {
+    return `u${String(userId).replace(/[^a-zA-Z0-9]/g, '').slice(0, 12)}${crypto.randomBytes(3).toString('hex')}`;
+}
+
 module.exports = { DepositService };
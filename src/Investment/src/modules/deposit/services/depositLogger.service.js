@@ -97,6 +97,27 @@ class DepositLoggerService {
         }
     }
 
+    /**
+     * A user's logs for one deposit, oldest first. Attempts made before the deposit row
+     * existed only carry the txId, so both are matched. Returns [] when logging is off.
+     */
+    async findLogs({ userId, depositId, txId }) {
+        if (!this.isConnected) return [];
+
+        try {
+            const match = [{ depositId }];
+            if (txId) match.push({ txId });
+            return await this.collection
+                .find({ userId, $or: match }, { projection: { stages: 1, startedAt: 1 } })
+                .sort({ startedAt: 1 })
+                .limit(50)
+                .toArray();
+        } catch (err) {
+            console.error('[DepositLogger] Find logs failed:', err.message);
+            return [];
+        }
+    }
+
     _getErrorDescription(code) {
         const descriptions = {
             'ERR_TXID_INVALID': 'Transaction hash format is invalid. Must be 66 characters starting with 0x.',
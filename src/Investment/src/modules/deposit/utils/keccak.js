@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Minimal Keccak-256 (the pre-NIST padding used by Ethereum, not SHA3-256).
+ * Node's crypto only ships SHA3; this is enough for EIP-55 address checksums
+ * and is not meant for hashing large payloads.
+ */
+
+const MASK = (1n << 64n) - 1n;
+
+const ROUND_CONSTANTS = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+    0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+    0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n,
+];
+
+// Rotation offsets indexed by lane x + 5y
+const ROTATIONS = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14,
+];
+
+const rotl = (v, n) => (n === 0 ? v : ((v << BigInt(n)) | (v >> BigInt(64 - n))) & MASK);
+
+function keccakF(state) {
+    for (let round = 0; round < 24; round++) {
+        // θ
+        const c = new Array(5);
+        for (let x = 0; x < 5; x++) {
+            c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1);
+            for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+        }
+        // ρ and π
+        const b = new Array(25);
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+            }
+        }
+        // χ
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                state[x + y] = b[x + y] ^ (~b[((x + 1) % 5) + y] & MASK & b[((x + 2) % 5) + y]);
+            }
+        }
+        // ι
+        state[0] ^= ROUND_CONSTANTS[round];
+    }
+}
+
+/**
+ * Keccak-256 digest.
+ * @param {Buffer|string} input - strings are hashed as UTF-8
+ * @returns {string} hex digest (64 chars, no 0x prefix)
+ */
+function keccak256(input) {
+    const data = Buffer.isBuffer(input) ? input : Buffer.from(String(input), 'utf8');
+    const rate = 136; // bytes, for a 256-bit output
+
+    const padded = Buffer.alloc((Math.floor(data.length / rate) + 1) * rate);
+    data.copy(padded);
+    padded[data.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += rate) {
+        for (let i = 0; i < rate / 8; i++) {
+            state[i] ^= padded.readBigUInt64LE(offset + i * 8);
+        }
+        keccakF(state);
+    }
+
+    const out = Buffer.alloc(32);
+    for (let i = 0; i < 4; i++) out.writeBigUInt64LE(state[i], i * 8);
+    return out.toString('hex');
+}
+
+module.exports = { keccak256 };
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * Static registry of the USDT networks we can accept deposits on.
+ * Kept free of config so deposit.config can validate against it at load.
+ *
+ * - binance:  network code used by the Binance deposit/withdraw APIs
+ * - txHash:   shape of an on-chain transaction id
+ * - explorer: default tx explorer base (override per network via env)
+ * - usdt:     USDT token contract and decimals (on-chain transfer verification)
+ * - chainId:  EVM chain id (explorer APIs that serve several chains)
+ */
+const NETWORKS = Object.freeze({
+    ERC20: Object.freeze({
+        id: 'ERC20',
+        label: 'Ethereum (ERC20)',
+        aliases: ['ERC20', 'ERC-20', 'ETH', 'ETHEREUM'],
+        binance: 'ETH',
+        evm: true,
+        chainId: 1,
+        txHash: /^0x[a-fA-F0-9]{64}$/,
+        txHashFormat: '0x followed by 64 hexadecimal characters',
+        explorer: 'https://etherscan.io/tx/',
+        usdt: Object.freeze({ contract: '0xdAC17F958D2ee523a2206206994597C13D831ec7', decimals: 6 }),
+    }),
+    TRC20: Object.freeze({
+        id: 'TRC20',
+        label: 'TRON (TRC20)',
+        aliases: ['TRC20', 'TRC-20', 'TRX', 'TRON'],
+        binance: 'TRX',
+        evm: false,
+        txHash: /^[a-fA-F0-9]{64}$/,
+        txHashFormat: '64 hexadecimal characters (no 0x prefix)',
+        explorer: 'https://tronscan.org/#/transaction/',
+        usdt: Object.freeze({ contract: 'TR7NHqjeKQxGTCi8q8ZY4pL8otSzgjLj6t', decimals: 6 }),
+    }),
+    BEP20: Object.freeze({
+        id: 'BEP20',
+        label: 'BNB Smart Chain (BEP20)',
+        aliases: ['BEP20', 'BEP-20', 'BSC', 'BNB'],
+        binance: 'BSC',
+        evm: true,
+        chainId: 56,
+        txHash: /^0x[a-fA-F0-9]{64}$/,
+        txHashFormat: '0x followed by 64 hexadecimal characters',
+        explorer: 'https://bscscan.com/tx/',
+        usdt: Object.freeze({ contract: '0x55d398326f99059fF775485246999027B3197955', decimals: 18 }),
+    }),
+});
+
+/**
+ * Resolve a network id or alias (case-insensitive) to its registry id.
+ * @returns {string|null}
+ */
+function resolveNetwork(input) {
+    const v = String(input || '').trim().toUpperCase();
+    if (!v) return null;
+    const hit = Object.values(NETWORKS).find((n) => n.aliases.includes(v));
+    return hit ? hit.id : null;
+}
+
+module.exports = { NETWORKS, resolveNetwork };
@@ -1,35 +1,77 @@
 'use strict';
 
 const config = require('../config/deposit.config');
+const { keccak256 } = require('./keccak');
+const { NETWORKS, resolveNetwork } = require('./networks');
 
 /**
- * Normalize supported network id.
- * Currently supports only ERC20 (Ethereum).
+ * Normalize a network id or alias (ERC20/ETH, TRC20/TRX/TRON, BEP20/BSC).
+ * Defaults to ERC20; throws for anything unknown.
  */
 function normalizeNetwork(input) {
-    const v = String(input || 'ERC20').trim().toUpperCase();
-    if (v === 'ETH' || v === 'ETHEREUM' || v === 'ERC-20' || v === 'ERC20') return 'ERC20';
-    throw new Error(`Unsupported network: ${input}`);
+    const net = resolveNetwork(input || 'ERC20');
+    if (!net) throw new Error(`Unsupported network: ${input}`);
+    return net;
 }
 
 /**
- * Basic Ethereum tx hash validator.
+ * Binance network code for a supported network id (used by deposit/withdraw APIs).
+ */
+function toBinanceNetwork(network) {
+    return NETWORKS[normalizeNetwork(network)].binance;
+}
+
+/**
+ * Tx hash validator: 0x + 64 hex on EVM chains, bare 64 hex on TRON.
  */
 function isValidTxHash(txId, network = 'ERC20') {
     const net = normalizeNetwork(network);
-    if (net !== 'ERC20') return false;
-    return /^0x[a-fA-F0-9]{64}$/.test(String(txId || '').trim());
+    return NETWORKS[net].txHash.test(String(txId || '').trim());
 }
 
 /**
- * Compare addresses (case-insensitive for ETH). No EIP-55 checksum enforcement here.
+ * Compare addresses: case-insensitive on EVM chains (no EIP-55 enforcement here),
+ * exact on TRON where base58 is case-sensitive.
  */
 function isSameAddress(a, b, network = 'ERC20') {
     const net = normalizeNetwork(network);
-    if (net === 'ERC20') {
-        return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+    const x = String(a || '').trim();
+    const y = String(b || '').trim();
+    return NETWORKS[net].evm ? x.toLowerCase() === y.toLowerCase() : x === y;
+}
+
+/**
+ * EIP-55 mixed-case checksum form of an Ethereum address.
+ * @returns {string|null} null if the input is not 0x + 40 hex chars
+ */
+function toChecksumAddress(address) {
+    const raw = String(address || '').trim();
+    if (!/^0x[a-fA-F0-9]{40}$/.test(raw)) return null;
+
+    const lower = raw.slice(2).toLowerCase();
+    const hash = keccak256(lower);
+    let out = '0x';
+    for (let i = 0; i < lower.length; i++) {
+        out += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
     }
-    return false;
+    return out;
+}
+
+/**
+ * Validate a destination address for a network.
+ * ERC20/BEP20: 0x + 40 hex; all-lower/all-upper is accepted, mixed case must match the EIP-55 checksum.
+ * TRC20: base58 "T..." of 34 chars (shape only; the base58check checksum is not verified).
+ */
+function isValidAddress(address, network = 'ERC20') {
+    const net = normalizeNetwork(network);
+    if (!NETWORKS[net].evm) return /^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(String(address || '').trim());
+
+    const checksummed = toChecksumAddress(address);
+    if (!checksummed) return false;
+
+    const body = String(address).trim().slice(2);
+    if (body === body.toLowerCase() || body === body.toUpperCase()) return true;
+    return `0x${body}` === checksummed;
 }
 
 /**
@@ -47,11 +89,13 @@ function sanitizeAmount(input) {
 
 /**
  * Build blockchain explorer URL for a tx id.
+ * Uses the configured explorer for enabled networks and the registry default otherwise
+ * (e.g. historical rows on a network that has since been disabled).
  */
 function buildExplorerUrl(txId, network = 'ERC20') {
     const net = normalizeNetwork(network);
-    if (net === 'ERC20') return `${config.EXPLORER_BASE_URL.replace(/\/+$/, '')}/${txId}`;
-    throw new Error(`No explorer configured for network: ${net}`);
+    const base = config.NETWORKS[net]?.EXPLORER_BASE_URL || NETWORKS[net].explorer;
+    return `${base.replace(/\/+$/, '')}/${txId}`;
 }
 
 /** UTC ISO string (without milliseconds). */
@@ -65,8 +109,11 @@ function nowUtcIso() {
 
 module.exports = {
     normalizeNetwork,
+    toBinanceNetwork,
     isValidTxHash,
     isSameAddress,
+    toChecksumAddress,
+    isValidAddress,
     sanitizeAmount,
     buildExplorerUrl,
     nowUtcIso,
@@ -3,6 +3,7 @@
 const { z } = require('zod');
 const cfg = require('../config/deposit.config');
 const { isValidTxHash, normalizeNetwork, sanitizeAmount } = require('../utils/txUtils');
+const { DepositStatus, decodeDepositCursor } = require('../dto/deposit.dto');
 
 const uuidV4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
 
@@ -20,29 +21,75 @@ const NetworkSchema = z
     .transform((v) => normalizeNetwork(v || 'ERC20'))
     .refine((net) => cfg.SUPPORTED_NETWORKS.includes(net), { message: 'ERR_NETWORK_UNSUPPORTED' });
 
+// txId format depends on the network (0x-prefixed on EVM chains, bare hex on TRON)
 const SubmitDepositRequestSchema = z.object({
-    txId: z
-        .string()
-        .trim()
-        .refine((tx) => isValidTxHash(tx, 'ERC20'), { message: 'ERR_TXID_INVALID' }),
+    txId: z.string().trim(),
     amountUsd: AmountSchema,
     network: NetworkSchema,
     note: z.string().trim().max(256).optional(),
+}).refine((b) => isValidTxHash(b.txId, b.network), {
+    message: 'ERR_TXID_INVALID',
+    path: ['txId'],
 });
 
+// ?status=pending,completed or repeated ?status=; CONFIRMED is accepted for 'completed'
+const StatusFilterSchema = z
+    .union([z.string(), z.array(z.string())])
+    .transform((v) => [].concat(v)
+        .flatMap((s) => s.split(','))
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((s) => DepositStatus[s.toUpperCase()] || s.toLowerCase()))
+    .refine((list) => list.every((s) => Object.values(DepositStatus).includes(s)), { message: 'ERR_STATUS_INVALID' });
+
+// ISO date or datetime; a bare date as `to` covers that whole day (UTC)
+const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+const DateBoundSchema = (endOfDay) => z
+    .string()
+    .trim()
+    .refine((s) => (isoDate.test(s) || z.string().datetime({ offset: true }).safeParse(s).success) && !Number.isNaN(Date.parse(s)), {
+        message: 'ERR_DATE_INVALID',
+    })
+    .transform((s) => new Date(endOfDay && isoDate.test(s) ? `${s}T23:59:59.999Z` : s));
+
 const ListDepositsQuerySchema = z.object({
-    page: z.coerce.number().int().min(1).default(1),
     limit: z.coerce.number().int().min(1).max(100).default(20),
-    status: z
-        .array(z.enum(['PENDING', 'PROCESSING', 'CONFIRMED', 'FAILED']))
+    cursor: z
+        .string()
+        .transform(decodeDepositCursor)
+        .refine((id) => uuidV4.test(id), { message: 'ERR_CURSOR_INVALID' })
         .optional(),
-    from: z.string().datetime().optional(),
-    to: z.string().datetime().optional(),
-}).refine((q) => (q.from && q.to ? new Date(q.from) <= new Date(q.to) : true), {
+    status: StatusFilterSchema.optional(),
+    from: DateBoundSchema(false).optional(),
+    to: DateBoundSchema(true).optional(),
+}).refine((q) => (q.from && q.to ? q.from <= q.to : true), {
     message: 'ERR_RANGE_INVALID',
     path: ['from'],
 });
 
+const DepositIdSchema = z.string().regex(uuidV4, { message: 'ERR_DEPOSIT_ID_INVALID' });
+
+const UnclaimedIdSchema = z.string().regex(uuidV4, { message: 'ERR_UNCLAIMED_ID_INVALID' });
+
+const ListUnclaimedQuerySchema = z.object({
+    status: z.enum(['unclaimed', 'claimed', 'assigned', 'ignored']).default('unclaimed'),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const AssignUnclaimedSchema = z.object({
+    userId: z.string().trim().regex(uuidV4, { message: 'ERR_USER_ID_INVALID' }),
+    note: z.string().trim().max(255).optional(),
+});
+
+const IgnoreUnclaimedSchema = z.object({
+    reason: z.string().trim().min(3, { message: 'ERR_REASON_REQUIRED' }).max(255),
+});
+
+const ReprocessWebhookEventsSchema = z.object({
+    limit: z.coerce.number().int().min(1).max(200).default(50),
+});
+
 function validateSubmitDepositRequest(body, headers = {}) {
     const parsed = SubmitDepositRequestSchema.parse(body);
     const idemKey = headers['idempotency-key'] || headers['Idempotency-Key'] || headers['IDEMPOTENCY-KEY'];
@@ -57,14 +104,48 @@ function validateSubmitDepositRequest(body, headers = {}) {
 }
 
 function validateListDepositsQuery(query) {
-    return ListDepositsQuerySchema.parse(query);
+    return ListDepositsQuerySchema.parse(query || {});
+}
+
+function validateDepositId(id) {
+    return DepositIdSchema.parse(id);
+}
+
+function validateUnclaimedId(id) {
+    return UnclaimedIdSchema.parse(id);
+}
+
+function validateListUnclaimedQuery(query) {
+    return ListUnclaimedQuerySchema.parse(query || {});
+}
+
+function validateAssignUnclaimedBody(body) {
+    return AssignUnclaimedSchema.parse(body || {});
+}
+
+function validateIgnoreUnclaimedBody(body) {
+    return IgnoreUnclaimedSchema.parse(body || {});
+}
+
+function validateReprocessWebhookEventsBody(body) {
+    return ReprocessWebhookEventsSchema.parse(body || {});
 }
 
 module.exports = {
     validateSubmitDepositRequest,
     validateListDepositsQuery,
+    validateDepositId,
+    validateUnclaimedId,
+    validateListUnclaimedQuery,
+    validateAssignUnclaimedBody,
+    validateIgnoreUnclaimedBody,
+    validateReprocessWebhookEventsBody,
     schemas: {
         SubmitDepositRequestSchema,
         ListDepositsQuerySchema,
+        ListUnclaimedQuerySchema,
+        AssignUnclaimedSchema,
+        IgnoreUnclaimedSchema,
+        ReprocessWebhookEventsSchema,
     },
 };
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ * AdminPlanController
+ *
+ * Endpoints (auth: admin):
+ * - GET   /admin/plans           -> all plans, including inactive
+ * - POST  /admin/plans           -> create a plan
+ * - PATCH /admin/plans/:planId   -> edit a plan / toggle isActive (terms frozen once in use)
+ */
+
+const {
+    validateCreatePlanBody,
+    validateUpdatePlanBody,
+    validatePlanId,
+} = require('../validations/plan.validation');
+const { makePlanDTO, makeListPlansResponse } = require('../dto/plan.dto');
+const { PlanError } = require('../models/plan.model');
+
+class AdminPlanController {
+    constructor({ planService, logger = console }) {
+        if (!planService) throw new Error('AdminPlanController requires planService');
+        this.svc = planService;
+        this.log = logger;
+
+        this.list = this.list.bind(this);
+        this.create = this.create.bind(this);
+        this.update = this.update.bind(this);
+    }
+
+    async list(req, res) {
+        try {
+            const rows = await this.svc.listPlans({ includeInactive: true });
+            return res.status(200).json({ success: true, data: makeListPlansResponse(rows) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.plans.list failed');
+        }
+    }
+
+    async create(req, res) {
+        try {
+            const fields = validateCreatePlanBody(req.body);
+            const row = await this.svc.createPlan({ adminId: req.admin.adminId, fields });
+            return res.status(201).json({ success: true, message: 'Plan created', data: makePlanDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.plans.create failed');
+        }
+    }
+
+    async update(req, res) {
+        try {
+            const planId = validatePlanId(req.params.planId);
+            const changes = validateUpdatePlanBody(req.body);
+            const row = await this.svc.updatePlan({ adminId: req.admin.adminId, planId, changes });
+            return res.status(200).json({ success: true, message: 'Plan updated', data: makePlanDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.plans.update failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof PlanError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { AdminPlanController };
@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * PlanController
+ *
+ * Endpoints (public):
+ * - GET /plans           -> active plans, lowest minimum first
+ * - GET /plans/:planId   -> one active plan
+ */
+
+const { validatePlanId } = require('../validations/plan.validation');
+const { makePlanDTO, makeListPlansResponse } = require('../dto/plan.dto');
+const { PlanError } = require('../models/plan.model');
+
+class PlanController {
+    constructor({ planService, logger = console }) {
+        if (!planService) throw new Error('PlanController requires planService');
+        this.svc = planService;
+        this.log = logger;
+
+        this.list = this.list.bind(this);
+        this.getOne = this.getOne.bind(this);
+    }
+
+    async list(req, res) {
+        try {
+            const rows = await this.svc.listPlans();
+            return res.status(200).json({ success: true, data: makeListPlansResponse(rows) });
+        } catch (err) {
+            return this._handle(err, res, 'plan.list failed');
+        }
+    }
+
+    async getOne(req, res) {
+        try {
+            const planId = validatePlanId(req.params.planId);
+            const row = await this.svc.getPlan({ planId });
+            return res.status(200).json({ success: true, data: makePlanDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'plan.getOne failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof PlanError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { PlanController };
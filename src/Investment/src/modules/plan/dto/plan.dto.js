@@ -0,0 +1,34 @@
+'use strict';
+
+/**
+ * DTOs for investment plans.
+ */
+
+const { planDailyRatePct } = require('../policies/plan.policy');
+
+function makePlanDTO(row) {
+    return {
+        planId: row.plan_id,
+        name: row.name,
+        description: row.description || null,
+        minAmount: Number(row.min_amount),
+        maxAmount: row.max_amount == null ? null : Number(row.max_amount),
+        lockDays: row.lock_days,
+        ratePct: Number(row.rate_pct),
+        ratePeriod: row.rate_period,
+        dailyRatePct: Number(planDailyRatePct(row).toFixed(4)),
+        compounding: row.compounding,
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function makeListPlansResponse(rows) {
+    return { plans: rows.map(makePlanDTO) };
+}
+
+module.exports = {
+    makePlanDTO,
+    makeListPlansResponse,
+};
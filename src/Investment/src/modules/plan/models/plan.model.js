@@ -0,0 +1,112 @@
+'use strict';
+
+class PlanError extends Error {
+    constructor(code, message, status = 400, meta = undefined) {
+        super(message || code);
+        this.name = 'PlanError';
+        this.code = code;
+        this.status = status;
+        this.meta = meta;
+    }
+}
+
+// camelCase input field -> investment_plans column
+const COLUMNS = {
+    name: 'name',
+    description: 'description',
+    minAmount: 'min_amount',
+    maxAmount: 'max_amount',
+    lockDays: 'lock_days',
+    ratePct: 'rate_pct',
+    ratePeriod: 'rate_period',
+    compounding: 'compounding',
+    isActive: 'is_active',
+};
+
+/**
+ * Repository for the investment plan catalogue (`investment_plans`).
+ * Every method accepts an optional client so it can join a caller's transaction.
+ */
+class PlanRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('PlanRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+        this.table = 'investment_plans';
+    }
+
+    async create(fields, client = this.db) {
+        const keys = Object.keys(COLUMNS).filter((k) => fields[k] !== undefined);
+        const cols = keys.map((k) => COLUMNS[k]);
+        const params = keys.map((k) => fields[k]);
+        const { rows } = await client.query(
+            `INSERT INTO ${this.table} (${cols.join(', ')}, created_at, updated_at)
+             VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')}, NOW(), NOW())
+             RETURNING *`,
+            params
+        );
+        return rows[0];
+    }
+
+    async update(client, planId, changes) {
+        const keys = Object.keys(COLUMNS).filter((k) => changes[k] !== undefined);
+        const params = [planId, ...keys.map((k) => changes[k])];
+        const setSql = keys.map((k, i) => `${COLUMNS[k]} = $${i + 2}`);
+        const { rows } = await client.query(
+            `UPDATE ${this.table}
+                SET ${[...setSql, 'updated_at = NOW()'].join(', ')}
+              WHERE plan_id = $1
+              RETURNING *`,
+            params
+        );
+        return rows[0] || null;
+    }
+
+    async findById(planId, client = this.db) {
+        const { rows } = await client.query(`SELECT * FROM ${this.table} WHERE plan_id = $1`, [planId]);
+        return rows[0] || null;
+    }
+
+    /**
+     * Row lock for admin edits (FOR UPDATE) or for opening a lock under the plan (FOR SHARE),
+     * so terms cannot change while a transfer is being written against them.
+     */
+    async findForLock(client, planId, mode = 'UPDATE') {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} WHERE plan_id = $1 FOR ${mode === 'SHARE' ? 'SHARE' : 'UPDATE'}`,
+            [planId]
+        );
+        return rows[0] || null;
+    }
+
+    async list({ includeInactive = false } = {}) {
+        const { rows } = await this.db.query(
+            `SELECT * FROM ${this.table}
+              ${includeInactive ? '' : 'WHERE is_active = TRUE'}
+              ORDER BY min_amount ASC, created_at ASC`
+        );
+        return rows;
+    }
+
+    /**
+     * Whether any principal lock has been opened under the plan.
+     */
+    async isInUse(planId, client = this.db) {
+        const { rowCount } = await client.query(
+            `SELECT 1 FROM wallet_transfers WHERE plan_id = $1 LIMIT 1`,
+            [planId]
+        );
+        return rowCount > 0;
+    }
+
+    async logAdminAction(client, { adminId, action, details }) {
+        await client.query(
+            `INSERT INTO admin_actions (admin_id, target_user_id, action, details, created_at)
+             VALUES ($1, NULL, $2, $3, NOW())`,
+            [adminId, action, details ? JSON.stringify(details) : null]
+        );
+    }
+}
+
+module.exports = { PlanError, PlanRepository };
@@ -0,0 +1,46 @@
+'use strict';
+
+const { round2 } = require('../../wallet/utils/wallet.utils');
+
+/**
+ * Investment plan terms.
+ * A plan quotes its return either per day or per month; accrual always runs daily,
+ * so monthly rates are spread over a fixed 30-day month.
+ */
+
+const RATE_PERIODS = ['daily', 'monthly'];
+const DAYS_PER_MONTH = 30;
+
+/**
+ * @param {{rate_pct:number|string, rate_period:'daily'|'monthly'}} plan
+ * @returns {number} daily rate in percent
+ */
+function planDailyRatePct(plan) {
+    const rate = Number(plan.rate_pct);
+    return plan.rate_period === 'monthly' ? rate / DAYS_PER_MONTH : rate;
+}
+
+/**
+ * Why `amount` cannot be opened under `plan`, or null if it can.
+ * @returns {null|{code:string, message:string, status:number}}
+ */
+function checkPlanAmount(plan, amount) {
+    if (!plan.is_active) {
+        return { code: 'PLAN_INACTIVE', message: 'This plan is no longer open for new investments', status: 409 };
+    }
+    const min = Number(plan.min_amount);
+    if (amount < min) {
+        return { code: 'AMOUNT_BELOW_PLAN_MIN', message: `Minimum for this plan is $${round2(min)}`, status: 400 };
+    }
+    if (plan.max_amount != null && amount > Number(plan.max_amount)) {
+        return { code: 'AMOUNT_ABOVE_PLAN_MAX', message: `Maximum for this plan is $${round2(plan.max_amount)}`, status: 400 };
+    }
+    return null;
+}
+
+module.exports = {
+    RATE_PERIODS,
+    DAYS_PER_MONTH,
+    planDailyRatePct,
+    checkPlanAmount,
+};
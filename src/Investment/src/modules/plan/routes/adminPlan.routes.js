@@ -0,0 +1,21 @@
+'use strict';
+
+const { Router } = require('express');
+const { AdminPlanController } = require('../controllers/adminPlan.controller');
+
+function createAdminPlanRouter({ planService, adminAuthenticate, logger = console }) {
+    if (!planService) throw new Error('createAdminPlanRouter requires planService');
+    if (!adminAuthenticate) throw new Error('createAdminPlanRouter requires adminAuthenticate middleware');
+
+    const router = Router();
+    const controller = new AdminPlanController({ planService, logger });
+
+    // Plan management
+    router.get('/', adminAuthenticate, controller.list);
+    router.post('/', adminAuthenticate, controller.create);
+    router.patch('/:planId', adminAuthenticate, controller.update);
+
+    return router;
+}
+
+module.exports = { createAdminPlanRouter };
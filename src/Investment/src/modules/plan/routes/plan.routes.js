@@ -0,0 +1,19 @@
+'use strict';
+
+const { Router } = require('express');
+const { PlanController } = require('../controllers/plan.controller');
+
+function createPlanRouter({ planService, logger = console }) {
+    if (!planService) throw new Error('createPlanRouter requires planService');
+
+    const router = Router();
+    const controller = new PlanController({ planService, logger });
+
+    // Public plan catalogue
+    router.get('/', controller.list);
+    router.get('/:planId', controller.getOne);
+
+    return router;
+}
+
+module.exports = { createPlanRouter };
@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * PlanService
+ * -----------
+ * Investment plan catalogue managed by admins:
+ * - each plan sets an amount band, a lock period and a daily or monthly rate
+ * - principal locks (A→T transfers) record the plan they were opened under
+ * - once a plan has locks, its terms (lock days, rate, compounding) are frozen;
+ *   admins publish a new plan and deactivate the old one instead
+ */
+
+const { PlanError, PlanRepository } = require('../models/plan.model');
+const { checkPlanAmount } = require('../policies/plan.policy');
+
+// Fields that define what a lock earns; frozen once the plan is in use
+const TERM_FIELDS = ['lockDays', 'ratePct', 'ratePeriod', 'compounding'];
+
+class PlanService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {(fn:(client:any)=>Promise<any>)=>Promise<any>} deps.withTransaction
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({ db, withTransaction, logger = console }) {
+        if (!withTransaction) throw new Error('PlanService requires withTransaction');
+        this.db = db;
+        this.repo = new PlanRepository(db);
+        this.withTransaction = withTransaction;
+        this.log = logger;
+    }
+
+    async listPlans({ includeInactive = false } = {}) {
+        return this.repo.list({ includeInactive });
+    }
+
+    async getPlan({ planId, includeInactive = false }) {
+        const plan = await this.repo.findById(planId);
+        if (!plan || (!includeInactive && !plan.is_active)) {
+            throw new PlanError('PLAN_NOT_FOUND', 'Plan not found', 404);
+        }
+        return plan;
+    }
+
+    async createPlan({ adminId, fields }) {
+        return this.withTransaction(async (client) => {
+            const plan = await this._saving(() => this.repo.create(fields, client));
+            await this.repo.logAdminAction(client, {
+                adminId,
+                action: 'PLAN_CREATED',
+                details: { planId: plan.plan_id, name: plan.name },
+            });
+            return plan;
+        });
+    }
+
+    async updatePlan({ adminId, planId, changes }) {
+        return this.withTransaction(async (client) => {
+            const current = await this.repo.findForLock(client, planId);
+            if (!current) throw new PlanError('PLAN_NOT_FOUND', 'Plan not found', 404);
+
+            const termsChanged = TERM_FIELDS.filter((k) => changes[k] !== undefined);
+            if (termsChanged.length && await this.repo.isInUse(planId, client)) {
+                throw new PlanError(
+                    'PLAN_IN_USE',
+                    'Plan terms cannot change once investments were opened under it; create a new plan instead',
+                    409,
+                    { fields: termsChanged }
+                );
+            }
+
+            const min = changes.minAmount !== undefined ? changes.minAmount : Number(current.min_amount);
+            const max = changes.maxAmount !== undefined ? changes.maxAmount : current.max_amount;
+            if (max != null && Number(max) < min) {
+                throw new PlanError('PLAN_AMOUNT_RANGE', 'maxAmount must be greater than or equal to minAmount');
+            }
+
+            const plan = await this._saving(() => this.repo.update(client, planId, changes));
+            await this.repo.logAdminAction(client, {
+                adminId,
+                action: 'PLAN_UPDATED',
+                details: { planId, changes },
+            });
+            return plan;
+        });
+    }
+
+    /**
+     * Plan a new principal lock of `amount` is opened under, read inside the
+     * caller's transaction (row share-locked until it commits).
+     * @throws {PlanError} PLAN_NOT_FOUND | PLAN_INACTIVE | AMOUNT_BELOW_PLAN_MIN | AMOUNT_ABOVE_PLAN_MAX
+     */
+    async resolveForPrincipal(client, planId, amount) {
+        const plan = await this.repo.findForLock(client, planId, 'SHARE');
+        if (!plan) throw new PlanError('PLAN_NOT_FOUND', 'Plan not found', 404);
+
+        const problem = checkPlanAmount(plan, amount);
+        if (problem) throw new PlanError(problem.code, problem.message, problem.status);
+        return plan;
+    }
+
+    async _saving(fn) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (err?.code === '23505') {
+                throw new PlanError('PLAN_NAME_TAKEN', 'A plan with this name already exists', 409);
+            }
+            throw err;
+        }
+    }
+}
+
+module.exports = { PlanService };
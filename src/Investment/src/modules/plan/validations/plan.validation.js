@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Zod schemas for investment plan requests.
+ */
+
+const { z } = require('zod');
+const { round2 } = require('../../wallet/utils/wallet.utils');
+const { RATE_PERIODS } = require('../policies/plan.policy');
+
+const AmountSchema = z
+    .union([z.string(), z.number()])
+    .transform((v) => Number(v))
+    .refine((n) => Number.isFinite(n) && n > 0, 'ERR_AMOUNT')
+    .transform(round2);
+
+const RatePctSchema = z
+    .union([z.string(), z.number()])
+    .transform((v) => Number(v))
+    .refine((n) => Number.isFinite(n) && n >= 0 && n < 100, 'ERR_RATE_PCT');
+
+const PlanFields = {
+    name: z.string().trim().min(1, 'ERR_NAME_REQUIRED').max(64, 'ERR_NAME_TOO_LONG'),
+    description: z.string().trim().max(255, 'ERR_DESCRIPTION_TOO_LONG').nullable(),
+    minAmount: AmountSchema,
+    maxAmount: AmountSchema.nullable(),
+    lockDays: z.coerce.number().int('ERR_LOCK_DAYS').min(0, 'ERR_LOCK_DAYS').max(3650, 'ERR_LOCK_DAYS'),
+    ratePct: RatePctSchema,
+    ratePeriod: z.enum(RATE_PERIODS),
+    compounding: z.boolean(),
+    isActive: z.boolean(),
+};
+
+/**
+ * POST /admin/plans  body validation
+ */
+const CreatePlanSchema = z.object({
+    ...PlanFields,
+    description: PlanFields.description.optional(),
+    maxAmount: PlanFields.maxAmount.optional(),
+    compounding: PlanFields.compounding.default(false),
+    isActive: PlanFields.isActive.default(true),
+}).strict().superRefine((data, ctx) => {
+    if (data.maxAmount != null && data.maxAmount < data.minAmount) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'ERR_AMOUNT_RANGE', path: ['maxAmount'] });
+    }
+});
+
+/**
+ * PATCH /admin/plans/:planId  body validation (any subset of fields)
+ */
+const UpdatePlanSchema = z.object(PlanFields).partial().strict()
+    .refine((data) => Object.keys(data).length > 0, 'ERR_NO_CHANGES');
+
+const PlanIdSchema = z.string().uuid('ERR_PLAN_ID_INVALID');
+
+function validateCreatePlanBody(body) {
+    return CreatePlanSchema.parse(body);
+}
+
+function validateUpdatePlanBody(body) {
+    return UpdatePlanSchema.parse(body);
+}
+
+function validatePlanId(planId) {
+    return PlanIdSchema.parse(planId);
+}
+
+module.exports = {
+    validateCreatePlanBody,
+    validateUpdatePlanBody,
+    validatePlanId,
+    CreatePlanSchema,
+    UpdatePlanSchema,
+};
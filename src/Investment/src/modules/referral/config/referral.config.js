@@ -0,0 +1,65 @@
+'use strict';
+
+/**
+ * Referral Config
+ * ---------------
+ * Environment + defaults for the referral module. Frozen like the other module configs.
+ */
+
+const env = (key, fallback = undefined) => {
+    const v = process.env[key];
+    return v === undefined || v === '' ? fallback : v;
+};
+
+/**
+ * Parse per-level percentages, e.g. "5,2,1": level 1 (direct referrer) gets 5%,
+ * level 2 gets 2%, level 3 gets 1%. Empty = no commissions.
+ */
+const parseLevels = (raw) =>
+    String(raw)
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map(Number);
+
+// Hard ceiling on chain walks and downline trees
+const MAX_LEVELS = 10;
+
+const cfg = {
+    MAX_LEVELS,
+    // Share of the referee's first confirmed deposit paid to the referrer's referral wallet;
+    // 0 (default) = no bonus outside a campaign
+    REFERRAL_BONUS_PCT: Number(env('REFERRAL_BONUS_PCT', 0)),
+    // Upper bound on a single bonus; 0 = no cap
+    REFERRAL_BONUS_MAX_USD: Number(env('REFERRAL_BONUS_MAX_USD', 0)),
+
+    // Multi-level commissions (see policies/referralCommission.policy.js), paid on
+    // every confirmed deposit / every profit accrual of someone in the downline
+    REFERRAL_DEPOSIT_COMMISSION_PCTS: parseLevels(env('REFERRAL_DEPOSIT_COMMISSION_PCTS', '')),
+    REFERRAL_PROFIT_COMMISSION_PCTS: parseLevels(env('REFERRAL_PROFIT_COMMISSION_PCTS', '')),
+    // Deposits below this earn no commission
+    REFERRAL_COMMISSION_MIN_DEPOSIT_USD: Number(env('REFERRAL_COMMISSION_MIN_DEPOSIT_USD', 0)),
+    // Hold bonuses and commissions of referral pairs that share IPs, payout addresses or
+    // contact details for admin review; a shared user agent is only recorded
+    // (see policies/referralFraud.policy.js)
+    REFERRAL_FRAUD_CHECK_ENABLED: (env('REFERRAL_FRAUD_CHECK_ENABLED', 'true') + '').toLowerCase() === 'true',
+    // Default depth of the downline tree view
+    REFERRAL_TREE_DEPTH: Number(env('REFERRAL_TREE_DEPTH', 3)),
+};
+
+if (!(cfg.REFERRAL_BONUS_PCT >= 0 && cfg.REFERRAL_BONUS_PCT <= 100)) {
+    throw new Error('REFERRAL_BONUS_PCT must be between 0 and 100');
+}
+if (!(cfg.REFERRAL_BONUS_MAX_USD >= 0)) throw new Error('REFERRAL_BONUS_MAX_USD must be >= 0');
+for (const key of ['REFERRAL_DEPOSIT_COMMISSION_PCTS', 'REFERRAL_PROFIT_COMMISSION_PCTS']) {
+    if (cfg[key].length > MAX_LEVELS) throw new Error(`${key} supports at most ${MAX_LEVELS} levels`);
+    if (cfg[key].some((pct) => !(pct >= 0 && pct < 100))) {
+        throw new Error(`${key} must be comma-separated percentages with 0 <= pct < 100`);
+    }
+}
+if (!(cfg.REFERRAL_COMMISSION_MIN_DEPOSIT_USD >= 0)) throw new Error('REFERRAL_COMMISSION_MIN_DEPOSIT_USD must be >= 0');
+if (!(Number.isInteger(cfg.REFERRAL_TREE_DEPTH) && cfg.REFERRAL_TREE_DEPTH >= 1 && cfg.REFERRAL_TREE_DEPTH <= MAX_LEVELS)) {
+    throw new Error(`REFERRAL_TREE_DEPTH must be an integer between 1 and ${MAX_LEVELS}`);
+}
+
+module.exports = Object.freeze(cfg);
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * AdminReferralController
+ *
+ * Endpoints (auth: admin):
+ * - GET  /admin/referrals/users/:userId/tree         -> any user's downline tree, ?depth=1..10
+ * - GET  /admin/referrals/bonuses                    -> bonuses by status (default pending_review)
+ * - POST /admin/referrals/bonuses/:bonusId/approve   -> credit a held bonus
+ * - POST /admin/referrals/bonuses/:bonusId/reject    -> refuse a held bonus
+ * - GET  /admin/referrals/commissions                -> commissions by status (default pending_review)
+ * - POST /admin/referrals/commissions/:commissionId/approve -> credit a held commission
+ * - POST /admin/referrals/commissions/:commissionId/reject  -> refuse a held commission
+ * - GET  /admin/referrals/campaigns                  -> all campaigns, newest first
+ * - POST /admin/referrals/campaigns                  -> create a campaign
+ * - PATCH /admin/referrals/campaigns/:campaignId     -> edit a campaign / toggle isActive
+ */
+
+const {
+    validateDownlineTreeQuery,
+    validateUserId,
+    validateBonusId,
+    validateListBonusesQuery,
+    validateApproveBonusBody,
+    validateRejectBonusBody,
+    validateCommissionId,
+    validateListCommissionsQuery,
+    validateCreateCampaignBody,
+    validateUpdateCampaignBody,
+    validateCampaignId,
+} = require('../validations/referral.validation');
+const {
+    makeDownlineTreeDTO,
+    makeAdminBonusDTO,
+    makeListBonusesResponse,
+    makeAdminCommissionDTO,
+    makeListCommissionsResponse,
+    makeCampaignDTO,
+    makeListCampaignsResponse,
+} = require('../dto/referral.dto');
+const { ReferralError } = require('../models/referral.model');
+
+class AdminReferralController {
+    constructor({ referralService, campaignService, logger = console }) {
+        if (!referralService) throw new Error('AdminReferralController requires referralService');
+        if (!campaignService) throw new Error('AdminReferralController requires campaignService');
+        this.svc = referralService;
+        this.campaigns = campaignService;
+        this.log = logger;
+
+        this.tree = this.tree.bind(this);
+        this.listBonuses = this.listBonuses.bind(this);
+        this.approveBonus = this.approveBonus.bind(this);
+        this.rejectBonus = this.rejectBonus.bind(this);
+        this.listCommissions = this.listCommissions.bind(this);
+        this.approveCommission = this.approveCommission.bind(this);
+        this.rejectCommission = this.rejectCommission.bind(this);
+        this.listCampaigns = this.listCampaigns.bind(this);
+        this.createCampaign = this.createCampaign.bind(this);
+        this.updateCampaign = this.updateCampaign.bind(this);
+    }
+
+    async tree(req, res) {
+        try {
+            const userId = validateUserId(req.params.userId);
+            const { depth } = validateDownlineTreeQuery(req.query);
+            const tree = await this.svc.getDownlineTree({ userId, depth, requireUser: true });
+            return res.status(200).json({ success: true, data: makeDownlineTreeDTO(tree, { admin: true, userId }) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.tree failed');
+        }
+    }
+
+    async listBonuses(req, res) {
+        try {
+            const { page, limit, status } = validateListBonusesQuery(req.query);
+            const { items, total } = await this.svc.listBonuses({ status, page, limit });
+            return res.status(200).json({
+                success: true,
+                data: makeListBonusesResponse(items, page, limit, total),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.listBonuses failed');
+        }
+    }
+
+    async approveBonus(req, res) {
+        try {
+            const adminId = req.admin.adminId;
+            const bonusId = validateBonusId(req.params.bonusId);
+            const { note } = validateApproveBonusBody(req.body);
+            const row = await this.svc.approveBonus({ adminId, bonusId, note });
+            return res.status(200).json({ success: true, data: makeAdminBonusDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.approveBonus failed');
+        }
+    }
+
+    async rejectBonus(req, res) {
+        try {
+            const adminId = req.admin.adminId;
+            const bonusId = validateBonusId(req.params.bonusId);
+            const { reason } = validateRejectBonusBody(req.body);
+            const row = await this.svc.rejectBonus({ adminId, bonusId, note: reason });
+            return res.status(200).json({ success: true, data: makeAdminBonusDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.rejectBonus failed');
+        }
+    }
+
+    async listCommissions(req, res) {
+        try {
+            const { page, limit, status } = validateListCommissionsQuery(req.query);
+            const { items, total } = await this.svc.listCommissions({ status, page, limit });
+            return res.status(200).json({
+                success: true,
+                data: makeListCommissionsResponse(items, page, limit, total),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.listCommissions failed');
+        }
+    }
+
+    async approveCommission(req, res) {
+        try {
+            const adminId = req.admin.adminId;
+            const commissionId = validateCommissionId(req.params.commissionId);
+            const { note } = validateApproveBonusBody(req.body);
+            const row = await this.svc.approveCommission({ adminId, commissionId, note });
+            return res.status(200).json({ success: true, data: makeAdminCommissionDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.approveCommission failed');
+        }
+    }
+
+    async rejectCommission(req, res) {
+        try {
+            const adminId = req.admin.adminId;
+            const commissionId = validateCommissionId(req.params.commissionId);
+            const { reason } = validateRejectBonusBody(req.body);
+            const row = await this.svc.rejectCommission({ adminId, commissionId, note: reason });
+            return res.status(200).json({ success: true, data: makeAdminCommissionDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.rejectCommission failed');
+        }
+    }
+
+    async listCampaigns(req, res) {
+        try {
+            const rows = await this.campaigns.listCampaigns();
+            return res.status(200).json({ success: true, data: makeListCampaignsResponse(rows) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.listCampaigns failed');
+        }
+    }
+
+    async createCampaign(req, res) {
+        try {
+            const fields = validateCreateCampaignBody(req.body);
+            const row = await this.campaigns.createCampaign({ adminId: req.admin.adminId, fields });
+            return res.status(201).json({ success: true, data: makeCampaignDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.createCampaign failed');
+        }
+    }
+
+    async updateCampaign(req, res) {
+        try {
+            const campaignId = validateCampaignId(req.params.campaignId);
+            const changes = validateUpdateCampaignBody(req.body);
+            const row = await this.campaigns.updateCampaign({ adminId: req.admin.adminId, campaignId, changes });
+            return res.status(200).json({ success: true, data: makeCampaignDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.referrals.updateCampaign failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof ReferralError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { AdminReferralController };
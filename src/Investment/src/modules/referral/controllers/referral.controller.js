@@ -0,0 +1,106 @@
+'use strict';
+
+/**
+ * ReferralController
+ *
+ * Endpoints (user):
+ * - GET /referrals            -> own referral code and referee counts
+ * - GET /referrals/referees   -> users who registered with the code (paginated)
+ * - GET /referrals/tree       -> downline tree, ?depth=1..10
+ *
+ * Endpoints (public):
+ * - GET /referrals/leaderboard -> top referrers of the running campaign, masked names
+ */
+
+const {
+    validateListRefereesQuery,
+    validateDownlineTreeQuery,
+    validateLeaderboardQuery,
+} = require('../validations/referral.validation');
+const {
+    makeReferralSummaryDTO,
+    makeListRefereesResponse,
+    makeDownlineTreeDTO,
+    makeLeaderboardDTO,
+} = require('../dto/referral.dto');
+const { ReferralError } = require('../models/referral.model');
+
+class ReferralController {
+    constructor({ referralService, campaignService, logger = console }) {
+        if (!referralService) throw new Error('ReferralController requires referralService');
+        if (!campaignService) throw new Error('ReferralController requires campaignService');
+        this.svc = referralService;
+        this.campaigns = campaignService;
+        this.log = logger;
+
+        this.summary = this.summary.bind(this);
+        this.referees = this.referees.bind(this);
+        this.tree = this.tree.bind(this);
+        this.leaderboard = this.leaderboard.bind(this);
+    }
+
+    async summary(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const result = await this.svc.getSummary({ userId });
+            return res.status(200).json({ success: true, data: makeReferralSummaryDTO(result) });
+        } catch (err) {
+            return this._handle(err, res, 'referral.summary failed');
+        }
+    }
+
+    async referees(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { page, limit } = validateListRefereesQuery(req.query);
+            const { items, total } = await this.svc.listReferees({ userId, page, limit });
+            return res.status(200).json({
+                success: true,
+                data: makeListRefereesResponse(items, page, limit, total),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'referral.referees failed');
+        }
+    }
+
+    async tree(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { depth } = validateDownlineTreeQuery(req.query);
+            const tree = await this.svc.getDownlineTree({ userId, depth });
+            return res.status(200).json({ success: true, data: makeDownlineTreeDTO(tree) });
+        } catch (err) {
+            return this._handle(err, res, 'referral.tree failed');
+        }
+    }
+
+    async leaderboard(req, res) {
+        try {
+            const { limit } = validateLeaderboardQuery(req.query);
+            const result = await this.campaigns.getLeaderboard({ limit });
+            return res.status(200).json({ success: true, data: makeLeaderboardDTO(result) });
+        } catch (err) {
+            return this._handle(err, res, 'referral.leaderboard failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof ReferralError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { ReferralController };
@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * DTOs for referral codes, referees, bonuses and commissions.
+ */
+
+const BonusStatus = Object.freeze({
+    CREDITED: 'credited',
+    PENDING_REVIEW: 'pending_review',
+    REJECTED: 'rejected',
+});
+
+// Commissions are held and reviewed the same way as bonuses
+const CommissionStatus = BonusStatus;
+
+// Referees see each other's sign-up only partially: "jo***@example.com"
+function maskEmail(email) {
+    if (!email) return null;
+    const [local, domain] = String(email).split('@');
+    if (!domain) return '***';
+    return `${local.slice(0, 2)}***@${domain}`;
+}
+
+function makeReferralSummaryDTO({ referral, referees, commissions }) {
+    return {
+        code: referral ? referral.referral_code : null,
+        issuedAt: referral ? referral.created_at : null,
+        referees: {
+            total: referees.total,
+            active: referees.active,
+        },
+        commissions: {
+            total: commissions.total,
+            count: commissions.count,
+        },
+    };
+}
+
+function makeRefereeDTO(row) {
+    return {
+        fullName: row.full_name,
+        email: maskEmail(row.email),
+        accountStatus: row.account_status,
+        joinedAt: row.created_at,
+    };
+}
+
+function makeListRefereesResponse(rows, page, limit, total) {
+    return {
+        referees: rows.map(makeRefereeDTO),
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        },
+    };
+}
+
+/**
+ * One downline node and its children. Admins see ids and full emails;
+ * users see the same masked view as the referee list.
+ */
+function makeDownlineNodeDTO(node, { admin = false } = {}) {
+    return {
+        ...(admin ? { userId: node.user_id } : {}),
+        fullName: node.full_name,
+        email: admin ? node.email : maskEmail(node.email),
+        accountStatus: node.account_status,
+        joinedAt: node.created_at,
+        level: node.level,
+        commissionEarned: Number(node.commission_earned || 0),
+        children: node.children.map((child) => makeDownlineNodeDTO(child, { admin })),
+    };
+}
+
+function makeDownlineTreeDTO({ depth, total, truncated, nodes }, { admin = false, userId = undefined } = {}) {
+    return {
+        ...(admin ? { userId } : {}),
+        depth,
+        total,
+        truncated,
+        referees: nodes.map((node) => makeDownlineNodeDTO(node, { admin })),
+    };
+}
+
+function makeAdminBonusDTO(row) {
+    return {
+        bonusId: row.bonus_id,
+        status: row.status,
+        referrer: { userId: row.referrer_id, fullName: row.referrer_name, email: row.referrer_email },
+        referee: { userId: row.referee_id, fullName: row.referee_name, email: row.referee_email },
+        depositAmount: Number(row.deposit_amount),
+        bonusAmount: Number(row.bonus_amount),
+        fraudFlags: row.fraud_flags || [],
+        reviewedBy: row.reviewed_by || null,
+        reviewedAt: row.reviewed_at || null,
+        reviewNote: row.review_note || null,
+        createdAt: row.created_at,
+    };
+}
+
+function makeListBonusesResponse(rows, page, limit, total) {
+    return {
+        bonuses: rows.map(makeAdminBonusDTO),
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        },
+    };
+}
+
+function makeAdminCommissionDTO(row) {
+    return {
+        commissionId: row.commission_id,
+        status: row.status,
+        beneficiary: { userId: row.beneficiary_id, fullName: row.beneficiary_name, email: row.beneficiary_email },
+        sourceUser: { userId: row.source_user_id, fullName: row.source_user_name, email: row.source_user_email },
+        sourceType: row.source_type,
+        sourceRef: row.source_ref,
+        level: row.level,
+        baseAmount: Number(row.base_amount),
+        pct: Number(row.pct),
+        amount: Number(row.amount),
+        fraudFlags: row.fraud_flags || [],
+        reviewedBy: row.reviewed_by || null,
+        reviewedAt: row.reviewed_at || null,
+        reviewNote: row.review_note || null,
+        createdAt: row.created_at,
+    };
+}
+
+function makeListCommissionsResponse(rows, page, limit, total) {
+    return {
+        commissions: rows.map(makeAdminCommissionDTO),
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        },
+    };
+}
+
+function makeCampaignDTO(row) {
+    return {
+        campaignId: row.campaign_id,
+        name: row.name,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        bonusPct: Number(row.bonus_pct),
+        bonusMaxUsd: row.bonus_max_usd == null ? null : Number(row.bonus_max_usd),
+        budgetUsd: row.budget_usd == null ? null : Number(row.budget_usd),
+        isActive: row.is_active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function makeListCampaignsResponse(rows) {
+    return { campaigns: rows.map(makeCampaignDTO) };
+}
+
+// Public leaderboard names: "John Doe" -> "J*** D."
+function maskName(fullName) {
+    const parts = String(fullName || '').trim().split(/\s+/).filter(Boolean);
+    if (!parts.length) return 'Anonymous';
+    const first = `${parts[0][0].toUpperCase()}***`;
+    return parts.length > 1 ? `${first} ${parts[parts.length - 1][0].toUpperCase()}.` : first;
+}
+
+function makeLeaderboardDTO({ campaign, leaders }) {
+    return {
+        campaign: campaign
+            ? { name: campaign.name, startsAt: campaign.starts_at, endsAt: campaign.ends_at, bonusPct: Number(campaign.bonus_pct) }
+            : null,
+        leaders: leaders.map((row, i) => ({
+            rank: i + 1,
+            name: maskName(row.full_name),
+            referrals: row.referrals,
+        })),
+    };
+}
+
+module.exports = {
+    BonusStatus,
+    CommissionStatus,
+    maskEmail,
+    makeReferralSummaryDTO,
+    makeRefereeDTO,
+    makeListRefereesResponse,
+    makeDownlineNodeDTO,
+    makeDownlineTreeDTO,
+    makeAdminBonusDTO,
+    makeListBonusesResponse,
+    makeAdminCommissionDTO,
+    makeListCommissionsResponse,
+    makeCampaignDTO,
+    makeListCampaignsResponse,
+    maskName,
+    makeLeaderboardDTO,
+};
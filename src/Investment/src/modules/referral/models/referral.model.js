@@ -0,0 +1,404 @@
+'use strict';
+
+const { DepositStatus } = require('../../deposit/dto/deposit.dto');
+
+class ReferralError extends Error {
+    constructor(code, message, status = 400, meta = undefined) {
+        super(message || code);
+        this.name = 'ReferralError';
+        this.code = code;
+        this.status = status;
+        this.meta = meta;
+    }
+}
+
+/**
+ * Repository for referral codes (`referrals`) and the referrer link on `users.referred_by`.
+ * Every method accepts an optional client so it can join a caller's transaction.
+ */
+class ReferralRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('ReferralRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+        this.table = 'referrals';
+    }
+
+    async findByCode(code, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} WHERE referral_code = $1`,
+            [code]
+        );
+        return rows[0] || null;
+    }
+
+    async findByReferrer(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} WHERE referrer_id = $1`,
+            [userId]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Inserts a code for the user. Returns null when the user already has one
+     * (unique_referrer); a clash on the code itself surfaces as 23505.
+     */
+    async insertCode(userId, code, client = this.db) {
+        const { rows } = await client.query(
+            `INSERT INTO ${this.table} (referrer_id, referral_code, created_at)
+             VALUES ($1, $2, NOW())
+             ON CONFLICT (referrer_id) DO NOTHING
+             RETURNING *`,
+            [userId, code]
+        );
+        return rows[0] || null;
+    }
+
+    async findUserStatus(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT user_id, account_status FROM users WHERE user_id = $1`,
+            [userId]
+        );
+        return rows[0] || null;
+    }
+
+    async countReferees(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT COUNT(*)::int AS total,
+                    COUNT(*) FILTER (WHERE account_status = 'active')::int AS active
+               FROM users
+              WHERE referred_by = $1`,
+            [userId]
+        );
+        return { total: rows[0]?.total ?? 0, active: rows[0]?.active ?? 0 };
+    }
+
+    async listReferees(userId, { page = 1, limit = 20 } = {}, client = this.db) {
+        const { total } = await this.countReferees(userId, client);
+        const offset = (page - 1) * limit;
+        const { rows } = await client.query(
+            `SELECT user_id, full_name, email, account_status, created_at
+               FROM users
+              WHERE referred_by = $1
+              ORDER BY created_at DESC, user_id
+              LIMIT $2 OFFSET $3`,
+            [userId, limit, offset]
+        );
+        return { items: rows, total };
+    }
+
+    /**
+     * The referee's referral link, only while the referrer's account is active.
+     * @returns {Promise<{referral_id:string, referrer_id:string}|null>}
+     */
+    async findActiveReferrerOf(refereeId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT r.referral_id, r.referrer_id
+               FROM users u
+               JOIN ${this.table} r ON r.referrer_id = u.referred_by
+               JOIN users ref ON ref.user_id = r.referrer_id
+              WHERE u.user_id = $1
+                AND ref.account_status = 'active'`,
+            [refereeId]
+        );
+        return rows[0] || null;
+    }
+
+    // Earliest credited deposit; ties broken by id so concurrent callers agree
+    async findFirstConfirmedDepositId(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT deposit_id
+               FROM deposits
+              WHERE user_id = $1 AND status = $2
+              ORDER BY credited_at ASC, deposit_id ASC
+              LIMIT 1`,
+            [userId, DepositStatus.CONFIRMED]
+        );
+        return rows[0]?.deposit_id || null;
+    }
+
+    /**
+     * Records the one-time bonus for a referee. Returns null if one already exists (unique_referee).
+     */
+    async insertBonus(client, {
+        referralId, refereeId, depositAmount, bonusAmount, status = 'credited', fraudFlags = null, campaignId = null,
+    }) {
+        const { rows } = await client.query(
+            `INSERT INTO referral_bonuses
+                (referral_id, referee_id, deposit_amount, bonus_amount, status, fraud_flags, campaign_id, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+             ON CONFLICT (referee_id) DO NOTHING
+             RETURNING *`,
+            [
+                referralId, refereeId, depositAmount, bonusAmount, status,
+                fraudFlags ? JSON.stringify(fraudFlags) : null, campaignId,
+            ]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Bonus with its referrer and both users' names, for admin review.
+     * Pass lock = true inside a transaction to hold the bonus row.
+     */
+    async findBonus(bonusId, { client = this.db, lock = false } = {}) {
+        const { rows } = await client.query(
+            `SELECT b.*, r.referrer_id,
+                    ref.full_name AS referrer_name, ref.email AS referrer_email,
+                    ee.full_name AS referee_name, ee.email AS referee_email
+               FROM referral_bonuses b
+               JOIN ${this.table} r ON r.referral_id = b.referral_id
+               JOIN users ref ON ref.user_id = r.referrer_id
+               JOIN users ee ON ee.user_id = b.referee_id
+              WHERE b.bonus_id = $1
+              ${lock ? 'FOR UPDATE OF b' : ''}`,
+            [bonusId]
+        );
+        return rows[0] || null;
+    }
+
+    async listBonuses({ status, page = 1, limit = 50 } = {}) {
+        const { rows: countRows } = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM referral_bonuses WHERE status = $1`,
+            [status]
+        );
+        const total = countRows[0]?.total ?? 0;
+
+        const offset = (page - 1) * limit;
+        const { rows } = await this.db.query(
+            `SELECT b.*, r.referrer_id,
+                    ref.full_name AS referrer_name, ref.email AS referrer_email,
+                    ee.full_name AS referee_name, ee.email AS referee_email
+               FROM referral_bonuses b
+               JOIN ${this.table} r ON r.referral_id = b.referral_id
+               JOIN users ref ON ref.user_id = r.referrer_id
+               JOIN users ee ON ee.user_id = b.referee_id
+              WHERE b.status = $1
+              ORDER BY b.created_at ASC
+              LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        );
+        return { items: rows, total };
+    }
+
+    async markBonusReviewed(client, bonusId, { status, adminId, note }) {
+        const { rows } = await client.query(
+            `UPDATE referral_bonuses
+                SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+              WHERE bonus_id = $1
+              RETURNING *`,
+            [bonusId, status, adminId, note || null]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * IPs, devices, payout addresses and contact details per user, for the fraud heuristics.
+     * @returns {Promise<Map<string, import('../policies/referralFraud.policy').FraudSignals>>}
+     */
+    async loadFraudSignals(userIds, client = this.db) {
+        const signals = new Map();
+        const { rows: users } = await client.query(
+            `SELECT user_id, email, phone_number, last_login_ip FROM users WHERE user_id = ANY($1::uuid[])`,
+            [userIds]
+        );
+        for (const u of users) {
+            signals.set(u.user_id, {
+                email: u.email,
+                phoneNumber: u.phone_number,
+                ips: u.last_login_ip ? [u.last_login_ip] : [],
+                userAgents: [],
+                payoutAddresses: [],
+            });
+        }
+
+        const { rows: sessions } = await client.query(
+            `SELECT DISTINCT user_id, ip_address, user_agent
+               FROM user_sessions
+              WHERE user_id = ANY($1::uuid[])`,
+            [userIds]
+        );
+        for (const s of sessions) {
+            const entry = signals.get(s.user_id);
+            if (!entry) continue;
+            if (s.ip_address) entry.ips.push(s.ip_address);
+            if (s.user_agent) entry.userAgents.push(s.user_agent);
+        }
+
+        const { rows: addresses } = await client.query(
+            `SELECT DISTINCT user_id, address
+               FROM withdrawal_addresses
+              WHERE user_id = ANY($1::uuid[])`,
+            [userIds]
+        );
+        for (const a of addresses) signals.get(a.user_id)?.payoutAddresses.push(a.address);
+
+        return signals;
+    }
+
+    async logAdminAction(client, { adminId, targetUserId = null, action, details }) {
+        await client.query(
+            `INSERT INTO admin_actions (admin_id, target_user_id, action, details, created_at)
+             VALUES ($1, $2, $3, $4, NOW())`,
+            [adminId, targetUserId, action, details ? JSON.stringify(details) : null]
+        );
+    }
+
+    /**
+     * Referrer chain above a user, nearest first, at most `maxLevels` deep.
+     * Stops at a user already on the path, so a corrupted (cyclic) chain terminates.
+     */
+    async findAncestors(userId, maxLevels, client = this.db) {
+        const { rows } = await client.query(
+            `WITH RECURSIVE chain AS (
+                SELECT u.referred_by AS user_id, 1 AS level, ARRAY[u.user_id, u.referred_by] AS path
+                  FROM users u
+                 WHERE u.user_id = $1
+                   AND u.referred_by IS NOT NULL
+                   AND u.referred_by <> u.user_id
+                UNION ALL
+                SELECT u.referred_by, c.level + 1, c.path || u.referred_by
+                  FROM chain c
+                  JOIN users u ON u.user_id = c.user_id
+                 WHERE c.level < $2
+                   AND u.referred_by IS NOT NULL
+                   AND NOT (u.referred_by = ANY(c.path))
+             )
+             SELECT c.user_id, c.level, a.account_status
+               FROM chain c
+               JOIN users a ON a.user_id = c.user_id
+              ORDER BY c.level`,
+            [userId, maxLevels]
+        );
+        return rows;
+    }
+
+    /**
+     * Records one level's commission. Returns null if that level was already paid
+     * for the source event (uq_referral_commission_source).
+     */
+    async insertCommission(client, {
+        beneficiaryId, sourceUserId, sourceType, sourceRef, level, baseAmount, pct, amount,
+        status = 'credited', fraudFlags = null,
+    }) {
+        const { rows } = await client.query(
+            `INSERT INTO referral_commissions
+                (beneficiary_id, source_user_id, source_type, source_ref, level, base_amount, pct, amount,
+                 status, fraud_flags, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+             ON CONFLICT (source_type, source_ref, level) DO NOTHING
+             RETURNING *`,
+            [
+                beneficiaryId, sourceUserId, sourceType, sourceRef, level, baseAmount, pct, amount,
+                status, fraudFlags ? JSON.stringify(fraudFlags) : null,
+            ]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Commission with both users' names, for admin review.
+     * Pass lock = true inside a transaction to hold the commission row.
+     */
+    async findCommission(commissionId, { client = this.db, lock = false } = {}) {
+        const { rows } = await client.query(
+            `SELECT c.*,
+                    ben.full_name AS beneficiary_name, ben.email AS beneficiary_email,
+                    src.full_name AS source_user_name, src.email AS source_user_email
+               FROM referral_commissions c
+               JOIN users ben ON ben.user_id = c.beneficiary_id
+               JOIN users src ON src.user_id = c.source_user_id
+              WHERE c.commission_id = $1
+              ${lock ? 'FOR UPDATE OF c' : ''}`,
+            [commissionId]
+        );
+        return rows[0] || null;
+    }
+
+    async listCommissions({ status, page = 1, limit = 50 } = {}) {
+        const { rows: countRows } = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM referral_commissions WHERE status = $1`,
+            [status]
+        );
+        const total = countRows[0]?.total ?? 0;
+
+        const offset = (page - 1) * limit;
+        const { rows } = await this.db.query(
+            `SELECT c.*,
+                    ben.full_name AS beneficiary_name, ben.email AS beneficiary_email,
+                    src.full_name AS source_user_name, src.email AS source_user_email
+               FROM referral_commissions c
+               JOIN users ben ON ben.user_id = c.beneficiary_id
+               JOIN users src ON src.user_id = c.source_user_id
+              WHERE c.status = $1
+              ORDER BY c.created_at ASC
+              LIMIT $2 OFFSET $3`,
+            [status, limit, offset]
+        );
+        return { items: rows, total };
+    }
+
+    async markCommissionReviewed(client, commissionId, { status, adminId, note }) {
+        const { rows } = await client.query(
+            `UPDATE referral_commissions
+                SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+              WHERE commission_id = $1
+              RETURNING *`,
+            [commissionId, status, adminId, note || null]
+        );
+        return rows[0] || null;
+    }
+
+    async sumCommissions(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT COALESCE(SUM(amount), 0)::numeric AS total, COUNT(*)::int AS count
+               FROM referral_commissions
+              WHERE beneficiary_id = $1 AND status = 'credited'`,
+            [userId]
+        );
+        return { total: Number(rows[0]?.total ?? 0), count: rows[0]?.count ?? 0 };
+    }
+
+    /**
+     * Everyone below a user up to `depth` levels, breadth-first, with the
+     * commission the root has earned from each of them.
+     */
+    async listDownline(userId, { depth, limit }, client = this.db) {
+        const { rows } = await client.query(
+            `WITH RECURSIVE downline AS (
+                SELECT u.user_id, u.referred_by AS parent_id, 1 AS level, ARRAY[$1::uuid, u.user_id] AS path
+                  FROM users u
+                 WHERE u.referred_by = $1
+                   AND u.user_id <> $1
+                UNION ALL
+                SELECT u.user_id, u.referred_by, d.level + 1, d.path || u.user_id
+                  FROM downline d
+                  JOIN users u ON u.referred_by = d.user_id
+                 WHERE d.level < $2
+                   AND NOT (u.user_id = ANY(d.path))
+             )
+             SELECT d.user_id, d.parent_id, d.level,
+                    u.full_name, u.email, u.account_status, u.created_at,
+                    COALESCE(c.earned, 0)::numeric AS commission_earned
+               FROM downline d
+               JOIN users u ON u.user_id = d.user_id
+               LEFT JOIN (
+                    SELECT source_user_id, SUM(amount) AS earned
+                      FROM referral_commissions
+                     WHERE beneficiary_id = $1 AND status = 'credited'
+                     GROUP BY source_user_id
+               ) c ON c.source_user_id = d.user_id
+              ORDER BY d.level, u.created_at, d.user_id
+              LIMIT $3`,
+            [userId, depth, limit]
+        );
+        return rows;
+    }
+}
+
+module.exports = {
+    ReferralError,
+    ReferralRepository,
+};
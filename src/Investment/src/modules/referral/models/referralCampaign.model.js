@@ -0,0 +1,146 @@
+'use strict';
+
+const { BonusStatus } = require('../dto/referral.dto');
+
+// camelCase input field -> referral_campaigns column
+const COLUMNS = {
+    name: 'name',
+    startsAt: 'starts_at',
+    endsAt: 'ends_at',
+    bonusPct: 'bonus_pct',
+    bonusMaxUsd: 'bonus_max_usd',
+    budgetUsd: 'budget_usd',
+    isActive: 'is_active',
+};
+
+/**
+ * Repository for time-boxed referral campaigns (`referral_campaigns`).
+ * Every method accepts an optional client so it can join a caller's transaction.
+ */
+class ReferralCampaignRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('ReferralCampaignRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+        this.table = 'referral_campaigns';
+    }
+
+    async create(fields, client = this.db) {
+        const keys = Object.keys(COLUMNS).filter((k) => fields[k] !== undefined);
+        const cols = keys.map((k) => COLUMNS[k]);
+        const params = keys.map((k) => fields[k]);
+        const { rows } = await client.query(
+            `INSERT INTO ${this.table} (${cols.join(', ')}, created_at, updated_at)
+             VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')}, NOW(), NOW())
+             RETURNING *`,
+            params
+        );
+        return rows[0];
+    }
+
+    async update(client, campaignId, changes) {
+        const keys = Object.keys(COLUMNS).filter((k) => changes[k] !== undefined);
+        const params = [campaignId, ...keys.map((k) => changes[k])];
+        const setSql = keys.map((k, i) => `${COLUMNS[k]} = $${i + 2}`);
+        const { rows } = await client.query(
+            `UPDATE ${this.table}
+                SET ${[...setSql, 'updated_at = NOW()'].join(', ')}
+              WHERE campaign_id = $1
+              RETURNING *`,
+            params
+        );
+        return rows[0] || null;
+    }
+
+    async findById(campaignId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} WHERE campaign_id = $1`,
+            [campaignId]
+        );
+        return rows[0] || null;
+    }
+
+    async findForUpdate(client, campaignId) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} WHERE campaign_id = $1 FOR UPDATE`,
+            [campaignId]
+        );
+        return rows[0] || null;
+    }
+
+    async list(client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} ORDER BY starts_at DESC, campaign_id`
+        );
+        return rows;
+    }
+
+    /**
+     * The campaign running at `at`. With lock = true the row is held FOR UPDATE,
+     * which serialises bonus payouts against the campaign budget.
+     */
+    async findActiveAt(at, { client = this.db, lock = false } = {}) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table}
+              WHERE is_active AND starts_at <= $1 AND ends_at > $1
+              ORDER BY starts_at DESC
+              LIMIT 1
+              ${lock ? 'FOR UPDATE' : ''}`,
+            [at]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Blocks concurrent campaign writes so the overlap check below stays true until commit.
+     */
+    async lockForWrite(client) {
+        await client.query(`LOCK TABLE ${this.table} IN SHARE ROW EXCLUSIVE MODE`);
+    }
+
+    async findOverlapping(client, { startsAt, endsAt, excludeId = null }) {
+        const { rows } = await client.query(
+            `SELECT campaign_id, name FROM ${this.table}
+              WHERE is_active
+                AND starts_at < $2 AND ends_at > $1
+                AND ($3::uuid IS NULL OR campaign_id <> $3::uuid)
+              LIMIT 1`,
+            [startsAt, endsAt, excludeId]
+        );
+        return rows[0] || null;
+    }
+
+    /** Bonus money committed to a campaign; held bonuses count until rejected. */
+    async spentOn(campaignId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT COALESCE(SUM(bonus_amount), 0)::numeric AS spent
+               FROM referral_bonuses
+              WHERE campaign_id = $1 AND status IN ($2, $3)`,
+            [campaignId, BonusStatus.CREDITED, BonusStatus.PENDING_REVIEW]
+        );
+        return Number(rows[0]?.spent ?? 0);
+    }
+
+    /**
+     * Top referrers by credited bonuses in the campaign; ties go to whoever got there first.
+     */
+    async leaderboard(campaignId, { limit }, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT r.referrer_id, u.full_name,
+                    COUNT(*)::int AS referrals,
+                    MAX(b.created_at) AS reached_at
+               FROM referral_bonuses b
+               JOIN referrals r ON r.referral_id = b.referral_id
+               JOIN users u ON u.user_id = r.referrer_id
+              WHERE b.campaign_id = $1 AND b.status = $2
+              GROUP BY r.referrer_id, u.full_name
+              ORDER BY referrals DESC, reached_at ASC, r.referrer_id
+              LIMIT $3`,
+            [campaignId, BonusStatus.CREDITED, limit]
+        );
+        return rows;
+    }
+}
+
+module.exports = { ReferralCampaignRepository };
@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * First-deposit referral bonus: a percentage of the deposit, optionally capped.
+ * A running referral campaign replaces the default terms and may carry a total
+ * budget; once that is spent, bonuses fall back to the default terms.
+ */
+
+const { round2 } = require('../../wallet/utils/wallet.utils');
+
+/**
+ * @param {number} depositAmount
+ * @param {{pct:number, maxUsd?:number}} terms - maxUsd 0/undefined means uncapped
+ * @returns {number} bonus in USD, 0 when nothing is owed
+ */
+function computeReferralBonus(depositAmount, { pct, maxUsd = 0 }) {
+    const amount = Number(depositAmount);
+    if (!(amount > 0) || !(pct > 0)) return 0;
+    const bonus = round2((amount * pct) / 100);
+    return maxUsd > 0 ? Math.min(bonus, maxUsd) : bonus;
+}
+
+/**
+ * Bonus terms of a campaign row, or the defaults when there is no campaign.
+ * @returns {{pct:number, maxUsd:number}}
+ */
+function bonusTermsFor(campaign, defaults) {
+    if (!campaign) return defaults;
+    return {
+        pct: Number(campaign.bonus_pct),
+        maxUsd: campaign.bonus_max_usd == null ? 0 : Number(campaign.bonus_max_usd),
+    };
+}
+
+/**
+ * Trim a campaign bonus to what is left of the campaign budget.
+ * @param {number} bonus
+ * @param {{budget_usd?:string|number|null}} campaign
+ * @param {number} spent - bonuses already committed to the campaign
+ * @returns {number} 0 when the budget is exhausted
+ */
+function capToBudget(bonus, campaign, spent) {
+    if (campaign.budget_usd == null) return bonus;
+    const remaining = round2(Number(campaign.budget_usd) - Number(spent));
+    return remaining > 0 ? Math.min(bonus, remaining) : 0;
+}
+
+module.exports = { computeReferralBonus, bonusTermsFor, capToBudget };
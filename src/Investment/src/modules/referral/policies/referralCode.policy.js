@@ -0,0 +1,40 @@
+'use strict';
+
+/**
+ * Referral code format.
+ * Codes are short, upper-case and skip look-alike characters (0/O, 1/I/L)
+ * so they survive being read aloud or copied by hand.
+ */
+
+const crypto = require('crypto');
+
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 8; // referrals.referral_code is VARCHAR(10)
+const CODE_PATTERN = /^[A-Z0-9]{4,10}$/;
+
+function generateReferralCode(randomBytes = crypto.randomBytes) {
+    const bytes = randomBytes(CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+/**
+ * Canonical form of a user-supplied code, or null when it cannot be a code at all.
+ * @param {unknown} raw
+ * @returns {string|null}
+ */
+function normalizeReferralCode(raw) {
+    if (typeof raw !== 'string') return null;
+    const code = raw.trim().toUpperCase();
+    return CODE_PATTERN.test(code) ? code : null;
+}
+
+module.exports = {
+    CODE_ALPHABET,
+    CODE_LENGTH,
+    generateReferralCode,
+    normalizeReferralCode,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+/**
+ * Multi-level referral commissions and the downline tree.
+ *
+ * The referrer chain comes from users.referred_by; level 1 is the direct
+ * referrer. The SQL walk already stops on cycles, but the rules here do not
+ * trust it: the source user and any repeated ancestor are dropped.
+ */
+
+const { round2 } = require('../../wallet/utils/wallet.utils');
+
+/**
+ * @param {object} p
+ * @param {Array<{user_id:string, level:number, account_status:string}>} p.ancestors - ascending by level
+ * @param {number[]} p.pcts - percentage per level, index 0 = level 1
+ * @param {number} p.baseAmount - deposit or profit the commission is taken from
+ * @param {string} p.sourceUserId
+ * @returns {Array<{beneficiaryId:string, level:number, pct:number, amount:number}>}
+ */
+function planCommissions({ ancestors, pcts, baseAmount, sourceUserId }) {
+    const base = Number(baseAmount);
+    if (!(base > 0)) return [];
+
+    const seen = new Set([sourceUserId]);
+    const out = [];
+    for (const a of ancestors) {
+        if (a.level < 1 || a.level > pcts.length) continue;
+        if (seen.has(a.user_id)) continue; // self-referral or cycle
+        seen.add(a.user_id);
+
+        // inactive ancestors forfeit their level; the next level is still paid
+        if (a.account_status !== 'active') continue;
+
+        const pct = pcts[a.level - 1];
+        const amount = round2((base * pct) / 100);
+        if (amount > 0) out.push({ beneficiaryId: a.user_id, level: a.level, pct, amount });
+    }
+    return out;
+}
+
+/**
+ * Nest flat downline rows (`user_id`, `parent_id`, `level`) under the root.
+ * Rows whose parent is not in the result (e.g. cut by the node limit) are dropped.
+ *
+ * @param {Array<object>} rows - ascending by level
+ * @param {string} rootId
+ * @returns {Array<object>} the root's direct referees, each with `children`
+ */
+function buildDownlineTree(rows, rootId) {
+    const nodes = new Map();
+    const roots = [];
+    for (const row of rows) {
+        if (row.user_id === rootId || nodes.has(row.user_id)) continue;
+        const node = { ...row, children: [] };
+        if (row.parent_id === rootId) {
+            roots.push(node);
+        } else {
+            const parent = nodes.get(row.parent_id);
+            if (!parent) continue;
+            parent.children.push(node);
+        }
+        nodes.set(row.user_id, node);
+    }
+    return roots;
+}
+
+module.exports = {
+    planCommissions,
+    buildDownlineTree,
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Referral fraud heuristics.
+ *
+ * A referrer and referee that look like the same person (or the same farm of
+ * accounts) get flagged; their bonus or commission then waits for an admin
+ * instead of being credited. Signals compared:
+ * - IPs: users.last_login_ip plus every user_sessions.ip_address
+ * - devices: user_sessions.user_agent (exact match) - advisory only: a user agent
+ *   is shared by everyone on the same browser build, so it's recorded for the
+ *   reviewer but never holds a payout on its own
+ * - payout addresses: withdrawal_addresses, including removed ones
+ * - contact details: phone number, and the email after stripping +tags
+ *   (and dots for Gmail)
+ */
+
+const FraudFlag = Object.freeze({
+    SHARED_IP: 'SHARED_IP',
+    SHARED_DEVICE: 'SHARED_DEVICE',
+    SHARED_PAYOUT_ADDRESS: 'SHARED_PAYOUT_ADDRESS',
+    SHARED_PHONE: 'SHARED_PHONE',
+    SIMILAR_EMAIL: 'SIMILAR_EMAIL',
+});
+
+// Flags recorded for the reviewer that don't hold a payout by themselves
+const ADVISORY_FLAGS = new Set([FraudFlag.SHARED_DEVICE]);
+
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+function normalizeEmail(email) {
+    if (!email) return null;
+    const [rawLocal, rawDomain] = String(email).trim().toLowerCase().split('@');
+    if (!rawDomain) return null;
+    let local = rawLocal.split('+')[0];
+    let domain = rawDomain;
+    if (GMAIL_DOMAINS.has(domain)) {
+        local = local.replace(/\./g, '');
+        domain = 'gmail.com';
+    }
+    return `${local}@${domain}`;
+}
+
+const clean = (values, normalize = (v) => v) =>
+    new Set((values || []).filter((v) => v != null && String(v).trim() !== '').map((v) => normalize(String(v).trim())));
+
+function intersect(a, b) {
+    return [...a].filter((v) => b.has(v));
+}
+
+/**
+ * @typedef {object} FraudSignals
+ * @property {string} [email]
+ * @property {string} [phoneNumber]
+ * @property {string[]} [ips]
+ * @property {string[]} [userAgents]
+ * @property {string[]} [payoutAddresses]
+ */
+
+/**
+ * @param {FraudSignals} referrer
+ * @param {FraudSignals} referee
+ * @returns {Array<{code:string, values?:string[], advisory?:true}>} empty when the pair looks clean
+ */
+function detectReferralFraud(referrer, referee) {
+    const flags = [];
+
+    const ips = intersect(clean(referrer.ips), clean(referee.ips));
+    if (ips.length) flags.push({ code: FraudFlag.SHARED_IP, values: ips });
+
+    const devices = intersect(clean(referrer.userAgents), clean(referee.userAgents));
+    if (devices.length) flags.push({ code: FraudFlag.SHARED_DEVICE, values: devices, advisory: true });
+
+    const lower = (v) => v.toLowerCase();
+    const addresses = intersect(clean(referrer.payoutAddresses, lower), clean(referee.payoutAddresses, lower));
+    if (addresses.length) flags.push({ code: FraudFlag.SHARED_PAYOUT_ADDRESS, values: addresses });
+
+    if (referrer.phoneNumber && referrer.phoneNumber === referee.phoneNumber) {
+        flags.push({ code: FraudFlag.SHARED_PHONE });
+    }
+
+    const email = normalizeEmail(referrer.email);
+    if (email && email === normalizeEmail(referee.email)) {
+        flags.push({ code: FraudFlag.SIMILAR_EMAIL });
+    }
+
+    return flags;
+}
+
+/**
+ * Whether `flags` should hold the payout for review (any non-advisory flag).
+ */
+function holdsPayout(flags) {
+    return flags.some((f) => !ADVISORY_FLAGS.has(f.code));
+}
+
+module.exports = {
+    FraudFlag,
+    ADVISORY_FLAGS,
+    normalizeEmail,
+    detectReferralFraud,
+    holdsPayout,
+};
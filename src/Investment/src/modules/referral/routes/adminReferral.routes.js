@@ -0,0 +1,35 @@
+'use strict';
+
+const { Router } = require('express');
+const { AdminReferralController } = require('../controllers/adminReferral.controller');
+
+function createAdminReferralRouter({ referralService, campaignService, adminAuthenticate, logger = console }) {
+    if (!referralService) throw new Error('createAdminReferralRouter requires referralService');
+    if (!campaignService) throw new Error('createAdminReferralRouter requires campaignService');
+    if (!adminAuthenticate) throw new Error('createAdminReferralRouter requires adminAuthenticate middleware');
+
+    const router = Router();
+    const controller = new AdminReferralController({ referralService, campaignService, logger });
+
+    // Downline inspection
+    router.get('/users/:userId/tree', adminAuthenticate, controller.tree);
+
+    // Bonus review (fraud holds)
+    router.get('/bonuses', adminAuthenticate, controller.listBonuses);
+    router.post('/bonuses/:bonusId/approve', adminAuthenticate, controller.approveBonus);
+    router.post('/bonuses/:bonusId/reject', adminAuthenticate, controller.rejectBonus);
+
+    // Commission review (fraud holds)
+    router.get('/commissions', adminAuthenticate, controller.listCommissions);
+    router.post('/commissions/:commissionId/approve', adminAuthenticate, controller.approveCommission);
+    router.post('/commissions/:commissionId/reject', adminAuthenticate, controller.rejectCommission);
+
+    // Campaigns
+    router.get('/campaigns', adminAuthenticate, controller.listCampaigns);
+    router.post('/campaigns', adminAuthenticate, controller.createCampaign);
+    router.patch('/campaigns/:campaignId', adminAuthenticate, controller.updateCampaign);
+
+    return router;
+}
+
+module.exports = { createAdminReferralRouter };
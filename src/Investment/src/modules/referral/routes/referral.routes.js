@@ -0,0 +1,25 @@
+'use strict';
+
+const { Router } = require('express');
+const { ReferralController } = require('../controllers/referral.controller');
+
+function createReferralRouter({ referralService, campaignService, authenticate, logger = console }) {
+    if (!referralService) throw new Error('createReferralRouter requires referralService');
+    if (!campaignService) throw new Error('createReferralRouter requires campaignService');
+    if (!authenticate) throw new Error('createReferralRouter requires authenticate middleware');
+
+    const router = Router();
+    const controller = new ReferralController({ referralService, campaignService, logger });
+
+    // Public campaign leaderboard
+    router.get('/leaderboard', controller.leaderboard);
+
+    // Own code and referees
+    router.get('/', authenticate, controller.summary);
+    router.get('/referees', authenticate, controller.referees);
+    router.get('/tree', authenticate, controller.tree);
+
+    return router;
+}
+
+module.exports = { createReferralRouter };
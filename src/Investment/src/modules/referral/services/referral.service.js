@@ -0,0 +1,450 @@
+'use strict';
+
+/**
+ * ReferralService
+ * ---------------
+ * Referral codes and referrer attribution:
+ * - every user gets one code once their account is active
+ * - registration may carry a code; the referee is linked to its owner for good
+ * - users can read their code and the people who signed up with it
+ * - the referee's first confirmed deposit pays the referrer a one-time bonus
+ *   into their referral wallet (ledger key `referral_bonus:${refereeId}`);
+ *   when the pair trips the fraud heuristics the bonus is held as
+ *   `pending_review` until an admin approves (credit) or rejects it;
+ *   a running referral campaign sets the rate instead of REFERRAL_BONUS_*
+ * - deposits and profit accruals pay commissions up the referrer chain, one
+ *   `referral_commissions` row per (source event, level); a level whose
+ *   beneficiary trips the fraud heuristics with the source user is held as
+ *   `pending_review` the same way
+ * - users and admins can view a downline as a tree
+ */
+
+const { ReferralError, ReferralRepository } = require('../models/referral.model');
+const { generateReferralCode, normalizeReferralCode } = require('../policies/referralCode.policy');
+const { ReferralCampaignRepository } = require('../models/referralCampaign.model');
+const { computeReferralBonus, bonusTermsFor, capToBudget } = require('../policies/referralBonus.policy');
+const { planCommissions, buildDownlineTree } = require('../policies/referralCommission.policy');
+const { detectReferralFraud, holdsPayout } = require('../policies/referralFraud.policy');
+const { BonusStatus, CommissionStatus } = require('../dto/referral.dto');
+const cfg = require('../config/referral.config');
+
+// Code collisions are rare (31^8 space); a handful of retries is plenty
+const MAX_CODE_ATTEMPTS = 5;
+// Downline trees are cut off after this many users
+const MAX_TREE_NODES = 1000;
+
+class ReferralService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {object} [deps.walletService] - needed to pay bonuses
+     * @param {(fn:(client:any)=>Promise<any>)=>Promise<any>} [deps.withTransaction] - needed to pay bonuses
+     * @param {{pct:number, maxUsd:number}} [deps.bonusTerms]
+     * @param {{depositPcts:number[], profitPcts:number[], minDepositUsd:number}} [deps.commissionTerms]
+     * @param {boolean} [deps.fraudCheck] - hold suspicious bonuses and commissions for review
+     * @param {() => string} [deps.generateCode]
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({
+        db,
+        walletService,
+        withTransaction,
+        bonusTerms = { pct: cfg.REFERRAL_BONUS_PCT, maxUsd: cfg.REFERRAL_BONUS_MAX_USD },
+        commissionTerms = {
+            depositPcts: cfg.REFERRAL_DEPOSIT_COMMISSION_PCTS,
+            profitPcts: cfg.REFERRAL_PROFIT_COMMISSION_PCTS,
+            minDepositUsd: cfg.REFERRAL_COMMISSION_MIN_DEPOSIT_USD,
+        },
+        fraudCheck = cfg.REFERRAL_FRAUD_CHECK_ENABLED,
+        generateCode = generateReferralCode,
+        logger = console,
+    }) {
+        this.db = db;
+        this.repo = new ReferralRepository(db);
+        this.campaigns = new ReferralCampaignRepository(db);
+        this.wallets = walletService;
+        this.withTransaction = withTransaction;
+        this.bonusTerms = bonusTerms;
+        this.commissionTerms = commissionTerms;
+        this.fraudCheck = fraudCheck;
+        this.generateCode = generateCode;
+        this.log = logger;
+    }
+
+    /**
+     * Looks up the owner of a code supplied at registration.
+     * @returns {Promise<{referralId:string, referrerId:string, code:string}>}
+     */
+    async resolveCode(rawCode) {
+        const code = normalizeReferralCode(rawCode);
+        const referral = code ? await this.repo.findByCode(code) : null;
+        if (!referral) {
+            throw new ReferralError('REFERRAL_CODE_INVALID', 'Referral code not found');
+        }
+
+        const referrer = await this.repo.findUserStatus(referral.referrer_id);
+        if (!referrer || referrer.account_status !== 'active') {
+            throw new ReferralError('REFERRAL_CODE_INVALID', 'Referral code is no longer valid');
+        }
+
+        return { referralId: referral.referral_id, referrerId: referral.referrer_id, code: referral.referral_code };
+    }
+
+    /**
+     * Returns the user's referral row, creating it on first call. Safe to call repeatedly.
+     */
+    async issueCode(userId) {
+        const existing = await this.repo.findByReferrer(userId);
+        if (existing) return existing;
+
+        for (let attempt = 1; attempt <= MAX_CODE_ATTEMPTS; attempt++) {
+            try {
+                const created = await this.repo.insertCode(userId, this.generateCode());
+                // null: a concurrent call issued the user's code first
+                return created || await this.repo.findByReferrer(userId);
+            } catch (err) {
+                if (err?.code !== '23505') throw err;
+                this.log.warn?.({ userId, attempt }, 'Referral code collision, retrying');
+            }
+        }
+        throw new ReferralError('REFERRAL_CODE_UNAVAILABLE', 'Could not allocate a referral code', 503);
+    }
+
+    /**
+     * Code and referee counts for the user. Active accounts that predate codes get one here.
+     */
+    async getSummary({ userId }) {
+        let referral = await this.repo.findByReferrer(userId);
+        if (!referral) {
+            const user = await this.repo.findUserStatus(userId);
+            if (user?.account_status === 'active') referral = await this.issueCode(userId);
+        }
+        const referees = await this.repo.countReferees(userId);
+        const commissions = await this.repo.sumCommissions(userId);
+        return { referral, referees, commissions };
+    }
+
+    /**
+     * The user's downline up to `depth` levels as a tree.
+     * @returns {Promise<{depth:number, total:number, truncated:boolean, nodes:Array<object>}>}
+     */
+    async getDownlineTree({ userId, depth = cfg.REFERRAL_TREE_DEPTH, requireUser = false }) {
+        if (requireUser && !(await this.repo.findUserStatus(userId))) {
+            throw new ReferralError('USER_NOT_FOUND', 'User not found', 404);
+        }
+        const rows = await this.repo.listDownline(userId, { depth, limit: MAX_TREE_NODES });
+        return {
+            depth,
+            total: rows.length,
+            truncated: rows.length >= MAX_TREE_NODES,
+            nodes: buildDownlineTree(rows, userId),
+        };
+    }
+
+    async listReferees({ userId, page = 1, limit = 20 }) {
+        return this.repo.listReferees(userId, { page, limit });
+    }
+
+    /**
+     * Pays the referrer when `depositId` is the referee's first confirmed deposit.
+     * Bonus row and wallet credit commit together; repeat calls are no-ops.
+     * A flagged pair gets a `pending_review` row and no credit (advisory flags are
+     * recorded on a credited row).
+     *
+     * @returns {Promise<object|null>} the referral_bonuses row, or null when nothing was owed
+     */
+    async awardFirstDepositBonus({ refereeId, depositId, depositAmount }) {
+        if (!this.wallets || !this.withTransaction) {
+            throw new Error('ReferralService.awardFirstDepositBonus requires walletService and withTransaction');
+        }
+
+        return this.withTransaction(async (client) => {
+            const link = await this.repo.findActiveReferrerOf(refereeId, client);
+            if (!link) return null;
+
+            const firstDepositId = await this.repo.findFirstConfirmedDepositId(refereeId, client);
+            if (firstDepositId !== depositId) return null;
+
+            const { bonusAmount, campaignId } = await this._bonusFor(client, depositAmount);
+            if (!(bonusAmount > 0)) return null;
+
+            const fraudFlags = await this._checkPair(client, link.referrer_id, refereeId);
+            const held = holdsPayout(fraudFlags);
+
+            await this.wallets.ensureUserWallets(link.referrer_id, client);
+            const wallet = await this.wallets.getWalletForUpdate(client, link.referrer_id, 'referral');
+
+            const bonus = await this.repo.insertBonus(client, {
+                referralId: link.referral_id,
+                refereeId,
+                depositAmount,
+                bonusAmount,
+                status: held ? BonusStatus.PENDING_REVIEW : BonusStatus.CREDITED,
+                fraudFlags: fraudFlags.length ? fraudFlags : null,
+                campaignId,
+            });
+            if (!bonus) return null; // already paid or held
+
+            if (held) {
+                this.log.warn?.(
+                    { referrerId: link.referrer_id, refereeId, bonusId: bonus.bonus_id, flags: fraudFlags.map((f) => f.code) },
+                    'Referral bonus held for review'
+                );
+                return bonus;
+            }
+
+            await this._creditBonus(client, wallet, bonus);
+            this.log.info?.(
+                { referrerId: link.referrer_id, refereeId, depositId, bonusAmount },
+                'Referral bonus paid'
+            );
+            return bonus;
+        });
+    }
+
+    async listBonuses({ status = BonusStatus.PENDING_REVIEW, page = 1, limit = 50 } = {}) {
+        return this.repo.listBonuses({ status, page, limit });
+    }
+
+    /**
+     * Admin: release a held bonus to the referrer's referral wallet.
+     */
+    async approveBonus({ adminId, bonusId, note }) {
+        return this._reviewBonus({ adminId, bonusId, note, approve: true });
+    }
+
+    /**
+     * Admin: refuse a held bonus; nothing is credited and the referee can never earn another.
+     */
+    async rejectBonus({ adminId, bonusId, note }) {
+        return this._reviewBonus({ adminId, bonusId, note, approve: false });
+    }
+
+    async _reviewBonus({ adminId, bonusId, note, approve }) {
+        if (!this.wallets || !this.withTransaction) {
+            throw new Error('ReferralService bonus review requires walletService and withTransaction');
+        }
+
+        return this.withTransaction(async (client) => {
+            // Wallet before bonus row, the same order as awardFirstDepositBonus
+            const peek = await this.repo.findBonus(bonusId, { client });
+            if (!peek) throw new ReferralError('BONUS_NOT_FOUND', 'Referral bonus not found', 404);
+            await this.wallets.ensureUserWallets(peek.referrer_id, client);
+            const wallet = await this.wallets.getWalletForUpdate(client, peek.referrer_id, 'referral');
+
+            const bonus = await this.repo.findBonus(bonusId, { client, lock: true });
+            if (bonus.status !== BonusStatus.PENDING_REVIEW) {
+                throw new ReferralError('BONUS_NOT_PENDING', `Bonus is already ${bonus.status}`, 409);
+            }
+
+            if (approve) await this._creditBonus(client, wallet, bonus);
+            const status = approve ? BonusStatus.CREDITED : BonusStatus.REJECTED;
+            const updated = await this.repo.markBonusReviewed(client, bonusId, { status, adminId, note });
+
+            await this.repo.logAdminAction(client, {
+                adminId,
+                targetUserId: bonus.referrer_id,
+                action: approve ? 'REFERRAL_BONUS_APPROVED' : 'REFERRAL_BONUS_REJECTED',
+                details: { bonusId, refereeId: bonus.referee_id, amount: Number(bonus.bonus_amount), note: note || null },
+            });
+            return { ...bonus, ...updated };
+        });
+    }
+
+    async listCommissions({ status = CommissionStatus.PENDING_REVIEW, page = 1, limit = 50 } = {}) {
+        return this.repo.listCommissions({ status, page, limit });
+    }
+
+    /**
+     * Admin: release a held commission to the beneficiary's referral wallet.
+     */
+    async approveCommission({ adminId, commissionId, note }) {
+        return this._reviewCommission({ adminId, commissionId, note, approve: true });
+    }
+
+    /**
+     * Admin: refuse a held commission; that level of the source event is never paid.
+     */
+    async rejectCommission({ adminId, commissionId, note }) {
+        return this._reviewCommission({ adminId, commissionId, note, approve: false });
+    }
+
+    async _reviewCommission({ adminId, commissionId, note, approve }) {
+        if (!this.wallets || !this.withTransaction) {
+            throw new Error('ReferralService commission review requires walletService and withTransaction');
+        }
+
+        return this.withTransaction(async (client) => {
+            // Wallet before commission row, the same order as payCommissions
+            const peek = await this.repo.findCommission(commissionId, { client });
+            if (!peek) throw new ReferralError('COMMISSION_NOT_FOUND', 'Referral commission not found', 404);
+            await this.wallets.ensureUserWallets(peek.beneficiary_id, client);
+            const wallet = await this.wallets.getWalletForUpdate(client, peek.beneficiary_id, 'referral');
+
+            const commission = await this.repo.findCommission(commissionId, { client, lock: true });
+            if (commission.status !== CommissionStatus.PENDING_REVIEW) {
+                throw new ReferralError('COMMISSION_NOT_PENDING', `Commission is already ${commission.status}`, 409);
+            }
+
+            if (approve) await this._creditCommission(client, wallet, commission);
+            const status = approve ? CommissionStatus.CREDITED : CommissionStatus.REJECTED;
+            const updated = await this.repo.markCommissionReviewed(client, commissionId, { status, adminId, note });
+
+            await this.repo.logAdminAction(client, {
+                adminId,
+                targetUserId: commission.beneficiary_id,
+                action: approve ? 'REFERRAL_COMMISSION_APPROVED' : 'REFERRAL_COMMISSION_REJECTED',
+                details: {
+                    commissionId,
+                    sourceUserId: commission.source_user_id,
+                    level: commission.level,
+                    amount: Number(commission.amount),
+                    note: note || null,
+                },
+            });
+            return { ...commission, ...updated };
+        });
+    }
+
+    async _creditCommission(client, wallet, commission) {
+        await this.wallets.credit(client, {
+            walletId: wallet.wallet_id,
+            currentBalance: wallet.balance,
+            amount: Number(commission.amount),
+            reason: 'referral_commission',
+            refType: 'referral_commission',
+            refId: commission.commission_id,
+            idempotencyKey: `referral_commission:${commission.commission_id}`,
+        });
+    }
+
+    async _creditBonus(client, wallet, bonus) {
+        await this.wallets.credit(client, {
+            walletId: wallet.wallet_id,
+            currentBalance: wallet.balance,
+            amount: Number(bonus.bonus_amount),
+            reason: 'referral_bonus',
+            refType: 'referral_bonus',
+            refId: bonus.bonus_id,
+            idempotencyKey: `referral_bonus:${bonus.referee_id}`,
+        });
+    }
+
+    /**
+     * Bonus under the running campaign (row locked for the budget check), or under
+     * the default terms when there is none or its budget is spent.
+     */
+    async _bonusFor(client, depositAmount) {
+        const campaign = await this.campaigns.findActiveAt(new Date(), { client, lock: true });
+        if (campaign) {
+            const bonus = computeReferralBonus(depositAmount, bonusTermsFor(campaign, this.bonusTerms));
+            if (!(bonus > 0)) return { bonusAmount: 0, campaignId: campaign.campaign_id };
+
+            const spent = await this.campaigns.spentOn(campaign.campaign_id, client);
+            const bonusAmount = capToBudget(bonus, campaign, spent);
+            if (bonusAmount > 0) return { bonusAmount, campaignId: campaign.campaign_id };
+        }
+        return { bonusAmount: computeReferralBonus(depositAmount, this.bonusTerms), campaignId: null };
+    }
+
+    /** Fraud flags for a referrer/referee pair; none when checks are disabled. */
+    async _checkPair(client, referrerId, refereeId) {
+        if (!this.fraudCheck) return [];
+        const signals = await this.repo.loadFraudSignals([referrerId, refereeId], client);
+        return detectReferralFraud(signals.get(referrerId) || {}, signals.get(refereeId) || {});
+    }
+
+    /**
+     * Fraud flags of each commission beneficiary against the source user, in one signal load.
+     * @returns {Promise<Map<string, Array<object>>>} empty when checks are disabled
+     */
+    async _checkBeneficiaries(client, sourceUserId, beneficiaryIds) {
+        const flags = new Map();
+        if (!this.fraudCheck || !beneficiaryIds.length) return flags;
+        const signals = await this.repo.loadFraudSignals([sourceUserId, ...beneficiaryIds], client);
+        const source = signals.get(sourceUserId) || {};
+        for (const id of beneficiaryIds) flags.set(id, detectReferralFraud(signals.get(id) || {}, source));
+        return flags;
+    }
+
+    /**
+     * Pays each qualifying ancestor of `sourceUserId` their level's share of `baseAmount`.
+     * Levels already paid (or held) for this source event are skipped, so retries are safe.
+     * A level whose beneficiary is flagged against the source user is recorded as
+     * `pending_review` and not credited.
+     *
+     * @param {object} p
+     * @param {'deposit'|'profit'} p.sourceType
+     * @param {string} p.sourceUserId - whose deposit / profit it is
+     * @param {string} p.sourceRef - deposit id, or `${transferId}:${YYYY-MM-DD}` for profit
+     * @param {number} p.baseAmount
+     * @param {any} [client] - join the caller's transaction (profit accrual) instead of opening one
+     * @returns {Promise<Array<object>>} referral_commissions rows credited by this call
+     */
+    async payCommissions({ sourceType, sourceUserId, sourceRef, baseAmount }, client = null) {
+        const { depositPcts, profitPcts, minDepositUsd } = this.commissionTerms;
+        const pcts = sourceType === 'deposit' ? depositPcts : profitPcts;
+        if (!pcts.length) return [];
+        if (sourceType === 'deposit' && Number(baseAmount) < minDepositUsd) return [];
+        if (!this.wallets || (!client && !this.withTransaction)) {
+            throw new Error('ReferralService.payCommissions requires walletService and withTransaction');
+        }
+
+        const run = async (c) => {
+            const ancestors = await this.repo.findAncestors(sourceUserId, pcts.length, c);
+            const lines = planCommissions({ ancestors, pcts, baseAmount, sourceUserId });
+            if (!lines.length) return [];
+
+            // Lock referral wallets in user id order so concurrent payouts cannot deadlock
+            const wallets = new Map();
+            for (const id of lines.map((l) => l.beneficiaryId).sort()) {
+                await this.wallets.ensureUserWallets(id, c);
+                wallets.set(id, await this.wallets.getWalletForUpdate(c, id, 'referral'));
+            }
+
+            const flagsFor = await this._checkBeneficiaries(c, sourceUserId, lines.map((l) => l.beneficiaryId));
+
+            const paid = [];
+            for (const line of lines) {
+                const fraudFlags = flagsFor.get(line.beneficiaryId) || [];
+                const held = holdsPayout(fraudFlags);
+                const row = await this.repo.insertCommission(c, {
+                    beneficiaryId: line.beneficiaryId,
+                    sourceUserId,
+                    sourceType,
+                    sourceRef,
+                    level: line.level,
+                    baseAmount,
+                    pct: line.pct,
+                    amount: line.amount,
+                    status: held ? CommissionStatus.PENDING_REVIEW : CommissionStatus.CREDITED,
+                    fraudFlags: fraudFlags.length ? fraudFlags : null,
+                });
+                if (!row) continue; // this level was already paid
+
+                if (held) {
+                    this.log.warn?.(
+                        { beneficiaryId: line.beneficiaryId, sourceUserId, commissionId: row.commission_id, flags: fraudFlags.map((f) => f.code) },
+                        'Referral commission held for review'
+                    );
+                    continue;
+                }
+
+                await this._creditCommission(c, wallets.get(line.beneficiaryId), row);
+                paid.push(row);
+            }
+
+            if (paid.length) {
+                this.log.info?.(
+                    { sourceType, sourceUserId, sourceRef, levels: paid.map((r) => r.level) },
+                    'Referral commissions paid'
+                );
+            }
+            return paid;
+        };
+
+        return client ? run(client) : this.withTransaction(run);
+    }
+}
+
+module.exports = { ReferralService, MAX_CODE_ATTEMPTS, MAX_TREE_NODES };
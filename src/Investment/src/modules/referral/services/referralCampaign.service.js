@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * ReferralCampaignService
+ * -----------------------
+ * Time-boxed referral campaigns managed by admins:
+ * - each campaign sets the first-deposit bonus rate, an optional per-bonus cap
+ *   and an optional total budget (ReferralService applies them)
+ * - active campaigns may not overlap, so at most one is running at any moment
+ * - the running campaign has a public leaderboard of top referrers
+ */
+
+const { ReferralError, ReferralRepository } = require('../models/referral.model');
+const { ReferralCampaignRepository } = require('../models/referralCampaign.model');
+
+class ReferralCampaignService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {(fn:(client:any)=>Promise<any>)=>Promise<any>} deps.withTransaction
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({ db, withTransaction, logger = console }) {
+        if (!withTransaction) throw new Error('ReferralCampaignService requires withTransaction');
+        this.db = db;
+        this.repo = new ReferralCampaignRepository(db);
+        this.referrals = new ReferralRepository(db);
+        this.withTransaction = withTransaction;
+        this.log = logger;
+    }
+
+    async listCampaigns() {
+        return this.repo.list();
+    }
+
+    async createCampaign({ adminId, fields }) {
+        return this.withTransaction(async (client) => {
+            await this.repo.lockForWrite(client);
+            if (fields.isActive !== false) {
+                await this._assertNoOverlap(client, { startsAt: fields.startsAt, endsAt: fields.endsAt });
+            }
+
+            const campaign = await this.repo.create(fields, client);
+            await this.referrals.logAdminAction(client, {
+                adminId,
+                action: 'REFERRAL_CAMPAIGN_CREATED',
+                details: { campaignId: campaign.campaign_id, name: campaign.name },
+            });
+            return campaign;
+        });
+    }
+
+    async updateCampaign({ adminId, campaignId, changes }) {
+        return this.withTransaction(async (client) => {
+            await this.repo.lockForWrite(client);
+            const current = await this.repo.findForUpdate(client, campaignId);
+            if (!current) throw new ReferralError('CAMPAIGN_NOT_FOUND', 'Campaign not found', 404);
+
+            const startsAt = changes.startsAt ?? current.starts_at;
+            const endsAt = changes.endsAt ?? current.ends_at;
+            if (!(new Date(endsAt) > new Date(startsAt))) {
+                throw new ReferralError('CAMPAIGN_PERIOD', 'endsAt must be after startsAt');
+            }
+            const isActive = changes.isActive ?? current.is_active;
+            if (isActive) await this._assertNoOverlap(client, { startsAt, endsAt, excludeId: campaignId });
+
+            const campaign = await this.repo.update(client, campaignId, changes);
+            await this.referrals.logAdminAction(client, {
+                adminId,
+                action: 'REFERRAL_CAMPAIGN_UPDATED',
+                details: { campaignId, changes: Object.keys(changes) },
+            });
+            return campaign;
+        });
+    }
+
+    /**
+     * Top referrers of the campaign running now.
+     * @returns {Promise<{campaign:object|null, leaders:Array<object>}>}
+     */
+    async getLeaderboard({ limit = 10, at = new Date() } = {}) {
+        const campaign = await this.repo.findActiveAt(at);
+        if (!campaign) return { campaign: null, leaders: [] };
+        const leaders = await this.repo.leaderboard(campaign.campaign_id, { limit });
+        return { campaign, leaders };
+    }
+
+    async _assertNoOverlap(client, period) {
+        const clash = await this.repo.findOverlapping(client, period);
+        if (clash) {
+            throw new ReferralError(
+                'CAMPAIGN_OVERLAP',
+                `Campaign period overlaps active campaign "${clash.name}"`,
+                409,
+                { campaignId: clash.campaign_id }
+            );
+        }
+    }
+}
+
+module.exports = { ReferralCampaignService };
@@ -0,0 +1,176 @@
+'use strict';
+
+/**
+ * Zod schemas for referral requests.
+ */
+
+const { z } = require('zod');
+const { round2 } = require('../../wallet/utils/wallet.utils');
+const cfg = require('../config/referral.config');
+const { BonusStatus, CommissionStatus } = require('../dto/referral.dto');
+
+const ListRefereesQuerySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+});
+
+const DownlineTreeQuerySchema = z.object({
+    depth: z.coerce.number().int('ERR_DEPTH').min(1, 'ERR_DEPTH').max(cfg.MAX_LEVELS, 'ERR_DEPTH')
+        .default(cfg.REFERRAL_TREE_DEPTH),
+});
+
+const UserIdSchema = z.string().uuid('ERR_USER_ID_INVALID');
+
+const BonusIdSchema = z.string().uuid('ERR_BONUS_ID_INVALID');
+
+const ListBonusesQuerySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    status: z.enum(Object.values(BonusStatus)).default(BonusStatus.PENDING_REVIEW),
+});
+
+const CommissionIdSchema = z.string().uuid('ERR_COMMISSION_ID_INVALID');
+
+const ListCommissionsQuerySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    status: z.enum(Object.values(CommissionStatus)).default(CommissionStatus.PENDING_REVIEW),
+});
+
+/**
+ * POST /admin/referrals/bonuses/:bonusId/approve  body validation
+ * (also /admin/referrals/commissions/:commissionId/approve)
+ */
+const ApproveBonusSchema = z.object({
+    note: z.string().trim().max(255).optional(),
+});
+
+/**
+ * POST /admin/referrals/bonuses/:bonusId/reject  body validation
+ * (also /admin/referrals/commissions/:commissionId/reject)
+ */
+const RejectBonusSchema = z.object({
+    reason: z.string().trim().min(3, 'ERR_REASON_REQUIRED').max(255),
+});
+
+const UsdSchema = z
+    .union([z.string(), z.number()])
+    .transform((v) => Number(v))
+    .refine((n) => Number.isFinite(n) && n > 0, 'ERR_AMOUNT')
+    .transform(round2);
+
+const CampaignFields = {
+    name: z.string().trim().min(1, 'ERR_NAME_REQUIRED').max(64, 'ERR_NAME_TOO_LONG'),
+    startsAt: z.coerce.date({ message: 'ERR_STARTS_AT' }),
+    endsAt: z.coerce.date({ message: 'ERR_ENDS_AT' }),
+    bonusPct: z
+        .union([z.string(), z.number()])
+        .transform((v) => Number(v))
+        .refine((n) => Number.isFinite(n) && n >= 0 && n <= 100, 'ERR_BONUS_PCT'),
+    bonusMaxUsd: UsdSchema.nullable(),
+    budgetUsd: UsdSchema.nullable(),
+    isActive: z.boolean(),
+};
+
+/**
+ * POST /admin/referrals/campaigns  body validation
+ */
+const CreateCampaignSchema = z.object({
+    ...CampaignFields,
+    bonusMaxUsd: CampaignFields.bonusMaxUsd.optional(),
+    budgetUsd: CampaignFields.budgetUsd.optional(),
+    isActive: CampaignFields.isActive.default(true),
+}).strict().superRefine((data, ctx) => {
+    if (!(data.endsAt > data.startsAt)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'ERR_CAMPAIGN_PERIOD', path: ['endsAt'] });
+    }
+});
+
+/**
+ * PATCH /admin/referrals/campaigns/:campaignId  body validation (any subset of fields)
+ */
+const UpdateCampaignSchema = z.object(CampaignFields).partial().strict()
+    .refine((data) => Object.keys(data).length > 0, 'ERR_NO_CHANGES');
+
+const CampaignIdSchema = z.string().uuid('ERR_CAMPAIGN_ID_INVALID');
+
+const LeaderboardQuerySchema = z.object({
+    limit: z.coerce.number().int().min(1).max(50).default(10),
+});
+
+function validateListRefereesQuery(query) {
+    return ListRefereesQuerySchema.parse(query || {});
+}
+
+function validateDownlineTreeQuery(query) {
+    return DownlineTreeQuerySchema.parse(query || {});
+}
+
+function validateUserId(userId) {
+    return UserIdSchema.parse(userId);
+}
+
+function validateBonusId(bonusId) {
+    return BonusIdSchema.parse(bonusId);
+}
+
+function validateListBonusesQuery(query) {
+    return ListBonusesQuerySchema.parse(query || {});
+}
+
+function validateCommissionId(commissionId) {
+    return CommissionIdSchema.parse(commissionId);
+}
+
+function validateListCommissionsQuery(query) {
+    return ListCommissionsQuerySchema.parse(query || {});
+}
+
+function validateApproveBonusBody(body) {
+    return ApproveBonusSchema.parse(body || {});
+}
+
+function validateRejectBonusBody(body) {
+    return RejectBonusSchema.parse(body || {});
+}
+
+function validateCreateCampaignBody(body) {
+    return CreateCampaignSchema.parse(body);
+}
+
+function validateUpdateCampaignBody(body) {
+    return UpdateCampaignSchema.parse(body);
+}
+
+function validateCampaignId(campaignId) {
+    return CampaignIdSchema.parse(campaignId);
+}
+
+function validateLeaderboardQuery(query) {
+    return LeaderboardQuerySchema.parse(query || {});
+}
+
+module.exports = {
+    CreateCampaignSchema,
+    UpdateCampaignSchema,
+    LeaderboardQuerySchema,
+    validateCreateCampaignBody,
+    validateUpdateCampaignBody,
+    validateCampaignId,
+    validateLeaderboardQuery,
+    ListRefereesQuerySchema,
+    DownlineTreeQuerySchema,
+    ListBonusesQuerySchema,
+    ApproveBonusSchema,
+    RejectBonusSchema,
+    ListCommissionsQuerySchema,
+    validateListRefereesQuery,
+    validateDownlineTreeQuery,
+    validateUserId,
+    validateBonusId,
+    validateListBonusesQuery,
+    validateApproveBonusBody,
+    validateRejectBonusBody,
+    validateCommissionId,
+    validateListCommissionsQuery,
+};
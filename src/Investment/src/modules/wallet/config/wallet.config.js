@@ -17,16 +17,92 @@ const toInt = (raw, fallback) => {
     return Number.isInteger(n) && n >= 0 ? n : fallback;
 };
 
+const toOptionalNumber = (raw) => (raw === undefined ? undefined : Number(raw));
+
+/**
+ * Parse "threshold:pct" pairs, e.g. "0:0.5,1000:0.7,10000:1", into
+ * `{ [minKey]: threshold, [pctKey]: pct }` objects ascending by threshold.
+ */
+const parseTiers = (raw, minKey, pctKey) =>
+    String(raw)
+        .split(',')
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((pair) => {
+            const [min, pct] = pair.split(':').map((v) => Number(v));
+            return { [minKey]: min, [pctKey]: pct };
+        })
+        .sort((a, b) => a[minKey] - b[minKey]);
+
 const cfg = {
     PRINCIPAL_LOCK_DAYS: toInt(env('PRINCIPAL_LOCK_DAYS', 30), 30),
     PROFIT_LOCK_DAYS: toInt(env('PROFIT_LOCK_DAYS', 7), 7),
     MIN_TRADE_USD: Number(env('MIN_TRADE_USD', 10)),
     MIN_PROFIT_WITHDRAWAL: Number(env('MIN_PROFIT_WITHDRAWAL', 0)),
     NOTIFY_ENABLED: (env('WALLET_NOTIFICATIONS_ENABLED', 'true') + '').toLowerCase() === 'true',
+    // User whose Account wallet collects platform revenue (withdrawal fees)
+    PLATFORM_REVENUE_USER_ID: env('PLATFORM_REVENUE_USER_ID'),
+
+    // Withdrawal fees (see policies/withdrawalLimits.policy.js)
+    WITHDRAWAL_NETWORK_FEE_USD: Number(env('WITHDRAWAL_NETWORK_FEE_USD', 0)),
+    WITHDRAWAL_PLATFORM_FEE_PCT: Number(env('WITHDRAWAL_PLATFORM_FEE_PCT', 0)),
+    WITHDRAWAL_PLATFORM_FEE_MIN_USD: Number(env('WITHDRAWAL_PLATFORM_FEE_MIN_USD', 0)),
+
+    // Withdrawal caps per user over rolling windows; unset = no cap
+    WITHDRAWAL_DAILY_LIMIT_USD: toOptionalNumber(env('WITHDRAWAL_DAILY_LIMIT_USD')),
+    WITHDRAWAL_WEEKLY_LIMIT_USD: toOptionalNumber(env('WITHDRAWAL_WEEKLY_LIMIT_USD')),
+    WITHDRAWAL_MONTHLY_LIMIT_USD: toOptionalNumber(env('WITHDRAWAL_MONTHLY_LIMIT_USD')),
+    WITHDRAWAL_MAX_PER_DAY: toOptionalNumber(env('WITHDRAWAL_MAX_PER_DAY')),
+
+    // Daily profit accrual on locked principal (see policies/profitRate.policy.js)
+    PROFIT_ACCRUAL_ENABLED: (env('PROFIT_ACCRUAL_ENABLED', 'false') + '').toLowerCase() === 'true',
+    PROFIT_RATE_TIERS: parseTiers(env('PROFIT_RATE_TIERS', '0:0.5'), 'minPrincipal', 'dailyRatePct'),
+    // Past days re-checked on each run so a missed run is caught up (idempotent)
+    PROFIT_ACCRUAL_CATCHUP_DAYS: toInt(env('PROFIT_ACCRUAL_CATCHUP_DAYS', 3), 3),
+
+    // Early principal redemption penalty by days left on the lock (see policies/earlyRedemption.policy.js),
+    // "minDaysRemaining:penaltyPct" pairs, e.g. "0:2,7:5,30:10"; default charges nothing
+    EARLY_REDEMPTION_PENALTY_TIERS: parseTiers(
+        env('EARLY_REDEMPTION_PENALTY_TIERS', '0:0'), 'minDaysRemaining', 'penaltyPct'
+    ),
 };
 
 if (!(cfg.MIN_TRADE_USD > 0)) throw new Error('MIN_TRADE_USD must be > 0');
 if (!(cfg.PRINCIPAL_LOCK_DAYS >= 0)) throw new Error('PRINCIPAL_LOCK_DAYS must be >= 0');
 if (!(cfg.PROFIT_LOCK_DAYS >= 0)) throw new Error('PROFIT_LOCK_DAYS must be >= 0');
+if (!(cfg.WITHDRAWAL_NETWORK_FEE_USD >= 0)) throw new Error('WITHDRAWAL_NETWORK_FEE_USD must be >= 0');
+if (!(cfg.WITHDRAWAL_PLATFORM_FEE_PCT >= 0 && cfg.WITHDRAWAL_PLATFORM_FEE_PCT < 100)) {
+    throw new Error('WITHDRAWAL_PLATFORM_FEE_PCT must be between 0 and 100');
+}
+if (!(cfg.WITHDRAWAL_PLATFORM_FEE_MIN_USD >= 0)) throw new Error('WITHDRAWAL_PLATFORM_FEE_MIN_USD must be >= 0');
+const chargesFees = cfg.WITHDRAWAL_NETWORK_FEE_USD > 0
+    || cfg.WITHDRAWAL_PLATFORM_FEE_PCT > 0
+    || cfg.WITHDRAWAL_PLATFORM_FEE_MIN_USD > 0;
+if (chargesFees && !cfg.PLATFORM_REVENUE_USER_ID) {
+    throw new Error('PLATFORM_REVENUE_USER_ID is required when withdrawal fees are configured');
+}
+for (const key of ['WITHDRAWAL_DAILY_LIMIT_USD', 'WITHDRAWAL_WEEKLY_LIMIT_USD', 'WITHDRAWAL_MONTHLY_LIMIT_USD']) {
+    if (cfg[key] !== undefined && !(cfg[key] > 0)) throw new Error(`${key} must be > 0`);
+}
+if (!cfg.PROFIT_RATE_TIERS.length) throw new Error('PROFIT_RATE_TIERS must define at least one tier');
+for (const t of cfg.PROFIT_RATE_TIERS) {
+    if (!(t.minPrincipal >= 0) || !(t.dailyRatePct >= 0 && t.dailyRatePct < 100)) {
+        throw new Error('PROFIT_RATE_TIERS entries must be "minPrincipal:dailyRatePct" with 0 <= rate < 100');
+    }
+}
+if (cfg.WITHDRAWAL_MAX_PER_DAY !== undefined && !(Number.isInteger(cfg.WITHDRAWAL_MAX_PER_DAY) && cfg.WITHDRAWAL_MAX_PER_DAY >= 1)) {
+    throw new Error('WITHDRAWAL_MAX_PER_DAY must be a whole number >= 1');
+}
+if (!cfg.EARLY_REDEMPTION_PENALTY_TIERS.length) {
+    throw new Error('EARLY_REDEMPTION_PENALTY_TIERS must define at least one tier');
+}
+for (const t of cfg.EARLY_REDEMPTION_PENALTY_TIERS) {
+    if (!(t.minDaysRemaining >= 0) || !(t.penaltyPct >= 0 && t.penaltyPct < 100)) {
+        throw new Error('EARLY_REDEMPTION_PENALTY_TIERS entries must be "minDaysRemaining:penaltyPct" with 0 <= pct < 100');
+    }
+}
+if (cfg.EARLY_REDEMPTION_PENALTY_TIERS.some((t) => t.penaltyPct > 0) && !cfg.PLATFORM_REVENUE_USER_ID) {
+    throw new Error('PLATFORM_REVENUE_USER_ID is required when early redemption penalties are configured');
+}
 
 module.exports = Object.freeze(cfg);
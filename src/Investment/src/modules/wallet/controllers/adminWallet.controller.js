@@ -183,14 +183,13 @@ class AdminWalletController {
     async getLockedFunds(req, res) {
         try {
             const { rows } = await this.walletService.db.query(
-                `SELECT wt.transfer_id, wt.user_id, u.full_name, u.email,
+                `SELECT wt.transfer_id, wt.user_id, u.full_name, u.email, wt.transfer_type,
                         wt.amount::numeric, wt.locked_until, wt.created_at,
                         EXTRACT(EPOCH FROM (wt.locked_until - NOW())) AS seconds_remaining
                  FROM wallet_transfers wt
                  JOIN users u ON wt.user_id = u.user_id
-                 WHERE wt.from_wallet = 'account'
-                   AND wt.to_wallet = 'trading'
-                   AND wt.transfer_type = 'principal'
+                 WHERE wt.to_wallet = 'trading'
+                   AND wt.transfer_type IN ('principal', 'compound', 'profit_lock')
                    AND wt.status = 'active'
                    AND wt.unlocked_at IS NULL
                  ORDER BY wt.locked_until`
@@ -208,6 +207,7 @@ class AdminWalletController {
                         userId: r.user_id,
                         userName: r.full_name,
                         userEmail: r.email,
+                        type: r.transfer_type,
                         amount: Number(r.amount).toFixed(2),
                         lockedUntil: r.locked_until,
                         investedAt: r.created_at,
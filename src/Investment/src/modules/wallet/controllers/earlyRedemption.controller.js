@@ -0,0 +1,78 @@
+'use strict';
+
+/**
+ * EarlyRedemptionController
+ *
+ * Endpoints (auth: user):
+ * - GET  /wallet/locks/:transferId/redemption-quote  -> penalty for releasing the lock now
+ * - POST /wallet/locks/:transferId/redeem            -> release it now (optional maxPenalty from the quote)
+ */
+
+const { validateTransferId, validateRedeemBody } = require('../validations/wallet.validation');
+const { makeBalanceDTO, makeRedemptionDTO } = require('../dto/wallet.dto');
+const { WalletError } = require('../services/wallet.service');
+
+class EarlyRedemptionController {
+    constructor({ earlyRedemptionService, logger = console }) {
+        if (!earlyRedemptionService) throw new Error('EarlyRedemptionController requires earlyRedemptionService');
+        this.svc = earlyRedemptionService;
+        this.log = logger;
+
+        this.quote = this.quote.bind(this);
+        this.redeem = this.redeem.bind(this);
+    }
+
+    async quote(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const transferId = validateTransferId(req.params.transferId);
+            const quote = await this.svc.quote({ userId, transferId });
+            return res.status(200).json({ success: true, data: makeRedemptionDTO(quote) });
+        } catch (err) {
+            return this._handle(err, res, 'wallet.redemptionQuote failed');
+        }
+    }
+
+    async redeem(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const transferId = validateTransferId(req.params.transferId);
+            const { maxPenalty } = validateRedeemBody(req.body);
+            const result = await this.svc.redeem({ userId, transferId, maxPenalty });
+
+            return res.status(200).json({
+                success: true,
+                message: `Released $${result.netAmount.toFixed(2)} to your Trading wallet after a $${result.penalty.toFixed(2)} penalty.`,
+                data: {
+                    ...makeRedemptionDTO(result),
+                    balances: makeBalanceDTO({
+                        account: result.balances.account,
+                        trading: result.balances.trading,
+                        tradingLocked: result.balances.tradingLocked,
+                        referral: result.balances.referral,
+                    }),
+                },
+            });
+        } catch (err) {
+            return this._handle(err, res, 'wallet.redeem failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof WalletError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { EarlyRedemptionController };
@@ -1,15 +1,22 @@
 'use strict';
 
-const { validateTransferBody } = require('../validations/wallet.validation');
-const { makeBalanceDTO, makeTransferDTO } = require('../dto/wallet.dto');
+const {
+    validateTransferBody,
+    validateCompoundingBody,
+    validateProjectionQuery,
+} = require('../validations/wallet.validation');
+const { makeBalanceDTO, makeTransferDTO, makeProjectionDTO } = require('../dto/wallet.dto');
 const { WalletError } = require('../services/wallet.service');
+const { PlanError } = require('../../plan/models/plan.model');
 
 class WalletController {
-    constructor({ transferService, walletService, logger = console }) {
+    constructor({ transferService, walletService, projectionService, logger = console }) {
         if (!transferService) throw new Error('WalletController requires transferService');
         if (!walletService) throw new Error('WalletController requires walletService');
+        if (!projectionService) throw new Error('WalletController requires projectionService');
         this.transferService = transferService;
         this.walletService = walletService;
+        this.projectionService = projectionService;
         this.log = logger;
 
         this.transfer = this.transfer.bind(this);
@@ -17,6 +24,9 @@ class WalletController {
         this.transferHistory = this.transferHistory.bind(this);
         this.transactionHistory = this.transactionHistory.bind(this);
         this.lockedFunds = this.lockedFunds.bind(this);
+        this.compounding = this.compounding.bind(this);
+        this.updateCompounding = this.updateCompounding.bind(this);
+        this.projections = this.projections.bind(this);
     }
 
     async transfer(req, res) {
@@ -24,15 +34,16 @@ class WalletController {
             const userId = req.user?.userId;
             if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
-            const { from, to, amount, idempotencyKey } = validateTransferBody(req.body);
+            const { from, to, amount, idempotencyKey, planId } = validateTransferBody(req.body);
 
-            const result = await this.transferService.transfer(userId, from, to, amount, idempotencyKey);
+            const result = await this.transferService.transfer(userId, from, to, amount, idempotencyKey, planId);
             const dto = makeTransferDTO({
                 transferId: result.transferId,
                 from,
                 to,
                 amount,
                 lockedUntil: result.lockedUntil || null,
+                planId: result.planId || null,
                 newBalances: makeBalanceDTO({
                     account: result.balances.account,
                     trading: result.balances.trading,
@@ -43,7 +54,7 @@ class WalletController {
 
             return res.status(200).json({ success: true, data: dto });
         } catch (err) {
-            if (err instanceof WalletError) {
+            if (err instanceof WalletError || err instanceof PlanError) {
                 return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
             }
             if (err?.issues?.length) {
@@ -86,7 +97,7 @@ class WalletController {
 
             const { rows } = await this.walletService.db.query(
                 `SELECT transfer_id, from_wallet, to_wallet, amount::numeric, transfer_type, 
-                        locked_until, unlocked_at, status, created_at
+                        locked_until, unlocked_at, status, plan_id, created_at
                  FROM wallet_transfers
                  WHERE user_id = $1
                  ORDER BY created_at DESC
@@ -111,6 +122,7 @@ class WalletController {
                         lockedUntil: r.locked_until,
                         unlockedAt: r.unlocked_at,
                         status: r.status,
+                        planId: r.plan_id,
                         createdAt: r.created_at
                     })),
                     pagination: {
@@ -189,16 +201,17 @@ class WalletController {
             if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
 
             const { rows } = await this.walletService.db.query(
-                `SELECT transfer_id, amount::numeric, locked_until, created_at,
-                        EXTRACT(EPOCH FROM (locked_until - NOW())) AS seconds_remaining
-                 FROM wallet_transfers
-                 WHERE user_id = $1
-                   AND from_wallet = 'account'
-                   AND to_wallet = 'trading'
-                   AND transfer_type = 'principal'
-                   AND status = 'active'
-                   AND unlocked_at IS NULL
-                 ORDER BY locked_until`,
+                `SELECT t.transfer_id, t.transfer_type, t.parent_transfer_id, t.amount::numeric,
+                        t.locked_until, t.created_at, t.plan_id, p.name AS plan_name,
+                        EXTRACT(EPOCH FROM (t.locked_until - NOW())) AS seconds_remaining
+                 FROM wallet_transfers t
+                 LEFT JOIN investment_plans p ON p.plan_id = t.plan_id
+                 WHERE t.user_id = $1
+                   AND t.to_wallet = 'trading'
+                   AND t.transfer_type IN ('principal', 'compound', 'profit_lock')
+                   AND t.status = 'active'
+                   AND t.unlocked_at IS NULL
+                 ORDER BY t.locked_until`,
                 [userId]
             );
 
@@ -210,8 +223,12 @@ class WalletController {
                     totalLocked: totalLocked.toFixed(2),
                     locks: rows.map(r => ({
                         transferId: r.transfer_id,
+                        type: r.transfer_type,
+                        parentTransferId: r.parent_transfer_id,
                         amount: Number(r.amount).toFixed(2),
                         lockedUntil: r.locked_until,
+                        planId: r.plan_id,
+                        planName: r.plan_name,
                         investedAt: r.created_at,
                         daysRemaining: Math.max(0, Math.ceil(Number(r.seconds_remaining) / 86400))
                     }))
@@ -222,6 +239,66 @@ class WalletController {
             return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
         }
     }
+
+    async projections(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { days } = validateProjectionQuery(req.query);
+            const projection = await this.projectionService.projectForUser({ userId, days });
+
+            return res.status(200).json({ success: true, data: makeProjectionDTO(projection, days) });
+        } catch (err) {
+            if (err?.issues?.length) {
+                const first = err.issues[0];
+                return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+            }
+            this.log.error({ err }, 'wallet.projections failed');
+            return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+        }
+    }
+
+    async compounding(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const enabled = await this.walletService.getProfitCompounding(userId);
+            if (enabled === null) return res.status(404).json({ success: false, message: 'User not found' });
+
+            return res.status(200).json({ success: true, data: { enabled } });
+        } catch (err) {
+            this.log.error({ err }, 'wallet.compounding failed');
+            return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+        }
+    }
+
+    async updateCompounding(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { enabled } = validateCompoundingBody(req.body);
+            const stored = await this.walletService.setProfitCompounding(userId, enabled);
+            if (stored === null) return res.status(404).json({ success: false, message: 'User not found' });
+
+            return res.status(200).json({
+                success: true,
+                message: stored
+                    ? 'Daily profit will be reinvested into locked principal'
+                    : 'Daily profit will stay available in your Trading wallet',
+                data: { enabled: stored },
+            });
+        } catch (err) {
+            if (err?.issues?.length) {
+                const first = err.issues[0];
+                return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+            }
+            this.log.error({ err }, 'wallet.updateCompounding failed');
+            return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+        }
+    }
 }
 
 module.exports = { WalletController };
@@ -33,17 +33,61 @@ function makeBalanceDTO({ account, trading, tradingLocked, referral }) {
  * @param {string}  param0.from
  * @param {string}  param0.to
  * @param {number}  param0.amount
+ * @param {Date|null}   [param0.lockedUntil] – end of the principal lock (A→T only)
+ * @param {string|null} [param0.planId]      – plan the lock was opened under
  * @param {object}  param0.newBalances – object from makeBalanceDTO
  */
-function makeTransferDTO({ transferId, from, to, amount, newBalances }) {
+function makeTransferDTO({ transferId, from, to, amount, lockedUntil = null, planId = null, newBalances }) {
     return {
         transferId,
         from,
         to,
         amount: round2(amount),
+        lockedUntil,
+        planId,
         balances: newBalances,
         message: `Transferred $${round2(amount)} from ${from} to ${to}.`,
     };
 }
 
-module.exports = { makeBalanceDTO, makeTransferDTO };
+/**
+ * Early redemption quote/result DTO (EarlyRedemptionService output).
+ */
+function makeRedemptionDTO({ transferId, lockedUntil, daysRemaining, principal, penaltyPct, penalty, netAmount }) {
+    return {
+        transferId,
+        lockedUntil,
+        daysRemaining,
+        principal: round2(principal),
+        penaltyPct,
+        penalty: round2(penalty),
+        netAmount: round2(netAmount),
+    };
+}
+
+/**
+ * Projection DTO (ProjectionService output); days stay as YYYY-MM-DD (UTC).
+ * @param {object} p
+ * @param {number} horizonDays
+ */
+function makeProjectionDTO(p, horizonDays) {
+    return {
+        horizonDays,
+        from: p.from,
+        to: p.to,
+        assumptions: p.assumptions,
+        summary: p.summary,
+        maturities: p.maturities.map((m) => ({
+            date: m.date,
+            transferId: m.transferId,
+            projected: m.transferId === null,
+            type: m.type,
+            amount: m.amount,
+            lockedUntil: m.lockedUntil.toISOString(),
+            planId: m.planId || null,
+        })),
+        days: p.days,
+    };
+}
+
+module.exports = { makeBalanceDTO, makeTransferDTO, makeRedemptionDTO, makeProjectionDTO };
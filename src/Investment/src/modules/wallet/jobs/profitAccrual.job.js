@@ -0,0 +1,74 @@
+'use strict';
+
+const cron = require('node-cron');
+const { PROFIT_ACCRUAL_CATCHUP_DAYS } = require('../config/wallet.config');
+const { DAY_MS } = require('../services/profitAccrual.service');
+
+/**
+ * ProfitAccrualJob
+ * ----------------
+ * Cron-based job that accrues the previous UTC day's profit shortly after midnight.
+ * Each run also re-checks the preceding PROFIT_ACCRUAL_CATCHUP_DAYS days, so a run
+ * missed during downtime is caught up; already-credited days are skipped.
+ */
+
+class ProfitAccrualJob {
+    constructor({ profitAccrualService, logger = console, catchupDays = PROFIT_ACCRUAL_CATCHUP_DAYS }) {
+        this.svc = profitAccrualService;
+        this.log = logger;
+        this.catchupDays = Math.max(1, catchupDays);
+        this.task = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start cron job
+     * @param {string} schedule - Cron expression, UTC (default: 00:05 every day)
+     */
+    start(schedule = '5 0 * * *') {
+        if (this.task) {
+            this.log.warn('ProfitAccrualJob already running');
+            return this;
+        }
+
+        this.task = cron.schedule(schedule, async () => {
+            if (this.isRunning) {
+                this.log.warn('ProfitAccrualJob: Previous run still in progress, skipping');
+                return;
+            }
+            await this.run().catch(err => this.log.error({ err }, 'ProfitAccrualJob failed'));
+        }, { timezone: 'UTC' });
+
+        this.log.info({ schedule }, 'ProfitAccrualJob started');
+        return this;
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+            this.log.info('ProfitAccrualJob stopped');
+        }
+    }
+
+    /**
+     * Accrue completed days, oldest first, up to yesterday (UTC).
+     * @param {Date} [now]
+     */
+    async run(now = new Date()) {
+        if (this.isRunning) return [];
+
+        this.isRunning = true;
+        try {
+            const results = [];
+            for (let daysAgo = this.catchupDays; daysAgo >= 1; daysAgo--) {
+                results.push(await this.svc.accrueForDate(new Date(now.getTime() - daysAgo * DAY_MS)));
+            }
+            return results;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = { ProfitAccrualJob };
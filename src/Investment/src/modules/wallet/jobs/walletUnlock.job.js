@@ -1,15 +1,16 @@
 'use strict';
 
 const cron = require('node-cron');
-const { PRINCIPAL_LOCK_DAYS } = require('../policies/wallet.policy');
 const { WalletService } = require('../services/wallet.service');
 
 /**
  * WalletUnlockJob
  * ---------------
- * Cron-based job that releases matured principal from Trading locked_balance.
- * Runs every 5 minutes to check for transfers that have reached their 30-day lock period.
- * Unlocks based on exact locked_until timestamp (30 days from user's investment time).
+ * Cron-based job that releases matured principal, compounded profit locks and
+ * profit tranches (PROFIT_LOCK_DAYS) from Trading locked_balance.
+ * Runs every 5 minutes to check for transfers that have reached the end of their lock.
+ * Unlocks based on exact locked_until timestamp (set per transfer from the investment
+ * plan's lock days, or PRINCIPAL_LOCK_DAYS when no plan was chosen).
  */
 
 class WalletUnlockJob {
@@ -52,20 +53,18 @@ class WalletUnlockJob {
     }
 
     async run() {
-        if (PRINCIPAL_LOCK_DAYS <= 0) return;
         if (this.isRunning) return;
 
         this.isRunning = true;
         const startTime = Date.now();
 
         try {
-            // Find matured principal transfers (locked_until has passed)
+            // Find matured locks (locked_until has passed)
             const { rows } = await this.db.query(
                 `SELECT transfer_id, user_id, amount::numeric AS amount, locked_until
                  FROM wallet_transfers
-                 WHERE from_wallet = 'account'
-                   AND to_wallet = 'trading'
-                   AND transfer_type = 'principal'
+                 WHERE to_wallet = 'trading'
+                   AND transfer_type IN ('principal', 'compound', 'profit_lock')
                    AND status = 'active'
                    AND locked_until <= NOW()
                    AND unlocked_at IS NULL
@@ -83,8 +82,7 @@ class WalletUnlockJob {
 
             for (const tr of rows) {
                 try {
-                    await this._unlockOne(tr);
-                    unlocked++;
+                    if (await this._unlockOne(tr)) unlocked++;
                 } catch (err) {
                     failed++;
                     this.log.warn({ err, transfer: tr }, 'Failed to unlock transfer');
@@ -103,24 +101,44 @@ class WalletUnlockJob {
         }
     }
 
-    async _unlockOne({ transfer_id, user_id, amount }) {
-        await this.wallets.withTransaction(async (client) => {
-            // Lock trading wallet
+    /**
+     * Release one matured lock. The row is re-read under a lock inside the transaction:
+     * `amount` from the scan may be stale, and a lock released meanwhile (e.g. early
+     * redemption) must not be released twice.
+     * @returns {Promise<boolean>} false if the lock was no longer active
+     */
+    async _unlockOne({ transfer_id, user_id }) {
+        return this.wallets.withTransaction(async (client) => {
+            // Lock trading wallet first (same order as accrual and transfers)
             const trading = await this.wallets.getWalletForUpdate(client, user_id, 'trading');
 
+            const { rows } = await client.query(
+                `SELECT amount::numeric AS amount, status
+                 FROM wallet_transfers
+                 WHERE transfer_id = $1
+                 FOR UPDATE`,
+                [transfer_id]
+            );
+            if (!rows.length || rows[0].status !== 'active') {
+                this.log.info({ transfer_id, user_id }, 'Lock no longer active, skipped');
+                return false;
+            }
+            const amount = Number(rows[0].amount);
+
             // Reduce locked by amount (never below 0)
-            const delta = -Math.min(Number(trading.locked_balance), Number(amount));
+            const delta = -Math.min(Number(trading.locked_balance), amount);
             await this.wallets.adjustTradingLock(client, user_id, delta);
 
             // Mark as unlocked
             await client.query(
                 `UPDATE wallet_transfers 
                  SET unlocked_at = NOW(), status = 'unlocked' 
-                 WHERE transfer_id = $1`,
+                 WHERE transfer_id = $1 AND status = 'active'`,
                 [transfer_id]
             );
 
-            this.log.info({ transfer_id, user_id, amount }, 'Principal unlocked');
+            this.log.info({ transfer_id, user_id, amount }, 'Lock released');
+            return true;
         });
     }
 }
@@ -0,0 +1,60 @@
+'use strict';
+
+const cfg = require('../config/wallet.config');
+const { round2 } = require('../utils/wallet.utils');
+
+/**
+ * Early redemption penalty schedule.
+ * Releasing a principal lock before locked_until costs a percentage of the principal,
+ * picked from tiers keyed by whole days still remaining on the lock (the highest
+ * tier it reaches), so the penalty slides down as the lock nears maturity.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whole days left until `lockedUntil` (a partial day counts as one).
+ * @param {Date|string} lockedUntil
+ * @param {Date} [now]
+ */
+function daysRemaining(lockedUntil, now = new Date()) {
+    const ms = new Date(lockedUntil).getTime() - now.getTime();
+    return ms > 0 ? Math.ceil(ms / DAY_MS) : 0;
+}
+
+/**
+ * @param {number} days - days remaining on the lock
+ * @param {{minDaysRemaining:number, penaltyPct:number}[]} [tiers] - ascending by minDaysRemaining
+ * @returns {number} penalty in percent of principal
+ */
+function penaltyPctFor(days, tiers = cfg.EARLY_REDEMPTION_PENALTY_TIERS) {
+    let pct = 0;
+    for (const t of tiers) {
+        if (days >= t.minDaysRemaining) pct = t.penaltyPct;
+    }
+    return pct;
+}
+
+/**
+ * Cost of releasing `principal` now instead of at `lockedUntil`.
+ * @returns {{principal:number, daysRemaining:number, penaltyPct:number, penalty:number, netAmount:number}}
+ */
+function quoteEarlyRedemption({ principal, lockedUntil, now = new Date(), tiers = cfg.EARLY_REDEMPTION_PENALTY_TIERS }) {
+    const amount = round2(principal);
+    const days = daysRemaining(lockedUntil, now);
+    const penaltyPct = penaltyPctFor(days, tiers);
+    const penalty = round2((amount * penaltyPct) / 100);
+    return {
+        principal: amount,
+        daysRemaining: days,
+        penaltyPct,
+        penalty,
+        netAmount: round2(amount - penalty),
+    };
+}
+
+module.exports = {
+    daysRemaining,
+    penaltyPctFor,
+    quoteEarlyRedemption,
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+const cfg = require('../config/wallet.config');
+const { round2 } = require('../utils/wallet.utils');
+
+/**
+ * Profit rate plan.
+ * A principal lock earns a daily percentage picked from tiers keyed by the lock's
+ * principal (the highest tier whose minimum it reaches).
+ */
+
+/**
+ * @param {number} principal
+ * @param {{minPrincipal:number, dailyRatePct:number}[]} [tiers] - ascending by minPrincipal
+ * @returns {number} daily rate in percent (0 if below every tier)
+ */
+function dailyRateFor(principal, tiers = cfg.PROFIT_RATE_TIERS) {
+    let rate = 0;
+    for (const t of tiers) {
+        if (Number(principal) >= t.minPrincipal) rate = t.dailyRatePct;
+    }
+    return rate;
+}
+
+/**
+ * One day's profit on `principal` at `dailyRatePct`, rounded to cents.
+ */
+function computeDailyProfit(principal, dailyRatePct) {
+    return round2((Number(principal) * Number(dailyRatePct)) / 100);
+}
+
+/**
+ * Whether a lock's daily profit is rolled back into locked principal instead of
+ * staying withdrawable: the user must opt in, and a lock opened under a plan
+ * additionally needs that plan to allow compounding.
+ * @param {{profit_compounding:boolean, plan_id:string|null, plan_compounding:boolean|null}} lock
+ */
+function compoundsProfit(lock) {
+    if (!lock.profit_compounding) return false;
+    return !lock.plan_id || !!lock.plan_compounding;
+}
+
+/**
+ * UTC calendar date as YYYY-MM-DD (used in accrual idempotency keys).
+ * @param {Date} date
+ */
+function accrualDateKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    dailyRateFor,
+    computeDailyProfit,
+    compoundsProfit,
+    accrualDateKey,
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+const cfg = require('../config/wallet.config');
+const { round2 } = require('../utils/wallet.utils');
+const { dailyRateFor, computeDailyProfit, accrualDateKey } = require('./profitRate.policy');
+
+/**
+ * Earnings projection.
+ * Replays, day by day, what ProfitAccrualService and WalletUnlockJob will do to a
+ * user's Trading wallet if rates and preferences stay as they are today:
+ * - a lock earns for a UTC day if it existed before the day started and is still
+ *   locked when it ends (the day's profit is credited just after midnight)
+ * - compounding principal spawns a `compound` lock that earns from the next full
+ *   day; a compounding `compound` lock grows in place
+ * - otherwise profit is held as a `profit_lock` tranche for PROFIT_LOCK_DAYS
+ * - a lock is released (and reported as maturing) on the day its locked_until falls
+ * - with PROFIT_ACCRUAL_ENABLED=false nothing accrues, so only releases are projected
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} ProjectionLock
+ * @property {string|null} transferId - null for locks the projection creates
+ * @property {'principal'|'compound'|'profit_lock'} type
+ * @property {number} amount
+ * @property {Date} createdAt
+ * @property {Date} lockedUntil
+ * @property {string|null} planId
+ * @property {number|null} planRatePct - plan's daily rate; null = PROFIT_RATE_TIERS by amount
+ * @property {number} lockDays - lock period for compounded children
+ * @property {boolean} compounds - whether this lock's profit is compounded
+ */
+
+/**
+ * @param {object} p
+ * @param {ProjectionLock[]} p.locks - active locks on the Trading wallet
+ * @param {number} p.tradingBalance
+ * @param {number} p.lockedBalance
+ * @param {Date} p.start - the projection starts at the UTC day containing this instant
+ * @param {number} p.days - horizon in days
+ * @param {number} [p.profitLockDays]
+ * @param {{minPrincipal:number, dailyRatePct:number}[]} [p.tiers]
+ * @param {boolean} [p.accrualEnabled] - false = zero profit every day
+ */
+function buildProjection({
+    locks,
+    tradingBalance,
+    lockedBalance,
+    start,
+    days,
+    profitLockDays = cfg.PROFIT_LOCK_DAYS,
+    tiers = cfg.PROFIT_RATE_TIERS,
+    accrualEnabled = cfg.PROFIT_ACCRUAL_ENABLED,
+}) {
+    const day0 = new Date(`${accrualDateKey(start)}T00:00:00.000Z`).getTime();
+    let open = locks.map((l) => ({
+        ...l,
+        amount: round2(l.amount),
+        createdAt: new Date(l.createdAt).getTime(),
+        lockedUntil: new Date(l.lockedUntil).getTime(),
+    }));
+    let balance = round2(tradingBalance);
+    let locked = round2(lockedBalance);
+
+    const series = [];
+    const maturities = [];
+    let totalProfit = 0;
+    let totalCompounded = 0;
+
+    for (let d = 0; d < days; d++) {
+        const dayStart = day0 + d * DAY_MS;
+        const dayEnd = dayStart + DAY_MS;
+        const date = accrualDateKey(new Date(dayStart));
+
+        // releases during the day (locks already past due go on the first day)
+        let released = 0;
+        const stillLocked = [];
+        for (const l of open) {
+            if (l.lockedUntil > dayEnd) {
+                stillLocked.push(l);
+                continue;
+            }
+            released = round2(released + l.amount);
+            maturities.push({
+                date,
+                transferId: l.transferId,
+                type: l.type,
+                amount: l.amount,
+                lockedUntil: new Date(l.lockedUntil),
+                planId: l.planId,
+            });
+        }
+        open = stillLocked;
+        locked = Math.max(0, round2(locked - released));
+
+        // the day's accrual, credited at dayEnd
+        let profit = 0;
+        let compounded = 0;
+        let newlyLocked = 0;
+        const created = [];
+        for (const l of accrualEnabled ? open : []) {
+            if (l.type === 'profit_lock' || l.createdAt >= dayStart) continue;
+
+            const rate = l.planRatePct != null ? l.planRatePct : dailyRateFor(l.amount, tiers);
+            const p = computeDailyProfit(l.amount, rate);
+            if (!(p > 0)) continue;
+            profit = round2(profit + p);
+
+            if (l.compounds) {
+                compounded = round2(compounded + p);
+                newlyLocked = round2(newlyLocked + p);
+                if (l.type === 'compound') {
+                    l.amount = round2(l.amount + p);
+                } else {
+                    created.push({ ...l, transferId: null, type: 'compound', amount: p, createdAt: dayEnd, lockedUntil: dayEnd + l.lockDays * DAY_MS });
+                }
+            } else if (profitLockDays > 0) {
+                newlyLocked = round2(newlyLocked + p);
+                created.push({
+                    transferId: null,
+                    type: 'profit_lock',
+                    amount: p,
+                    createdAt: dayEnd,
+                    lockedUntil: dayEnd + profitLockDays * DAY_MS,
+                    planId: l.planId,
+                    compounds: false,
+                });
+            }
+        }
+        open.push(...created);
+        balance = round2(balance + profit);
+        locked = round2(locked + newlyLocked);
+        totalProfit = round2(totalProfit + profit);
+        totalCompounded = round2(totalCompounded + compounded);
+
+        series.push({
+            date,
+            profit,
+            compounded,
+            released,
+            balances: { trading: balance, locked, available: round2(balance - locked) },
+        });
+    }
+
+    return {
+        from: series.length ? series[0].date : accrualDateKey(new Date(day0)),
+        to: series.length ? series[series.length - 1].date : accrualDateKey(new Date(day0)),
+        summary: {
+            projectedProfit: totalProfit,
+            projectedCompounded: totalCompounded,
+            maturingAmount: round2(maturities.reduce((s, m) => s + m.amount, 0)),
+            endBalances: { trading: balance, locked, available: round2(balance - locked) },
+        },
+        days: series,
+        maturities,
+    };
+}
+
+module.exports = {
+    buildProjection,
+};
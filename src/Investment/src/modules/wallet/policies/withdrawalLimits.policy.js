@@ -0,0 +1,111 @@
+'use strict';
+
+const cfg = require('../config/wallet.config');
+const { round2 } = require('../utils/wallet.utils');
+
+/**
+ * Withdrawal fees and limits.
+ * Pure functions over config + usage figures so they can be unit-tested and reused
+ * for quotes; the withdrawal service supplies usage from the database.
+ */
+
+const DEFAULT_FEES = Object.freeze({
+    networkFee: cfg.WITHDRAWAL_NETWORK_FEE_USD,
+    platformFeePct: cfg.WITHDRAWAL_PLATFORM_FEE_PCT,
+    platformFeeMin: cfg.WITHDRAWAL_PLATFORM_FEE_MIN_USD,
+});
+
+const DEFAULT_LIMITS = Object.freeze({
+    daily: cfg.WITHDRAWAL_DAILY_LIMIT_USD,
+    weekly: cfg.WITHDRAWAL_WEEKLY_LIMIT_USD,
+    monthly: cfg.WITHDRAWAL_MONTHLY_LIMIT_USD,
+    maxPerDay: cfg.WITHDRAWAL_MAX_PER_DAY,
+});
+
+/**
+ * Fees charged on top of the withdrawn amount (the user receives `amount`).
+ * @param {number} amount
+ * @param {{networkFee:number, platformFeePct:number, platformFeeMin:number}} [fees]
+ * @returns {{amount:number, networkFee:number, platformFee:number, totalFees:number, totalDebit:number}}
+ */
+function computeFees(amount, fees = DEFAULT_FEES) {
+    const value = round2(amount);
+    const networkFee = round2(fees.networkFee || 0);
+    const pctFee = round2((value * (fees.platformFeePct || 0)) / 100);
+    const platformFee = Math.max(pctFee, round2(fees.platformFeeMin || 0));
+    const totalFees = round2(networkFee + platformFee);
+
+    return {
+        amount: value,
+        networkFee,
+        platformFee,
+        totalFees,
+        totalDebit: round2(value + totalFees),
+    };
+}
+
+/**
+ * Check a new withdrawal against the user's caps.
+ * Usage covers withdrawals that still hold or have paid out funds (not cancelled,
+ * rejected or expired) over rolling 24h / 7d / 30d windows.
+ *
+ * @param {object} params
+ * @param {number} params.amount
+ * @param {{day:number, week:number, month:number, dayCount:number}} params.usage
+ * @param {{daily?:number, weekly?:number, monthly?:number, maxPerDay?:number}} [params.limits]
+ * @returns {{allowed:true} | {allowed:false, code:string, message:string, meta:object}}
+ */
+function evaluateLimits({ amount, usage, limits = DEFAULT_LIMITS }) {
+    if (limits.maxPerDay !== undefined && usage.dayCount >= limits.maxPerDay) {
+        return {
+            allowed: false,
+            code: 'DAILY_COUNT_EXCEEDED',
+            message: `You can make at most ${limits.maxPerDay} withdrawals per day`,
+            meta: { limit: limits.maxPerDay, used: usage.dayCount },
+        };
+    }
+
+    const windows = [
+        ['daily', 'day', 'DAILY_LIMIT_EXCEEDED'],
+        ['weekly', 'week', 'WEEKLY_LIMIT_EXCEEDED'],
+        ['monthly', 'month', 'MONTHLY_LIMIT_EXCEEDED'],
+    ];
+    for (const [limitKey, usageKey, code] of windows) {
+        const limit = limits[limitKey];
+        if (limit === undefined) continue;
+
+        const used = round2(usage[usageKey] || 0);
+        if (round2(used + amount) > limit) {
+            const remaining = Math.max(0, round2(limit - used));
+            return {
+                allowed: false,
+                code,
+                message: `This exceeds your ${limitKey} withdrawal limit of $${limit.toFixed(2)} ($${remaining.toFixed(2)} remaining)`,
+                meta: { limit, used, remaining },
+            };
+        }
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Remaining allowance per window (undefined = uncapped), for quotes.
+ */
+function remainingAllowance(usage, limits = DEFAULT_LIMITS) {
+    const left = (limit, used) => (limit === undefined ? undefined : Math.max(0, round2(limit - (used || 0))));
+    return {
+        daily: left(limits.daily, usage.day),
+        weekly: left(limits.weekly, usage.week),
+        monthly: left(limits.monthly, usage.month),
+        withdrawalsToday: limits.maxPerDay === undefined ? undefined : Math.max(0, limits.maxPerDay - usage.dayCount),
+    };
+}
+
+module.exports = {
+    DEFAULT_FEES,
+    DEFAULT_LIMITS,
+    computeFees,
+    evaluateLimits,
+    remainingAllowance,
+};
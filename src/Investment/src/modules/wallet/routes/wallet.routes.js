@@ -2,13 +2,24 @@
 
 const { Router } = require('express');
 const { WalletController } = require('../controllers/wallet.controller');
+const { EarlyRedemptionController } = require('../controllers/earlyRedemption.controller');
 
-function createWalletRouter({ transferService, walletService, authenticate, logger = console }) {
-    if (!transferService || !walletService) throw new Error('createWalletRouter requires services');
+function createWalletRouter({
+    transferService,
+    walletService,
+    earlyRedemptionService,
+    projectionService,
+    authenticate,
+    logger = console,
+}) {
+    if (!transferService || !walletService || !earlyRedemptionService || !projectionService) {
+        throw new Error('createWalletRouter requires services');
+    }
     if (!authenticate) throw new Error('createWalletRouter requires authenticate middleware');
 
     const router = Router();
-    const controller = new WalletController({ transferService, walletService, logger });
+    const controller = new WalletController({ transferService, walletService, projectionService, logger });
+    const redemption = new EarlyRedemptionController({ earlyRedemptionService, logger });
 
     // User wallet operations
     router.post('/transfer', authenticate, controller.transfer);
@@ -16,6 +27,13 @@ function createWalletRouter({ transferService, walletService, authenticate, logg
     router.get('/transfers', authenticate, controller.transferHistory);
     router.get('/transactions', authenticate, controller.transactionHistory);
     router.get('/locked', authenticate, controller.lockedFunds);
+    router.get('/projections', authenticate, controller.projections);
+    router.get('/compounding', authenticate, controller.compounding);
+    router.put('/compounding', authenticate, controller.updateCompounding);
+
+    // Early release of a principal lock
+    router.get('/locks/:transferId/redemption-quote', authenticate, redemption.quote);
+    router.post('/locks/:transferId/redeem', authenticate, redemption.redeem);
 
     return router;
 }
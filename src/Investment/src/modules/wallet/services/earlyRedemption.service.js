@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * EarlyRedemptionService
+ * ----------------------
+ * User-initiated release of one principal lock (A→T `principal` transfer) before
+ * its locked_until, at a penalty from policies/earlyRedemption.policy.js:
+ * - quote: what the release would cost right now
+ * - redeem: in one transaction, releases the lock from Trading locked_balance
+ *   (as WalletUnlockJob does at maturity), debits the penalty from Trading as its
+ *   own `early_redemption_penalty` ledger line credited to the platform revenue
+ *   Account wallet, and marks the transfer `redeemed_early`
+ * - the user is notified after commit (best-effort)
+ */
+
+const cfg = require('../config/wallet.config');
+const { WalletError } = require('./wallet.service');
+const { quoteEarlyRedemption } = require('../policies/earlyRedemption.policy');
+
+const PENALTY_REASON = 'early_redemption_penalty';
+
+class EarlyRedemptionService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {import('./wallet.service').WalletService} deps.walletService
+     * @param {{sendEarlyRedemption?:Function}} [deps.notificationService]
+     * @param {(fn:(client:any)=>Promise<any>)=>Promise<any>} [deps.withTransaction]
+     * @param {string} [deps.revenueUserId] - owner of the Account wallet that receives penalties
+     * @param {{minDaysRemaining:number, penaltyPct:number}[]} [deps.penaltyTiers]
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({
+        db,
+        walletService,
+        notificationService,
+        withTransaction,
+        revenueUserId = cfg.PLATFORM_REVENUE_USER_ID,
+        penaltyTiers = cfg.EARLY_REDEMPTION_PENALTY_TIERS,
+        logger = console,
+    }) {
+        this.db = db;
+        this.wallets = walletService;
+        this.notify = notificationService;
+        this.withTransaction = withTransaction || walletService.withTransaction.bind(walletService);
+        this.revenueUserId = revenueUserId;
+        this.penaltyTiers = penaltyTiers;
+        this.log = logger;
+    }
+
+    /**
+     * Price an early redemption of the user's lock without changing anything.
+     */
+    async quote({ userId, transferId, now = new Date() }) {
+        const lock = await this._findLock(this.db, { userId, transferId });
+        this._assertRedeemable(lock, now);
+        return { transferId, lockedUntil: lock.locked_until, ...this._quote(lock, now) };
+    }
+
+    /**
+     * Release the lock now and charge the penalty.
+     * @param {object} params
+     * @param {string} params.userId
+     * @param {string} params.transferId
+     * @param {number} [params.maxPenalty] - reject if the penalty has grown past what the user accepted
+     */
+    async redeem({ userId, transferId, maxPenalty, now = new Date() }) {
+        const result = await this.withTransaction(async (client) => {
+            // Wallet before transfer row, the same order WalletUnlockJob takes them in
+            const trading = await this.wallets.getWalletForUpdate(client, userId, 'trading');
+            const lock = await this._findLock(client, { userId, transferId, forUpdate: true });
+            this._assertRedeemable(lock, now);
+
+            const quote = this._quote(lock, now);
+            if (maxPenalty !== undefined && quote.penalty > maxPenalty) {
+                throw new WalletError('PENALTY_CHANGED', 'The penalty no longer matches the accepted quote', 409, { quote });
+            }
+
+            const delta = -Math.min(Number(trading.locked_balance), quote.principal);
+            await this.wallets.adjustTradingLock(client, userId, delta);
+
+            if (quote.penalty > 0) await this._chargePenalty(client, trading, lock, quote.penalty);
+
+            await client.query(
+                `UPDATE wallet_transfers
+                    SET status = 'redeemed_early', unlocked_at = NOW()
+                  WHERE transfer_id = $1`,
+                [transferId]
+            );
+
+            return {
+                transferId,
+                lockedUntil: lock.locked_until,
+                ...quote,
+                balances: await this.wallets.getBalances(userId),
+            };
+        });
+
+        this.log.info({ userId, transferId, penalty: result.penalty }, 'Principal redeemed early');
+        try { await this.notify?.sendEarlyRedemption?.(userId, result); } catch (e) { this.log.warn({ e }, 'notify failed'); }
+        return result;
+    }
+
+    // -----------------------
+    // Helpers
+    // -----------------------
+    async _findLock(client, { userId, transferId, forUpdate = false }) {
+        const { rows } = await client.query(
+            `SELECT transfer_id, user_id, amount::numeric AS amount, locked_until, unlocked_at, status
+               FROM wallet_transfers
+              WHERE transfer_id = $1
+                AND user_id = $2
+                AND from_wallet = 'account'
+                AND to_wallet = 'trading'
+                AND transfer_type = 'principal'
+              ${forUpdate ? 'FOR UPDATE' : ''}`,
+            [transferId, userId]
+        );
+        if (!rows.length) throw new WalletError('TRANSFER_NOT_FOUND', 'Locked principal not found', 404);
+        return rows[0];
+    }
+
+    _assertRedeemable(lock, now) {
+        if (lock.status !== 'active' || lock.unlocked_at) {
+            throw new WalletError('LOCK_NOT_ACTIVE', 'This principal is no longer locked', 409);
+        }
+        if (!lock.locked_until || new Date(lock.locked_until) <= now) {
+            throw new WalletError('LOCK_MATURED', 'This lock has matured and will be released automatically', 409);
+        }
+    }
+
+    _quote(lock, now) {
+        return quoteEarlyRedemption({ principal: lock.amount, lockedUntil: lock.locked_until, now, tiers: this.penaltyTiers });
+    }
+
+    /**
+     * Trading (user) → Account (platform revenue); the revenue wallet is locked after the user's.
+     */
+    async _chargePenalty(client, trading, lock, penalty) {
+        if (!this.revenueUserId) throw new Error('PLATFORM_REVENUE_USER_ID is not configured');
+        const entry = {
+            amount: penalty,
+            reason: PENALTY_REASON,
+            refType: 'transfer',
+            refId: lock.transfer_id,
+            idempotencyKey: `redemption:${lock.transfer_id}:penalty`,
+        };
+
+        await this.wallets.debit(client, { walletId: trading.wallet_id, currentBalance: trading.balance, ...entry });
+
+        await this.wallets.ensureUserWallets(this.revenueUserId, client);
+        const revenue = await this.wallets.getWalletForUpdate(client, this.revenueUserId, 'account');
+        await this.wallets.credit(client, { walletId: revenue.wallet_id, currentBalance: revenue.balance, ...entry });
+    }
+}
+
+module.exports = { EarlyRedemptionService };
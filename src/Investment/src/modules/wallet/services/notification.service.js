@@ -47,6 +47,85 @@ class NotificationService {
         }
     }
 
+    async sendEarlyRedemption(userId, payload) {
+        if (!NOTIFY_ENABLED) return;
+
+        try {
+            const { rows } = await this.db.query(
+                'SELECT full_name, email FROM users WHERE user_id = $1',
+                [userId]
+            );
+            if (!rows.length) return;
+
+            const user = rows[0];
+            const subject = `🔓 Principal Released Early`;
+            const html = this._getEarlyRedemptionTemplate({ userName: user.full_name, ...payload });
+
+            await this.transporter.sendMail({
+                from: `"Investment Platform" <${process.env.EMAIL_USER}>`,
+                to: user.email,
+                subject,
+                html
+            });
+
+            this.log.info({ userId, transferId: payload.transferId }, 'Early redemption notification sent');
+        } catch (err) {
+            this.log.warn({ err, userId }, 'Early redemption notification failed');
+        }
+    }
+
+    _getEarlyRedemptionTemplate({ userName, transferId, principal, penalty, penaltyPct, netAmount, daysRemaining, lockedUntil }) {
+        return `
+<!DOCTYPE html>
+<html>
+<head>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd; border-radius: 5px; }
+        .header { text-align: center; padding-bottom: 20px; border-bottom: 2px solid #FF9800; }
+        .amount { font-size: 32px; font-weight: bold; color: #FF9800; text-align: center; margin: 20px 0; }
+        .details { background: #f9f9f9; padding: 15px; border-radius: 5px; margin: 20px 0; }
+        .details-row { padding: 8px 0; border-bottom: 1px solid #eee; }
+        .label { font-weight: bold; color: #666; }
+        .footer { margin-top: 30px; font-size: 12px; text-align: center; color: #999; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h2>🔓 Principal Released Early</h2>
+        </div>
+        
+        <p>Hello ${userName},</p>
+        <p>Your locked principal was released before the end of its lock period. The funds are now available in your Trading wallet.</p>
+        
+        <div class="amount">$${Number(netAmount).toFixed(2)}</div>
+        
+        <div class="details">
+            <div class="details-row">
+                <span class="label">Principal:</span> $${Number(principal).toFixed(2)}
+            </div>
+            <div class="details-row">
+                <span class="label">Early Redemption Penalty:</span> $${Number(penalty).toFixed(2)} (${penaltyPct}%)
+            </div>
+            <div class="details-row">
+                <span class="label">Originally Locked Until:</span> ${new Date(lockedUntil).toLocaleDateString()} (${daysRemaining} days remaining)
+            </div>
+            <div class="details-row">
+                <span class="label">Transfer ID:</span> ${transferId}
+            </div>
+        </div>
+        
+        <div class="footer">
+            <p>This is an automated message. Please do not reply.</p>
+            <p>© ${new Date().getFullYear()} Investment Platform</p>
+        </div>
+    </div>
+</body>
+</html>
+        `;
+    }
+
     _getTransferTemplate({ userName, from, to, amount, transferId, balances, lockedUntil }) {
         const lockInfo = lockedUntil ? `<p><strong>Lock Period:</strong> Funds locked until ${new Date(lockedUntil).toLocaleDateString()}</p>` : '';
         
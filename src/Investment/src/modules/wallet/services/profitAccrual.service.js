@@ -0,0 +1,231 @@
+'use strict';
+
+/**
+ * ProfitAccrualService
+ * --------------------
+ * Credits one day's return on every active lock in wallet_transfers (A→T
+ * `principal` transfers and their `compound` children) to the Trading wallet.
+ *
+ * - rate is the lock's investment plan rate, or for locks opened without a plan
+ *   the PROFIT_RATE_TIERS tier for its principal (policies/profitRate.policy.js);
+ *   `compound` children of such a lock use the tier of the root principal
+ * - each credit is a `profit` ledger line with idempotency key
+ *   `profit:<transferId>:<YYYY-MM-DD>`, so re-running a day is a no-op
+ * - with compounding on (users.profit_compounding, and the plan allows it) the
+ *   profit is also locked: a child `compound` row (parent_transfer_id = earning
+ *   lock) gets its own expiry and locked_balance grows by the same amount
+ * - otherwise, with PROFIT_LOCK_DAYS > 0, the profit is held as a `profit_lock`
+ *   tranche that WalletUnlockJob releases after PROFIT_LOCK_DAYS
+ * - the user's active trading_accounts row is upserted in the same transaction
+ * - with a referralService, the upline's profit commissions are paid in the same
+ *   transaction too (source ref `<transferId>:<YYYY-MM-DD>`)
+ *
+ * A lock earns for a UTC day only if it was locked for the whole day: created before
+ * the day started, not maturing (locked_until) nor released (unlocked_at) before it
+ * ended. Eligibility is judged on those timestamps rather than the current status, so
+ * a catch-up run still pays a lock WalletUnlockJob released since the missed day, and
+ * a matured lock the job hasn't released yet earns nothing past maturity.
+ */
+
+const { dailyRateFor, computeDailyProfit, compoundsProfit, accrualDateKey } = require('../policies/profitRate.policy');
+const { PRINCIPAL_LOCK_DAYS, PROFIT_LOCK_DAYS } = require('../policies/wallet.policy');
+const { planDailyRatePct } = require('../../plan/policies/plan.policy');
+
+const BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ProfitAccrualService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {import('./wallet.service').WalletService} deps.walletService
+     * @param {(fn:(client:any)=>Promise<any>)=>Promise<any>} [deps.withTransaction]
+     * @param {import('../../referral/services/referral.service').ReferralService} [deps.referralService]
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({ db, walletService, withTransaction, referralService, logger = console }) {
+        this.db = db;
+        this.wallets = walletService;
+        this.referrals = referralService || null;
+        this.withTransaction = withTransaction || walletService.withTransaction.bind(walletService);
+        this.log = logger;
+    }
+
+    /**
+     * Accrue profit for one UTC calendar day.
+     * @param {Date} date - any instant within the day
+     * @returns {Promise<{date:string, total:number, credited:number, compounded:number, skipped:number, failed:number}>}
+     */
+    async accrueForDate(date) {
+        const dayStart = new Date(`${accrualDateKey(date)}T00:00:00.000Z`);
+        const dateKey = accrualDateKey(dayStart);
+        const summary = { date: dateKey, total: 0, credited: 0, compounded: 0, skipped: 0, failed: 0 };
+
+        let after = null;
+        for (;;) {
+            const batch = await this._listEligible(dayStart, after);
+            if (!batch.length) break;
+
+            for (const transfer of batch) {
+                summary.total++;
+                try {
+                    const outcome = await this._accrueOne(transfer, dayStart);
+                    summary[outcome]++;
+                } catch (err) {
+                    summary.failed++;
+                    this.log.warn({ err, transferId: transfer.transfer_id, date: dateKey }, 'Profit accrual failed');
+                }
+            }
+            after = batch[batch.length - 1].transfer_id;
+        }
+
+        this.log.info(summary, 'Profit accrual complete');
+        return summary;
+    }
+
+    /**
+     * Locks held for the whole day starting at `dayStart` (with their plan's terms, the
+     * owner's compounding preference and, for unplanned children, the root principal's
+     * amount), keyset-paginated by transfer_id.
+     */
+    async _listEligible(dayStart, afterTransferId) {
+        const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+        const { rows } = await this.db.query(
+            `SELECT t.transfer_id, t.user_id, t.amount::numeric AS amount, t.created_at,
+                    t.plan_id, p.rate_pct, p.rate_period, p.lock_days,
+                    p.compounding AS plan_compounding, u.profit_compounding,
+                    CASE WHEN t.plan_id IS NULL AND t.parent_transfer_id IS NOT NULL THEN (
+                        WITH RECURSIVE chain AS (
+                            SELECT transfer_id, parent_transfer_id, amount
+                              FROM wallet_transfers WHERE transfer_id = t.parent_transfer_id
+                            UNION ALL
+                            SELECT w.transfer_id, w.parent_transfer_id, w.amount
+                              FROM wallet_transfers w JOIN chain c ON w.transfer_id = c.parent_transfer_id
+                        )
+                        SELECT amount::numeric FROM chain WHERE parent_transfer_id IS NULL LIMIT 1
+                    ) END AS root_amount
+               FROM wallet_transfers t
+               JOIN users u ON u.user_id = t.user_id
+               LEFT JOIN investment_plans p ON p.plan_id = t.plan_id
+              WHERE t.to_wallet = 'trading'
+                AND t.transfer_type IN ('principal', 'compound')
+                AND t.created_at < $1
+                AND t.locked_until >= $2
+                AND (t.unlocked_at IS NULL OR t.unlocked_at >= $2)
+                AND ($3::uuid IS NULL OR t.transfer_id > $3::uuid)
+              ORDER BY t.transfer_id
+              LIMIT $4`,
+            [dayStart, dayEnd, afterTransferId, BATCH_SIZE]
+        );
+        return rows;
+    }
+
+    /**
+     * @returns {Promise<'credited'|'compounded'|'skipped'>}
+     */
+    async _accrueOne(transfer, dayStart) {
+        const dateKey = accrualDateKey(dayStart);
+        const idempotencyKey = `profit:${transfer.transfer_id}:${dateKey}`;
+        // a compound child without a plan earns at its root principal's tier, not its own
+        const ratePct = transfer.plan_id
+            ? planDailyRatePct(transfer)
+            : dailyRateFor(transfer.root_amount != null ? transfer.root_amount : transfer.amount);
+        const profit = computeDailyProfit(transfer.amount, ratePct);
+        if (!(profit > 0)) return 'skipped';
+
+        return this.withTransaction(async (client) => {
+            // Trading wallet lock serialises accruals (and transfers) for this user
+            const trading = await this.wallets.getWalletForUpdate(client, transfer.user_id, 'trading');
+
+            const { rowCount } = await client.query(
+                `SELECT 1 FROM wallet_transactions WHERE wallet_id = $1 AND idempotency_key = $2 LIMIT 1`,
+                [trading.wallet_id, idempotencyKey]
+            );
+            if (rowCount) return 'skipped';
+
+            const balanceAfter = await this.wallets.credit(client, {
+                walletId: trading.wallet_id,
+                currentBalance: trading.balance,
+                amount: profit,
+                reason: 'profit',
+                refType: 'transfer',
+                refId: transfer.transfer_id,
+                idempotencyKey,
+            });
+
+            const compound = compoundsProfit(transfer);
+            const lockDays = compound
+                ? (transfer.plan_id ? transfer.lock_days : PRINCIPAL_LOCK_DAYS)
+                : PROFIT_LOCK_DAYS;
+            let locked = Number(trading.locked_balance);
+            if (compound || lockDays > 0) {
+                // credit first so locked <= balance holds when the lock grows
+                await this._insertChildLock(client, transfer, {
+                    amount: profit,
+                    type: compound ? 'compound' : 'profit_lock',
+                    lockDays,
+                });
+                const w = await this.wallets.adjustTradingLock(client, transfer.user_id, +profit);
+                locked = Number(w.locked);
+            }
+
+            if (this.referrals) {
+                await this.referrals.payCommissions({
+                    sourceType: 'profit',
+                    sourceUserId: transfer.user_id,
+                    sourceRef: `${transfer.transfer_id}:${dateKey}`,
+                    baseAmount: profit,
+                }, client);
+            }
+
+            await this._upsertTradingAccount(client, {
+                userId: transfer.user_id,
+                principal: locked,
+                currentAmount: balanceAfter,
+                profit,
+                startDate: transfer.created_at,
+                accruedFor: new Date(dayStart.getTime() + DAY_MS - 1),
+            });
+
+            return compound ? 'compounded' : 'credited';
+        });
+    }
+
+    /**
+     * Child lock on freshly credited profit (parent_transfer_id = earning lock).
+     * A `compound` child inherits the parent's plan and, like any lock, earns from
+     * the next full day; a `profit_lock` tranche earns nothing and just matures.
+     */
+    async _insertChildLock(client, parent, { amount, type, lockDays }) {
+        await client.query(
+            `INSERT INTO wallet_transfers
+                (user_id, from_wallet, to_wallet, amount, transfer_type, locked_until, status,
+                 plan_id, parent_transfer_id, created_at)
+             VALUES ($1, 'trading', 'trading', $2, $3, $4, 'active', $5, $6, NOW())`,
+            [
+                parent.user_id,
+                amount,
+                type,
+                new Date(Date.now() + lockDays * DAY_MS),
+                parent.plan_id || null,
+                parent.transfer_id,
+            ]
+        );
+    }
+
+    async _upsertTradingAccount(client, { userId, principal, currentAmount, profit, startDate, accruedFor }) {
+        await client.query(
+            `INSERT INTO trading_accounts
+                (user_id, initial_amount, current_amount, profit_amount, start_date, last_compound_date, status, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, 'active', NOW())
+             ON CONFLICT (user_id) WHERE status = 'active'
+             DO UPDATE SET
+                current_amount = EXCLUDED.current_amount,
+                profit_amount = trading_accounts.profit_amount + EXCLUDED.profit_amount,
+                last_compound_date = GREATEST(trading_accounts.last_compound_date, EXCLUDED.last_compound_date)`,
+            [userId, principal, currentAmount, profit, startDate, accruedFor]
+        );
+    }
+}
+
+module.exports = { ProfitAccrualService, DAY_MS };
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * ProjectionService
+ * -----------------
+ * Loads a user's active Trading locks, their plan terms and compounding
+ * preference, and runs them through policies/projection.policy.js so clients
+ * get projected profit, maturities and balances without re-implementing the math.
+ */
+
+const cfg = require('../config/wallet.config');
+const { PRINCIPAL_LOCK_DAYS } = require('../policies/wallet.policy');
+const { compoundsProfit } = require('../policies/profitRate.policy');
+const { buildProjection } = require('../policies/projection.policy');
+const { planDailyRatePct } = require('../../plan/policies/plan.policy');
+
+class ProjectionService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {import('./wallet.service').WalletService} deps.walletService
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({ db, walletService, logger = console }) {
+        this.db = db;
+        this.wallets = walletService;
+        this.log = logger;
+    }
+
+    /**
+     * @param {object} params
+     * @param {string} params.userId
+     * @param {number} params.days - horizon in days, starting today (UTC)
+     */
+    async projectForUser({ userId, days, now = new Date() }) {
+        const [balances, compounding, rows] = await Promise.all([
+            this.wallets.getBalances(userId),
+            this.wallets.getProfitCompounding(userId),
+            this._listLocks(userId),
+        ]);
+
+        const locks = rows.map((r) => ({
+            transferId: r.transfer_id,
+            type: r.transfer_type,
+            amount: Number(r.amount),
+            createdAt: r.created_at,
+            lockedUntil: r.locked_until,
+            planId: r.plan_id,
+            planRatePct: r.plan_id ? planDailyRatePct(r) : null,
+            lockDays: r.plan_id ? r.lock_days : PRINCIPAL_LOCK_DAYS,
+            compounds: compoundsProfit({ ...r, profit_compounding: !!compounding }),
+        }));
+
+        const projection = buildProjection({
+            locks,
+            tradingBalance: Number(balances.trading),
+            lockedBalance: Number(balances.tradingLocked),
+            start: now,
+            days,
+            accrualEnabled: cfg.PROFIT_ACCRUAL_ENABLED,
+        });
+
+        return {
+            ...projection,
+            assumptions: {
+                accrualEnabled: cfg.PROFIT_ACCRUAL_ENABLED,
+                compounding: !!compounding,
+                profitLockDays: cfg.PROFIT_LOCK_DAYS,
+            },
+        };
+    }
+
+    async _listLocks(userId) {
+        const { rows } = await this.db.query(
+            `SELECT t.transfer_id, t.transfer_type, t.amount::numeric AS amount, t.created_at, t.locked_until,
+                    t.plan_id, p.rate_pct, p.rate_period, p.lock_days, p.compounding AS plan_compounding
+               FROM wallet_transfers t
+               LEFT JOIN investment_plans p ON p.plan_id = t.plan_id
+              WHERE t.user_id = $1
+                AND t.to_wallet = 'trading'
+                AND t.transfer_type IN ('principal', 'compound', 'profit_lock')
+                AND t.status = 'active'
+                AND t.unlocked_at IS NULL
+              ORDER BY t.locked_until`,
+            [userId]
+        );
+        return rows;
+    }
+}
+
+module.exports = { ProjectionService };
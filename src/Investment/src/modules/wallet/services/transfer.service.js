@@ -13,21 +13,25 @@
 
 const { WalletService, WalletError, LOCK_ORDER } = require('./wallet.service');
 const { ValidationService } = require('./validation.service');
-const { MIN_TRADE_USD } = require('../policies/wallet.policy');
+const { MIN_TRADE_USD, PRINCIPAL_LOCK_DAYS } = require('../policies/wallet.policy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class TransferService {
     /**
      * @param {object} deps
      * @param {{query:Function}} deps.db
      * @param {WalletService} deps.walletService
+     * @param {import('../../plan/services/plan.service').PlanService} [deps.planService] - resolves `planId` on A→T
      * @param {{sendTransfer?:Function}} [deps.notificationService]
      * @param {{logTransfer?:Function}} [deps.auditService]
      * @param {(fn:(client:any)=>Promise<any>)=>Promise<any>} [deps.withTransaction]
      * @param {Console|import('pino').Logger} [deps.logger]
      */
-    constructor({ db, walletService, notificationService, auditService, withTransaction, logger = console }) {
+    constructor({ db, walletService, planService, notificationService, auditService, withTransaction, logger = console }) {
         this.db = db;
         this.wallets = walletService;
+        this.plans = planService;
         this.validate = new ValidationService();
         this.notify = notificationService;
         this.audit = auditService;
@@ -42,11 +46,13 @@ class TransferService {
      * @param {'account'|'trading'|'referral'} to
      * @param {number} amount
      * @param {string} [idempotencyKey]
+     * @param {string} [planId] - investment plan for A→T (principal) transfers
      */
-    async transfer(userId, from, to, amount, idempotencyKey) {
+    async transfer(userId, from, to, amount, idempotencyKey, planId) {
         if (from === 'account' && to === 'trading') {
-            return this.transferAccountToTrading(userId, amount, idempotencyKey);
+            return this.transferAccountToTrading(userId, amount, idempotencyKey, planId);
         }
+        if (planId) throw new WalletError('PLAN_NOT_ALLOWED', 'A plan can only be chosen when moving funds to Trading');
         if (from === 'trading' && to === 'account') {
             return this.transferTradingToAccount(userId, amount, idempotencyKey);
         }
@@ -57,16 +63,22 @@ class TransferService {
     }
 
     /**
-     * Account → Trading (locks principal)
+     * Account → Trading (locks principal).
+     * The lock lasts the plan's lock_days when `planId` is given, else PRINCIPAL_LOCK_DAYS.
      */
-    async transferAccountToTrading(userId, amount, idempotencyKey) {
+    async transferAccountToTrading(userId, amount, idempotencyKey, planId) {
         if (!(amount > 0)) throw new WalletError('AMOUNT_INVALID', 'Amount must be > 0');
         if (amount < MIN_TRADE_USD) this.validate.assertMinForAccountToTrading(amount);
+        if (planId && !this.plans) throw new WalletError('PLAN_NOT_FOUND', 'Plan not found', 404);
 
         const result = await this.withTransaction(async (client) => {
             // Ensure wallets exist
             await this.wallets.ensureUserWallets(userId, client);
 
+            // Plan terms (share-locked so they cannot change before commit)
+            const plan = planId ? await this.plans.resolveForPrincipal(client, planId, amount) : null;
+            const lockDays = plan ? plan.lock_days : PRINCIPAL_LOCK_DAYS;
+
             // LOCK in stable order
             const lockSeq = this._lockOrder(['account', 'trading']);
             const locks = {};
@@ -77,14 +89,14 @@ class TransferService {
             // Business checks
             this.validate.assertSufficient(acc.balance, amount);
 
-            // Create transfer record with 30-day lock
-            const lockedUntil = new Date(Date.now() + (30 * 24 * 60 * 60 * 1000));
+            // Create transfer record with the principal lock
+            const lockedUntil = new Date(Date.now() + lockDays * DAY_MS);
             const insTransfer = `
-        INSERT INTO wallet_transfers (user_id, from_wallet, to_wallet, amount, transfer_type, locked_until, status, created_at)
-        VALUES ($1, 'account', 'trading', $2, 'principal', $3, 'active', NOW())
+        INSERT INTO wallet_transfers (user_id, from_wallet, to_wallet, amount, transfer_type, locked_until, status, plan_id, created_at)
+        VALUES ($1, 'account', 'trading', $2, 'principal', $3, 'active', $4, NOW())
         RETURNING transfer_id
       `;
-            const { rows: trows } = await client.query(insTransfer, [userId, amount, lockedUntil]);
+            const { rows: trows } = await client.query(insTransfer, [userId, amount, lockedUntil, plan ? plan.plan_id : null]);
             const transferId = trows[0].transfer_id;
 
             // Debit account, credit trading
@@ -111,7 +123,7 @@ class TransferService {
             // Increase trading locked principal by amount
             await this.wallets.adjustTradingLock(client, userId, +amount);
 
-            return { transferId, balances: await this.wallets.getBalances(userId), lockedUntil };
+            return { transferId, balances: await this.wallets.getBalances(userId), lockedUntil, planId: plan ? plan.plan_id : null };
         });
 
         // Post-commit side effects (fire-and-forget)
@@ -120,10 +132,12 @@ class TransferService {
     }
 
     /**
-     * Trading → Account (profits only; principal remains locked)
+     * Trading → Account (matured funds only; principal and profit tranches still
+     * inside PROFIT_LOCK_DAYS remain locked)
      */
     async transferTradingToAccount(userId, amount, idempotencyKey) {
         if (!(amount > 0)) throw new WalletError('AMOUNT_INVALID', 'Amount must be > 0');
+        this.validate.assertMinProfitWithdrawal(amount);
 
         const result = await this.withTransaction(async (client) => {
             await this.wallets.ensureUserWallets(userId, client);
@@ -7,7 +7,7 @@
  * Keeps TransferService readable and enforces a single source of truth.
  */
 
-const { MIN_TRADE_USD } = require('../policies/wallet.policy');
+const { MIN_TRADE_USD, MIN_PROFIT_WITHDRAWAL } = require('../policies/wallet.policy');
 const { WalletError } = require('./wallet.service');
 
 class ValidationService {
@@ -21,6 +21,16 @@ class ValidationService {
         }
     }
 
+    /**
+     * Ensure the T→A min amount rule (MIN_PROFIT_WITHDRAWAL, 0 = no minimum).
+     * @param {number} amount
+     */
+    assertMinProfitWithdrawal(amount) {
+        if (Number(amount) < MIN_PROFIT_WITHDRAWAL) {
+            throw new WalletError('MIN_PROFIT_WITHDRAWAL', `Minimum transfer from trading is $${MIN_PROFIT_WITHDRAWAL.toFixed(2)}`);
+        }
+    }
+
     /**
      * Ensure source wallet has at least amount.
      * @param {number} sourceBalance
@@ -33,7 +43,8 @@ class ValidationService {
     }
 
     /**
-     * For T→A: only unlocked (profit) can move. available = trading.balance - trading.locked.
+     * For T→A: only unlocked funds (matured profit tranches and principal) can move.
+     * available = trading.balance - trading.locked.
      * @param {number} balance
      * @param {number} locked
      * @param {number} amount
@@ -200,6 +200,34 @@ class WalletService {
         return w;
     }
 
+    /**
+     * Profit compounding preference (daily profit rolled into locked principal).
+     * @param {string} userId
+     * @returns {Promise<boolean|null>} null if the user does not exist
+     */
+    async getProfitCompounding(userId) {
+        const { rows } = await this.db.query(
+            `SELECT profit_compounding FROM users WHERE user_id = $1`,
+            [userId]
+        );
+        return rows.length ? rows[0].profit_compounding : null;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {boolean} enabled
+     * @returns {Promise<boolean|null>} stored value, null if the user does not exist
+     */
+    async setProfitCompounding(userId, enabled) {
+        const { rows } = await this.db.query(
+            `UPDATE users SET profit_compounding = $2, updated_at = NOW()
+              WHERE user_id = $1
+              RETURNING profit_compounding`,
+            [userId, !!enabled]
+        );
+        return rows.length ? rows[0].profit_compounding : null;
+    }
+
     /**
      * Public helper exposed for deposits, unchanged from your previous version.
      * Atomically credit Account with a deposit ledger (idempotent via idempotency_key).
@@ -26,6 +26,7 @@ const TransferBodySchema = z.object({
     amount: AmountSchema,
     transferType: z.enum(['principal', 'profit']).optional(),
     idempotencyKey: z.string().trim().max(64).optional(),
+    planId: z.string().uuid('ERR_PLAN_ID_INVALID').optional(),
 }).superRefine((data, ctx) => {
     // business-rule checks
     if (!isTransferAllowed(data.fromWallet, data.toWallet)) {
@@ -39,6 +40,38 @@ const TransferBodySchema = z.object({
             path: ['amount'],
         });
     }
+    // plans only apply to principal locks
+    if (data.planId && !(data.fromWallet === 'account' && data.toWallet === 'trading')) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'ERR_PLAN_NOT_ALLOWED', path: ['planId'] });
+    }
+});
+
+/**
+ * PUT /wallet/compounding  body validation
+ */
+const CompoundingBodySchema = z.object({
+    enabled: z.boolean(),
+});
+
+/**
+ * GET /wallet/locks/:transferId/redemption-quote and POST /wallet/locks/:transferId/redeem
+ */
+const TransferIdSchema = z.string().uuid('ERR_TRANSFER_ID_INVALID');
+
+const RedeemBodySchema = z.object({
+    // penalty from the quote the user accepted; redeem fails if it would now be higher
+    maxPenalty: z
+        .union([z.string(), z.number()])
+        .transform((v) => Number(v))
+        .refine((n) => Number.isFinite(n) && n >= 0, 'ERR_MAX_PENALTY')
+        .optional(),
+});
+
+/**
+ * GET /wallet/projections  query validation
+ */
+const ProjectionQuerySchema = z.object({
+    days: z.coerce.number().int('ERR_DAYS').min(1, 'ERR_DAYS').max(365, 'ERR_DAYS').default(30),
 });
 
 function validateTransferBody(body) {
@@ -49,8 +82,35 @@ function validateTransferBody(body) {
         to: validated.toWallet,
         amount: validated.amount,
         transferType: validated.transferType,
-        idempotencyKey: validated.idempotencyKey
+        idempotencyKey: validated.idempotencyKey,
+        planId: validated.planId
     };
 }
 
-module.exports = { validateTransferBody, TransferBodySchema };
+function validateCompoundingBody(body) {
+    return CompoundingBodySchema.parse(body);
+}
+
+function validateTransferId(transferId) {
+    return TransferIdSchema.parse(transferId);
+}
+
+function validateRedeemBody(body) {
+    return RedeemBodySchema.parse(body || {});
+}
+
+function validateProjectionQuery(query) {
+    return ProjectionQuerySchema.parse(query || {});
+}
+
+module.exports = {
+    validateTransferBody,
+    validateCompoundingBody,
+    validateTransferId,
+    validateRedeemBody,
+    validateProjectionQuery,
+    TransferBodySchema,
+    CompoundingBodySchema,
+    RedeemBodySchema,
+    ProjectionQuerySchema,
+};
@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Withdrawal Config
+ * -----------------
+ * Environment-driven limits for the withdrawal module.
+ * Frozen so downstream code can’t mutate global config.
+ */
+
+const env = (key, fallback = undefined) => {
+    const v = process.env[key];
+    return v === undefined || v === '' ? fallback : v;
+};
+
+const toInt = (raw, fallback) => {
+    const n = Number(raw);
+    return Number.isInteger(n) && n >= 0 ? n : fallback;
+};
+
+const cfg = {
+    ASSET: env('WITHDRAWAL_ASSET', 'USDT'),
+    NETWORK: String(env('WITHDRAWAL_NETWORK', 'ERC20')).toUpperCase(),
+    MIN_WITHDRAWAL_USD: Number(env('MIN_WITHDRAWAL_USD', 10)),
+    MAX_WITHDRAWAL_USD: env('MAX_WITHDRAWAL_USD') !== undefined ? Number(env('MAX_WITHDRAWAL_USD')) : undefined,
+    MAX_PENDING_PER_USER: toInt(env('WITHDRAWAL_MAX_PENDING_PER_USER', 3), 3),
+    // Minutes a request may wait for its OTP before the hold is released
+    CONFIRMATION_TTL_MINUTES: toInt(env('WITHDRAWAL_CONFIRMATION_TTL_MINUTES', 10), 10),
+    // Hours a newly saved address must wait before it can receive a payout (0 disables)
+    ADDRESS_COOLDOWN_HOURS: toInt(env('WITHDRAWAL_ADDRESS_COOLDOWN_HOURS', 24), 24),
+    MAX_ADDRESSES_PER_USER: toInt(env('WITHDRAWAL_MAX_ADDRESSES_PER_USER', 10), 10),
+    // Automated payouts of approved withdrawals (binance|fake)
+    PAYOUT_ENABLED: env('WITHDRAWAL_PAYOUT_ENABLED', 'false') === 'true',
+    PAYOUT_PROVIDER: String(env('WITHDRAWAL_PAYOUT_PROVIDER', 'binance')).toLowerCase(),
+    PAYOUT_MAX_ATTEMPTS: toInt(env('WITHDRAWAL_PAYOUT_MAX_ATTEMPTS', 5), 5),
+    PAYOUT_RETRY_DELAY_SEC: toInt(env('WITHDRAWAL_PAYOUT_RETRY_DELAY_SEC', 300), 300),
+};
+
+if (!(cfg.MIN_WITHDRAWAL_USD > 0)) throw new Error('MIN_WITHDRAWAL_USD must be > 0');
+if (cfg.MAX_WITHDRAWAL_USD !== undefined && !(cfg.MAX_WITHDRAWAL_USD >= cfg.MIN_WITHDRAWAL_USD)) {
+    throw new Error('MAX_WITHDRAWAL_USD must be >= MIN_WITHDRAWAL_USD');
+}
+if (!(cfg.MAX_PENDING_PER_USER >= 1)) throw new Error('WITHDRAWAL_MAX_PENDING_PER_USER must be >= 1');
+if (!(cfg.MAX_ADDRESSES_PER_USER >= 1)) throw new Error('WITHDRAWAL_MAX_ADDRESSES_PER_USER must be >= 1');
+if (!['binance', 'fake'].includes(cfg.PAYOUT_PROVIDER)) {
+    throw new Error('WITHDRAWAL_PAYOUT_PROVIDER must be binance or fake');
+}
+if (!(cfg.PAYOUT_MAX_ATTEMPTS >= 1)) throw new Error('WITHDRAWAL_PAYOUT_MAX_ATTEMPTS must be >= 1');
+if (!(cfg.CONFIRMATION_TTL_MINUTES >= 1)) throw new Error('WITHDRAWAL_CONFIRMATION_TTL_MINUTES must be >= 1');
+
+module.exports = Object.freeze(cfg);
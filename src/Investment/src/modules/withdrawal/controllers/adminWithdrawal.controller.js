@@ -0,0 +1,119 @@
+'use strict';
+
+/**
+ * AdminWithdrawalController
+ *
+ * Endpoints (auth: admin):
+ * - GET  /admin/withdrawals                          -> queue, filtered by status (default pending)
+ * - POST /admin/withdrawals/:withdrawalId/approve    -> pending -> approved
+ * - POST /admin/withdrawals/:withdrawalId/reject     -> pending|approved|failed -> rejected (hold released)
+ * - POST /admin/withdrawals/:withdrawalId/complete   -> approved|processing -> completed (records binance_tx_id)
+ * - POST /admin/withdrawals/:withdrawalId/retry      -> failed -> approved (payout job tries again)
+ */
+
+const {
+    validateAdminListQuery,
+    validateRejectBody,
+    validateCompleteBody,
+} = require('../validations/withdrawal.validation');
+const { makeAdminWithdrawalDTO, makeWithdrawalDTO, makeListWithdrawalsResponse } = require('../dto/withdrawal.dto');
+const { WithdrawalError } = require('../models/withdrawal.model');
+const { WalletError } = require('../../wallet/services/wallet.service');
+
+class AdminWithdrawalController {
+    constructor({ withdrawalService, logger = console }) {
+        if (!withdrawalService) throw new Error('AdminWithdrawalController requires withdrawalService');
+        this.svc = withdrawalService;
+        this.log = logger;
+
+        this.list = this.list.bind(this);
+        this.approve = this.approve.bind(this);
+        this.reject = this.reject.bind(this);
+        this.complete = this.complete.bind(this);
+        this.retry = this.retry.bind(this);
+    }
+
+    async list(req, res) {
+        try {
+            const { page, limit, status } = validateAdminListQuery(req.query);
+            const { items, total } = await this.svc.listForAdmin({ status, page, limit });
+
+            return res.status(200).json({
+                success: true,
+                data: makeListWithdrawalsResponse(items, page, limit, total, makeAdminWithdrawalDTO),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'admin.withdrawals.list failed');
+        }
+    }
+
+    async approve(req, res) {
+        try {
+            const row = await this.svc.approveWithdrawal({
+                adminId: req.admin.adminId,
+                withdrawalId: req.params.withdrawalId,
+            });
+            return res.status(200).json({ success: true, message: 'Withdrawal approved', data: makeWithdrawalDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.withdrawals.approve failed');
+        }
+    }
+
+    async reject(req, res) {
+        try {
+            const { reason } = validateRejectBody(req.body);
+            const row = await this.svc.rejectWithdrawal({
+                adminId: req.admin.adminId,
+                withdrawalId: req.params.withdrawalId,
+                reason,
+            });
+            return res.status(200).json({
+                success: true,
+                message: 'Withdrawal rejected and funds returned to the user',
+                data: makeWithdrawalDTO(row),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'admin.withdrawals.reject failed');
+        }
+    }
+
+    async complete(req, res) {
+        try {
+            const { binanceTxId } = validateCompleteBody(req.body);
+            const row = await this.svc.completeWithdrawal({
+                adminId: req.admin.adminId,
+                withdrawalId: req.params.withdrawalId,
+                txId: binanceTxId,
+            });
+            return res.status(200).json({ success: true, message: 'Withdrawal marked completed', data: makeWithdrawalDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.withdrawals.complete failed');
+        }
+    }
+
+    async retry(req, res) {
+        try {
+            const row = await this.svc.retryPayout({
+                adminId: req.admin.adminId,
+                withdrawalId: req.params.withdrawalId,
+            });
+            return res.status(200).json({ success: true, message: 'Payout queued for retry', data: makeAdminWithdrawalDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'admin.withdrawals.retry failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof WithdrawalError || err instanceof WalletError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { AdminWithdrawalController };
@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * WithdrawalController
+ *
+ * Endpoints:
+ * - GET  /withdrawals/quote?amount=            (auth: user) -> fees and remaining limits for an amount
+ * - POST /withdrawals                           (auth: user) -> hold funds + fees, send OTP, await confirmation
+ * - POST /withdrawals/:withdrawalId/confirm     (auth: user) -> verify OTP, withdrawal becomes pending
+ * - POST /withdrawals/:withdrawalId/resend-code (auth: user) -> send a fresh OTP
+ * - GET  /withdrawals                           (auth: user) -> list own withdrawals
+ * - GET  /withdrawals/:withdrawalId             (auth: user) -> single withdrawal
+ * - POST /withdrawals/:withdrawalId/cancel      (auth: user) -> cancel an unapproved withdrawal, release hold
+ */
+
+const {
+    validateCreateWithdrawalBody,
+    validateConfirmWithdrawalBody,
+    validateQuoteWithdrawalQuery,
+    validateListWithdrawalsQuery,
+} = require('../validations/withdrawal.validation');
+const { makeWithdrawalDTO, makeWithdrawalQuoteDTO, makeListWithdrawalsResponse } = require('../dto/withdrawal.dto');
+const { WithdrawalError } = require('../models/withdrawal.model');
+const { WalletError } = require('../../wallet/services/wallet.service');
+
+class WithdrawalController {
+    constructor({ withdrawalService, logger = console }) {
+        if (!withdrawalService) throw new Error('WithdrawalController requires withdrawalService');
+        this.svc = withdrawalService;
+        this.log = logger;
+
+        this.quote = this.quote.bind(this);
+        this.create = this.create.bind(this);
+        this.confirm = this.confirm.bind(this);
+        this.resendCode = this.resendCode.bind(this);
+        this.list = this.list.bind(this);
+        this.get = this.get.bind(this);
+        this.cancel = this.cancel.bind(this);
+    }
+
+    async quote(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { amount } = validateQuoteWithdrawalQuery(req.query);
+            const quote = await this.svc.quoteWithdrawal({ userId, amount });
+
+            return res.status(200).json({ success: true, data: makeWithdrawalQuoteDTO(quote) });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawal.quote failed');
+        }
+    }
+
+    async create(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { amount, addressId } = validateCreateWithdrawalBody(req.body);
+            const { withdrawal, delivery } = await this.svc.requestWithdrawal({ userId, amount, addressId });
+
+            return res.status(201).json({
+                success: true,
+                message: delivery
+                    ? `Withdrawal requested. Enter the code sent via ${delivery} to confirm.`
+                    : 'Withdrawal requested, but the confirmation code could not be sent. Please request a new code.',
+                data: { ...makeWithdrawalDTO(withdrawal), delivery, nextStep: 'confirm_withdrawal' },
+            });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawal.create failed');
+        }
+    }
+
+    async confirm(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { code } = validateConfirmWithdrawalBody(req.body);
+            const row = await this.svc.confirmWithdrawal({ userId, withdrawalId: req.params.withdrawalId, code });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Withdrawal confirmed. Funds are on hold pending review.',
+                data: makeWithdrawalDTO(row),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawal.confirm failed');
+        }
+    }
+
+    async resendCode(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { withdrawal, delivery } = await this.svc.resendConfirmation({
+                userId,
+                withdrawalId: req.params.withdrawalId,
+            });
+
+            return res.status(200).json({
+                success: true,
+                message: `Confirmation code sent via ${delivery}`,
+                data: { ...makeWithdrawalDTO(withdrawal), delivery },
+            });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawal.resendCode failed');
+        }
+    }
+
+    async list(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { page, limit, status } = validateListWithdrawalsQuery(req.query);
+            const { items, total } = await this.svc.listWithdrawals({ userId, page, limit, status });
+
+            return res.status(200).json({
+                success: true,
+                data: makeListWithdrawalsResponse(items, page, limit, total),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawal.list failed');
+        }
+    }
+
+    async get(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const row = await this.svc.getWithdrawal({ userId, withdrawalId: req.params.withdrawalId });
+            return res.status(200).json({ success: true, data: makeWithdrawalDTO(row) });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawal.get failed');
+        }
+    }
+
+    async cancel(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const row = await this.svc.cancelWithdrawal({ userId, withdrawalId: req.params.withdrawalId });
+            return res.status(200).json({
+                success: true,
+                message: 'Withdrawal cancelled. Funds returned to your Account Wallet.',
+                data: makeWithdrawalDTO(row),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawal.cancel failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof WithdrawalError || err instanceof WalletError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { WithdrawalController };
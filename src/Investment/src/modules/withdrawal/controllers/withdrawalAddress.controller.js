@@ -0,0 +1,100 @@
+'use strict';
+
+/**
+ * WithdrawalAddressController
+ *
+ * Endpoints (auth: user):
+ * - GET    /withdrawal-addresses             -> saved addresses (with usable flag)
+ * - POST   /withdrawal-addresses/otp         -> send the code required to add an address
+ * - POST   /withdrawal-addresses             -> add an address (label, network, address, code)
+ * - DELETE /withdrawal-addresses/:addressId  -> remove an address
+ */
+
+const { validateAddWithdrawalAddressBody } = require('../validations/withdrawal.validation');
+const { makeWithdrawalAddressDTO, makeListWithdrawalAddressesResponse } = require('../dto/withdrawalAddress.dto');
+const { WithdrawalError } = require('../models/withdrawal.model');
+
+class WithdrawalAddressController {
+    constructor({ addressService, logger = console }) {
+        if (!addressService) throw new Error('WithdrawalAddressController requires addressService');
+        this.svc = addressService;
+        this.log = logger;
+
+        this.list = this.list.bind(this);
+        this.requestCode = this.requestCode.bind(this);
+        this.add = this.add.bind(this);
+        this.remove = this.remove.bind(this);
+    }
+
+    async list(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const rows = await this.svc.listAddresses({ userId });
+            return res.status(200).json({ success: true, data: makeListWithdrawalAddressesResponse(rows) });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawalAddress.list failed');
+        }
+    }
+
+    async requestCode(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const delivery = await this.svc.requestAddCode({ userId });
+            return res.status(200).json({
+                success: true,
+                message: `Verification code sent via ${delivery}`,
+                data: { delivery, nextStep: 'add_withdrawal_address' },
+            });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawalAddress.requestCode failed');
+        }
+    }
+
+    async add(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            const { label, network, address, code } = validateAddWithdrawalAddressBody(req.body);
+            const row = await this.svc.addAddress({ userId, label, network, address, code });
+
+            return res.status(201).json({
+                success: true,
+                message: 'Address saved. It can be used for withdrawals once the security hold ends.',
+                data: makeWithdrawalAddressDTO(row),
+            });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawalAddress.add failed');
+        }
+    }
+
+    async remove(req, res) {
+        try {
+            const userId = req.user?.userId;
+            if (!userId) return res.status(401).json({ success: false, message: 'Unauthorized' });
+
+            await this.svc.removeAddress({ userId, addressId: req.params.addressId });
+            return res.status(200).json({ success: true, message: 'Address removed' });
+        } catch (err) {
+            return this._handle(err, res, 'withdrawalAddress.remove failed');
+        }
+    }
+
+    _handle(err, res, logMessage) {
+        if (err instanceof WithdrawalError) {
+            return res.status(err.status || 400).json({ success: false, error: err.code, message: err.message });
+        }
+        if (err?.issues?.length) {
+            const first = err.issues[0];
+            return res.status(400).json({ success: false, error: 'VALIDATION_ERROR', message: first?.message || 'Invalid request' });
+        }
+        this.log.error({ err }, logMessage);
+        return res.status(500).json({ success: false, error: 'SERVER_ERROR', message: 'Something went wrong' });
+    }
+}
+
+module.exports = { WithdrawalAddressController };
@@ -0,0 +1,92 @@
+'use strict';
+
+/**
+ * DTOs for withdrawal responses.
+ * Plain factories so controllers stay small and shapes stay consistent.
+ */
+
+const WithdrawalStatus = Object.freeze({
+    AWAITING_CONFIRMATION: 'awaiting_confirmation',
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    REJECTED: 'rejected',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+});
+
+function makeWithdrawalDTO(row) {
+    return {
+        withdrawalId: row.withdrawal_id,
+        amount: Number(row.amount || 0),
+        networkFee: Number(row.network_fee || 0),
+        platformFee: Number(row.platform_fee || 0),
+        wallet: row.wallet_type,
+        address: row.binance_address,
+        addressId: row.address_id || null,
+        txId: row.binance_tx_id || null,
+        status: row.status,
+        requestedAt: row.requested_at,
+        confirmationExpiresAt: row.confirmation_expires_at || null,
+        confirmedAt: row.confirmed_at || null,
+        approvedAt: row.approved_at || null,
+        completedAt: row.completed_at || null,
+        rejectionReason: row.rejection_reason || null,
+    };
+}
+
+function makeAdminWithdrawalDTO(row) {
+    return {
+        ...makeWithdrawalDTO(row),
+        userId: row.user_id,
+        userName: row.full_name,
+        userEmail: row.email,
+        adminApproved: !!row.admin_approved,
+        approvedBy: row.approved_by || null,
+        rejectedBy: row.rejected_by || null,
+        rejectedAt: row.rejected_at || null,
+        providerWithdrawalId: row.provider_withdrawal_id || null,
+        payoutAttempts: Number(row.payout_attempts || 0),
+        payoutError: row.payout_error || null,
+        nextPayoutAt: row.next_payout_at || null,
+        feeRefundShortfall: Number(row.fee_refund_shortfall || 0),
+    };
+}
+
+/**
+ * Fee and limit preview for a prospective withdrawal.
+ */
+function makeWithdrawalQuoteDTO({ fees, limits, allowed, rejection }) {
+    return {
+        amount: fees.amount,
+        networkFee: fees.networkFee,
+        platformFee: fees.platformFee,
+        totalFees: fees.totalFees,
+        totalDebit: fees.totalDebit,
+        allowed,
+        rejection: rejection || null,
+        remaining: limits,
+    };
+}
+
+function makeListWithdrawalsResponse(rows, page, limit, total, toDTO = makeWithdrawalDTO) {
+    return {
+        withdrawals: rows.map(toDTO),
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+        },
+    };
+}
+
+module.exports = {
+    WithdrawalStatus,
+    makeWithdrawalDTO,
+    makeAdminWithdrawalDTO,
+    makeWithdrawalQuoteDTO,
+    makeListWithdrawalsResponse,
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * DTOs for the withdrawal address book.
+ */
+
+function makeWithdrawalAddressDTO(row, now = new Date()) {
+    const usableAfter = new Date(row.usable_after);
+    return {
+        addressId: row.address_id,
+        label: row.label,
+        network: row.network,
+        address: row.address,
+        createdAt: row.created_at,
+        usableAfter: row.usable_after,
+        usable: usableAfter <= now,
+    };
+}
+
+function makeListWithdrawalAddressesResponse(rows) {
+    const now = new Date();
+    return { addresses: rows.map((r) => makeWithdrawalAddressDTO(r, now)) };
+}
+
+module.exports = {
+    makeWithdrawalAddressDTO,
+    makeListWithdrawalAddressesResponse,
+};
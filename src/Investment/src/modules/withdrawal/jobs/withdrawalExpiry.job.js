@@ -0,0 +1,79 @@
+'use strict';
+
+const cron = require('node-cron');
+
+/**
+ * WithdrawalExpiryJob
+ * -------------------
+ * Cron-based job that expires withdrawal requests whose OTP was never confirmed.
+ * Each expired request releases its hold back to the Account wallet.
+ */
+
+class WithdrawalExpiryJob {
+    constructor({ withdrawalService, logger = console }) {
+        this.svc = withdrawalService;
+        this.log = logger;
+        this.task = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start cron job
+     * @param {string} schedule - Cron expression (default: every minute)
+     */
+    start(schedule = '* * * * *') {
+        if (this.task) {
+            this.log.warn('WithdrawalExpiryJob already running');
+            return this;
+        }
+
+        this.task = cron.schedule(schedule, async () => {
+            if (this.isRunning) {
+                this.log.warn('WithdrawalExpiryJob: Previous run still in progress, skipping');
+                return;
+            }
+            await this.run().catch(err => this.log.error({ err }, 'WithdrawalExpiryJob failed'));
+        });
+
+        this.log.info({ schedule }, 'WithdrawalExpiryJob started');
+        return this;
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+            this.log.info('WithdrawalExpiryJob stopped');
+        }
+    }
+
+    async run() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        try {
+            const rows = await this.svc.listExpiredUnconfirmed(100);
+            if (rows.length === 0) return;
+
+            let expired = 0;
+            let failed = 0;
+
+            for (const row of rows) {
+                try {
+                    await this.svc.expireWithdrawal({ userId: row.user_id, withdrawalId: row.withdrawal_id });
+                    expired++;
+                } catch (err) {
+                    // INVALID_TRANSITION here means the user confirmed/cancelled in the meantime
+                    failed++;
+                    this.log.warn({ err, withdrawalId: row.withdrawal_id }, 'Failed to expire withdrawal');
+                }
+            }
+
+            this.log.info({ total: rows.length, expired, failed }, 'WithdrawalExpiryJob: Cycle complete');
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+module.exports = { WithdrawalExpiryJob };
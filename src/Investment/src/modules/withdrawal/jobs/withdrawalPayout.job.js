@@ -0,0 +1,203 @@
+'use strict';
+
+const cron = require('node-cron');
+const cfg = require('../config/withdrawal.config');
+const { WithdrawalRepository } = require('../models/withdrawal.model');
+const { toBinanceNetwork } = require('../../deposit/utils/txUtils');
+
+// Wait this long before assuming a claimed payout never reached the provider
+const RESUBMIT_GRACE_MS = 10 * 60 * 1000;
+
+/**
+ * WithdrawalPayoutJob
+ * -------------------
+ * Pays out approved withdrawals through a payout provider
+ * (BinanceProvider, or FakePayoutProvider locally/in tests):
+ *
+ * 1. submit: APPROVED -> PROCESSING, then submit with withdrawOrderId = withdrawal_id.
+ *    The provider is asked for that order id first, so a payout that was sent
+ *    before a crash is adopted instead of sent twice.
+ *    Submit errors go back to APPROVED with exponential backoff, or to FAILED
+ *    after WITHDRAWAL_PAYOUT_MAX_ATTEMPTS.
+ * 2. poll: PROCESSING -> COMPLETED (records the on-chain tx id) or FAILED.
+ *
+ * FAILED withdrawals keep their hold; an admin retries or rejects them.
+ */
+
+class WithdrawalPayoutJob {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {{submitWithdrawal:Function, getWithdrawalStatus:Function}} deps.provider
+     * @param {WithdrawalRepository} [deps.repo]
+     * @param {Console|import('pino').Logger} [deps.logger]
+     * @param {number} [deps.maxAttempts]
+     * @param {number} [deps.retryDelayMs] - base delay, doubled per attempt
+     */
+    constructor({
+        db,
+        provider,
+        repo,
+        logger = console,
+        maxAttempts = cfg.PAYOUT_MAX_ATTEMPTS,
+        retryDelayMs = cfg.PAYOUT_RETRY_DELAY_SEC * 1000,
+    }) {
+        if (!provider) throw new Error('WithdrawalPayoutJob requires provider');
+        this.db = db;
+        this.repo = repo || new WithdrawalRepository(db);
+        this.provider = provider;
+        this.log = logger;
+        this.maxAttempts = maxAttempts;
+        this.retryDelayMs = retryDelayMs;
+        this.task = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start cron job
+     * @param {string} schedule - Cron expression (default: every minute)
+     */
+    start(schedule = '* * * * *') {
+        if (this.task) {
+            this.log.warn('WithdrawalPayoutJob already running');
+            return this;
+        }
+
+        this.task = cron.schedule(schedule, async () => {
+            if (this.isRunning) {
+                this.log.warn('WithdrawalPayoutJob: Previous run still in progress, skipping');
+                return;
+            }
+            await this.run().catch(err => this.log.error({ err }, 'WithdrawalPayoutJob failed'));
+        });
+
+        this.log.info({ schedule }, 'WithdrawalPayoutJob started');
+        return this;
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+            this.log.info('WithdrawalPayoutJob stopped');
+        }
+    }
+
+    /**
+     * One submit + poll cycle.
+     * @returns {Promise<Record<string, number>>} outcome counts
+     */
+    async run() {
+        if (this.isRunning) return {};
+
+        this.isRunning = true;
+        const counts = {};
+        const tally = (outcome) => { counts[outcome] = (counts[outcome] || 0) + 1; };
+
+        try {
+            for (const row of await this.repo.listPayable()) {
+                tally(await this._submitOne(row));
+            }
+            for (const row of await this.repo.listProcessing()) {
+                tally(await this._pollOne(row));
+            }
+
+            if (Object.keys(counts).length) this.log.info(counts, 'WithdrawalPayoutJob: Cycle complete');
+            return counts;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async _submitOne(row) {
+        let claimed;
+        try {
+            claimed = await this.repo.markProcessing(this.db, row.withdrawal_id, {
+                attempts: Number(row.payout_attempts || 0) + 1,
+            });
+        } catch (err) {
+            // Rejected or claimed elsewhere since it was listed
+            if (err.code === 'INVALID_TRANSITION') return 'skipped';
+            throw err;
+        }
+        return this._dispatch(claimed);
+    }
+
+    /**
+     * Send a claimed (PROCESSING, no provider id yet) withdrawal to the provider.
+     */
+    async _dispatch(row) {
+        const withdrawOrderId = row.withdrawal_id;
+        try {
+            const existing = await this.provider.getWithdrawalStatus({ withdrawOrderId, coin: cfg.ASSET });
+            const { providerId } = existing || await this.provider.submitWithdrawal({
+                withdrawOrderId,
+                address: row.binance_address,
+                amount: Number(row.amount),
+                coin: cfg.ASSET,
+                network: toBinanceNetwork(cfg.NETWORK),
+            });
+
+            await this.repo.setProviderWithdrawalId(this.db, withdrawOrderId, providerId);
+            this.log.info({ withdrawalId: withdrawOrderId, providerId }, 'Withdrawal payout submitted');
+            return 'submitted';
+        } catch (err) {
+            return this._onSubmitError(row, err);
+        }
+    }
+
+    async _onSubmitError(row, err) {
+        const attempts = Number(row.payout_attempts || 0);
+        const error = String(err?.response?.data?.msg || err?.message || err).slice(0, 255);
+
+        if (attempts >= this.maxAttempts) {
+            await this.repo.markPayoutFailed(this.db, row.withdrawal_id, { error });
+            this.log.error({ err, withdrawalId: row.withdrawal_id, attempts }, 'Withdrawal payout failed, retries exhausted');
+            return 'failed';
+        }
+
+        const nextPayoutAt = new Date(Date.now() + this.retryDelayMs * 2 ** (attempts - 1));
+        await this.repo.markPayoutRetry(this.db, row.withdrawal_id, { error, nextPayoutAt });
+        this.log.warn({ err, withdrawalId: row.withdrawal_id, attempts, nextPayoutAt }, 'Withdrawal payout will be retried');
+        return 'retry';
+    }
+
+    async _pollOne(row) {
+        const withdrawOrderId = row.withdrawal_id;
+        let status;
+        try {
+            status = await this.provider.getWithdrawalStatus({ withdrawOrderId, coin: cfg.ASSET });
+        } catch (err) {
+            this.log.warn({ err, withdrawalId: withdrawOrderId }, 'Withdrawal payout status check failed');
+            return 'unchanged';
+        }
+
+        if (!status) {
+            // Claimed but never acknowledged by the provider (e.g. crash before submit)
+            const claimedAt = row.submitted_at ? new Date(row.submitted_at).getTime() : 0;
+            if (!row.provider_withdrawal_id && Date.now() - claimedAt > RESUBMIT_GRACE_MS) {
+                return this._dispatch(row);
+            }
+            return 'unchanged';
+        }
+
+        if (!row.provider_withdrawal_id) {
+            await this.repo.setProviderWithdrawalId(this.db, withdrawOrderId, status.providerId);
+        }
+
+        if (status.status === 'COMPLETED') {
+            await this.repo.markCompleted(this.db, withdrawOrderId, { txId: status.txId });
+            this.log.info({ withdrawalId: withdrawOrderId, txId: status.txId }, 'Withdrawal payout completed');
+            return 'completed';
+        }
+        if (status.status === 'FAILED') {
+            const error = String(status.info || 'Payout failed at provider').slice(0, 255);
+            await this.repo.markPayoutFailed(this.db, withdrawOrderId, { error });
+            this.log.error({ withdrawalId: withdrawOrderId, info: status.info }, 'Withdrawal payout failed at provider');
+            return 'failed';
+        }
+        return 'unchanged';
+    }
+}
+
+module.exports = { WithdrawalPayoutJob };
@@ -0,0 +1,383 @@
+'use strict';
+
+const { WithdrawalStatus } = require('../dto/withdrawal.dto');
+const { sourcesFor, OPEN_STATUSES, RELEASED_STATUSES } = require('../policies/withdrawal.policy');
+
+class WithdrawalError extends Error {
+    constructor(code, message, status = 400, meta = undefined) {
+        super(message || code);
+        this.name = 'WithdrawalError';
+        this.code = code;
+        this.status = status;
+        this.meta = meta;
+    }
+}
+
+/**
+ * Repository expects a pg-like client:
+ *   db.query(text, params) -> { rows, rowCount }
+ * Every method accepts an optional client so it can join a caller's transaction.
+ */
+class WithdrawalRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('WithdrawalRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+        this.table = 'withdrawals';
+    }
+
+    /**
+     * Insert a new withdrawal awaiting OTP confirmation until `confirmationExpiresAt`.
+     */
+    async create(
+        { userId, amount, walletType = 'account', address, addressId = null, networkFee = 0, platformFee = 0, confirmationExpiresAt },
+        client = this.db
+    ) {
+        const { rows } = await client.query(
+            `INSERT INTO ${this.table}
+                (user_id, amount, wallet_type, binance_address, address_id, network_fee, platform_fee,
+                 status, confirmation_expires_at, requested_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+             RETURNING *`,
+            [
+                userId, amount, walletType, address, addressId, networkFee, platformFee,
+                WithdrawalStatus.AWAITING_CONFIRMATION, confirmationExpiresAt,
+            ]
+        );
+        return rows[0];
+    }
+
+    async findById(withdrawalId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} WHERE withdrawal_id = $1 LIMIT 1`,
+            [withdrawalId]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Lock a user's withdrawal row (SELECT ... FOR UPDATE). Must run inside a transaction.
+     */
+    async findForUpdate(client, withdrawalId, userId = undefined) {
+        const params = [withdrawalId];
+        let userSql = '';
+        if (userId) {
+            userSql = 'AND user_id = $2';
+            params.push(userId);
+        }
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table} WHERE withdrawal_id = $1 ${userSql} FOR UPDATE`,
+            params
+        );
+        return rows[0] || null;
+    }
+
+    async countOpenForUser(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT COUNT(*)::int AS total FROM ${this.table}
+              WHERE user_id = $1 AND status = ANY($2::withdrawal_status_enum[])`,
+            [userId, OPEN_STATUSES]
+        );
+        return rows[0]?.total || 0;
+    }
+
+    /**
+     * Amounts and count withdrawn over rolling 24h / 7d / 30d windows, for limit checks.
+     * Released withdrawals (cancelled, rejected, expired) do not count.
+     * @returns {Promise<{day:number, week:number, month:number, dayCount:number}>}
+     */
+    async getUsage(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT
+                COALESCE(SUM(amount) FILTER (WHERE requested_at > NOW() - INTERVAL '1 day'), 0)::numeric  AS day,
+                COALESCE(SUM(amount) FILTER (WHERE requested_at > NOW() - INTERVAL '7 days'), 0)::numeric AS week,
+                COALESCE(SUM(amount), 0)::numeric                                                         AS month,
+                COUNT(*) FILTER (WHERE requested_at > NOW() - INTERVAL '1 day')::int                      AS day_count
+               FROM ${this.table}
+              WHERE user_id = $1
+                AND requested_at > NOW() - INTERVAL '30 days'
+                AND status <> ALL($2::withdrawal_status_enum[])`,
+            [userId, RELEASED_STATUSES]
+        );
+        const r = rows[0] || {};
+        return {
+            day: Number(r.day || 0),
+            week: Number(r.week || 0),
+            month: Number(r.month || 0),
+            dayCount: Number(r.day_count || 0),
+        };
+    }
+
+    /**
+     * The user's withdrawal still waiting for its OTP, if any (at most one at a time).
+     */
+    async findAwaitingForUser(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table}
+              WHERE user_id = $1 AND status = $2
+              ORDER BY requested_at DESC
+              LIMIT 1`,
+            [userId, WithdrawalStatus.AWAITING_CONFIRMATION]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Unconfirmed withdrawals whose confirmation window has passed.
+     */
+    async listExpiredUnconfirmed(limit = 100, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT withdrawal_id, user_id, amount
+               FROM ${this.table}
+              WHERE status = $1
+                AND confirmation_expires_at <= NOW()
+              ORDER BY confirmation_expires_at
+              LIMIT $2`,
+            [WithdrawalStatus.AWAITING_CONFIRMATION, limit]
+        );
+        return rows;
+    }
+
+
+    /**
+     * Guarded state change: only succeeds if the current status may move to `to`
+     * (see policies/withdrawal.policy.js). Extra columns are set in the same UPDATE.
+     * @param {any} client
+     * @param {string} withdrawalId
+     * @param {string} to
+     * @param {Record<string, any>} [set] - column -> value
+     * @param {string[]} [from] - narrow the allowed source states (must be valid sources of `to`)
+     */
+    async transition(client, withdrawalId, to, set = {}, from = sourcesFor(to)) {
+        const allowed = sourcesFor(to);
+        if (from.some((s) => !allowed.includes(s))) {
+            throw new Error(`Invalid source states for ${to}: ${from.join(', ')}`);
+        }
+        const cols = Object.keys(set);
+        const assignments = cols.map((c, i) => `${c} = $${i + 4}`);
+        const { rows } = await client.query(
+            `UPDATE ${this.table}
+                SET ${['status = $2', ...assignments].join(', ')}
+              WHERE withdrawal_id = $1
+                AND status = ANY($3::withdrawal_status_enum[])
+              RETURNING *`,
+            [withdrawalId, to, from, ...cols.map((c) => set[c])]
+        );
+        if (!rows[0]) {
+            throw new WithdrawalError('INVALID_TRANSITION', `Only ${from.join('/')} withdrawals can become ${to}`, 409);
+        }
+        return rows[0];
+    }
+
+    async markConfirmed(client, withdrawalId) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.PENDING, {
+            confirmed_at: new Date(),
+        });
+    }
+
+    async markCancelled(client, withdrawalId) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.CANCELLED);
+    }
+
+    async markExpired(client, withdrawalId) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.EXPIRED);
+    }
+
+    async markApproved(client, withdrawalId, { adminId }) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.APPROVED, {
+            admin_approved: true,
+            approved_by: adminId,
+            approved_at: new Date(),
+        }, [WithdrawalStatus.PENDING]);
+    }
+
+    async markRejected(client, withdrawalId, { adminId, reason }) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.REJECTED, {
+            rejected_by: adminId,
+            rejection_reason: reason,
+            rejected_at: new Date(),
+            next_payout_at: null, // cancels a scheduled payout retry
+        });
+    }
+
+    async markCompleted(client, withdrawalId, { txId }) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.COMPLETED, {
+            binance_tx_id: txId,
+            completed_at: new Date(),
+        });
+    }
+
+    // -----------------------
+    // Payout tracking (jobs/withdrawalPayout.job.js)
+    // -----------------------
+
+    /**
+     * APPROVED -> PROCESSING: claim a withdrawal for payout and count the attempt.
+     */
+    async markProcessing(client, withdrawalId, { attempts }) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.PROCESSING, {
+            payout_attempts: attempts,
+            submitted_at: new Date(),
+        });
+    }
+
+    /**
+     * Record the provider's payout id on a PROCESSING withdrawal.
+     */
+    async setProviderWithdrawalId(client, withdrawalId, providerId) {
+        const { rows } = await client.query(
+            `UPDATE ${this.table} SET provider_withdrawal_id = $2, payout_error = NULL
+              WHERE withdrawal_id = $1 AND status = $3
+              RETURNING *`,
+            [withdrawalId, providerId, WithdrawalStatus.PROCESSING]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * PROCESSING -> APPROVED so the payout job retries after `nextPayoutAt`.
+     */
+    async markPayoutRetry(client, withdrawalId, { error, nextPayoutAt }) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.APPROVED, {
+            payout_error: error,
+            next_payout_at: nextPayoutAt,
+        }, [WithdrawalStatus.PROCESSING]);
+    }
+
+    /**
+     * PROCESSING -> FAILED: the provider refused the payout or retries ran out.
+     */
+    async markPayoutFailed(client, withdrawalId, { error }) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.FAILED, {
+            payout_error: error,
+        });
+    }
+
+    /**
+     * FAILED -> APPROVED on admin request, with a fresh attempt budget.
+     */
+    async resetPayout(client, withdrawalId) {
+        return this.transition(client, withdrawalId, WithdrawalStatus.APPROVED, {
+            payout_attempts: 0,
+            payout_error: null,
+            next_payout_at: null,
+        }, [WithdrawalStatus.FAILED]);
+    }
+
+    /**
+     * Fee refund the revenue wallet couldn't cover when the withdrawal was released
+     * (the user was refunded in full); settled out of band.
+     */
+    async recordFeeRefundShortfall(client, withdrawalId, amount) {
+        const { rows } = await client.query(
+            `UPDATE ${this.table} SET fee_refund_shortfall = $2
+              WHERE withdrawal_id = $1
+              RETURNING *`,
+            [withdrawalId, amount]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * Approved withdrawals due for a payout attempt (oldest approval first).
+     */
+    async listPayable(limit = 20, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table}
+              WHERE status = $1
+                AND (next_payout_at IS NULL OR next_payout_at <= NOW())
+              ORDER BY approved_at NULLS LAST, requested_at
+              LIMIT $2`,
+            [WithdrawalStatus.APPROVED, limit]
+        );
+        return rows;
+    }
+
+    async listProcessing(limit = 50, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table}
+              WHERE status = $1
+              ORDER BY submitted_at NULLS FIRST
+              LIMIT $2`,
+            [WithdrawalStatus.PROCESSING, limit]
+        );
+        return rows;
+    }
+
+    /**
+     * Record an admin action in admin_actions (same transaction as the state change).
+     */
+    async logAdminAction(client, { adminId, targetUserId, action, details }) {
+        await client.query(
+            `INSERT INTO admin_actions (admin_id, target_user_id, action, details, created_at)
+             VALUES ($1, $2, $3, $4, NOW())`,
+            [adminId, targetUserId, action, details ? JSON.stringify(details) : null]
+        );
+    }
+
+    /**
+     * Admin queue: withdrawals by status with user details (oldest first so the queue is FIFO).
+     */
+    async listByStatus({ status, page = 1, limit = 50 } = {}) {
+        const params = [];
+        let whereSql = '';
+        if (status) {
+            whereSql = 'WHERE w.status = $1';
+            params.push(status);
+        }
+        const p = params.length + 1;
+
+        const { rows: countRows } = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM ${this.table} w ${whereSql}`,
+            params
+        );
+        const total = countRows[0]?.total ?? 0;
+
+        const offset = (page - 1) * limit;
+        const { rows } = await this.db.query(
+            `SELECT w.*, u.full_name, u.email
+               FROM ${this.table} w
+               JOIN users u ON u.user_id = w.user_id
+               ${whereSql}
+              ORDER BY w.requested_at ASC
+              LIMIT $${p} OFFSET $${p + 1}`,
+            [...params, limit, offset]
+        );
+
+        return { items: rows, total };
+    }
+
+    async listForUser(userId, { page = 1, limit = 20, status = undefined } = {}) {
+        const where = ['user_id = $1'];
+        const params = [userId];
+        let p = 2;
+
+        if (status) { where.push(`status = $${p}`); params.push(status); p++; }
+
+        const whereSql = `WHERE ${where.join(' AND ')}`;
+
+        const { rows: countRows } = await this.db.query(
+            `SELECT COUNT(*)::int AS total FROM ${this.table} ${whereSql}`,
+            params
+        );
+        const total = countRows[0]?.total ?? 0;
+
+        const offset = (page - 1) * limit;
+        const { rows } = await this.db.query(
+            `SELECT *
+               FROM ${this.table}
+               ${whereSql}
+              ORDER BY requested_at DESC
+              LIMIT $${p} OFFSET $${p + 1}`,
+            [...params, limit, offset]
+        );
+
+        return { items: rows, total };
+    }
+}
+
+module.exports = {
+    WithdrawalRepository,
+    WithdrawalError,
+};
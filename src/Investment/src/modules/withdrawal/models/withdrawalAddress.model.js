@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * Repository for the per-user withdrawal address book (`withdrawal_addresses`).
+ * Removed entries are kept (removed_at set) so past withdrawals keep their reference.
+ */
+class WithdrawalAddressRepository {
+    constructor(db) {
+        if (!db || typeof db.query !== 'function') {
+            throw new Error('WithdrawalAddressRepository requires a db with query(text, params)');
+        }
+        this.db = db;
+        this.table = 'withdrawal_addresses';
+    }
+
+    async create({ userId, label, network, address, usableAfter }, client = this.db) {
+        const { rows } = await client.query(
+            `INSERT INTO ${this.table} (user_id, label, network, address, usable_after, created_at)
+             VALUES ($1, $2, $3, $4, $5, NOW())
+             RETURNING *`,
+            [userId, label, network, address, usableAfter]
+        );
+        return rows[0];
+    }
+
+    async listActiveForUser(userId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table}
+              WHERE user_id = $1 AND removed_at IS NULL
+              ORDER BY created_at DESC`,
+            [userId]
+        );
+        return rows;
+    }
+
+    async findActiveForUser(userId, addressId, client = this.db) {
+        const { rows } = await client.query(
+            `SELECT * FROM ${this.table}
+              WHERE address_id = $1 AND user_id = $2 AND removed_at IS NULL
+              LIMIT 1`,
+            [addressId, userId]
+        );
+        return rows[0] || null;
+    }
+
+    async markRemoved(userId, addressId, client = this.db) {
+        const { rows } = await client.query(
+            `UPDATE ${this.table} SET removed_at = NOW()
+              WHERE address_id = $1 AND user_id = $2 AND removed_at IS NULL
+              RETURNING *`,
+            [addressId, userId]
+        );
+        return rows[0] || null;
+    }
+}
+
+module.exports = { WithdrawalAddressRepository };
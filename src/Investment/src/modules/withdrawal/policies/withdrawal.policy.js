@@ -0,0 +1,67 @@
+'use strict';
+
+const { WithdrawalStatus: S } = require('../dto/withdrawal.dto');
+
+/**
+ * Allowed withdrawal state transitions.
+ * A new request waits for OTP confirmation before it reaches the admin queue (pending);
+ * if never confirmed it expires. Approved withdrawals are paid out by the payout job:
+ * processing -> completed, back to approved for a retry, or failed once retries run out
+ * (an admin then retries or rejects). An admin may complete an approved withdrawal paid out
+ * by hand; completing a processing one also needs the provider to report it completed
+ * (WithdrawalService.completeWithdrawal). Terminal states (completed, rejected, cancelled,
+ * expired) have no outgoing edges, so e.g. a rejected withdrawal can never be completed.
+ */
+const TRANSITIONS = Object.freeze({
+    [S.AWAITING_CONFIRMATION]: Object.freeze([S.PENDING, S.CANCELLED, S.EXPIRED]),
+    [S.PENDING]: Object.freeze([S.APPROVED, S.REJECTED, S.CANCELLED]),
+    [S.APPROVED]: Object.freeze([S.PROCESSING, S.COMPLETED, S.REJECTED]),
+    [S.PROCESSING]: Object.freeze([S.COMPLETED, S.APPROVED, S.FAILED]),
+    [S.FAILED]: Object.freeze([S.APPROVED, S.REJECTED]),
+    [S.COMPLETED]: Object.freeze([]),
+    [S.REJECTED]: Object.freeze([]),
+    [S.CANCELLED]: Object.freeze([]),
+    [S.EXPIRED]: Object.freeze([]),
+});
+
+/**
+ * Return true if a withdrawal may move from one status to another.
+ * @param {string} from
+ * @param {string} to
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * States from which `to` is reachable; used to guard UPDATE ... WHERE status = ANY(...).
+ * @param {string} to
+ * @returns {string[]}
+ */
+function sourcesFor(to) {
+    return Object.keys(TRANSITIONS).filter((from) => canTransition(from, to));
+}
+
+/**
+ * Statuses whose funds are still held on the Account wallet.
+ */
+const HELD_STATUSES = Object.freeze([S.AWAITING_CONFIRMATION, S.PENDING, S.APPROVED, S.PROCESSING, S.FAILED]);
+
+/**
+ * Statuses whose hold (and fees) went back to the user; excluded from limit usage.
+ */
+const RELEASED_STATUSES = Object.freeze([S.CANCELLED, S.REJECTED, S.EXPIRED]);
+
+/**
+ * Statuses that count towards the per-user open request limit.
+ */
+const OPEN_STATUSES = Object.freeze([S.AWAITING_CONFIRMATION, S.PENDING]);
+
+module.exports = {
+    TRANSITIONS,
+    HELD_STATUSES,
+    RELEASED_STATUSES,
+    OPEN_STATUSES,
+    canTransition,
+    sourcesFor,
+};
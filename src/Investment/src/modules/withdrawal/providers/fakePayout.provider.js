@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * FakePayoutProvider:
+ * In-memory stand-in for the payout side of BinanceProvider
+ * (submitWithdrawal / getWithdrawalStatus), for local runs and tests.
+ *
+ * Payouts start as PROCESSING; drive them with settle()/fail(), or
+ * set autoComplete to have every payout complete on its first status check.
+ */
+
+const crypto = require('crypto');
+
+class FakePayoutProvider {
+    /**
+     * @param {object} [opts]
+     * @param {boolean} [opts.autoComplete=false]
+     */
+    constructor({ autoComplete = false } = {}) {
+        this.autoComplete = autoComplete;
+        this.payouts = new Map(); // withdrawOrderId -> payout
+        this.submitCalls = 0;
+        this._failures = [];
+    }
+
+    /**
+     * Make the next `count` submitWithdrawal calls throw `error`.
+     */
+    failNextSubmit(error = new Error('Fake provider unavailable'), count = 1) {
+        for (let i = 0; i < count; i++) this._failures.push(error);
+        return this;
+    }
+
+    async submitWithdrawal({ withdrawOrderId, address, amount, coin = 'USDT', network = 'ETH' }) {
+        this.submitCalls++;
+        if (this._failures.length) throw this._failures.shift();
+        if (this.payouts.has(withdrawOrderId)) {
+            throw new Error(`Duplicate withdrawOrderId: ${withdrawOrderId}`);
+        }
+
+        const payout = {
+            providerId: crypto.randomBytes(16).toString('hex'),
+            withdrawOrderId,
+            address,
+            amount: Number(amount),
+            coin,
+            network,
+            status: 'PROCESSING',
+            txId: null,
+            info: null,
+        };
+        this.payouts.set(withdrawOrderId, payout);
+        return { providerId: payout.providerId };
+    }
+
+    async getWithdrawalStatus({ withdrawOrderId }) {
+        const payout = this.payouts.get(withdrawOrderId);
+        if (!payout) return null;
+        if (this.autoComplete && payout.status === 'PROCESSING') this.settle(withdrawOrderId);
+
+        const { providerId, status, txId, info } = payout;
+        return { providerId, status, txId, info };
+    }
+
+    /**
+     * Mark a payout as completed on-chain.
+     */
+    settle(withdrawOrderId, txId = `0x${crypto.randomBytes(32).toString('hex')}`) {
+        const payout = this.payouts.get(withdrawOrderId);
+        if (payout) Object.assign(payout, { status: 'COMPLETED', txId });
+        return payout;
+    }
+
+    /**
+     * Mark a payout as rejected/failed by the provider.
+     */
+    fail(withdrawOrderId, info = 'Rejected by provider') {
+        const payout = this.payouts.get(withdrawOrderId);
+        if (payout) Object.assign(payout, { status: 'FAILED', info });
+        return payout;
+    }
+}
+
+module.exports = { FakePayoutProvider };
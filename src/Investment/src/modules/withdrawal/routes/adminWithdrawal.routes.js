@@ -0,0 +1,23 @@
+'use strict';
+
+const { Router } = require('express');
+const { AdminWithdrawalController } = require('../controllers/adminWithdrawal.controller');
+
+function createAdminWithdrawalRouter({ withdrawalService, adminAuthenticate, logger = console }) {
+    if (!withdrawalService) throw new Error('createAdminWithdrawalRouter requires withdrawalService');
+    if (!adminAuthenticate) throw new Error('createAdminWithdrawalRouter requires adminAuthenticate middleware');
+
+    const router = Router();
+    const controller = new AdminWithdrawalController({ withdrawalService, logger });
+
+    // Admin approval queue
+    router.get('/', adminAuthenticate, controller.list);
+    router.post('/:withdrawalId/approve', adminAuthenticate, controller.approve);
+    router.post('/:withdrawalId/reject', adminAuthenticate, controller.reject);
+    router.post('/:withdrawalId/complete', adminAuthenticate, controller.complete);
+    router.post('/:withdrawalId/retry', adminAuthenticate, controller.retry);
+
+    return router;
+}
+
+module.exports = { createAdminWithdrawalRouter };
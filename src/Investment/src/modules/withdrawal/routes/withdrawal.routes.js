@@ -0,0 +1,25 @@
+'use strict';
+
+const { Router } = require('express');
+const { WithdrawalController } = require('../controllers/withdrawal.controller');
+
+function createWithdrawalRouter({ withdrawalService, authenticate, logger = console }) {
+    if (!withdrawalService) throw new Error('createWithdrawalRouter requires withdrawalService');
+    if (!authenticate) throw new Error('createWithdrawalRouter requires authenticate middleware');
+
+    const router = Router();
+    const controller = new WithdrawalController({ withdrawalService, logger });
+
+    // User withdrawal operations
+    router.get('/quote', authenticate, controller.quote);
+    router.post('/', authenticate, controller.create);
+    router.post('/:withdrawalId/confirm', authenticate, controller.confirm);
+    router.post('/:withdrawalId/resend-code', authenticate, controller.resendCode);
+    router.get('/', authenticate, controller.list);
+    router.get('/:withdrawalId', authenticate, controller.get);
+    router.post('/:withdrawalId/cancel', authenticate, controller.cancel);
+
+    return router;
+}
+
+module.exports = { createWithdrawalRouter };
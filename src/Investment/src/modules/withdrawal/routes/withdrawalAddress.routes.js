@@ -0,0 +1,22 @@
+'use strict';
+
+const { Router } = require('express');
+const { WithdrawalAddressController } = require('../controllers/withdrawalAddress.controller');
+
+function createWithdrawalAddressRouter({ addressService, authenticate, logger = console }) {
+    if (!addressService) throw new Error('createWithdrawalAddressRouter requires addressService');
+    if (!authenticate) throw new Error('createWithdrawalAddressRouter requires authenticate middleware');
+
+    const router = Router();
+    const controller = new WithdrawalAddressController({ addressService, logger });
+
+    // Address book
+    router.get('/', authenticate, controller.list);
+    router.post('/otp', authenticate, controller.requestCode);
+    router.post('/', authenticate, controller.add);
+    router.delete('/:addressId', authenticate, controller.remove);
+
+    return router;
+}
+
+module.exports = { createWithdrawalAddressRouter };
@@ -0,0 +1,573 @@
+'use strict';
+
+/**
+ * WithdrawalService
+ * -----------------
+ * User-facing withdrawal flows on top of the `withdrawals` table:
+ * - request: hold funds on the Account wallet, open an AWAITING_CONFIRMATION withdrawal
+ *   to a saved, usable address-book entry (see withdrawalAddress.service.js)
+ *   and send a `withdrawal` OTP via the user's preferred contact method
+ * - confirm: verify the OTP and move the withdrawal to PENDING (admin queue);
+ *   requests never confirmed are expired by jobs/withdrawalExpiry.job.js
+ * - list/get: read the user's own withdrawals
+ * - cancel: release the hold for a withdrawal that has not been approved yet
+ * - admin queue: approve, reject (releases the hold), complete and retry a failed
+ *   payout, each audited to admin_actions inside the same transaction as the state change
+ * - payouts of approved withdrawals are automated by jobs/withdrawalPayout.job.js
+ *
+ * Allowed state changes are defined in policies/withdrawal.policy.js.
+ * The hold is a regular ledger debit (reason `withdrawal_hold`) so the Account
+ * balance reflects what is actually spendable; releasing it is the mirror credit
+ * (reason `withdrawal_release`). Both reference the withdrawal id.
+ *
+ * Fees and per-user caps come from wallet/policies/withdrawalLimits.policy.js.
+ * Fees are charged on top of the amount as their own ledger lines
+ * (`withdrawal_network_fee`, `withdrawal_platform_fee`), credited to the platform
+ * revenue Account wallet, and refunded (`withdrawal_fee_refund`) when the hold is released.
+ */
+
+const cfg = require('../config/withdrawal.config');
+const { WithdrawalRepository, WithdrawalError } = require('../models/withdrawal.model');
+const { WithdrawalStatus } = require('../dto/withdrawal.dto');
+const { WithdrawalAddressService } = require('./withdrawalAddress.service');
+const { sendUserOtp } = require('../utils/withdrawal.utils');
+const { WalletError } = require('../../wallet/services/wallet.service');
+const { round2 } = require('../../wallet/utils/wallet.utils');
+const walletCfg = require('../../wallet/config/wallet.config');
+const {
+    computeFees,
+    evaluateLimits,
+    remainingAllowance,
+} = require('../../wallet/policies/withdrawalLimits.policy');
+
+const HOLD_WALLET = 'account';
+const OTP_PURPOSE = 'withdrawal';
+
+class WithdrawalService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {import('../../wallet/services/wallet.service').WalletService} deps.walletService
+     * @param {(fn:(client:any)=>Promise<any>)=>Promise<any>} [deps.withTransaction]
+     * @param {{generate:Function, verify:Function}} [deps.otp] - defaults to the auth OTP model
+     * @param {WithdrawalAddressService} [deps.addressService]
+     * @param {string} [deps.revenueUserId] - owner of the Account wallet that collects fees
+     * @param {{getWithdrawalStatus:Function}} [deps.payoutProvider] - asked before rejecting a withdrawal past PENDING
+     *   or completing one the payout job submitted
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({
+        db,
+        walletService,
+        withTransaction,
+        otp,
+        addressService,
+        revenueUserId = walletCfg.PLATFORM_REVENUE_USER_ID,
+        payoutProvider,
+        logger = console,
+    }) {
+        if (!walletService) throw new Error('WithdrawalService requires walletService');
+        this.db = db;
+        this.repo = new WithdrawalRepository(db);
+        this.wallets = walletService;
+        this.withTransaction = withTransaction || walletService.withTransaction.bind(walletService);
+        this.otp = otp || require('../../../../../authentication/src/models/otp.model');
+        this.addresses = addressService || new WithdrawalAddressService({ db, otp: this.otp, logger });
+        this.revenueUserId = revenueUserId;
+        this.payouts = payoutProvider || null;
+        this.log = logger;
+    }
+
+    /**
+     * Preview fees and remaining limits for `amount` without placing a hold.
+     */
+    async quoteWithdrawal({ userId, amount }) {
+        const fees = computeFees(amount);
+        const usage = await this.repo.getUsage(userId);
+        const verdict = evaluateLimits({ amount: fees.amount, usage });
+
+        return {
+            fees,
+            limits: remainingAllowance(usage),
+            allowed: verdict.allowed,
+            rejection: verdict.allowed ? null : { code: verdict.code, message: verdict.message },
+        };
+    }
+
+    /**
+     * Hold `amount` on the Account wallet, create an AWAITING_CONFIRMATION withdrawal
+     * and send the confirmation OTP.
+     * @param {object} params
+     * @param {string} params.userId
+     * @param {number} params.amount
+     * @param {string} params.addressId - saved withdrawal address (past its cooling-off period)
+     * @returns {Promise<{withdrawal:object, delivery:('email'|'sms'|null)}>}
+     */
+    async requestWithdrawal({ userId, amount, addressId }) {
+        const value = round2(amount);
+        if (!(value > 0)) throw new WithdrawalError('AMOUNT_INVALID', 'Amount must be > 0');
+        if (value < cfg.MIN_WITHDRAWAL_USD) {
+            throw new WithdrawalError('MIN_WITHDRAWAL', `Minimum withdrawal is $${cfg.MIN_WITHDRAWAL_USD.toFixed(2)}`);
+        }
+        if (cfg.MAX_WITHDRAWAL_USD !== undefined && value > cfg.MAX_WITHDRAWAL_USD) {
+            throw new WithdrawalError('MAX_WITHDRAWAL', `Maximum withdrawal is $${cfg.MAX_WITHDRAWAL_USD.toFixed(2)}`);
+        }
+        const fees = computeFees(value);
+
+        const withdrawal = await this.withTransaction(async (client) => {
+            const destination = await this.addresses.getUsableAddress({ userId, addressId }, client);
+
+            await this.wallets.ensureUserWallets(userId, client);
+            // Locking the Account wallet also serialises concurrent requests for this user
+            const acc = await this.wallets.getWalletForUpdate(client, userId, HOLD_WALLET);
+
+            // One OTP purpose per user, so only one request may await its code at a time
+            const awaiting = await this.repo.findAwaitingForUser(userId, client);
+            if (awaiting) {
+                throw new WithdrawalError(
+                    'CONFIRMATION_PENDING',
+                    'Confirm or cancel your previous withdrawal request first',
+                    409,
+                    { withdrawalId: awaiting.withdrawal_id }
+                );
+            }
+
+            const open = await this.repo.countOpenForUser(userId, client);
+            if (open >= cfg.MAX_PENDING_PER_USER) {
+                throw new WithdrawalError('TOO_MANY_PENDING', `You can have at most ${cfg.MAX_PENDING_PER_USER} pending withdrawals`, 409);
+            }
+
+            const verdict = evaluateLimits({ amount: value, usage: await this.repo.getUsage(userId, client) });
+            if (!verdict.allowed) {
+                throw new WithdrawalError(verdict.code, verdict.message, 409, verdict.meta);
+            }
+
+            if (!(Number(acc.balance) >= fees.totalDebit)) {
+                throw new WalletError(
+                    'INSUFFICIENT_FUNDS',
+                    fees.totalFees > 0 ? `Insufficient funds: $${fees.totalDebit.toFixed(2)} needed including fees` : 'Insufficient funds'
+                );
+            }
+
+            const confirmationExpiresAt = new Date(Date.now() + cfg.CONFIRMATION_TTL_MINUTES * 60000);
+            const row = await this.repo.create(
+                {
+                    userId,
+                    amount: value,
+                    walletType: HOLD_WALLET,
+                    address: destination.address,
+                    addressId: destination.address_id,
+                    networkFee: fees.networkFee,
+                    platformFee: fees.platformFee,
+                    confirmationExpiresAt,
+                },
+                client
+            );
+
+            const balanceAfterHold = await this.wallets.debit(client, {
+                walletId: acc.wallet_id,
+                currentBalance: acc.balance,
+                amount: value,
+                reason: 'withdrawal_hold',
+                refType: 'withdrawal',
+                refId: row.withdrawal_id,
+                idempotencyKey: `withdrawal:${row.withdrawal_id}:hold`,
+            });
+            await this._collectFees(client, acc.wallet_id, balanceAfterHold, row);
+
+            return row;
+        });
+
+        this.log.info({ userId, withdrawalId: withdrawal.withdrawal_id, amount: value }, 'Withdrawal requested');
+
+        // Sent after commit: a delivery failure leaves the hold in place and the user can resend
+        const delivery = await this._sendConfirmationCode(userId).catch((err) => {
+            this.log.warn({ err, userId, withdrawalId: withdrawal.withdrawal_id }, 'Withdrawal OTP delivery failed');
+            return null;
+        });
+
+        return { withdrawal, delivery };
+    }
+
+    /**
+     * Send a fresh OTP for a withdrawal that is still awaiting confirmation.
+     * @returns {Promise<{withdrawal:object, delivery:('email'|'sms')}>}
+     */
+    async resendConfirmation({ userId, withdrawalId }) {
+        const withdrawal = await this._getAwaiting({ userId, withdrawalId });
+        const delivery = await this._sendConfirmationCode(userId);
+        return { withdrawal, delivery };
+    }
+
+    /**
+     * AWAITING_CONFIRMATION -> PENDING once the OTP checks out.
+     * @param {object} params
+     * @param {string} params.userId
+     * @param {string} params.withdrawalId
+     * @param {string} params.code - OTP sent on request/resend
+     */
+    async confirmWithdrawal({ userId, withdrawalId, code }) {
+        await this._getAwaiting({ userId, withdrawalId });
+
+        const valid = await this.otp.verify({ userId, code, purpose: OTP_PURPOSE });
+        if (!valid) throw new WithdrawalError('OTP_INVALID', 'Invalid or expired verification code');
+
+        const confirmed = await this.withTransaction(async (client) => {
+            const row = await this.repo.findForUpdate(client, withdrawalId, userId);
+            if (!row) throw new WithdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', 404);
+            this._assertNotExpired(row);
+            return this.repo.markConfirmed(client, withdrawalId);
+        });
+
+        this.log.info({ userId, withdrawalId }, 'Withdrawal confirmed');
+        return confirmed;
+    }
+
+    async listExpiredUnconfirmed(limit = 100) {
+        return this.repo.listExpiredUnconfirmed(limit);
+    }
+
+    /**
+     * AWAITING_CONFIRMATION -> EXPIRED, releasing the hold. Used by WithdrawalExpiryJob.
+     */
+    async expireWithdrawal({ userId, withdrawalId }) {
+        return this.withTransaction(async (client) => {
+            const acc = await this.wallets.getWalletForUpdate(client, userId, HOLD_WALLET);
+            const row = await this.repo.findForUpdate(client, withdrawalId, userId);
+            if (!row) throw new WithdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', 404);
+
+            const updated = await this.repo.markExpired(client, withdrawalId);
+            await this._releaseHold(client, acc, updated);
+            return updated;
+        });
+    }
+
+    /**
+     * Cancel a withdrawal owned by the user (awaiting confirmation or pending) and release the hold.
+     */
+    async cancelWithdrawal({ userId, withdrawalId }) {
+        const cancelled = await this.withTransaction(async (client) => {
+            // Lock order: wallet first (same as request flow), then the withdrawal row
+            const acc = await this.wallets.getWalletForUpdate(client, userId, HOLD_WALLET);
+            const row = await this.repo.findForUpdate(client, withdrawalId, userId);
+            if (!row) throw new WithdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', 404);
+
+            const updated = await this.repo.markCancelled(client, withdrawalId);
+            await this._releaseHold(client, acc, updated);
+            return updated;
+        });
+
+        this.log.info({ userId, withdrawalId }, 'Withdrawal cancelled');
+        return cancelled;
+    }
+
+    // -----------------------
+    // Admin queue
+    // -----------------------
+
+    async listForAdmin({ status, page = 1, limit = 50 } = {}) {
+        return this.repo.listByStatus({ status, page, limit });
+    }
+
+    /**
+     * PENDING -> APPROVED
+     */
+    async approveWithdrawal({ adminId, withdrawalId }) {
+        return this.withTransaction(async (client) => {
+            const row = await this._lockOrFail(client, withdrawalId);
+            const updated = await this.repo.markApproved(client, row.withdrawal_id, { adminId });
+            await this.repo.logAdminAction(client, {
+                adminId,
+                targetUserId: row.user_id,
+                action: 'WITHDRAWAL_APPROVE',
+                details: { withdrawalId, amount: Number(row.amount) },
+            });
+            return updated;
+        });
+    }
+
+    /**
+     * PENDING|APPROVED|FAILED -> REJECTED, crediting the held amount back to Account.
+     * Past PENDING the payout may already be with the provider, so the provider must
+     * confirm it never received the order (or failed it) before the hold is released;
+     * rejecting also cancels a scheduled payout retry.
+     */
+    async rejectWithdrawal({ adminId, withdrawalId, reason }) {
+        const current = await this.repo.findById(withdrawalId);
+        if (!current) throw new WithdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', 404);
+        const payout = current.status === WithdrawalStatus.PENDING ? null : await this._assertNotPaidOut(current);
+
+        return this.withTransaction(async (client) => {
+            // Same lock order as the user flows: Account wallet, then withdrawal row
+            const acc = await this.wallets.getWalletForUpdate(client, current.user_id, HOLD_WALLET);
+            const row = await this._lockOrFail(client, withdrawalId);
+            if (row.status !== current.status || Number(row.payout_attempts || 0) !== Number(current.payout_attempts || 0)) {
+                // the payout job moved it while the provider was being asked
+                throw new WithdrawalError('WITHDRAWAL_CHANGED', 'Withdrawal changed while rejecting, please try again', 409);
+            }
+
+            const updated = await this.repo.markRejected(client, row.withdrawal_id, { adminId, reason });
+            await this._releaseHold(client, acc, updated);
+            await this.repo.logAdminAction(client, {
+                adminId,
+                targetUserId: row.user_id,
+                action: 'WITHDRAWAL_REJECT',
+                details: {
+                    withdrawalId,
+                    amount: Number(row.amount),
+                    previousStatus: row.status,
+                    reason,
+                    providerStatus: payout ? payout.status : null,
+                },
+            });
+            return updated;
+        });
+    }
+
+    /**
+     * APPROVED|PROCESSING -> COMPLETED once the payout has been sent on-chain.
+     * APPROVED is a manual payout: the admin's tx id is recorded. PROCESSING was submitted
+     * by the payout job, so the provider must report it COMPLETED and its tx id is recorded
+     * instead (a payout that still fails at the provider must not look paid).
+     */
+    async completeWithdrawal({ adminId, withdrawalId, txId }) {
+        const current = await this.repo.findById(withdrawalId);
+        if (!current) throw new WithdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', 404);
+        const payout = current.status === WithdrawalStatus.PROCESSING ? await this._assertPaidOut(current) : null;
+        if (!payout && !txId && current.status === WithdrawalStatus.APPROVED) {
+            throw new WithdrawalError('TXID_REQUIRED', 'binanceTxId is required to complete a manual payout');
+        }
+
+        return this.withTransaction(async (client) => {
+            const row = await this._lockOrFail(client, withdrawalId);
+            if (payout && row.status !== current.status) {
+                // the payout job settled it while the provider was being asked
+                throw new WithdrawalError('WITHDRAWAL_CHANGED', 'Withdrawal changed while completing, please try again', 409);
+            }
+            const recordedTxId = payout ? payout.txId : txId;
+            const updated = await this.repo.markCompleted(client, row.withdrawal_id, { txId: recordedTxId });
+            await this.repo.logAdminAction(client, {
+                adminId,
+                targetUserId: row.user_id,
+                action: 'WITHDRAWAL_COMPLETE',
+                details: {
+                    withdrawalId,
+                    amount: Number(row.amount),
+                    txId: recordedTxId,
+                    ...(payout && { previousStatus: row.status, providerStatus: payout.status, adminTxId: txId || null }),
+                },
+            });
+            return updated;
+        });
+    }
+
+    /**
+     * FAILED -> APPROVED so the payout job tries again with a fresh attempt budget.
+     */
+    async retryPayout({ adminId, withdrawalId }) {
+        return this.withTransaction(async (client) => {
+            const row = await this._lockOrFail(client, withdrawalId);
+            const updated = await this.repo.resetPayout(client, row.withdrawal_id);
+            await this.repo.logAdminAction(client, {
+                adminId,
+                targetUserId: row.user_id,
+                action: 'WITHDRAWAL_PAYOUT_RETRY',
+                details: { withdrawalId, previousError: row.payout_error, attempts: row.payout_attempts },
+            });
+            return updated;
+        });
+    }
+
+    async getWithdrawal({ userId, withdrawalId }) {
+        const row = await this.repo.findById(withdrawalId);
+        if (!row || row.user_id !== userId) {
+            throw new WithdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', 404);
+        }
+        return row;
+    }
+
+    async listWithdrawals({ userId, page = 1, limit = 20, status }) {
+        return this.repo.listForUser(userId, { page, limit, status });
+    }
+
+    // -----------------------
+    // Helpers
+    // -----------------------
+
+    async _getAwaiting({ userId, withdrawalId }) {
+        const row = await this.getWithdrawal({ userId, withdrawalId });
+        if (row.status !== WithdrawalStatus.AWAITING_CONFIRMATION) {
+            throw new WithdrawalError('NOT_AWAITING_CONFIRMATION', 'Withdrawal is not awaiting confirmation', 409);
+        }
+        this._assertNotExpired(row);
+        return row;
+    }
+
+    _assertNotExpired(row) {
+        if (row.confirmation_expires_at && new Date(row.confirmation_expires_at) <= new Date()) {
+            throw new WithdrawalError('CONFIRMATION_EXPIRED', 'Confirmation window has expired, please request again', 410);
+        }
+    }
+
+    /**
+     * Send the `withdrawal` OTP via the user's preferred contact method.
+     * @returns {Promise<'email'|'sms'>}
+     */
+    async _sendConfirmationCode(userId) {
+        const delivery = await sendUserOtp({
+            db: this.db,
+            otp: this.otp,
+            userId,
+            purpose: OTP_PURPOSE,
+            ttl: cfg.CONFIRMATION_TTL_MINUTES,
+        });
+        if (!delivery) throw new WithdrawalError('USER_NOT_FOUND', 'User not found', 404);
+        return delivery;
+    }
+
+    /**
+     * Throw unless the payout provider confirms `row` was never paid out: it has no
+     * order for the withdrawal, or the order failed.
+     * @returns {Promise<object|null>} provider status (null = no order)
+     */
+    async _assertNotPaidOut(row) {
+        if (!this.payouts) {
+            throw new WithdrawalError('PAYOUT_STATUS_UNAVAILABLE', 'Payout provider not configured; cannot confirm the payout did not go out', 503);
+        }
+        let status;
+        try {
+            status = await this.payouts.getWithdrawalStatus({ withdrawOrderId: row.withdrawal_id, coin: cfg.ASSET });
+        } catch (err) {
+            this.log.warn({ err, withdrawalId: row.withdrawal_id }, 'Payout status check failed');
+            throw new WithdrawalError('PAYOUT_STATUS_UNAVAILABLE', 'Could not confirm the payout status, please try again', 503);
+        }
+        if (status && status.status !== 'FAILED') {
+            throw new WithdrawalError(
+                'PAYOUT_IN_FLIGHT',
+                `Payout is ${String(status.status).toLowerCase()} at the provider and cannot be rejected`,
+                409,
+                { providerStatus: status.status, txId: status.txId || null }
+            );
+        }
+        return status;
+    }
+
+    /** The provider's record of a submitted payout, which must be COMPLETED with a tx id. */
+    async _assertPaidOut(row) {
+        if (!this.payouts) {
+            throw new WithdrawalError('PAYOUT_STATUS_UNAVAILABLE', 'Payout provider not configured; cannot confirm the payout went out', 503);
+        }
+        let status;
+        try {
+            status = await this.payouts.getWithdrawalStatus({ withdrawOrderId: row.withdrawal_id, coin: cfg.ASSET });
+        } catch (err) {
+            this.log.warn({ err, withdrawalId: row.withdrawal_id }, 'Payout status check failed');
+            throw new WithdrawalError('PAYOUT_STATUS_UNAVAILABLE', 'Could not confirm the payout status, please try again', 503);
+        }
+        if (!status || status.status !== 'COMPLETED' || !status.txId) {
+            const providerStatus = status ? status.status : null;
+            throw new WithdrawalError(
+                'PAYOUT_NOT_COMPLETED',
+                `Payout is ${providerStatus ? String(providerStatus).toLowerCase() : 'unknown'} at the provider and cannot be completed yet`,
+                409,
+                { providerStatus }
+            );
+        }
+        return status;
+    }
+
+    async _lockOrFail(client, withdrawalId) {
+        const row = await this.repo.findForUpdate(client, withdrawalId);
+        if (!row) throw new WithdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found', 404);
+        return row;
+    }
+
+    /**
+     * Credit a held amount (and any fees) back to the Account wallet (caller holds the wallet lock).
+     * @param {any} client
+     * @param {{wallet_id:string,balance:number}} acc - locked Account wallet row
+     * @param {object} withdrawal
+     */
+    async _releaseHold(client, acc, withdrawal) {
+        const balance = await this.wallets.credit(client, {
+            walletId: acc.wallet_id,
+            currentBalance: acc.balance,
+            amount: Number(withdrawal.amount),
+            reason: 'withdrawal_release',
+            refType: 'withdrawal',
+            refId: withdrawal.withdrawal_id,
+            idempotencyKey: `withdrawal:${withdrawal.withdrawal_id}:release`,
+        });
+        return this._refundFees(client, acc.wallet_id, balance, withdrawal);
+    }
+
+    _feeLines(withdrawal) {
+        return [
+            ['network_fee', Number(withdrawal.network_fee || 0)],
+            ['platform_fee', Number(withdrawal.platform_fee || 0)],
+        ].filter(([, amount]) => amount > 0);
+    }
+
+    /**
+     * Post each fee as a debit on the user's Account wallet and a credit on the revenue wallet.
+     * The revenue wallet is always locked after the user's wallet.
+     * @returns {Promise<number>} user's balance afterwards
+     */
+    async _collectFees(client, userWalletId, userBalance, withdrawal) {
+        const lines = this._feeLines(withdrawal);
+        if (!lines.length) return userBalance;
+
+        await this.wallets.ensureUserWallets(this.revenueUserId, client);
+        const revenue = await this.wallets.getWalletForUpdate(client, this.revenueUserId, HOLD_WALLET);
+        let revenueBalance = revenue.balance;
+
+        for (const [kind, amount] of lines) {
+            const entry = {
+                amount,
+                reason: `withdrawal_${kind}`,
+                refType: 'withdrawal',
+                refId: withdrawal.withdrawal_id,
+                idempotencyKey: `withdrawal:${withdrawal.withdrawal_id}:${kind}`,
+            };
+            userBalance = await this.wallets.debit(client, { ...entry, walletId: userWalletId, currentBalance: userBalance });
+            revenueBalance = await this.wallets.credit(client, { ...entry, walletId: revenue.wallet_id, currentBalance: revenueBalance });
+        }
+        return userBalance;
+    }
+
+    /**
+     * Move collected fees back from the revenue wallet to the user. The user is always
+     * refunded in full; whatever the revenue wallet can't cover is recorded on the
+     * withdrawal (fee_refund_shortfall) for finance to settle, rather than blocking the
+     * cancel/expiry/reject.
+     * @returns {Promise<number>} user's balance afterwards
+     */
+    async _refundFees(client, userWalletId, userBalance, withdrawal) {
+        const total = round2(this._feeLines(withdrawal).reduce((sum, [, amount]) => sum + amount, 0));
+        if (!(total > 0)) return userBalance;
+
+        await this.wallets.ensureUserWallets(this.revenueUserId, client);
+        const revenue = await this.wallets.getWalletForUpdate(client, this.revenueUserId, HOLD_WALLET);
+        const covered = round2(Math.min(total, Math.max(0, Number(revenue.balance))));
+        const shortfall = round2(total - covered);
+        const entry = {
+            reason: 'withdrawal_fee_refund',
+            refType: 'withdrawal',
+            refId: withdrawal.withdrawal_id,
+            idempotencyKey: `withdrawal:${withdrawal.withdrawal_id}:fee_refund`,
+        };
+        if (covered > 0) {
+            await this.wallets.debit(client, { ...entry, amount: covered, walletId: revenue.wallet_id, currentBalance: revenue.balance });
+        }
+        if (shortfall > 0) {
+            await this.repo.recordFeeRefundShortfall(client, withdrawal.withdrawal_id, shortfall);
+            this.log.warn(
+                { withdrawalId: withdrawal.withdrawal_id, shortfall },
+                'Revenue wallet short for a fee refund; shortfall recorded'
+            );
+        }
+        return this.wallets.credit(client, { ...entry, amount: total, walletId: userWalletId, currentBalance: userBalance });
+    }
+}
+
+module.exports = { WithdrawalService };
@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * WithdrawalAddressService
+ * ------------------------
+ * Per-user address book for payouts:
+ * - adding an address needs a `withdrawal_address` OTP (request code, then add with code)
+ * - addresses are validated per network: EVM ones (ERC20/BEP20) against the EIP-55 checksum and
+ *   stored checksummed, TRC20 ones as base58 "T..." and stored as given (base58 is case-sensitive)
+ * - a new address only becomes usable after a cooling-off period
+ *   (WITHDRAWAL_ADDRESS_COOLDOWN_HOURS), limiting damage from a hijacked account
+ */
+
+const cfg = require('../config/withdrawal.config');
+const { WithdrawalAddressRepository } = require('../models/withdrawalAddress.model');
+const { WithdrawalError } = require('../models/withdrawal.model');
+const { sendUserOtp } = require('../utils/withdrawal.utils');
+const {
+    normalizeNetwork,
+    isSameAddress,
+    isValidAddress,
+    toChecksumAddress,
+} = require('../../deposit/utils/txUtils');
+const { NETWORKS } = require('../../deposit/utils/networks');
+
+const OTP_PURPOSE = 'withdrawal_address';
+
+class WithdrawalAddressService {
+    /**
+     * @param {object} deps
+     * @param {{query:Function}} deps.db
+     * @param {{generate:Function, verify:Function}} [deps.otp] - defaults to the auth OTP model
+     * @param {Console|import('pino').Logger} [deps.logger]
+     */
+    constructor({ db, otp, logger = console }) {
+        this.db = db;
+        this.repo = new WithdrawalAddressRepository(db);
+        this.otp = otp || require('../../../../../authentication/src/models/otp.model');
+        this.log = logger;
+    }
+
+    /**
+     * Send the OTP required to add an address.
+     * @returns {Promise<'email'|'sms'>}
+     */
+    async requestAddCode({ userId }) {
+        const delivery = await sendUserOtp({ db: this.db, otp: this.otp, userId, purpose: OTP_PURPOSE });
+        if (!delivery) throw new WithdrawalError('USER_NOT_FOUND', 'User not found', 404);
+        return delivery;
+    }
+
+    /**
+     * Verify the OTP and save a new address (usable after the cooling-off period).
+     */
+    async addAddress({ userId, label, network, address, code }) {
+        let net;
+        try {
+            net = normalizeNetwork(network || cfg.NETWORK);
+        } catch {
+            throw new WithdrawalError('NETWORK_UNSUPPORTED', `Unsupported network: ${network}`);
+        }
+        // payouts only go out on the configured withdrawal network
+        if (net !== normalizeNetwork(cfg.NETWORK)) {
+            throw new WithdrawalError('NETWORK_UNSUPPORTED', `Withdrawals are not available on ${net}`);
+        }
+        if (!isValidAddress(address, net)) {
+            const hint = NETWORKS[net].evm ? 'check the EIP-55 checksum' : 'expected a base58 address starting with T';
+            throw new WithdrawalError('ADDRESS_INVALID', `Address is not valid for ${net} (${hint})`);
+        }
+
+        const existing = await this.repo.listActiveForUser(userId);
+        if (existing.length >= cfg.MAX_ADDRESSES_PER_USER) {
+            throw new WithdrawalError('ADDRESS_LIMIT', `You can save at most ${cfg.MAX_ADDRESSES_PER_USER} addresses`, 409);
+        }
+        if (existing.some((a) => a.network === net && isSameAddress(a.address, address, net))) {
+            throw new WithdrawalError('ADDRESS_EXISTS', 'This address is already in your address book', 409);
+        }
+
+        const valid = await this.otp.verify({ userId, code, purpose: OTP_PURPOSE });
+        if (!valid) throw new WithdrawalError('OTP_INVALID', 'Invalid or expired verification code');
+
+        const usableAfter = new Date(Date.now() + cfg.ADDRESS_COOLDOWN_HOURS * 3600000);
+        let row;
+        try {
+            row = await this.repo.create({
+                userId,
+                label,
+                network: net,
+                address: NETWORKS[net].evm ? toChecksumAddress(address) : String(address).trim(),
+                usableAfter,
+            });
+        } catch (err) {
+            if (err?.code === '23505') {
+                throw new WithdrawalError('ADDRESS_EXISTS', 'This address is already in your address book', 409);
+            }
+            throw err;
+        }
+
+        this.log.info({ userId, addressId: row.address_id, network: net, usableAfter }, 'Withdrawal address added');
+        return row;
+    }
+
+    async listAddresses({ userId }) {
+        return this.repo.listActiveForUser(userId);
+    }
+
+    async removeAddress({ userId, addressId }) {
+        const row = await this.repo.markRemoved(userId, addressId);
+        if (!row) throw new WithdrawalError('ADDRESS_NOT_FOUND', 'Address not found', 404);
+
+        this.log.info({ userId, addressId }, 'Withdrawal address removed');
+        return row;
+    }
+
+    /**
+     * Resolve a saved address for a payout, enforcing ownership, network and cooling-off.
+     * @param {object} params
+     * @param {string} params.userId
+     * @param {string} params.addressId
+     * @param {any} [client] - join the caller's transaction
+     */
+    async getUsableAddress({ userId, addressId }, client = undefined) {
+        const row = await this.repo.findActiveForUser(userId, addressId, client);
+        if (!row) throw new WithdrawalError('ADDRESS_NOT_FOUND', 'Address not found', 404);
+
+        if (row.network !== normalizeNetwork(cfg.NETWORK)) {
+            throw new WithdrawalError('ADDRESS_NETWORK_UNSUPPORTED', `Withdrawals are only supported on ${cfg.NETWORK}`);
+        }
+        if (new Date(row.usable_after) > new Date()) {
+            throw new WithdrawalError(
+                'ADDRESS_COOLING_OFF',
+                `This address can be used for withdrawals from ${new Date(row.usable_after).toISOString()}`,
+                409,
+                { usableAfter: row.usable_after }
+            );
+        }
+        return row;
+    }
+}
+
+module.exports = { WithdrawalAddressService };
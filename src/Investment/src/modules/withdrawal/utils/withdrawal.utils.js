@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Generate an OTP for `purpose` and deliver it via the user's preferred contact method
+ * (phone -> SMS when a number is on file, otherwise email).
+ * @param {object} params
+ * @param {{query:Function}} params.db
+ * @param {{generate:Function}} params.otp - auth OTP model (or a stub)
+ * @param {string} params.userId
+ * @param {string} params.purpose - otp_purpose_enum value
+ * @param {number} [params.ttl] - minutes
+ * @returns {Promise<'email'|'sms'|null>} null if the user does not exist
+ */
+async function sendUserOtp({ db, otp, userId, purpose, ttl }) {
+    const { rows } = await db.query(
+        `SELECT email, phone_number, preferred_contact_method
+           FROM users WHERE user_id = $1 LIMIT 1`,
+        [userId]
+    );
+    const contact = rows[0];
+    if (!contact) return null;
+
+    const delivery = contact.preferred_contact_method === 'phone' && contact.phone_number ? 'sms' : 'email';
+    await otp.generate({
+        userId,
+        email: delivery === 'email' ? contact.email : null,
+        phone: delivery === 'sms' ? contact.phone_number : null,
+        purpose,
+        delivery,
+        ttl,
+    });
+    return delivery;
+}
+
+module.exports = { sendUserOtp };
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Zod schemas for withdrawal requests.
+ */
+
+const { z } = require('zod');
+const { round2 } = require('../../wallet/utils/wallet.utils');
+const { WithdrawalStatus } = require('../dto/withdrawal.dto');
+
+const AmountSchema = z
+    .union([z.string(), z.number()])
+    .transform((v) => Number(v))
+    .refine((n) => Number.isFinite(n) && n > 0, 'ERR_AMOUNT')
+    .transform(round2);
+
+const AddressSchema = z
+    .string()
+    .trim()
+    // EVM hex or TRON base58; the network-specific check is in the service
+    .regex(/^(0x[a-fA-F0-9]{40}|T[1-9A-HJ-NP-Za-km-z]{33})$/, 'ERR_ADDRESS_INVALID');
+
+const OtpCodeSchema = z.string().trim().regex(/^\d{6}$/, 'ERR_OTP_INVALID');
+
+/**
+ * POST /withdrawals  body validation
+ */
+const CreateWithdrawalSchema = z.object({
+    amount: AmountSchema,
+    addressId: z.string().uuid('ERR_ADDRESS_ID_INVALID'),
+});
+
+/**
+ * GET /withdrawals/quote  query validation
+ */
+const QuoteWithdrawalQuerySchema = z.object({
+    amount: AmountSchema,
+});
+
+/**
+ * POST /withdrawal-addresses  body validation (EIP-55 checksum / TRC20 shape is checked in the service)
+ */
+const AddWithdrawalAddressSchema = z.object({
+    label: z.string().trim().min(1, 'ERR_LABEL_REQUIRED').max(64),
+    network: z.string().trim().optional(),
+    address: AddressSchema,
+    code: OtpCodeSchema,
+});
+
+/**
+ * POST /withdrawals/:id/confirm  body validation
+ */
+const ConfirmWithdrawalSchema = z.object({
+    code: OtpCodeSchema,
+});
+
+const ListWithdrawalsQuerySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    status: z.enum(Object.values(WithdrawalStatus)).optional(),
+});
+
+const AdminListQuerySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    status: z.enum(Object.values(WithdrawalStatus)).default(WithdrawalStatus.PENDING),
+});
+
+/**
+ * POST /admin/withdrawals/:id/reject  body validation
+ */
+const RejectWithdrawalSchema = z.object({
+    reason: z.string().trim().min(3, 'ERR_REASON_REQUIRED').max(255),
+});
+
+/**
+ * POST /admin/withdrawals/:id/complete  body validation
+ */
+const CompleteWithdrawalSchema = z.object({
+    // required for a manual payout (approved); a processing one takes the provider's tx id
+    binanceTxId: z.string().trim().regex(/^0x[a-fA-F0-9]{64}$/, 'ERR_TXID_INVALID').optional(),
+});
+
+function validateCreateWithdrawalBody(body) {
+    return CreateWithdrawalSchema.parse(body || {});
+}
+
+function validateQuoteWithdrawalQuery(query) {
+    return QuoteWithdrawalQuerySchema.parse(query || {});
+}
+
+function validateAddWithdrawalAddressBody(body) {
+    return AddWithdrawalAddressSchema.parse(body || {});
+}
+
+function validateConfirmWithdrawalBody(body) {
+    return ConfirmWithdrawalSchema.parse(body || {});
+}
+
+function validateListWithdrawalsQuery(query) {
+    return ListWithdrawalsQuerySchema.parse(query || {});
+}
+
+function validateAdminListQuery(query) {
+    return AdminListQuerySchema.parse(query || {});
+}
+
+function validateRejectBody(body) {
+    return RejectWithdrawalSchema.parse(body || {});
+}
+
+function validateCompleteBody(body) {
+    return CompleteWithdrawalSchema.parse(body || {});
+}
+
+module.exports = {
+    validateCreateWithdrawalBody,
+    validateConfirmWithdrawalBody,
+    validateQuoteWithdrawalQuery,
+    validateAddWithdrawalAddressBody,
+    validateListWithdrawalsQuery,
+    validateAdminListQuery,
+    validateRejectBody,
+    validateCompleteBody,
+    schemas: {
+        CreateWithdrawalSchema,
+        ConfirmWithdrawalSchema,
+        QuoteWithdrawalQuerySchema,
+        AddWithdrawalAddressSchema,
+        ListWithdrawalsQuerySchema,
+        AdminListQuerySchema,
+        RejectWithdrawalSchema,
+        CompleteWithdrawalSchema,
+    },
+};
@@ -23,8 +23,25 @@ const { createDepositRouter } = require("./Investment/src/modules/deposit/routes
 const { createAdminDepositRouter } = require("./Investment/src/modules/deposit/routes/adminDeposit.routes");
 const { DepositService } = require("./Investment/src/modules/deposit/services/deposit.service");
 const { BinanceProvider } = require("./Investment/src/modules/deposit/providers/binance.provider");
+const { OnchainVerifier } = require("./Investment/src/modules/deposit/providers/onchainVerifier.provider");
+const { createDepositProvider } = require("./Investment/src/modules/deposit/providers/provider.registry");
 const { WalletService } = require("./Investment/src/modules/wallet/services/wallet.service");
 const { AdminDepositSyncJob } = require("./Investment/src/modules/deposit/jobs/adminDepositSync.job");
+const { DepositMonitorJob } = require("./Investment/src/modules/deposit/jobs/depositMonitor.job");
+const { createWebhookHandler } = require("./Investment/src/modules/deposit/jobs/webhookHandler");
+const { ReferralRewardSweepJob } = require("./Investment/src/modules/deposit/jobs/referralRewardSweep.job");
+const depositConfig = require("./Investment/src/modules/deposit/config/deposit.config");
+
+// ── Plan module
+const { createPlanRouter } = require("./Investment/src/modules/plan/routes/plan.routes");
+const { createAdminPlanRouter } = require("./Investment/src/modules/plan/routes/adminPlan.routes");
+const { PlanService } = require("./Investment/src/modules/plan/services/plan.service");
+
+// ── Referral module
+const { createReferralRouter } = require("./Investment/src/modules/referral/routes/referral.routes");
+const { createAdminReferralRouter } = require("./Investment/src/modules/referral/routes/adminReferral.routes");
+const { ReferralService } = require("./Investment/src/modules/referral/services/referral.service");
+const { ReferralCampaignService } = require("./Investment/src/modules/referral/services/referralCampaign.service");
 
 // ── Wallet module
 const { createWalletRouter } = require("./Investment/src/modules/wallet/routes/wallet.routes");
@@ -33,6 +50,22 @@ const { TransferService } = require("./Investment/src/modules/wallet/services/tr
 const { NotificationService } = require("./Investment/src/modules/wallet/services/notification.service");
 const { AuditService } = require("./Investment/src/modules/wallet/services/audit.service");
 const { WalletUnlockJob } = require("./Investment/src/modules/wallet/jobs/walletUnlock.job");
+const { ProfitAccrualService } = require("./Investment/src/modules/wallet/services/profitAccrual.service");
+const { EarlyRedemptionService } = require("./Investment/src/modules/wallet/services/earlyRedemption.service");
+const { ProjectionService } = require("./Investment/src/modules/wallet/services/projection.service");
+const { ProfitAccrualJob } = require("./Investment/src/modules/wallet/jobs/profitAccrual.job");
+const walletConfig = require("./Investment/src/modules/wallet/config/wallet.config");
+
+// ── Withdrawal module
+const { createWithdrawalRouter } = require("./Investment/src/modules/withdrawal/routes/withdrawal.routes");
+const { createAdminWithdrawalRouter } = require("./Investment/src/modules/withdrawal/routes/adminWithdrawal.routes");
+const { createWithdrawalAddressRouter } = require("./Investment/src/modules/withdrawal/routes/withdrawalAddress.routes");
+const { WithdrawalService } = require("./Investment/src/modules/withdrawal/services/withdrawal.service");
+const { WithdrawalAddressService } = require("./Investment/src/modules/withdrawal/services/withdrawalAddress.service");
+const { WithdrawalExpiryJob } = require("./Investment/src/modules/withdrawal/jobs/withdrawalExpiry.job");
+const { WithdrawalPayoutJob } = require("./Investment/src/modules/withdrawal/jobs/withdrawalPayout.job");
+const { FakePayoutProvider } = require("./Investment/src/modules/withdrawal/providers/fakePayout.provider");
+const withdrawalConfig = require("./Investment/src/modules/withdrawal/config/withdrawal.config");
 
 
 // ── Auth middlewares (protect routes)
@@ -78,7 +111,15 @@ const createApp = () => {
         credentials: true,
       })
     );
-    app.use(express.json({ limit: "10mb" }));
+    app.use(
+      express.json({
+        limit: "10mb",
+        // the deposit webhook signature covers the exact request bytes
+        verify: (req, _res, buf) => {
+          if (req.originalUrl.startsWith("/api/v1/deposit/webhook")) req.rawBody = buf;
+        },
+      })
+    );
     app.use(express.urlencoded({ extended: true, limit: "10mb" }));
     app.use(
       session({
@@ -108,6 +149,11 @@ const createApp = () => {
       timeout: Number(process.env.DEPOSIT_PROVIDER_TIMEOUT_MS || 10000),
       logger: console,
     });
+    // Deposit detection follows DEPOSIT_PROVIDER; Binance stays the payout provider for withdrawals
+    const depositProvider = createDepositProvider({ name: depositConfig.PROVIDER, logger: console });
+    console.log(`[INFO] Deposit provider: ${depositConfig.PROVIDER}`);
+    // Independent confirmation check before crediting (DEPOSIT_ONCHAIN_VERIFY=true)
+    const chainVerifier = depositConfig.ONCHAIN_VERIFY ? new OnchainVerifier({ logger: console }) : null;
 
     const withTransaction = async (fn) => {
       const client = await pool.connect();
@@ -128,13 +174,27 @@ const createApp = () => {
     const depositService = new DepositService({
       db: pool,
       walletService,
-      binance,
+      provider: depositProvider,
+      chainVerifier,
+      referralService: container.services.referralService,
+      withTransaction,
       logger: console,
     });
 
+    // Signed deposit events from a provider proxy (DEPOSIT_WEBHOOK_SECRET)
+    const webhookHandler = process.env.DEPOSIT_WEBHOOK_SECRET
+      ? createWebhookHandler({
+        depositService,
+        webhookSecret: process.env.DEPOSIT_WEBHOOK_SECRET,
+        logger: console,
+      })
+      : null;
+    console.log(`[INFO] Deposit webhook ${webhookHandler ? 'enabled' : 'disabled (set DEPOSIT_WEBHOOK_SECRET to enable)'}`);
+
     const depositRouter = createDepositRouter({
       depositService,
       authenticate,
+      webhookHandler,
       logger: console,
     });
 
@@ -160,14 +220,120 @@ const createApp = () => {
       console.log('[INFO] AdminDepositSyncJob disabled (set NODE_ENV=production and ADMIN_SYNC_ENABLED=true to enable)');
     }
 
+    // Retry referral bonuses/commissions of deposits whose inline payout failed (every 5 minutes)
+    if (container.services.referralService) {
+      const sweepJob = new ReferralRewardSweepJob({ depositService, logger: console });
+      sweepJob.start();
+      container.jobs.referralRewardSweep = sweepJob;
+      console.log('[INFO] ReferralRewardSweepJob started (every 5 minutes)');
+    }
+
+    // Provider deposit polling with a persisted cursor; stages unclaimed deposits (opt-in)
+    if (depositConfig.MONITOR_ENABLED) {
+      const monitorJob = new DepositMonitorJob({
+        depositService,
+        provider: depositProvider,
+        db: pool,
+        logger: console,
+      });
+      monitorJob.start();
+      container.jobs.depositMonitor = monitorJob;
+      console.log(`[INFO] DepositMonitorJob started (every ${depositConfig.POLL_INTERVAL_SEC}s)`);
+    } else {
+      console.log('[INFO] DepositMonitorJob disabled (set DEPOSIT_MONITOR_ENABLED=true to enable)');
+    }
+
     container.services.depositService = depositService;
     container.services.walletService = walletService;
     container.services.binance = binance;
+    container.services.depositProvider = depositProvider;
 
     app.use("/api/v1/deposit", depositRouter);
     app.use("/api/v1/admin/deposits", adminDepositRouter);
   }
 
+  function setupPlanModule() {
+    const withTransaction = async (fn) => {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await fn(client);
+        await client.query("COMMIT");
+        return result;
+      } catch (e) {
+        await client.query("ROLLBACK");
+        throw e;
+      } finally {
+        client.release();
+      }
+    };
+
+    const planService = new PlanService({ db: pool, withTransaction, logger: console });
+
+    const planRouter = createPlanRouter({
+      planService,
+      logger: console,
+    });
+
+    const adminPlanRouter = createAdminPlanRouter({
+      planService,
+      adminAuthenticate,
+      logger: console,
+    });
+
+    container.services.planService = planService;
+
+    app.use("/api/v1/plans", planRouter);
+    app.use("/api/v1/admin/plans", adminPlanRouter);
+  }
+
+  function setupReferralModule() {
+    const withTransaction = async (fn) => {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await fn(client);
+        await client.query("COMMIT");
+        return result;
+      } catch (e) {
+        await client.query("ROLLBACK");
+        throw e;
+      } finally {
+        client.release();
+      }
+    };
+
+    const walletService = new WalletService({ db: pool, withTransaction });
+    const referralService = new ReferralService({
+      db: pool,
+      walletService,
+      withTransaction,
+      logger: console,
+    });
+
+    const campaignService = new ReferralCampaignService({ db: pool, withTransaction, logger: console });
+
+    const referralRouter = createReferralRouter({
+      referralService,
+      campaignService,
+      authenticate,
+      logger: console,
+    });
+
+    const adminReferralRouter = createAdminReferralRouter({
+      referralService,
+      campaignService,
+      adminAuthenticate,
+      logger: console,
+    });
+
+    container.services.referralService = referralService;
+    container.services.referralCampaignService = campaignService;
+
+    app.use("/api/v1/referrals", referralRouter);
+    app.use("/api/v1/admin/referrals", adminReferralRouter);
+  }
+
   function setupWalletModule() {
     const withTransaction = async (fn) => {
       const client = await pool.connect();
@@ -191,16 +357,29 @@ const createApp = () => {
     const transferService = new TransferService({
       db: pool,
       walletService,
+      planService: container.services.planService,
       notificationService,
       auditService,
       withTransaction,
       logger: console,
     });
 
+    const earlyRedemptionService = new EarlyRedemptionService({
+      db: pool,
+      walletService,
+      notificationService,
+      withTransaction,
+      logger: console,
+    });
+
+    const projectionService = new ProjectionService({ db: pool, walletService, logger: console });
+
     // User wallet routes
     const walletRouter = createWalletRouter({
       transferService,
       walletService,
+      earlyRedemptionService,
+      projectionService,
       authenticate,
       logger: console,
     });
@@ -222,15 +401,110 @@ const createApp = () => {
     container.jobs.walletUnlock = unlockJob;
     console.log('[INFO] WalletUnlockJob started (runs every 5 minutes)');
 
+    // Daily profit accrual on locked principal (opt-in)
+    const profitAccrualService = new ProfitAccrualService({
+      db: pool,
+      walletService,
+      withTransaction,
+      referralService: container.services.referralService,
+      logger: console,
+    });
+    if (walletConfig.PROFIT_ACCRUAL_ENABLED) {
+      const accrualJob = new ProfitAccrualJob({
+        profitAccrualService,
+        logger: console,
+      });
+      accrualJob.start();
+      container.jobs.profitAccrual = accrualJob;
+      console.log('[INFO] ProfitAccrualJob started (runs daily at 00:05 UTC)');
+    } else {
+      console.log('[INFO] ProfitAccrualJob disabled (set PROFIT_ACCRUAL_ENABLED=true to enable)');
+    }
+
     container.services.walletService = walletService;
     container.services.transferService = transferService;
     container.services.notificationService = notificationService;
     container.services.auditService = auditService;
+    container.services.profitAccrualService = profitAccrualService;
+    container.services.earlyRedemptionService = earlyRedemptionService;
+    container.services.projectionService = projectionService;
 
     app.use("/api/v1/wallet", walletRouter);
     app.use("/api/v1/admin/wallet", adminWalletRouter);
   }
 
+  function setupWithdrawalModule() {
+    const { walletService } = container.services;
+
+    const addressService = new WithdrawalAddressService({
+      db: pool,
+      logger: console,
+    });
+
+    // Also consulted when an admin rejects an approved/failed withdrawal, so it's built
+    // whether or not automated payouts are enabled
+    const payoutProvider = withdrawalConfig.PAYOUT_PROVIDER === 'fake'
+      ? new FakePayoutProvider({ autoComplete: true })
+      : container.services.binance;
+
+    const withdrawalService = new WithdrawalService({
+      db: pool,
+      walletService,
+      withTransaction: walletService.withTransaction,
+      addressService,
+      payoutProvider,
+      logger: console,
+    });
+
+    const withdrawalRouter = createWithdrawalRouter({
+      withdrawalService,
+      authenticate,
+      logger: console,
+    });
+
+    const withdrawalAddressRouter = createWithdrawalAddressRouter({
+      addressService,
+      authenticate,
+      logger: console,
+    });
+
+    const adminWithdrawalRouter = createAdminWithdrawalRouter({
+      withdrawalService,
+      adminAuthenticate,
+      logger: console,
+    });
+
+    // Expire withdrawal requests whose OTP was never confirmed (runs every minute)
+    const expiryJob = new WithdrawalExpiryJob({
+      withdrawalService,
+      logger: console,
+    });
+    expiryJob.start();
+    container.jobs.withdrawalExpiry = expiryJob;
+    console.log('[INFO] WithdrawalExpiryJob started (runs every minute)');
+
+    // Automated payouts of approved withdrawals (opt-in)
+    if (withdrawalConfig.PAYOUT_ENABLED) {
+      const payoutJob = new WithdrawalPayoutJob({
+        db: pool,
+        provider: payoutProvider,
+        logger: console,
+      });
+      payoutJob.start();
+      container.jobs.withdrawalPayout = payoutJob;
+      console.log(`[INFO] WithdrawalPayoutJob started (provider: ${withdrawalConfig.PAYOUT_PROVIDER})`);
+    } else {
+      console.log('[INFO] WithdrawalPayoutJob disabled (set WITHDRAWAL_PAYOUT_ENABLED=true to enable)');
+    }
+
+    container.services.withdrawalService = withdrawalService;
+    container.services.withdrawalAddressService = addressService;
+
+    app.use("/api/v1/withdrawals", withdrawalRouter);
+    app.use("/api/v1/withdrawal-addresses", withdrawalAddressRouter);
+    app.use("/api/v1/admin/withdrawals", adminWithdrawalRouter);
+  }
+
 
   function setupRoutes() {
     // Docs & health
@@ -245,10 +519,16 @@ const createApp = () => {
     app.use("/api/v1/admin/users", adminUserRoutes);
     app.use("/api/v1/kyc", kycRoutes);
 
+    // Referral codes, bonuses and commissions (used by deposits and profit accrual)
+    setupReferralModule();
     // Deposit module
     setupDepositModule();
+    // Investment plans (used by wallet transfers)
+    setupPlanModule();
     // Wallet module
     setupWalletModule();
+    // Withdrawal module (reuses the wallet module's services)
+    setupWithdrawalModule();
   }
 
   function notFoundHandler(req, res) {
@@ -263,6 +543,21 @@ const createApp = () => {
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 
+  /**
+   * Stop background jobs (waiting for in-flight runs where the job supports it),
+   * then close the DB pool. Call after the HTTP server stops accepting requests.
+   */
+  async function shutdown() {
+    for (const [name, job] of Object.entries(container.jobs)) {
+      try {
+        await job.stop();
+      } catch (err) {
+        console.error(`[ERROR] Failed to stop job ${name}:`, err);
+      }
+    }
+    await pool.end();
+  }
+
   async function initialize() {
     try {
       validateEnv();
@@ -279,7 +574,7 @@ const createApp = () => {
     }
   }
 
-  return { app, server, initialize, container };
+  return { app, server, initialize, shutdown, container };
 };
 
 module.exports = createApp;
@@ -62,6 +62,12 @@ class OtpSmsService {
             case 'reset_password':
                 actionText = 'reset your password';
                 break;
+            case 'withdrawal':
+                actionText = 'confirm your withdrawal request';
+                break;
+            case 'withdrawal_address':
+                actionText = 'add a new withdrawal address';
+                break;
             default:
                 actionText = 'verify your identity';
         }
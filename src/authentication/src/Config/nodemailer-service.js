@@ -47,6 +47,10 @@ class OtpEmailService {
                 return 'Login Verification Code';
             case 'reset_password':
                 return 'Password Reset Code';
+            case 'withdrawal':
+                return 'Withdrawal Confirmation Code';
+            case 'withdrawal_address':
+                return 'New Withdrawal Address Code';
             default:
                 return 'Your Verification Code';
         }
@@ -66,6 +70,12 @@ class OtpEmailService {
             case 'reset_password':
                 actionText = 'reset your password';
                 break;
+            case 'withdrawal':
+                actionText = 'confirm your withdrawal request';
+                break;
+            case 'withdrawal_address':
+                actionText = 'add a new withdrawal address';
+                break;
             default:
                 actionText = 'verify your identity';
         }
@@ -5,12 +5,16 @@ const { addTokenToBlacklist } = require('../helpers/blacklist-auth');
 const SupabaseStorageService = require('../services/supabase-storage.service');
 const KYCDocument = require('../models/kyc-document.model');
 const { query } = require('../../../database/connection');
+const { ReferralService } = require('../../../Investment/src/modules/referral/services/referral.service');
+const { ReferralError } = require('../../../Investment/src/modules/referral/models/referral.model');
+
+const referralService = new ReferralService({ db: { query } });
 
 class AuthController {
   // Step 1: Register user
   static async register(req, res) {
     try {
-      const { email, phoneNumber, password, fullName } = req.body;
+      const { email, phoneNumber, password, fullName, referralCode } = req.body;
 
       if (!email || !password || !fullName) {
         return res.status(400).json({
@@ -37,7 +41,24 @@ class AuthController {
         }
       }
 
-      const user = await User.create({ ...req.body, preferredContactMethod: 'email' });
+      let referrer = null;
+      if (referralCode) {
+        try {
+          referrer = await referralService.resolveCode(referralCode);
+        } catch (err) {
+          if (!(err instanceof ReferralError)) throw err;
+          return res.status(400).json({
+            success: false,
+            message: err.message
+          });
+        }
+      }
+
+      const user = await User.create({
+        ...req.body,
+        preferredContactMethod: 'email',
+        referredBy: referrer ? referrer.referrerId : null
+      });
 
       await OTP.generate({
         userId: user.user_id,
@@ -165,6 +186,14 @@ class AuthController {
 
       await User.updateAccountStatus(userId, 'active');
 
+      // Activation is done; a missing code is issued later on GET /referrals
+      let referral = null;
+      try {
+        referral = await referralService.issueCode(userId);
+      } catch (err) {
+        console.error('Referral code issue error:', err);
+      }
+
       return res.status(201).json({
         success: true,
         message: 'Document uploaded successfully! Your account is now active. You can login.',
@@ -172,6 +201,7 @@ class AuthController {
           documentId: docRecord.document_id,
           documentType: docRecord.document_type,
           accountStatus: 'active',
+          referralCode: referral ? referral.referral_code : null,
           nextStep: 'login'
         }
       });
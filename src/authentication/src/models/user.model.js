@@ -12,9 +12,9 @@ class User {
       const passwordHash = await bcrypt.hash(userData.password, 10);
       
       const userResult = await client.query(
-        `INSERT INTO users (user_id, full_name, email, phone_number, password_hash, preferred_contact_method)
-         VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-        [userId, userData.fullName, userData.email.toLowerCase(), userData.phoneNumber, passwordHash, userData.preferredContactMethod || 'email']
+        `INSERT INTO users (user_id, full_name, email, phone_number, password_hash, preferred_contact_method, referred_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [userId, userData.fullName, userData.email.toLowerCase(), userData.phoneNumber, passwordHash, userData.preferredContactMethod || 'email', userData.referredBy || null]
       );
 
       const walletTypes = ['account', 'trading', 'referral'];
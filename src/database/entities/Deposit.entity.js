@@ -17,7 +17,7 @@ module.exports = new EntitySchema({
 
     // Keep asset and network explicit for future-proofing
     asset: { type: 'varchar', length: 16, default: 'USDT' },
-    network: { type: 'enum', enum: ['ERC20'], default: 'ERC20' },
+    network: { type: 'enum', enum: ['ERC20', 'TRC20', 'BEP20'], default: 'ERC20' },
 
     status: {
       type: 'enum',
@@ -33,6 +33,7 @@ module.exports = new EntitySchema({
 
     verified_at: { type: 'timestamptz', nullable: true },
     credited_at: { type: 'timestamptz', nullable: true },
+    referral_rewards_paid_at: { type: 'timestamptz', nullable: true }, // unset = referral bonus/commissions still owed a run
 
     message: { type: 'varchar', length: 255, nullable: true }, // short failure/notes
     metadata: { type: 'jsonb', nullable: true }, // provider payload (confirmations, etc.)
@@ -0,0 +1,21 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'DepositMonitorCursor',
+  tableName: 'deposit_monitor_cursors',
+  columns: {
+    cursor_key: {
+      type: 'varchar',
+      length: 64,
+      primary: true
+    },
+    cursor_ms: {
+      type: 'bigint',
+      nullable: false
+    },
+    updated_at: {
+      type: 'timestamptz',
+      updateDate: true
+    }
+  }
+});
@@ -0,0 +1,68 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'InvestmentPlan',
+  tableName: 'investment_plans',
+  columns: {
+    plan_id: {
+      type: 'uuid',
+      primary: true,
+      generated: 'uuid'
+    },
+    name: {
+      type: 'varchar',
+      length: 64,
+      nullable: false
+    },
+    description: {
+      type: 'varchar',
+      length: 255,
+      nullable: true
+    },
+    min_amount: {
+      type: 'decimal',
+      precision: 12,
+      scale: 2,
+      nullable: false
+    },
+    max_amount: {
+      type: 'decimal',
+      precision: 12,
+      scale: 2,
+      nullable: true
+    },
+    lock_days: {
+      type: 'integer',
+      nullable: false
+    },
+    rate_pct: {
+      type: 'decimal',
+      precision: 7,
+      scale: 4,
+      nullable: false
+    },
+    rate_period: {
+      type: 'varchar',
+      length: 10,
+      nullable: false
+    },
+    compounding: {
+      type: 'boolean',
+      default: false,
+      nullable: false
+    },
+    is_active: {
+      type: 'boolean',
+      default: true,
+      nullable: false
+    },
+    created_at: {
+      type: 'timestamptz',
+      createDate: true
+    },
+    updated_at: {
+      type: 'timestamptz',
+      updateDate: true
+    }
+  }
+});
@@ -30,7 +30,7 @@ module.exports = new EntitySchema({
     },
     otp_purpose: {
       type: 'enum',
-      enum: ['registration', 'login', 'reset_password', 'withdrawal', 'profile_update'],
+      enum: ['registration', 'login', 'reset_password', 'withdrawal', 'profile_update', 'withdrawal_address'],
       nullable: false
     },
     delivery_method: {
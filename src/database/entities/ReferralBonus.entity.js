@@ -17,6 +17,10 @@ module.exports = new EntitySchema({
       type: 'uuid',
       nullable: false
     },
+    campaign_id: {
+      type: 'uuid',
+      nullable: true
+    },
     deposit_amount: {
       type: 'decimal',
       precision: 12,
@@ -29,6 +33,28 @@ module.exports = new EntitySchema({
       scale: 2,
       nullable: false
     },
+    status: {
+      type: 'enum',
+      enum: ['credited', 'pending_review', 'rejected'],
+      default: 'credited'
+    },
+    fraud_flags: {
+      type: 'jsonb',
+      nullable: true
+    },
+    reviewed_by: {
+      type: 'uuid',
+      nullable: true
+    },
+    reviewed_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    review_note: {
+      type: 'varchar',
+      length: 255,
+      nullable: true
+    },
     created_at: {
       type: 'timestamptz',
       createDate: true
@@ -44,10 +70,17 @@ module.exports = new EntitySchema({
       type: 'many-to-one',
       target: 'User',
       joinColumn: { name: 'referee_id' }
+    },
+    campaign: {
+      type: 'many-to-one',
+      target: 'ReferralCampaign',
+      joinColumn: { name: 'campaign_id' },
+      nullable: true
     }
   },
   indices: [
     { columns: ['referral_id'] },
-    { columns: ['referee_id'], unique: true }
+    { columns: ['referee_id'], unique: true },
+    { columns: ['status'] }
   ]
 });
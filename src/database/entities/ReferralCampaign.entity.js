@@ -0,0 +1,66 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'ReferralCampaign',
+  tableName: 'referral_campaigns',
+  columns: {
+    campaign_id: {
+      type: 'uuid',
+      primary: true,
+      generated: 'uuid'
+    },
+    name: {
+      type: 'varchar',
+      length: 64,
+      nullable: false
+    },
+    starts_at: {
+      type: 'timestamptz',
+      nullable: false
+    },
+    ends_at: {
+      type: 'timestamptz',
+      nullable: false
+    },
+    bonus_pct: {
+      type: 'decimal',
+      precision: 7,
+      scale: 4,
+      nullable: false
+    },
+    bonus_max_usd: {
+      type: 'decimal',
+      precision: 12,
+      scale: 2,
+      nullable: true
+    },
+    budget_usd: {
+      type: 'decimal',
+      precision: 14,
+      scale: 2,
+      nullable: true
+    },
+    is_active: {
+      type: 'boolean',
+      default: true
+    },
+    created_at: {
+      type: 'timestamptz',
+      createDate: true
+    },
+    updated_at: {
+      type: 'timestamptz',
+      updateDate: true
+    }
+  },
+  relations: {
+    bonuses: {
+      type: 'one-to-many',
+      target: 'ReferralBonus',
+      inverseSide: 'campaign'
+    }
+  },
+  indices: [
+    { columns: ['starts_at', 'ends_at'] }
+  ]
+});
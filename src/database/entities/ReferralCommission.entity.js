@@ -0,0 +1,96 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'ReferralCommission',
+  tableName: 'referral_commissions',
+  columns: {
+    commission_id: {
+      type: 'uuid',
+      primary: true,
+      generated: 'uuid'
+    },
+    beneficiary_id: {
+      type: 'uuid',
+      nullable: false
+    },
+    source_user_id: {
+      type: 'uuid',
+      nullable: false
+    },
+    source_type: {
+      type: 'enum',
+      enum: ['deposit', 'profit'],
+      nullable: false
+    },
+    source_ref: {
+      type: 'varchar',
+      length: 64,
+      nullable: false
+    },
+    level: {
+      type: 'integer',
+      nullable: false
+    },
+    base_amount: {
+      type: 'decimal',
+      precision: 18,
+      scale: 2,
+      nullable: false
+    },
+    pct: {
+      type: 'decimal',
+      precision: 7,
+      scale: 4,
+      nullable: false
+    },
+    amount: {
+      type: 'decimal',
+      precision: 18,
+      scale: 2,
+      nullable: false
+    },
+    status: {
+      type: 'enum',
+      enum: ['credited', 'pending_review', 'rejected'],
+      default: 'credited'
+    },
+    fraud_flags: {
+      type: 'jsonb',
+      nullable: true
+    },
+    reviewed_by: {
+      type: 'uuid',
+      nullable: true
+    },
+    reviewed_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    review_note: {
+      type: 'varchar',
+      length: 255,
+      nullable: true
+    },
+    created_at: {
+      type: 'timestamptz',
+      createDate: true
+    }
+  },
+  relations: {
+    beneficiary: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'beneficiary_id' }
+    },
+    sourceUser: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'source_user_id' }
+    }
+  },
+  indices: [
+    { columns: ['beneficiary_id', 'source_user_id'] },
+    { columns: ['source_type', 'source_ref', 'level'], unique: true },
+    { columns: ['status'] }
+  ]
+});
@@ -0,0 +1,104 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'UnclaimedDeposit',
+  tableName: 'unclaimed_deposits',
+  columns: {
+    unclaimed_id: {
+      type: 'uuid',
+      primary: true,
+      generated: 'uuid'
+    },
+    tx_id: {
+      type: 'varchar',
+      length: 255,
+      nullable: false,
+      unique: true
+    },
+    network: {
+      type: 'enum',
+      enum: ['ERC20', 'TRC20', 'BEP20'],
+      nullable: false
+    },
+    address: {
+      type: 'varchar',
+      length: 128,
+      nullable: true
+    },
+    amount: {
+      type: 'decimal',
+      precision: 18,
+      scale: 2,
+      nullable: false
+    },
+    coin: {
+      type: 'varchar',
+      length: 16,
+      nullable: false
+    },
+    provider_status: {
+      type: 'varchar',
+      length: 16,
+      nullable: false
+    },
+    provider_insert_time: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    payload: {
+      type: 'jsonb',
+      nullable: true
+    },
+    status: {
+      type: 'varchar',
+      length: 16,
+      default: 'unclaimed'
+    },
+    user_id: {
+      type: 'uuid',
+      nullable: true
+    },
+    deposit_id: {
+      type: 'uuid',
+      nullable: true
+    },
+    resolved_by: {
+      type: 'uuid',
+      nullable: true
+    },
+    resolved_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    note: {
+      type: 'varchar',
+      length: 255,
+      nullable: true
+    },
+    created_at: {
+      type: 'timestamptz',
+      createDate: true
+    },
+    updated_at: {
+      type: 'timestamptz',
+      updateDate: true
+    }
+  },
+  relations: {
+    user: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'user_id' },
+      onDelete: 'SET NULL'
+    },
+    deposit: {
+      type: 'many-to-one',
+      target: 'Deposit',
+      joinColumn: { name: 'deposit_id' },
+      onDelete: 'SET NULL'
+    }
+  },
+  indices: [
+    { columns: ['status', 'created_at'] }
+  ]
+});
@@ -44,6 +44,14 @@ module.exports = new EntitySchema({
       type: 'boolean',
       default: false
     },
+    profit_compounding: {
+      type: 'boolean',
+      default: false
+    },
+    referred_by: {
+      type: 'uuid',
+      nullable: true
+    },
     account_status: {
       type: 'enum',
       enum: ['pending', 'active', 'suspended', 'deactivated'],
@@ -99,11 +107,18 @@ module.exports = new EntitySchema({
       target: 'OTPRecord',
       inverseSide: 'user',
       cascade: true
+    },
+    referrer: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'referred_by' },
+      nullable: true
     }
   },
   indices: [
     { columns: ['email'] },
     { columns: ['phone_number'] },
-    { columns: ['account_status'] }
+    { columns: ['account_status'] },
+    { columns: ['referred_by'] }
   ]
 });
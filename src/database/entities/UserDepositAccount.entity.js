@@ -0,0 +1,38 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'UserDepositAccount',
+  tableName: 'user_deposit_accounts',
+  columns: {
+    user_id: {
+      type: 'uuid',
+      primary: true
+    },
+    provider: {
+      type: 'varchar',
+      length: 32,
+      default: 'binance'
+    },
+    provider_account: {
+      type: 'varchar',
+      length: 255,
+      nullable: true
+    },
+    account_created_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    created_at: {
+      type: 'timestamptz',
+      createDate: true
+    }
+  },
+  relations: {
+    user: {
+      type: 'one-to-one',
+      target: 'User',
+      joinColumn: { name: 'user_id' },
+      onDelete: 'CASCADE'
+    }
+  }
+});
@@ -0,0 +1,58 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'UserDepositAddress',
+  tableName: 'user_deposit_addresses',
+  columns: {
+    address_id: {
+      type: 'uuid',
+      primary: true,
+      generated: 'uuid'
+    },
+    user_id: {
+      type: 'uuid',
+      nullable: false
+    },
+    network: {
+      type: 'enum',
+      enum: ['ERC20', 'TRC20', 'BEP20'],
+      nullable: false
+    },
+    address: {
+      type: 'varchar',
+      length: 128,
+      nullable: false
+    },
+    tag: {
+      type: 'varchar',
+      length: 128,
+      nullable: true
+    },
+    provider: {
+      type: 'varchar',
+      length: 32,
+      default: 'binance'
+    },
+    provider_account: {
+      type: 'varchar',
+      length: 255,
+      nullable: false
+    },
+    created_at: {
+      type: 'timestamptz',
+      createDate: true
+    }
+  },
+  relations: {
+    user: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'user_id' },
+      onDelete: 'CASCADE'
+    }
+  },
+  indices: [
+    { columns: ['user_id', 'network'], unique: true },
+    { columns: ['provider_account'] }
+  ]
+});
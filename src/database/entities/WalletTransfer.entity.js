@@ -31,7 +31,7 @@ module.exports = new EntitySchema({
     },
     transfer_type: {
       type: 'enum',
-      enum: ['principal', 'profit'],
+      enum: ['principal', 'profit', 'compound', 'profit_lock'],
       default: 'principal',
       nullable: false
     },
@@ -45,10 +45,18 @@ module.exports = new EntitySchema({
     },
     status: {
       type: 'enum',
-      enum: ['active', 'unlocked', 'cancelled'],
+      enum: ['active', 'unlocked', 'cancelled', 'redeemed_early'],
       default: 'active',
       nullable: false
     },
+    plan_id: {
+      type: 'uuid',
+      nullable: true
+    },
+    parent_transfer_id: {
+      type: 'uuid',
+      nullable: true
+    },
     created_at: {
       type: 'timestamptz',
       createDate: true
@@ -59,6 +67,18 @@ module.exports = new EntitySchema({
       type: 'many-to-one',
       target: 'User',
       joinColumn: { name: 'user_id' }
+    },
+    plan: {
+      type: 'many-to-one',
+      target: 'InvestmentPlan',
+      joinColumn: { name: 'plan_id' },
+      onDelete: 'RESTRICT'
+    },
+    parent: {
+      type: 'many-to-one',
+      target: 'WalletTransfer',
+      joinColumn: { name: 'parent_transfer_id' },
+      onDelete: 'RESTRICT'
     }
   },
   indices: [
@@ -36,7 +36,7 @@ module.exports = new EntitySchema({
     },
     status: {
       type: 'enum',
-      enum: ['pending', 'approved', 'completed', 'rejected'],
+      enum: ['awaiting_confirmation', 'pending', 'approved', 'processing', 'completed', 'failed', 'rejected', 'cancelled', 'expired'],
       default: 'pending'
     },
     admin_approved: {
@@ -58,6 +58,65 @@ module.exports = new EntitySchema({
     completed_at: {
       type: 'timestamptz',
       nullable: true
+    },
+    rejection_reason: {
+      type: 'varchar',
+      length: 255,
+      nullable: true
+    },
+    rejected_by: {
+      type: 'uuid',
+      nullable: true
+    },
+    rejected_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    confirmation_expires_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    confirmed_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    address_id: {
+      type: 'uuid',
+      nullable: true
+    },
+    provider_withdrawal_id: {
+      type: 'varchar',
+      length: 64,
+      nullable: true
+    },
+    payout_attempts: {
+      type: 'integer',
+      default: 0
+    },
+    next_payout_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    payout_error: {
+      type: 'varchar',
+      length: 255,
+      nullable: true
+    },
+    submitted_at: {
+      type: 'timestamptz',
+      nullable: true
+    },
+    network_fee: {
+      type: 'decimal',
+      precision: 12,
+      scale: 2,
+      default: 0
+    },
+    platform_fee: {
+      type: 'decimal',
+      precision: 12,
+      scale: 2,
+      default: 0
     }
   },
   relations: {
@@ -70,6 +129,12 @@ module.exports = new EntitySchema({
       type: 'many-to-one',
       target: 'Admin',
       joinColumn: { name: 'approved_by' }
+    },
+    withdrawalAddress: {
+      type: 'many-to-one',
+      target: 'WithdrawalAddress',
+      joinColumn: { name: 'address_id' },
+      onDelete: 'SET NULL'
     }
   },
   indices: [
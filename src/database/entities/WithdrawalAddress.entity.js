@@ -0,0 +1,55 @@
+const { EntitySchema } = require('typeorm');
+
+module.exports = new EntitySchema({
+  name: 'WithdrawalAddress',
+  tableName: 'withdrawal_addresses',
+  columns: {
+    address_id: {
+      type: 'uuid',
+      primary: true,
+      generated: 'uuid'
+    },
+    user_id: {
+      type: 'uuid',
+      nullable: false
+    },
+    label: {
+      type: 'varchar',
+      length: 64,
+      nullable: false
+    },
+    network: {
+      type: 'varchar',
+      length: 16,
+      nullable: false
+    },
+    address: {
+      type: 'varchar',
+      length: 64,
+      nullable: false
+    },
+    usable_after: {
+      type: 'timestamptz',
+      nullable: false
+    },
+    created_at: {
+      type: 'timestamptz',
+      createDate: true
+    },
+    removed_at: {
+      type: 'timestamptz',
+      nullable: true
+    }
+  },
+  relations: {
+    user: {
+      type: 'many-to-one',
+      target: 'User',
+      joinColumn: { name: 'user_id' },
+      onDelete: 'CASCADE'
+    }
+  },
+  indices: [
+    { columns: ['user_id'] }
+  ]
+});
@@ -0,0 +1,13 @@
+// database/migrations/1762600000000-AddWithdrawalCancelledStatus.js
+module.exports = class AddWithdrawalCancelledStatus1762600000000 {
+    name = 'AddWithdrawalCancelledStatus1762600000000';
+
+    async up(qr) {
+        // users may cancel their own pending withdrawals
+        await qr.query(`ALTER TYPE withdrawal_status_enum ADD VALUE IF NOT EXISTS 'cancelled';`);
+    }
+
+    async down(qr) {
+        // Postgres cannot drop a single enum value; leave it in place.
+    }
+};
@@ -0,0 +1,29 @@
+// database/migrations/1762600000001-AddWithdrawalRejectionColumns.js
+module.exports = class AddWithdrawalRejectionColumns1762600000001 {
+    name = 'AddWithdrawalRejectionColumns1762600000001';
+
+    async up(qr) {
+        await qr.query(`
+      ALTER TABLE withdrawals
+        ADD COLUMN IF NOT EXISTS rejection_reason VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS rejected_by UUID REFERENCES admins(admin_id),
+        ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMPTZ
+    `);
+
+        // admin queue lists by status, oldest first
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_withdrawals_status_requested
+        ON withdrawals(status, requested_at)
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_withdrawals_status_requested`);
+        await qr.query(`
+      ALTER TABLE withdrawals
+        DROP COLUMN IF EXISTS rejection_reason,
+        DROP COLUMN IF EXISTS rejected_by,
+        DROP COLUMN IF EXISTS rejected_at
+    `);
+    }
+};
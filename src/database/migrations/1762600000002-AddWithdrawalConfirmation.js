@@ -0,0 +1,32 @@
+// database/migrations/1762600000002-AddWithdrawalConfirmation.js
+module.exports = class AddWithdrawalConfirmation1762600000002 {
+    name = 'AddWithdrawalConfirmation1762600000002';
+
+    async up(qr) {
+        // new requests wait for an OTP; unconfirmed ones expire
+        await qr.query(`ALTER TYPE withdrawal_status_enum ADD VALUE IF NOT EXISTS 'awaiting_confirmation';`);
+        await qr.query(`ALTER TYPE withdrawal_status_enum ADD VALUE IF NOT EXISTS 'expired';`);
+
+        await qr.query(`
+      ALTER TABLE withdrawals
+        ADD COLUMN IF NOT EXISTS confirmation_expires_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMPTZ
+    `);
+
+        // expiry job scans by status + deadline
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_withdrawals_status_confirmation_expires
+        ON withdrawals(status, confirmation_expires_at)
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_withdrawals_status_confirmation_expires`);
+        await qr.query(`
+      ALTER TABLE withdrawals
+        DROP COLUMN IF EXISTS confirmation_expires_at,
+        DROP COLUMN IF EXISTS confirmed_at
+    `);
+        // Postgres cannot drop a single enum value; leave them in place.
+    }
+};
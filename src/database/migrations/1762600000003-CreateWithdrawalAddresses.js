@@ -0,0 +1,44 @@
+// database/migrations/1762600000003-CreateWithdrawalAddresses.js
+module.exports = class CreateWithdrawalAddresses1762600000003 {
+    name = 'CreateWithdrawalAddresses1762600000003';
+
+    async up(qr) {
+        // adding a payout address is OTP-protected with its own purpose
+        await qr.query(`ALTER TYPE otp_purpose_enum ADD VALUE IF NOT EXISTS 'withdrawal_address';`);
+
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS withdrawal_addresses (
+        address_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        label VARCHAR(64) NOT NULL,
+        network VARCHAR(16) NOT NULL,
+        address VARCHAR(64) NOT NULL,
+        usable_after TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        removed_at TIMESTAMPTZ
+      )
+    `);
+
+        // one active entry per address and network for each user
+        await qr.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_withdrawal_addresses_user_network_address
+        ON withdrawal_addresses(user_id, network, LOWER(address))
+        WHERE removed_at IS NULL
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_withdrawal_addresses_user
+        ON withdrawal_addresses(user_id)
+    `);
+
+        await qr.query(`
+      ALTER TABLE withdrawals
+        ADD COLUMN IF NOT EXISTS address_id UUID REFERENCES withdrawal_addresses(address_id) ON DELETE SET NULL
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`ALTER TABLE withdrawals DROP COLUMN IF EXISTS address_id`);
+        await qr.query(`DROP TABLE IF EXISTS withdrawal_addresses`);
+        // Postgres cannot drop a single enum value; leave 'withdrawal_address' in place.
+    }
+};
@@ -0,0 +1,31 @@
+// database/migrations/1762600000004-AddWithdrawalPayoutTracking.js
+module.exports = class AddWithdrawalPayoutTracking1762600000004 {
+    name = 'AddWithdrawalPayoutTracking1762600000004';
+
+    async up(qr) {
+        // payout job: approved -> processing -> completed | failed
+        await qr.query(`ALTER TYPE withdrawal_status_enum ADD VALUE IF NOT EXISTS 'processing';`);
+        await qr.query(`ALTER TYPE withdrawal_status_enum ADD VALUE IF NOT EXISTS 'failed';`);
+
+        await qr.query(`
+      ALTER TABLE withdrawals
+        ADD COLUMN IF NOT EXISTS provider_withdrawal_id VARCHAR(64),
+        ADD COLUMN IF NOT EXISTS payout_attempts INTEGER NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS next_payout_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS payout_error VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`
+      ALTER TABLE withdrawals
+        DROP COLUMN IF EXISTS provider_withdrawal_id,
+        DROP COLUMN IF EXISTS payout_attempts,
+        DROP COLUMN IF EXISTS next_payout_at,
+        DROP COLUMN IF EXISTS payout_error,
+        DROP COLUMN IF EXISTS submitted_at
+    `);
+        // Postgres cannot drop a single enum value; leave them in place.
+    }
+};
@@ -0,0 +1,28 @@
+// database/migrations/1762600000005-AddWithdrawalFees.js
+module.exports = class AddWithdrawalFees1762600000005 {
+    name = 'AddWithdrawalFees1762600000005';
+
+    async up(qr) {
+        // fees are charged on top of the amount and refunded if the withdrawal is released
+        await qr.query(`
+      ALTER TABLE withdrawals
+        ADD COLUMN IF NOT EXISTS network_fee DECIMAL(12,2) NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS platform_fee DECIMAL(12,2) NOT NULL DEFAULT 0
+    `);
+
+        // rolling-window limit checks
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_withdrawals_user_requested
+        ON withdrawals(user_id, requested_at)
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_withdrawals_user_requested`);
+        await qr.query(`
+      ALTER TABLE withdrawals
+        DROP COLUMN IF EXISTS network_fee,
+        DROP COLUMN IF EXISTS platform_fee
+    `);
+    }
+};
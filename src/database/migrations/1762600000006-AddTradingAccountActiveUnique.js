@@ -0,0 +1,17 @@
+// database/migrations/1762600000006-AddTradingAccountActiveUnique.js
+module.exports = class AddTradingAccountActiveUnique1762600000006 {
+    name = 'AddTradingAccountActiveUnique1762600000006';
+
+    async up(qr) {
+        // profit accrual upserts one active trading account per user
+        await qr.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_trading_accounts_user_active
+        ON trading_accounts(user_id)
+        WHERE status = 'active'
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS uq_trading_accounts_user_active`);
+    }
+};
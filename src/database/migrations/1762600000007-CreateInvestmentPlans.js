@@ -0,0 +1,44 @@
+// database/migrations/1762600000007-CreateInvestmentPlans.js
+module.exports = class CreateInvestmentPlans1762600000007 {
+    name = 'CreateInvestmentPlans1762600000007';
+
+    async up(qr) {
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS investment_plans (
+        plan_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(64) NOT NULL,
+        description VARCHAR(255),
+        min_amount DECIMAL(12,2) NOT NULL CHECK (min_amount > 0),
+        max_amount DECIMAL(12,2) CHECK (max_amount IS NULL OR max_amount >= min_amount),
+        lock_days INTEGER NOT NULL CHECK (lock_days >= 0),
+        rate_pct DECIMAL(7,4) NOT NULL CHECK (rate_pct >= 0 AND rate_pct < 100),
+        rate_period VARCHAR(10) NOT NULL CHECK (rate_period IN ('daily', 'monthly')),
+        compounding BOOLEAN NOT NULL DEFAULT FALSE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+        await qr.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_investment_plans_name
+        ON investment_plans(LOWER(name))
+    `);
+
+        // each principal lock records the plan it was opened under (NULL = default terms)
+        await qr.query(`
+      ALTER TABLE wallet_transfers
+        ADD COLUMN IF NOT EXISTS plan_id UUID REFERENCES investment_plans(plan_id) ON DELETE RESTRICT
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_wallet_transfers_plan
+        ON wallet_transfers(plan_id)
+        WHERE plan_id IS NOT NULL
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_wallet_transfers_plan`);
+        await qr.query(`ALTER TABLE wallet_transfers DROP COLUMN IF EXISTS plan_id`);
+        await qr.query(`DROP TABLE IF EXISTS investment_plans`);
+    }
+};
@@ -0,0 +1,29 @@
+// database/migrations/1762600000008-AddProfitCompounding.js
+module.exports = class AddProfitCompounding1762600000008 {
+    name = 'AddProfitCompounding1762600000008';
+
+    async up(qr) {
+        // per-user opt-in: roll daily profit back into locked principal
+        await qr.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS profit_compounding BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+        // compounded profit is a child lock of the transfer that earned it
+        await qr.query(`
+      ALTER TABLE wallet_transfers
+        ADD COLUMN IF NOT EXISTS parent_transfer_id UUID REFERENCES wallet_transfers(transfer_id) ON DELETE RESTRICT
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_wallet_transfers_parent
+        ON wallet_transfers(parent_transfer_id)
+        WHERE parent_transfer_id IS NOT NULL
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_wallet_transfers_parent`);
+        await qr.query(`ALTER TABLE wallet_transfers DROP COLUMN IF EXISTS parent_transfer_id`);
+        await qr.query(`ALTER TABLE users DROP COLUMN IF EXISTS profit_compounding`);
+    }
+};
@@ -0,0 +1,22 @@
+// database/migrations/1762600000009-AddReferralAttribution.js
+module.exports = class AddReferralAttribution1762600000009 {
+    name = 'AddReferralAttribution1762600000009';
+
+    async up(qr) {
+        // referrer-referee link recorded at registration; one referrer per user, never changed
+        await qr.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS referred_by UUID REFERENCES users(user_id) ON DELETE SET NULL
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_users_referred_by
+        ON users(referred_by)
+        WHERE referred_by IS NOT NULL
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_users_referred_by`);
+        await qr.query(`ALTER TABLE users DROP COLUMN IF EXISTS referred_by`);
+    }
+};
@@ -0,0 +1,43 @@
+// database/migrations/1762600000010-CreateReferralCommissions.js
+module.exports = class CreateReferralCommissions1762600000010 {
+    name = 'CreateReferralCommissions1762600000010';
+
+    async up(qr) {
+        // one row per (source event, level): the unique key makes a repeated payout a no-op
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS referral_commissions (
+        commission_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        beneficiary_id UUID NOT NULL REFERENCES users(user_id),
+        source_user_id UUID NOT NULL REFERENCES users(user_id),
+        source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('deposit', 'profit')),
+        source_ref VARCHAR(64) NOT NULL,
+        level INTEGER NOT NULL CHECK (level >= 1),
+        base_amount NUMERIC(18,2) NOT NULL,
+        pct NUMERIC(7,4) NOT NULL,
+        amount NUMERIC(18,2) NOT NULL CHECK (amount > 0),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CONSTRAINT uq_referral_commission_source UNIQUE (source_type, source_ref, level),
+        CONSTRAINT chk_referral_commission_not_self CHECK (beneficiary_id <> source_user_id)
+      )
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_referral_commissions_beneficiary
+        ON referral_commissions(beneficiary_id, source_user_id)
+    `);
+
+        // nobody can refer themselves; longer cycles are skipped when the chain is walked
+        await qr.query(`DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname='chk_users_not_self_referred') THEN
+        ALTER TABLE users
+          ADD CONSTRAINT chk_users_not_self_referred CHECK (referred_by IS NULL OR referred_by <> user_id);
+      END IF;
+    END$$;`);
+    }
+
+    async down(qr) {
+        await qr.query(`ALTER TABLE users DROP CONSTRAINT IF EXISTS chk_users_not_self_referred`);
+        await qr.query(`DROP INDEX IF EXISTS idx_referral_commissions_beneficiary`);
+        await qr.query(`DROP TABLE IF EXISTS referral_commissions`);
+    }
+};
@@ -0,0 +1,34 @@
+// database/migrations/1762600000011-AddReferralBonusReview.js
+module.exports = class AddReferralBonusReview1762600000011 {
+    name = 'AddReferralBonusReview1762600000011';
+
+    async up(qr) {
+        // bonuses on suspicious referral pairs wait for an admin instead of being credited
+        await qr.query(`
+      ALTER TABLE referral_bonuses
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'credited'
+          CHECK (status IN ('credited', 'pending_review', 'rejected')),
+        ADD COLUMN IF NOT EXISTS fraud_flags JSONB,
+        ADD COLUMN IF NOT EXISTS reviewed_by UUID,
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS review_note VARCHAR(255)
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_referral_bonuses_pending
+        ON referral_bonuses(created_at)
+        WHERE status = 'pending_review'
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_referral_bonuses_pending`);
+        await qr.query(`
+      ALTER TABLE referral_bonuses
+        DROP COLUMN IF EXISTS review_note,
+        DROP COLUMN IF EXISTS reviewed_at,
+        DROP COLUMN IF EXISTS reviewed_by,
+        DROP COLUMN IF EXISTS fraud_flags,
+        DROP COLUMN IF EXISTS status
+    `);
+    }
+};
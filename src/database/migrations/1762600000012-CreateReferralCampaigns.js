@@ -0,0 +1,46 @@
+// database/migrations/1762600000012-CreateReferralCampaigns.js
+module.exports = class CreateReferralCampaigns1762600000012 {
+    name = 'CreateReferralCampaigns1762600000012';
+
+    async up(qr) {
+        // time-boxed bonus terms; outside any campaign the REFERRAL_BONUS_* defaults apply
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS referral_campaigns (
+        campaign_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        name VARCHAR(64) NOT NULL,
+        starts_at TIMESTAMPTZ NOT NULL,
+        ends_at TIMESTAMPTZ NOT NULL,
+        bonus_pct DECIMAL(7,4) NOT NULL CHECK (bonus_pct >= 0 AND bonus_pct <= 100),
+        bonus_max_usd DECIMAL(12,2) CHECK (bonus_max_usd IS NULL OR bonus_max_usd > 0),
+        budget_usd DECIMAL(14,2) CHECK (budget_usd IS NULL OR budget_usd > 0),
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CONSTRAINT chk_referral_campaign_period CHECK (ends_at > starts_at)
+      )
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_referral_campaigns_period
+        ON referral_campaigns(starts_at, ends_at)
+        WHERE is_active
+    `);
+
+        // which campaign's terms a bonus was paid under (NULL = default terms)
+        await qr.query(`
+      ALTER TABLE referral_bonuses
+        ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES referral_campaigns(campaign_id) ON DELETE RESTRICT
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_referral_bonuses_campaign
+        ON referral_bonuses(campaign_id)
+        WHERE campaign_id IS NOT NULL
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_referral_bonuses_campaign`);
+        await qr.query(`ALTER TABLE referral_bonuses DROP COLUMN IF EXISTS campaign_id`);
+        await qr.query(`DROP INDEX IF EXISTS idx_referral_campaigns_period`);
+        await qr.query(`DROP TABLE IF EXISTS referral_campaigns`);
+    }
+};
@@ -0,0 +1,14 @@
+// database/migrations/1762600000013-AddDepositNetworks.js
+module.exports = class AddDepositNetworks1762600000013 {
+    name = 'AddDepositNetworks1762600000013';
+
+    async up(qr) {
+        // USDT deposits on TRON and BNB Smart Chain alongside Ethereum
+        await qr.query(`ALTER TYPE deposit_network ADD VALUE IF NOT EXISTS 'TRC20';`);
+        await qr.query(`ALTER TYPE deposit_network ADD VALUE IF NOT EXISTS 'BEP20';`);
+    }
+
+    async down(qr) {
+        // Postgres cannot drop a single enum value; leave it in place.
+    }
+};
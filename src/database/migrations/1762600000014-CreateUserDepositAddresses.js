@@ -0,0 +1,35 @@
+// database/migrations/1762600000014-CreateUserDepositAddresses.js
+module.exports = class CreateUserDepositAddresses1762600000014 {
+    name = 'CreateUserDepositAddresses1762600000014';
+
+    async up(qr) {
+        // per-user receiving addresses (one provider sub-account per user, one address per network)
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS user_deposit_addresses (
+        address_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+        network deposit_network NOT NULL,
+        address VARCHAR(128) NOT NULL,
+        tag VARCHAR(128),
+        provider VARCHAR(32) NOT NULL DEFAULT 'binance',
+        provider_account VARCHAR(255) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CONSTRAINT uq_user_deposit_addresses_user_network UNIQUE (user_id, network)
+      )
+    `);
+
+        // an address attributes deposits to exactly one user
+        await qr.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS uq_user_deposit_addresses_network_address
+        ON user_deposit_addresses(network, LOWER(address))
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_user_deposit_addresses_account
+        ON user_deposit_addresses(provider_account)
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP TABLE IF EXISTS user_deposit_addresses`);
+    }
+};
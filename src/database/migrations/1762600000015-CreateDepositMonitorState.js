@@ -0,0 +1,48 @@
+// database/migrations/1762600000015-CreateDepositMonitorState.js
+module.exports = class CreateDepositMonitorState1762600000015 {
+    name = 'CreateDepositMonitorState1762600000015';
+
+    async up(qr) {
+        // where the deposit monitor resumes after a restart (one row per provider/network)
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS deposit_monitor_cursors (
+        cursor_key VARCHAR(64) PRIMARY KEY,
+        cursor_ms BIGINT NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+        // provider deposits nobody has claimed yet, for admin assignment
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS unclaimed_deposits (
+        unclaimed_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        tx_id VARCHAR(255) NOT NULL UNIQUE,
+        network deposit_network NOT NULL,
+        address VARCHAR(128),
+        amount DECIMAL(18,2) NOT NULL,
+        coin VARCHAR(16) NOT NULL,
+        provider_status VARCHAR(16) NOT NULL,
+        provider_insert_time TIMESTAMPTZ,
+        payload JSONB,
+        status VARCHAR(16) NOT NULL DEFAULT 'unclaimed'
+          CHECK (status IN ('unclaimed', 'claimed', 'assigned', 'ignored')),
+        user_id UUID REFERENCES users(user_id) ON DELETE SET NULL,
+        deposit_id UUID REFERENCES deposits(deposit_id) ON DELETE SET NULL,
+        resolved_by UUID,
+        resolved_at TIMESTAMPTZ,
+        note VARCHAR(255),
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_unclaimed_deposits_status
+        ON unclaimed_deposits(status, created_at DESC)
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP TABLE IF EXISTS unclaimed_deposits`);
+        await qr.query(`DROP TABLE IF EXISTS deposit_monitor_cursors`);
+    }
+};
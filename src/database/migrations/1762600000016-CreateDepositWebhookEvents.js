@@ -0,0 +1,37 @@
+// database/migrations/1762600000016-CreateDepositWebhookEvents.js
+module.exports = class CreateDepositWebhookEvents1762600000016 {
+    name = 'CreateDepositWebhookEvents1762600000016';
+
+    async up(qr) {
+        // every authenticated deposit webhook delivery; the unique nonce rejects replays
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS deposit_webhook_events (
+        event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        nonce VARCHAR(128) NOT NULL UNIQUE,
+        sent_at TIMESTAMPTZ NOT NULL,
+        event_type VARCHAR(32),
+        tx_id VARCHAR(255),
+        payload JSONB NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'received'
+          CHECK (status IN ('received', 'processed', 'ignored', 'failed')),
+        deposit_status VARCHAR(32),
+        error TEXT,
+        attempts INT NOT NULL DEFAULT 0,
+        received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        processed_at TIMESTAMPTZ
+      )
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_deposit_webhook_events_status
+        ON deposit_webhook_events(status, received_at)
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_deposit_webhook_events_tx_id
+        ON deposit_webhook_events(tx_id)
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP TABLE IF EXISTS deposit_webhook_events`);
+    }
+};
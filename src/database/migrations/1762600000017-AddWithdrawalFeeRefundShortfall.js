@@ -0,0 +1,21 @@
+// database/migrations/1762600000017-AddWithdrawalFeeRefundShortfall.js
+module.exports = class AddWithdrawalFeeRefundShortfall1762600000017 {
+    name = 'AddWithdrawalFeeRefundShortfall1762600000017';
+
+    async up(qr) {
+        // part of a fee refund the revenue wallet couldn't cover; the user was refunded in full
+        await qr.query(`
+      ALTER TABLE withdrawals
+        ADD COLUMN IF NOT EXISTS fee_refund_shortfall DECIMAL(12,2) NOT NULL DEFAULT 0
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_withdrawals_fee_refund_shortfall
+        ON withdrawals(withdrawal_id) WHERE fee_refund_shortfall > 0
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_withdrawals_fee_refund_shortfall`);
+        await qr.query(`ALTER TABLE withdrawals DROP COLUMN IF EXISTS fee_refund_shortfall`);
+    }
+};
@@ -0,0 +1,34 @@
+// database/migrations/1762600000018-AddReferralCommissionReview.js
+module.exports = class AddReferralCommissionReview1762600000018 {
+    name = 'AddReferralCommissionReview1762600000018';
+
+    async up(qr) {
+        // commissions to a beneficiary flagged against the source user wait for an admin
+        await qr.query(`
+      ALTER TABLE referral_commissions
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'credited'
+          CHECK (status IN ('credited', 'pending_review', 'rejected')),
+        ADD COLUMN IF NOT EXISTS fraud_flags JSONB,
+        ADD COLUMN IF NOT EXISTS reviewed_by UUID,
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS review_note VARCHAR(255)
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_referral_commissions_pending
+        ON referral_commissions(created_at)
+        WHERE status = 'pending_review'
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_referral_commissions_pending`);
+        await qr.query(`
+      ALTER TABLE referral_commissions
+        DROP COLUMN IF EXISTS review_note,
+        DROP COLUMN IF EXISTS reviewed_at,
+        DROP COLUMN IF EXISTS reviewed_by,
+        DROP COLUMN IF EXISTS fraud_flags,
+        DROP COLUMN IF EXISTS status
+    `);
+    }
+};
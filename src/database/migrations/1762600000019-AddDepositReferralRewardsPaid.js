@@ -0,0 +1,29 @@
+// database/migrations/1762600000019-AddDepositReferralRewardsPaid.js
+module.exports = class AddDepositReferralRewardsPaid1762600000019 {
+    name = 'AddDepositReferralRewardsPaid1762600000019';
+
+    async up(qr) {
+        // set once a confirmed deposit's referral bonus and commissions went through;
+        // confirmed deposits without it are retried by the referral reward sweep
+        await qr.query(`
+      ALTER TABLE deposits
+        ADD COLUMN IF NOT EXISTS referral_rewards_paid_at TIMESTAMPTZ
+    `);
+        // deposits confirmed before this column existed aren't owed a sweep
+        await qr.query(`
+      UPDATE deposits
+         SET referral_rewards_paid_at = COALESCE(credited_at, NOW())
+       WHERE status = 'completed' AND referral_rewards_paid_at IS NULL
+    `);
+        await qr.query(`
+      CREATE INDEX IF NOT EXISTS idx_deposits_referral_rewards_due
+        ON deposits(credited_at)
+        WHERE status = 'completed' AND referral_rewards_paid_at IS NULL
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP INDEX IF EXISTS idx_deposits_referral_rewards_due`);
+        await qr.query(`ALTER TABLE deposits DROP COLUMN IF EXISTS referral_rewards_paid_at`);
+    }
+};
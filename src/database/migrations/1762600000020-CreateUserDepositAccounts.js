@@ -0,0 +1,30 @@
+// database/migrations/1762600000020-CreateUserDepositAccounts.js
+module.exports = class CreateUserDepositAccounts1762600000020 {
+    name = 'CreateUserDepositAccounts1762600000020';
+
+    async up(qr) {
+        // one row per user, locked while their provider sub-account is opened, so it is
+        // opened once and saved before the per-network addresses are added
+        await qr.query(`
+      CREATE TABLE IF NOT EXISTS user_deposit_accounts (
+        user_id UUID PRIMARY KEY REFERENCES users(user_id) ON DELETE CASCADE,
+        provider VARCHAR(32) NOT NULL DEFAULT 'binance',
+        provider_account VARCHAR(255),
+        account_created_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+        // sub-accounts opened before this table existed
+        await qr.query(`
+      INSERT INTO user_deposit_accounts (user_id, provider, provider_account, account_created_at, created_at)
+      SELECT DISTINCT ON (user_id) user_id, provider, provider_account, created_at, created_at
+        FROM user_deposit_addresses
+       ORDER BY user_id, created_at
+      ON CONFLICT (user_id) DO NOTHING
+    `);
+    }
+
+    async down(qr) {
+        await qr.query(`DROP TABLE IF EXISTS user_deposit_accounts`);
+    }
+};
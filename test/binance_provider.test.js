@@ -0,0 +1,120 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+
+const { BinanceProvider } = require('../src/Investment/src/modules/deposit/providers/binance.provider');
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+
+const DAY = 24 * 60 * 60 * 1000;
+const TX = (n) => '0x' + n.toString(16).padStart(64, '0');
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const httpError = (status, body = {}) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: body },
+});
+
+/**
+ * Binance hisrec over an in-memory history: enforces the < 90 day range and honours
+ * offset/limit; `faults` are thrown (in order) before answering.
+ */
+function fakeClient(history, faults = []) {
+  const calls = [];
+  return {
+    calls,
+    depositHistory: async (params) => {
+      calls.push(params);
+      if (faults.length) throw faults.shift();
+      if (params.endTime - params.startTime >= 90 * DAY) throw httpError(400, { code: -1127, msg: 'More than 90 days' });
+      const rows = history
+        .filter((d) => d.insertTime >= params.startTime && d.insertTime <= params.endTime)
+        .sort((a, b) => b.insertTime - a.insertTime);
+      return { data: rows.slice(params.offset, params.offset + params.limit) };
+    },
+  };
+}
+
+function makeProvider(client, opts = {}) {
+  const provider = new BinanceProvider({ apiKey: 'k', apiSecret: 's', retryDelayMs: 0, logger: quietLogger, ...opts });
+  provider.client = client;
+  return provider;
+}
+
+const row = (n, insertTime, extra = {}) => ({
+  txId: TX(n), amount: '10', coin: 'USDT', network: 'ETH', address: '0xabc', status: 1, insertTime, ...extra,
+});
+
+describe('BinanceProvider deposit history', () => {
+  it('pages across windows and offsets instead of one capped call', async () => {
+    const now = Date.now();
+    // 80 days old, plus 1200 deposits within the last hour (more than one page)
+    const history = [row(1, now - 80 * DAY)];
+    for (let i = 0; i < 1200; i++) history.push(row(1000 + i, now - 1000 - i));
+    const client = fakeClient(history);
+
+    const deposits = await makeProvider(client).listRecentDeposits({ sinceMs: now - 90 * DAY });
+    assert.strictEqual(deposits.length, 1201);
+    assert.strictEqual(deposits[deposits.length - 1].txId, TX(1));
+    assert.ok(client.calls.every((c) => c.endTime - c.startTime < 90 * DAY));
+    assert.ok(client.calls.some((c) => c.offset === 1000));
+
+    const old = await makeProvider(fakeClient(history)).getDepositByTxId({ txId: TX(1), lookbackMs: 90 * DAY });
+    assert.strictEqual(old.status, 'SUCCESS');
+  });
+
+  it('reuses closed windows and refetches only the recent one', async () => {
+    const now = Date.now();
+    const client = fakeClient([row(1, now - 60 * DAY), row(2, now - 45 * DAY, { status: 0 })]);
+    const provider = makeProvider(client);
+
+    await provider.listRecentDeposits({ sinceMs: now - 89 * DAY });
+    const first = client.calls.length;
+    await provider.listRecentDeposits({ sinceMs: now - 89 * DAY });
+    const second = client.calls.length - first;
+
+    // the window holding a PENDING deposit and the open window are fetched again
+    assert.ok(second < first, `expected fewer calls on the second pass (${second} vs ${first})`);
+    assert.ok(second >= 2);
+  });
+
+  it('retries transient failures with backoff and reports outages as errors', async () => {
+    const now = Date.now();
+    const client = fakeClient([row(1, now - 1000)], [httpError(503), Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })]);
+    const deposits = await makeProvider(client, { retries: 2 }).listRecentDeposits({ sinceMs: now - DAY });
+    assert.strictEqual(deposits.length, 1);
+    assert.strictEqual(client.calls.length, 3);
+
+    const down = fakeClient([], [httpError(502), httpError(502), httpError(502)]);
+    await assert.rejects(
+      makeProvider(down, { retries: 2 }).listRecentDeposits({ sinceMs: now - DAY }),
+      (err) => err.code === 'ERR_PROVIDER_UNAVAILABLE' && /after 3 attempt/.test(err.message)
+    );
+
+    const denied = fakeClient([], [httpError(401, { code: -2015, msg: 'Invalid API-key' })]);
+    await assert.rejects(
+      makeProvider(denied, { retries: 2 }).listRecentDeposits({ sinceMs: now - DAY }),
+      (err) => err.code === 'ERR_PROVIDER_UNAVAILABLE' && /Invalid API-key/.test(err.message)
+    );
+    assert.strictEqual(denied.calls.length, 1);
+  });
+});
+
+describe('DepositService provider outages', () => {
+  it('reports an outage instead of "not found"', async () => {
+    const svc = new DepositService({
+      db: { query: async () => ({ rows: [], rowCount: 0 }) },
+      walletService: { creditAccount: async () => { throw new Error('must not credit'); } },
+      provider: { listRecentDeposits: async () => { throw Object.assign(new Error('Binance down'), { code: 'ERR_PROVIDER_UNAVAILABLE' }); } },
+      logger: quietLogger,
+      emailService: {},
+      depositLogger: { connect: async () => {}, createLog: async () => 'log-1', addStage: async () => {} },
+    });
+    svc.repo.findByTxId = async () => null;
+
+    await assert.rejects(
+      svc.submitDeposit({ userId: 'user-a', txId: TX(7), network: 'ERC20' }),
+      (err) => err.code === 'ERR_PROVIDER_UNAVAILABLE'
+    );
+  });
+});
@@ -0,0 +1,261 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS_MODE = 'per_user';
+process.env.DEPOSIT_NETWORKS = 'ERC20,TRC20';
+delete process.env.DEPOSIT_ADDRESS;
+
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+const { DepositMonitorJob } = require('../src/Investment/src/modules/deposit/jobs/depositMonitor.job');
+
+const ADDR_A = '0x1111111111111111111111111111111111111111';
+const ADDR_B = '0x2222222222222222222222222222222222222222';
+const TX = '0x' + 'cd'.repeat(32);
+
+// user_deposit_addresses / user_deposit_accounts kept in memory; other queries return nothing.
+// `held` collects the row-lock releases of the calling transaction (see makeService).
+function stubDb(rows, accounts = new Map()) {
+  const locks = new Map();
+  return {
+    accounts,
+    query: async (sql, params = [], held = []) => {
+      if (sql.includes('INSERT INTO user_deposit_accounts')) {
+        if (!accounts.has(params[0])) accounts.set(params[0], { user_id: params[0], provider: params[1], provider_account: null });
+        return { rows: [], rowCount: 1 };
+      }
+      if (sql.includes('FROM user_deposit_accounts WHERE user_id = $1 FOR UPDATE')) {
+        const prev = locks.get(params[0]) || Promise.resolve();
+        let release;
+        const next = new Promise((r) => { release = r; });
+        locks.set(params[0], prev.then(() => next));
+        await prev;
+        held.push(release);
+        return { rows: [{ ...accounts.get(params[0]) }] };
+      }
+      if (sql.includes('UPDATE user_deposit_accounts')) {
+        Object.assign(accounts.get(params[0]), { provider_account: params[1] });
+        return { rows: [{ ...accounts.get(params[0]) }] };
+      }
+      if (sql.includes('INSERT INTO user_deposit_addresses')) {
+        const [user_id, network, address, tag, provider, provider_account] = params;
+        const row = { address_id: `a${rows.length + 1}`, user_id, network, address, tag, provider, provider_account };
+        rows.push(row);
+        return { rows: [row], rowCount: 1 };
+      }
+      if (sql.includes('SELECT DISTINCT provider_account')) {
+        const seen = new Map(rows.map((r) => [r.provider_account, r]));
+        return { rows: [...seen.values()] };
+      }
+      if (sql.includes('LOWER(address) = LOWER($2)')) {
+        return { rows: rows.filter((r) => r.network === params[0] && r.address.toLowerCase() === params[1].toLowerCase()) };
+      }
+      if (sql.includes('SELECT provider_account FROM user_deposit_addresses')) {
+        return { rows: rows.filter((r) => r.user_id === params[0]) };
+      }
+      if (sql.includes('FROM user_deposit_addresses WHERE user_id = $1 AND network = $2')) {
+        return { rows: rows.filter((r) => r.user_id === params[0] && r.network === params[1]) };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+function makeService({ rows = [], accountDeposits = {} } = {}) {
+  const calls = { created: [], credits: [], history: [] };
+  const db = stubDb(rows);
+  const svc = new DepositService({
+    db,
+    // row locks taken in the transaction are released when it ends
+    withTransaction: async (fn) => {
+      const held = [];
+      try {
+        return await fn({ query: (sql, params) => db.query(sql, params, held) });
+      } finally {
+        held.forEach((release) => release());
+      }
+    },
+    walletService: {
+      creditAccount: async (userId, amount, opts) => { calls.credits.push({ userId, amount, opts }); },
+    },
+    binance: {
+      createDepositAccount: async (label) => {
+        calls.created.push(label);
+        await new Promise((r) => setImmediate(r));
+        return { account: `${label}_virtual@example.com` };
+      },
+      getDepositAddress: async ({ network }) => ({
+        address: network === 'TRX' ? 'TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE' : ADDR_A,
+        tag: null,
+      }),
+      listAccountDeposits: async ({ account }) => { calls.history.push(account); return accountDeposits[account] || []; },
+      listRecentDeposits: async () => { throw new Error('shared history must not be used in per_user mode'); },
+    },
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    emailService: {},
+    depositLogger: {
+      connect: async () => {},
+      createLog: async () => 'log-1',
+      addStage: async () => {},
+      updateDepositId: async () => {},
+    },
+  });
+  const deposits = [];
+  svc.repo = {
+    findByTxId: async (txId) => deposits.find((d) => d.tx_id === txId) || null,
+    createPending: async (p) => {
+      const d = { deposit_id: `d${deposits.length + 1}`, user_id: p.userId, tx_id: p.txId, network: p.network, amount_usd: p.amountUsd, status: 'pending' };
+      deposits.push(d);
+      return d;
+    },
+    markProcessing: async () => {},
+    markFailed: async () => {},
+    markConfirmed: async (id, p) => {
+      const d = deposits.find((x) => x.deposit_id === id);
+      Object.assign(d, { status: 'completed', amount_usd: p.amountUsd });
+      return { ...d };
+    },
+  };
+  svc._sendDepositEmails = async () => {};
+  return { svc, calls, deposits, db };
+}
+
+describe('DepositService per-user addresses', () => {
+  it('opens one sub-account per user and stores an address per network', async () => {
+    const rows = [];
+    const { svc, calls } = makeService({ rows });
+
+    const erc = await svc.getDepositAddress({ userId: 'user-a', network: 'ERC20' });
+    const again = await svc.getDepositAddress({ userId: 'user-a', network: 'ETH' });
+    const trc = await svc.getDepositAddress({ userId: 'user-a', network: 'TRC20' });
+
+    assert.strictEqual(erc.address, ADDR_A);
+    assert.strictEqual(erc.shared, false);
+    assert.strictEqual(again.address, ADDR_A);
+    assert.strictEqual(trc.address, 'TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE');
+    assert.strictEqual(calls.created.length, 1);
+    assert.strictEqual(rows.length, 2);
+    assert.strictEqual(rows[0].provider_account, rows[1].provider_account);
+  });
+
+  it('opens a single sub-account for concurrent first requests and keeps it if the address insert fails', async () => {
+    const rows = [];
+    const { svc, calls, db } = makeService({ rows });
+    const insert = svc.addresses.insert.bind(svc.addresses);
+    let failInsert = true;
+    svc.addresses.insert = async (...args) => {
+      if (failInsert) { failInsert = false; throw Object.assign(new Error('duplicate key'), { code: '23505' }); }
+      return insert(...args);
+    };
+
+    const results = await Promise.allSettled([
+      svc.getDepositAddress({ userId: 'user-a', network: 'ERC20' }),
+      svc.getDepositAddress({ userId: 'user-a', network: 'ERC20' }),
+      svc.getDepositAddress({ userId: 'user-a', network: 'TRC20' }),
+    ]);
+
+    assert.deepStrictEqual(results.map((r) => r.status), ['rejected', 'fulfilled', 'fulfilled']);
+    assert.strictEqual(calls.created.length, 1);
+    assert.strictEqual(db.accounts.get('user-a').provider_account, rows[0].provider_account);
+    assert.deepStrictEqual(rows.map((r) => r.network).sort(), ['ERC20', 'TRC20']);
+  });
+
+  it('reuses the sub-account of a user who has addresses from before user_deposit_accounts', async () => {
+    const rows = [{ user_id: 'user-a', network: 'ERC20', address: ADDR_A, provider_account: 'old@x' }];
+    const { svc, calls } = makeService({ rows });
+
+    await svc.getDepositAddress({ userId: 'user-a', network: 'TRC20' });
+    assert.strictEqual(calls.created.length, 0);
+    assert.strictEqual(rows[1].provider_account, 'old@x');
+  });
+
+  it('only finds a pasted hash in the submitter\'s own sub-account', async () => {
+    const rows = [
+      { user_id: 'user-a', network: 'ERC20', address: ADDR_A, provider_account: 'a@x' },
+      { user_id: 'user-b', network: 'ERC20', address: ADDR_B, provider_account: 'b@x' },
+    ];
+    const accountDeposits = { 'a@x': [{ txId: TX, amount: 50, status: 'SUCCESS', address: ADDR_A }] };
+
+    const thief = makeService({ rows, accountDeposits });
+    await assert.rejects(
+      thief.svc.submitDeposit({ userId: 'user-b', txId: TX, network: 'ERC20' }),
+      (err) => err.code === 'ERR_TXID_NOT_FOUND'
+    );
+    assert.deepStrictEqual(thief.calls.history, ['b@x']);
+    assert.strictEqual(thief.calls.credits.length, 0);
+
+    const owner = makeService({ rows, accountDeposits });
+    const res = await owner.svc.submitDeposit({ userId: 'user-a', txId: TX, network: 'ERC20' });
+    assert.strictEqual(res.status, 'completed');
+    assert.strictEqual(owner.calls.credits[0].userId, 'user-a');
+  });
+
+  it('credits monitor deposits to the owner of the receiving address', async () => {
+    const rows = [{ user_id: 'user-a', network: 'ERC20', address: ADDR_A, provider_account: 'a@x' }];
+    const { svc, calls, deposits } = makeService({ rows });
+
+    const res = await svc.creditAttributedDeposit({
+      network: 'ERC20',
+      onChain: { txId: TX, amount: 25, status: 'SUCCESS', address: ADDR_A.toUpperCase().replace('0X', '0x') },
+    });
+    assert.strictEqual(res.status, 'completed');
+    assert.strictEqual(deposits[0].user_id, 'user-a');
+    assert.strictEqual(calls.credits[0].opts.idempotencyKey, `deposit:${TX}`);
+
+    // already completed: no second credit
+    await svc.creditAttributedDeposit({ network: 'ERC20', onChain: { txId: TX, amount: 25, status: 'SUCCESS', address: ADDR_A } });
+    assert.strictEqual(calls.credits.length, 1);
+
+    const unknown = await svc.creditAttributedDeposit({
+      network: 'ERC20',
+      onChain: { txId: '0x' + 'ef'.repeat(32), amount: 25, status: 'SUCCESS', address: ADDR_B },
+    });
+    assert.strictEqual(unknown, null);
+  });
+});
+
+describe('DepositMonitorJob per-user polling', () => {
+  it('reads each sub-account once per tick and splits the rows by network', async () => {
+    const now = Date.now();
+    const cursors = { 'binance:ERC20': now - 60000, 'binance:TRC20': now - 30000 };
+    const history = [];
+    const processed = [];
+    const job = new DepositMonitorJob({
+      db: {
+        query: async (sql, params) => {
+          if (sql.includes('SELECT cursor_ms')) return { rows: [{ cursor_ms: String(cursors[params[0]]) }] };
+          if (sql.includes('INSERT INTO deposit_monitor_cursors')) cursors[params[0]] = params[1];
+          return { rows: [], rowCount: 1 };
+        },
+      },
+      logger: { info() {}, warn() {}, error() {}, debug() {} },
+      settleMs: 1000,
+      provider: {
+        listAccountDeposits: async (params) => {
+          history.push(params);
+          return {
+            'a@x': [
+              { txId: 'e1', network: 'ETH', status: 'SUCCESS', insertTime: now - 50000 },
+              { txId: 't1', network: 'TRX', status: 'SUCCESS', insertTime: now - 20000 },
+              // before the TRC20 cursor: already handled
+              { txId: 't0', network: 'TRX', status: 'SUCCESS', insertTime: now - 40000 },
+            ],
+            'b@x': [{ txId: 'e2', network: 'ETH', status: 'SUCCESS', insertTime: now - 10000 }],
+          }[params.account];
+        },
+      },
+      depositService: {
+        listDepositAccounts: async () => [{ provider_account: 'a@x' }, { provider_account: 'b@x' }],
+        processProviderDeposit: async ({ onChain, network }) => { processed.push([onChain.txId, network]); },
+      },
+    });
+
+    await job._tick();
+
+    assert.deepStrictEqual(history.map((h) => [h.account, h.sinceMs, h.network]), [
+      ['a@x', now - 60000, null],
+      ['b@x', now - 60000, null],
+    ]);
+    assert.deepStrictEqual(processed, [['e1', 'ERC20'], ['e2', 'ERC20'], ['t1', 'TRC20']]);
+    assert.ok(cursors['binance:TRC20'] > now - 30000);
+  });
+});
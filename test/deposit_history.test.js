@@ -0,0 +1,144 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+
+const { DepositRepository } = require('../src/Investment/src/modules/deposit/models/deposit.model');
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+const { DepositController } = require('../src/Investment/src/modules/deposit/controllers/deposit.controller');
+const { validateListDepositsQuery } = require('../src/Investment/src/modules/deposit/validations/deposit.validation');
+const { encodeDepositCursor, makeDepositTimeline } = require('../src/Investment/src/modules/deposit/dto/deposit.dto');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const id = (n) => `00000000-0000-4000-8000-${String(n).padStart(12, '0')}`;
+const TX = (n) => '0x' + String(n).repeat(64).slice(0, 64);
+
+const makeRes = () => ({ status(code) { this.code = code; return this; }, json(payload) { this.body = payload; } });
+
+/** In-memory deposits for USER (newest first) behind the repository's list/find calls. */
+function makeController(logs = []) {
+  const rows = Array.from({ length: 5 }, (_, i) => ({
+    deposit_id: id(5 - i),
+    user_id: USER,
+    tx_id: TX(5 - i),
+    amount_usd: '25.00',
+    asset: 'USDT',
+    network: 'ERC20',
+    status: i === 0 ? 'pending' : 'completed',
+    created_at: new Date(Date.UTC(2025, 0, 5 - i)),
+  }));
+  const svc = new DepositService({
+    db: { query: async () => ({ rows: [], rowCount: 0 }) },
+    walletService: {},
+    provider: {},
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    emailService: {},
+    depositLogger: { connect: async () => {}, findLogs: async () => logs },
+  });
+  svc.repo = {
+    listForUser: async (userId, { limit, after, status }) => {
+      let list = rows.filter((r) => r.user_id === userId && (!status || status.includes(r.status)));
+      if (after) list = list.slice(list.findIndex((r) => r.deposit_id === after) + 1);
+      return { items: list.slice(0, limit), hasMore: list.length > limit };
+    },
+    findForUser: async (depositId, userId) => rows.find((r) => r.deposit_id === depositId && r.user_id === userId) || null,
+  };
+  return new DepositController({ depositService: svc, logger: { error() {} } });
+}
+
+describe('deposit history query', () => {
+  it('parses status lists, date bounds and cursors', () => {
+    const q = validateListDepositsQuery({
+      status: 'pending, CONFIRMED',
+      from: '2025-01-01',
+      to: '2025-01-31',
+      cursor: encodeDepositCursor(id(3)),
+    });
+    assert.deepStrictEqual(q.status, ['pending', 'completed']);
+    assert.strictEqual(q.to.toISOString(), '2025-01-31T23:59:59.999Z');
+    assert.strictEqual(q.cursor, id(3));
+    assert.strictEqual(q.limit, 20);
+
+    assert.throws(() => validateListDepositsQuery({ status: 'refunded' }), /ERR_STATUS_INVALID/);
+    assert.throws(() => validateListDepositsQuery({ cursor: 'not-a-cursor' }), /ERR_CURSOR_INVALID/);
+    assert.throws(() => validateListDepositsQuery({ from: '2025-02-01', to: '2025-01-01' }), /ERR_RANGE_INVALID/);
+  });
+
+  it('pages by keyset on (created_at, deposit_id) and fetches one extra row', async () => {
+    const queries = [];
+    const repo = new DepositRepository({
+      query: async (text, params) => {
+        queries.push({ text, params });
+        return { rows: [{ deposit_id: id(2) }, { deposit_id: id(1) }, { deposit_id: id(0) }] };
+      },
+    });
+
+    const { items, hasMore } = await repo.listForUser(USER, { limit: 2, after: id(3), status: ['completed'] });
+    assert.strictEqual(items.length, 2);
+    assert.strictEqual(hasMore, true);
+    assert.match(queries[0].text, /\(created_at, deposit_id\) < \(/);
+    assert.match(queries[0].text, /ORDER BY created_at DESC, deposit_id DESC/);
+    assert.deepStrictEqual(queries[0].params, [USER, ['completed'], id(3), 3]);
+  });
+});
+
+describe('DepositController history endpoints', () => {
+  it('walks the user\'s deposits page by page', async () => {
+    const controller = makeController();
+    const seen = [];
+    let cursor;
+    do {
+      const res = makeRes();
+      await controller.list({ user: { userId: USER }, query: { limit: '2', ...(cursor && { cursor }) } }, res);
+      assert.strictEqual(res.code, 200);
+      seen.push(...res.body.data.items.map((d) => d.depositId));
+      cursor = res.body.data.pageInfo.nextCursor;
+      assert.strictEqual(res.body.data.pageInfo.hasNext, cursor !== null);
+    } while (cursor);
+    assert.deepStrictEqual(seen, [id(5), id(4), id(3), id(2), id(1)]);
+
+    const filtered = makeRes();
+    await controller.list({ user: { userId: USER }, query: { status: 'pending' } }, filtered);
+    assert.deepStrictEqual(filtered.body.data.items.map((d) => d.status), ['pending']);
+    assert.ok(filtered.body.data.items[0].explorerUrl.includes(TX(5)));
+
+    const bad = makeRes();
+    await controller.list({ user: { userId: USER }, query: { limit: '500' } }, bad);
+    assert.strictEqual(bad.code, 400);
+    assert.strictEqual(bad.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('returns a sanitised timeline and hides other users\' deposits', async () => {
+    const at = (m) => new Date(Date.UTC(2025, 0, 1, 0, m));
+    const logs = [{
+      stages: [
+        { stage: 'SUBMIT_STARTED', status: 'info', data: { network: 'ERC20' }, timestamp: at(0) },
+        { stage: 'ADDRESS_VALIDATION', status: 'error', data: { expected: '0xours', actual: '0xtheirs' }, error: { message: 'raw provider text', code: 'ERR_ADDRESS_MISMATCH' }, timestamp: at(1) },
+        { stage: 'EMAIL_ADMIN_SENT', status: 'success', data: { adminEmail: 'ops@example.com' }, timestamp: at(2) },
+      ],
+    }];
+    const controller = makeController(logs);
+
+    const res = makeRes();
+    await controller.detail({ user: { userId: USER }, params: { depositId: id(4) } }, res);
+    assert.strictEqual(res.code, 200);
+    assert.strictEqual(res.body.data.txId, TX(4));
+    assert.deepStrictEqual(res.body.data.timeline, [
+      { stage: 'SUBMIT_STARTED', label: 'Deposit submitted', status: 'info', code: null, at: at(0) },
+      { stage: 'ADDRESS_VALIDATION', label: 'Destination address checked', status: 'error', code: 'ERR_ADDRESS_MISMATCH', at: at(1) },
+    ]);
+    assert.ok(!JSON.stringify(res.body).includes('raw provider text'));
+
+    const other = makeRes();
+    await controller.detail({ user: { userId: '22222222-2222-4222-8222-222222222222' }, params: { depositId: id(4) } }, other);
+    assert.strictEqual(other.code, 404);
+    assert.strictEqual(other.body.code, 'ERR_DEPOSIT_NOT_FOUND');
+
+    const invalid = makeRes();
+    await controller.detail({ user: { userId: USER }, params: { depositId: 'abc' } }, invalid);
+    assert.strictEqual(invalid.code, 400);
+
+    assert.deepStrictEqual(makeDepositTimeline([]), []);
+  });
+});
@@ -0,0 +1,264 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+
+const { DepositMonitorJob } = require('../src/Investment/src/modules/deposit/jobs/depositMonitor.job');
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+
+const TX = (n) => '0x' + String(n).repeat(64).slice(0, 64);
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// deposit_monitor_cursors in memory
+function cursorDb(initial = {}) {
+  const cursors = { ...initial };
+  return {
+    cursors,
+    query: async (sql, params) => {
+      if (sql.includes('SELECT cursor_ms')) {
+        return { rows: params[0] in cursors ? [{ cursor_ms: String(cursors[params[0]]) }] : [] };
+      }
+      if (sql.includes('INSERT INTO deposit_monitor_cursors')) {
+        cursors[params[0]] = params[1];
+        return { rows: [], rowCount: 1 };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+describe('DepositMonitorJob cursor', () => {
+  it('resumes from the stored cursor and holds it at the oldest pending deposit', async () => {
+    const now = Date.now();
+    const db = cursorDb({ 'binance:ERC20': now - 60000 });
+    const calls = [];
+    const processed = [];
+    const job = new DepositMonitorJob({
+      db,
+      logger: quietLogger,
+      settleMs: 1000,
+      binance: {
+        listRecentDeposits: async (params) => {
+          calls.push(params);
+          return [
+            { txId: TX(1), status: 'SUCCESS', insertTime: now - 50000 },
+            { txId: TX(2), status: 'PENDING', insertTime: now - 40000 },
+            { txId: TX(3), status: 'SUCCESS', insertTime: now - 30000 },
+          ];
+        },
+      },
+      depositService: {
+        processProviderDeposit: async ({ onChain, network }) => { processed.push([onChain.txId, network]); },
+      },
+    });
+
+    await job._tick();
+
+    assert.strictEqual(calls[0].sinceMs, now - 60000);
+    assert.strictEqual(calls[0].network, 'ETH');
+    assert.strictEqual(processed.length, 3);
+    assert.deepStrictEqual(processed[0], [TX(1), 'ERC20']);
+    assert.strictEqual(db.cursors['binance:ERC20'], now - 40000);
+  });
+
+  it('advances to now minus the settle window when nothing is pending', async () => {
+    const db = cursorDb();
+    const job = new DepositMonitorJob({
+      db,
+      logger: quietLogger,
+      lookbackMs: 3600000,
+      settleMs: 5000,
+      binance: { listRecentDeposits: async () => [] },
+      depositService: { processProviderDeposit: async () => {} },
+    });
+
+    const before = Date.now();
+    await job._tick();
+    const saved = db.cursors['binance:ERC20'];
+    assert.ok(saved >= before - 5000 && saved <= Date.now() - 5000);
+  });
+
+  it('keeps the cursor when the provider call fails', async () => {
+    const db = cursorDb({ 'binance:ERC20': 12345 });
+    const job = new DepositMonitorJob({
+      db,
+      logger: quietLogger,
+      binance: { listRecentDeposits: async () => { throw new Error('provider down'); } },
+      depositService: { processProviderDeposit: async () => {} },
+    });
+
+    await job._tick();
+    assert.strictEqual(db.cursors['binance:ERC20'], 12345);
+  });
+
+  it('holds the cursor at a deposit that failed to process', async () => {
+    const now = Date.now();
+    const db = cursorDb({ 'binance:ERC20': now - 60000 });
+    const job = new DepositMonitorJob({
+      db,
+      logger: quietLogger,
+      settleMs: 1000,
+      binance: {
+        listRecentDeposits: async () => [
+          { txId: TX(1), status: 'SUCCESS', insertTime: now - 50000 },
+          { txId: TX(2), status: 'SUCCESS', insertTime: now - 45000 },
+        ],
+      },
+      depositService: {
+        processProviderDeposit: async ({ onChain }) => {
+          if (onChain.txId === TX(2)) throw new Error('db timeout');
+        },
+      },
+    });
+
+    await job._tick();
+    assert.strictEqual(db.cursors['binance:ERC20'], now - 45000);
+  });
+
+  it('stops holding the cursor at a deposit that keeps failing past the hold limit', async () => {
+    const now = Date.now();
+    const HOUR = 3600000;
+    const db = cursorDb({ 'binance:ERC20': now - 3 * HOUR });
+    const errors = [];
+    const job = new DepositMonitorJob({
+      db,
+      logger: { ...quietLogger, error: (obj, msg) => errors.push([obj, msg]) },
+      settleMs: 1000,
+      maxHoldMs: HOUR,
+      binance: {
+        listRecentDeposits: async () => [
+          { txId: TX(1), status: 'SUCCESS', insertTime: now - 2 * HOUR },
+          { txId: TX(2), status: 'SUCCESS', insertTime: now - 30 * 60000 },
+        ],
+      },
+      depositService: {
+        // e.g. the user was deleted: never succeeds
+        processProviderDeposit: async () => { throw new Error('user not found'); },
+      },
+    });
+
+    await job._tick();
+    assert.strictEqual(db.cursors['binance:ERC20'], now - 30 * 60000);
+    assert.strictEqual(errors.length, 1);
+    assert.deepStrictEqual(errors[0][0].deposits.map((d) => [d.txId, d.reason]), [[TX(1), 'failed']]);
+  });
+
+  it('stop() waits for the in-flight tick', async () => {
+    let release;
+    const gate = new Promise((r) => { release = r; });
+    let finished = false;
+    const job = new DepositMonitorJob({
+      db: cursorDb(),
+      logger: quietLogger,
+      binance: { listRecentDeposits: async () => { await gate; finished = true; return []; } },
+      depositService: { processProviderDeposit: async () => {} },
+    });
+
+    job.start();
+    const stopped = job.stop();
+    release();
+    await stopped;
+    assert.strictEqual(finished, true);
+  });
+});
+
+describe('DepositService unclaimed staging', () => {
+  // unclaimed_deposits / deposits / users in memory
+  function makeService({ deposits = [], staged = [] } = {}) {
+    const calls = { credits: [], actions: [] };
+    const db = {
+      query: async (sql, params = []) => {
+        if (sql.includes('INSERT INTO unclaimed_deposits')) {
+          const row = { unclaimed_id: `s${staged.length + 1}`, tx_id: params[0], network: params[1], address: params[2], amount: params[3], coin: params[4], provider_status: params[5], status: 'unclaimed', payload: JSON.parse(params[7]) };
+          staged.push(row);
+          return { rows: [row] };
+        }
+        if (sql.includes('FROM unclaimed_deposits WHERE unclaimed_id')) {
+          return { rows: staged.filter((r) => r.unclaimed_id === params[0]) };
+        }
+        if (sql.includes('UPDATE unclaimed_deposits')) {
+          const row = staged.find((r) => r.unclaimed_id === params[0]);
+          Object.assign(row, { status: params[1], user_id: params[2], deposit_id: params[3], resolved_by: params[4], note: params[5] });
+          return { rows: [row] };
+        }
+        if (sql.includes('INSERT INTO admin_actions')) {
+          calls.actions.push(params[2]);
+          return { rows: [] };
+        }
+        if (sql.includes('SELECT user_id FROM users')) {
+          return { rows: params[0] === '11111111-1111-4111-8111-111111111111' ? [{ user_id: params[0] }] : [] };
+        }
+        if (sql.includes('FROM deposits WHERE tx_id')) {
+          return { rows: deposits.filter((d) => d.tx_id === params[0]) };
+        }
+        if (sql.includes('INSERT INTO deposits')) {
+          const d = { deposit_id: `d${deposits.length + 1}`, user_id: params[0], tx_id: params[1], amount_usd: params[2], network: params[4], status: 'pending' };
+          deposits.push(d);
+          return { rows: [d], rowCount: 1 };
+        }
+        if (sql.includes('UPDATE deposits')) {
+          const d = deposits.find((x) => x.deposit_id === params[0]);
+          d.status = 'completed';
+          return { rows: [d], rowCount: 1 };
+        }
+        return { rows: [], rowCount: 0 };
+      },
+    };
+    const svc = new DepositService({
+      db,
+      withTransaction: async (fn) => fn(db),
+      walletService: { creditAccount: async (userId, amount) => { calls.credits.push({ userId, amount }); } },
+      binance: { listRecentDeposits: async () => [] },
+      logger: quietLogger,
+      emailService: {},
+      depositLogger: { connect: async () => {} },
+    });
+    svc._sendDepositEmails = async () => {};
+    return { svc, calls, deposits, staged };
+  }
+
+  it('stages a provider deposit nobody has claimed', async () => {
+    const { svc, staged, calls } = makeService();
+    const res = await svc.processProviderDeposit({
+      network: 'ERC20',
+      onChain: { txId: TX(4), amount: 42.5, coin: 'USDT', status: 'SUCCESS', address: '0xabc', insertTime: Date.now() },
+    });
+    assert.strictEqual(res, null);
+    assert.strictEqual(staged.length, 1);
+    assert.strictEqual(staged[0].tx_id, TX(4));
+    assert.strictEqual(staged[0].amount, 42.5);
+    assert.strictEqual(calls.credits.length, 0);
+  });
+
+  it('lets an admin assign a staged deposit once', async () => {
+    const { svc, calls, deposits } = makeService({
+      staged: [{ unclaimed_id: 's1', tx_id: TX(5), network: 'ERC20', amount: '30.00', provider_status: 'SUCCESS', status: 'unclaimed', payload: null }],
+    });
+
+    const dep = await svc.assignUnclaimedDeposit({
+      adminId: 'admin-1',
+      unclaimedId: 's1',
+      userId: '11111111-1111-4111-8111-111111111111',
+    });
+    assert.strictEqual(dep.status, 'completed');
+    assert.strictEqual(deposits[0].user_id, '11111111-1111-4111-8111-111111111111');
+    assert.deepStrictEqual(calls.credits, [{ userId: '11111111-1111-4111-8111-111111111111', amount: 30 }]);
+    assert.deepStrictEqual(calls.actions, ['DEPOSIT_ASSIGNED']);
+
+    await assert.rejects(
+      svc.assignUnclaimedDeposit({ adminId: 'admin-1', unclaimedId: 's1', userId: '11111111-1111-4111-8111-111111111111' }),
+      (err) => err.code === 'ERR_UNCLAIMED_RESOLVED'
+    );
+  });
+
+  it('refuses to assign a deposit still pending at the provider', async () => {
+    const { svc } = makeService({
+      staged: [{ unclaimed_id: 's1', tx_id: TX(6), network: 'ERC20', amount: '30.00', provider_status: 'PENDING', status: 'unclaimed' }],
+    });
+    await assert.rejects(
+      svc.assignUnclaimedDeposit({ adminId: 'admin-1', unclaimedId: 's1', userId: '11111111-1111-4111-8111-111111111111' }),
+      (err) => err.code === 'ERR_PROVIDER_STATUS'
+    );
+  });
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_NETWORKS = 'ERC20,TRON,BSC';
+process.env.DEPOSIT_ADDRESS = '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+process.env.DEPOSIT_ADDRESS_TRC20 = 'TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE';
+process.env.MIN_DEPOSIT_USD = '10';
+process.env.MIN_DEPOSIT_USD_TRC20 = '25';
+
+const cfg = require('../src/Investment/src/modules/deposit/config/deposit.config');
+const {
+  normalizeNetwork,
+  toBinanceNetwork,
+  isValidTxHash,
+  isValidAddress,
+  isSameAddress,
+  buildExplorerUrl,
+} = require('../src/Investment/src/modules/deposit/utils/txUtils');
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+
+const EVM_TX = '0x' + 'ab'.repeat(32);
+const TRON_TX = 'ab'.repeat(32);
+const TRON_ADDR = process.env.DEPOSIT_ADDRESS_TRC20;
+
+describe('deposit networks config', () => {
+  it('resolves aliases and builds per-network settings', () => {
+    assert.deepStrictEqual(cfg.SUPPORTED_NETWORKS, ['ERC20', 'TRC20', 'BEP20']);
+    assert.strictEqual(cfg.NETWORKS.TRC20.DEPOSIT_ADDRESS, TRON_ADDR);
+    assert.strictEqual(cfg.NETWORKS.TRC20.MIN_DEPOSIT_USD, 25);
+    assert.strictEqual(cfg.NETWORKS.ERC20.MIN_DEPOSIT_USD, 10);
+    // BEP20 falls back to the EVM address
+    assert.strictEqual(cfg.NETWORKS.BEP20.DEPOSIT_ADDRESS, process.env.DEPOSIT_ADDRESS);
+    assert.strictEqual(cfg.NETWORKS.BEP20.EXPLORER_BASE_URL, 'https://bscscan.com/tx/');
+  });
+});
+
+describe('txUtils per network', () => {
+  it('normalizes aliases and maps Binance network codes', () => {
+    assert.strictEqual(normalizeNetwork('eth'), 'ERC20');
+    assert.strictEqual(normalizeNetwork('trx'), 'TRC20');
+    assert.strictEqual(normalizeNetwork('BSC'), 'BEP20');
+    assert.strictEqual(normalizeNetwork(undefined), 'ERC20');
+    assert.throws(() => normalizeNetwork('SOL'), /Unsupported network/);
+    assert.strictEqual(toBinanceNetwork('ERC20'), 'ETH');
+    assert.strictEqual(toBinanceNetwork('TRC20'), 'TRX');
+    assert.strictEqual(toBinanceNetwork('BEP20'), 'BSC');
+  });
+
+  it('validates tx hashes by network', () => {
+    assert.ok(isValidTxHash(EVM_TX, 'ERC20'));
+    assert.ok(isValidTxHash(EVM_TX, 'BEP20'));
+    assert.ok(!isValidTxHash(TRON_TX, 'ERC20'));
+    assert.ok(isValidTxHash(TRON_TX, 'TRC20'));
+    assert.ok(!isValidTxHash(EVM_TX, 'TRC20'));
+  });
+
+  it('validates and compares TRON addresses case-sensitively', () => {
+    assert.ok(isValidAddress(TRON_ADDR, 'TRC20'));
+    assert.ok(!isValidAddress('0x54af84786bc0386d44fe908b2946f7f50c0f513f', 'TRC20'));
+    assert.ok(!isValidAddress('TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLS0', 'TRC20')); // 0 is not base58
+    assert.ok(isValidAddress('0x54af84786bc0386d44fe908b2946f7f50c0f513f', 'BEP20'));
+    assert.ok(isSameAddress(TRON_ADDR, TRON_ADDR, 'TRC20'));
+    assert.ok(!isSameAddress(TRON_ADDR, TRON_ADDR.toLowerCase(), 'TRC20'));
+    assert.ok(isSameAddress('0xABCDEF', '0xabcdef', 'BEP20'));
+  });
+
+  it('builds explorer urls per network', () => {
+    assert.strictEqual(buildExplorerUrl(EVM_TX, 'ERC20'), `https://etherscan.io/tx/${EVM_TX}`);
+    assert.strictEqual(buildExplorerUrl(TRON_TX, 'TRC20'), `https://tronscan.org/#/transaction/${TRON_TX}`);
+    assert.strictEqual(buildExplorerUrl(EVM_TX, 'BSC'), `https://bscscan.com/tx/${EVM_TX}`);
+  });
+});
+
+describe('DepositService.submitDeposit on TRC20', () => {
+  function makeService(onChain) {
+    const calls = { binance: [], credits: [] };
+    const svc = new DepositService({
+      db: { query: async () => ({ rows: [] }) },
+      walletService: {
+        creditAccount: async (userId, amount, opts) => { calls.credits.push({ userId, amount, opts }); },
+      },
+      binance: {
+        listRecentDeposits: async (params) => { calls.binance.push(params); return onChain ? [onChain] : []; },
+      },
+      logger: { info() {}, warn() {}, error() {}, debug() {} },
+      emailService: {},
+      depositLogger: {
+        connect: async () => {},
+        createLog: async () => 'log-1',
+        addStage: async () => {},
+        updateDepositId: async () => {},
+      },
+    });
+    svc.repo = {
+      findByTxId: async () => null,
+      createPending: async (p) => ({ deposit_id: 'd1', tx_id: p.txId, network: p.network, amount_usd: p.amountUsd, status: 'pending' }),
+      markConfirmed: async (id, p) => ({ deposit_id: id, tx_id: TRON_TX, network: 'TRC20', amount_usd: p.amountUsd, status: 'completed' }),
+    };
+    svc._sendDepositEmails = async () => {};
+    return { svc, calls };
+  }
+
+  it('queries Binance with TRX, matches the TRON address and links tronscan', async () => {
+    const { svc, calls } = makeService({ txId: TRON_TX, amount: 30, status: 'SUCCESS', address: TRON_ADDR });
+
+    const res = await svc.submitDeposit({ userId: 'u1', txId: TRON_TX, network: 'TRC20' });
+
+    assert.strictEqual(calls.binance[0].network, 'TRX');
+    assert.strictEqual(calls.credits[0].opts.network, 'TRC20');
+    assert.strictEqual(res.status, 'completed');
+    assert.strictEqual(res.explorerUrl, `https://tronscan.org/#/transaction/${TRON_TX}`);
+  });
+
+  it('applies the per-network minimum', async () => {
+    const { svc } = makeService({ txId: TRON_TX, amount: 20, status: 'SUCCESS', address: TRON_ADDR });
+    await assert.rejects(
+      svc.submitDeposit({ userId: 'u1', txId: TRON_TX, network: 'TRC20' }),
+      (err) => err.code === 'ERR_AMOUNT_OUT_OF_RANGE'
+    );
+  });
+
+  it('rejects a TRON deposit sent to a different address', async () => {
+    const { svc } = makeService({ txId: TRON_TX, amount: 30, status: 'SUCCESS', address: TRON_ADDR.toLowerCase() });
+    await assert.rejects(
+      svc.submitDeposit({ userId: 'u1', txId: TRON_TX, network: 'TRC20' }),
+      (err) => err.code === 'ERR_ADDRESS_MISMATCH'
+    );
+  });
+
+  it('rejects an unknown network', async () => {
+    const { svc } = makeService(null);
+    await assert.rejects(
+      svc.submitDeposit({ userId: 'u1', txId: TRON_TX, network: 'SOL' }),
+      (err) => err.code === 'ERR_NETWORK_UNSUPPORTED'
+    );
+  });
+});
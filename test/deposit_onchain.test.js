@@ -0,0 +1,207 @@
+const assert = require('assert');
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+
+const OUR = '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+const OTHER = '0x2222222222222222222222222222222222222222';
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+
+process.env.DEPOSIT_ADDRESS = OUR;
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+process.env.DEPOSIT_ADDRESS_MODE = 'shared';
+// DEPOSIT_ONCHAIN_VERIFY left unset: an RPC URL turns it on
+delete process.env.DEPOSIT_ONCHAIN_VERIFY;
+process.env.DEPOSIT_RPC_URL_ERC20 = 'http://127.0.0.1:1'; // replaced by the stub server below
+process.env.MIN_CONFIRMATIONS = '12';
+
+const cfg = require('../src/Investment/src/modules/deposit/config/deposit.config');
+const { OnchainVerifier, TRANSFER_TOPIC, toBaseUnits } = require('../src/Investment/src/modules/deposit/providers/onchainVerifier.provider');
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+
+const TX = (n) => '0x' + String(n).repeat(64).slice(0, 64);
+const hex = (n) => '0x' + BigInt(n).toString(16);
+const pad = (addr) => '0x' + '0'.repeat(24) + addr.slice(2).toLowerCase();
+
+function transferLog({ to = OUR, units, token = USDT }) {
+  return {
+    address: token.toLowerCase(),
+    topics: [TRANSFER_TOPIC, pad(OTHER), pad(to)],
+    data: '0x' + BigInt(units).toString(16).padStart(64, '0'),
+  };
+}
+
+// Minimal JSON-RPC node: eth_blockNumber / eth_getTransactionReceipt from `chain`
+const chain = { head: 1000, receipts: {}, down: false };
+let server;
+let rpcUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      const { id, method, params } = JSON.parse(body);
+      const reply = (payload) => {
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ jsonrpc: '2.0', id, ...payload }));
+      };
+      if (chain.down) return reply({ error: { code: -32000, message: 'node unavailable' } });
+      if (method === 'eth_blockNumber') return reply({ result: hex(chain.head) });
+      if (method === 'eth_getTransactionReceipt') return reply({ result: chain.receipts[params[0]] || null });
+      return reply({ error: { code: -32601, message: 'method not found' } });
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  rpcUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const verifier = () => new OnchainVerifier({
+  networks: {
+    ERC20: { ONCHAIN_VERIFY: true, RPC_URL: rpcUrl, MIN_CONFIRMATIONS: 12, TOKEN_CONTRACT: USDT, TOKEN_DECIMALS: 6 },
+  },
+  timeout: 2000,
+});
+
+const mined = (block, logs, status = '0x1') => ({ blockNumber: hex(block), status, logs });
+
+describe('OnchainVerifier', () => {
+  it('converts decimal amounts to token units without float drift', () => {
+    assert.strictEqual(toBaseUnits('42.5', 6), 42500000n);
+    assert.strictEqual(toBaseUnits(0.1, 18), 100000000000000000n);
+    assert.strictEqual(toBaseUnits('1.1234567', 6), 1123456n);
+  });
+
+  it('confirms a transfer to our address once MIN_CONFIRMATIONS is reached', async () => {
+    chain.head = 1011;
+    chain.receipts[TX(1)] = mined(1000, [transferLog({ units: 50000000 })]);
+
+    const res = await verifier().verifyTransfer({ network: 'ERC20', txId: TX(1), to: OUR, amount: 50 });
+    assert.strictEqual(res.status, 'confirmed');
+    assert.strictEqual(res.confirmations, 12);
+    assert.strictEqual(res.received, '50');
+  });
+
+  it('reports pending below MIN_CONFIRMATIONS and before the tx is mined', async () => {
+    chain.head = 1005;
+    chain.receipts[TX(2)] = mined(1000, [transferLog({ units: 50000000 })]);
+
+    const shallow = await verifier().verifyTransfer({ network: 'ERC20', txId: TX(2), to: OUR, amount: 50 });
+    assert.deepStrictEqual([shallow.status, shallow.reason, shallow.confirmations], ['pending', 'confirmations', 6]);
+
+    const unknown = await verifier().verifyTransfer({ network: 'ERC20', txId: TX(3), to: OUR, amount: 50 });
+    assert.deepStrictEqual([unknown.status, unknown.reason], ['pending', 'not_mined']);
+  });
+
+  it('fails reverted txs, transfers elsewhere, other tokens and short amounts', async () => {
+    chain.head = 2000;
+    chain.receipts[TX(4)] = mined(1000, [transferLog({ units: 50000000 })], '0x0');
+    chain.receipts[TX(5)] = mined(1000, [transferLog({ to: OTHER, units: 50000000 })]);
+    chain.receipts[TX(6)] = mined(1000, [transferLog({ units: 50000000, token: OTHER })]);
+    chain.receipts[TX(7)] = mined(1000, [transferLog({ units: 49990000 })]);
+
+    const reasons = [];
+    for (const n of [4, 5, 6, 7]) {
+      const res = await verifier().verifyTransfer({ network: 'ERC20', txId: TX(n), to: OUR, amount: 50 });
+      assert.strictEqual(res.status, 'failed');
+      reasons.push(res.reason);
+    }
+    assert.deepStrictEqual(reasons, ['reverted', 'no_transfer', 'no_transfer', 'amount_mismatch']);
+  });
+});
+
+describe('DepositService with on-chain verification', () => {
+  function makeService(providerDeposits) {
+    const calls = { credits: [] };
+    const deposits = [];
+    const svc = new DepositService({
+      db: { query: async () => ({ rows: [], rowCount: 0 }) },
+      walletService: { creditAccount: async (userId, amount) => { calls.credits.push({ userId, amount }); } },
+      binance: { listRecentDeposits: async () => providerDeposits },
+      chainVerifier: verifier(),
+      logger: { info() {}, warn() {}, error() {}, debug() {} },
+      emailService: {},
+      depositLogger: {
+        connect: async () => {},
+        createLog: async () => 'log-1',
+        addStage: async () => {},
+        updateDepositId: async () => {},
+      },
+    });
+    const set = (id, status, extra = {}) => {
+      const d = deposits.find((x) => x.deposit_id === id);
+      Object.assign(d, { status }, extra);
+      return { ...d };
+    };
+    svc.repo = {
+      findByTxId: async (txId) => deposits.find((d) => d.tx_id === txId) || null,
+      createPending: async (p) => {
+        const d = { deposit_id: `d${deposits.length + 1}`, user_id: p.userId, tx_id: p.txId, network: p.network, amount_usd: p.amountUsd, status: 'pending' };
+        deposits.push(d);
+        return { ...d };
+      },
+      markProcessing: async (id) => set(id, 'processing'),
+      markFailed: async (id, { message }) => set(id, 'failed', { message }),
+      markConfirmed: async (id) => set(id, 'completed'),
+    };
+    svc._sendDepositEmails = async () => {};
+    return { svc, calls, deposits };
+  }
+
+  it('is on by default once an RPC URL is configured', () => {
+    assert.strictEqual(cfg.ONCHAIN_VERIFY, true);
+    assert.strictEqual(cfg.NETWORKS.ERC20.ONCHAIN_VERIFY, true);
+    assert.throws(
+      () => new DepositService({ db: { query: async () => ({ rows: [] }) }, walletService: {}, provider: {}, emailService: {} }),
+      /requires chainVerifier/
+    );
+  });
+
+  it('holds a provider-SUCCESS deposit in processing until it is final on-chain', async () => {
+    const txId = TX(8);
+    chain.head = 1003;
+    chain.receipts[txId] = mined(1000, [transferLog({ units: 25000000 })]);
+    const { svc, calls, deposits } = makeService([{ txId, amount: 25, status: 'SUCCESS', address: OUR }]);
+
+    const first = await svc.submitDeposit({ userId: 'user-a', txId, network: 'ERC20' });
+    assert.strictEqual(first.status, 'processing');
+    assert.strictEqual(calls.credits.length, 0);
+
+    chain.head = 1011;
+    const done = await svc.verifyAndConfirm({ txId });
+    assert.strictEqual(done.status, 'completed');
+    assert.deepStrictEqual(calls.credits, [{ userId: 'user-a', amount: 25 }]);
+    assert.strictEqual(deposits[0].status, 'completed');
+  });
+
+  it('does not credit when the node is unreachable, and rejects a mismatched transfer', async () => {
+    const txId = TX(9);
+    chain.head = 5000;
+    chain.receipts[txId] = mined(1000, [transferLog({ units: 25000000 })]);
+    const { svc, calls, deposits } = makeService([{ txId, amount: 25, status: 'SUCCESS', address: OUR }]);
+
+    chain.down = true;
+    try {
+      const res = await svc.submitDeposit({ userId: 'user-a', txId, network: 'ERC20' });
+      assert.strictEqual(res.status, 'processing');
+    } finally {
+      chain.down = false;
+    }
+    assert.strictEqual(calls.credits.length, 0);
+
+    chain.receipts[txId] = mined(1000, [transferLog({ to: OTHER, units: 25000000 })]);
+    const res = await svc.verifyAndConfirm({ txId });
+    assert.strictEqual(res.status, 'failed');
+    assert.match(deposits[0].message, /no_transfer/);
+    assert.strictEqual(calls.credits.length, 0);
+
+    const other = makeService([{ txId: TX(10), amount: 25, status: 'SUCCESS', address: OUR }]);
+    chain.receipts[TX(10)] = mined(1000, [transferLog({ to: OTHER, units: 25000000 })]);
+    await assert.rejects(
+      other.svc.submitDeposit({ userId: 'user-b', txId: TX(10), network: 'ERC20' }),
+      (err) => err.code === 'ERR_CHAIN_MISMATCH'
+    );
+    assert.strictEqual(other.deposits.length, 0);
+  });
+});
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const http = require('http');
+const { describe, it, before, after } = require('node:test');
+
+const OUR = '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+const OTHER = '0x2222222222222222222222222222222222222222';
+
+process.env.DEPOSIT_ADDRESS = OUR;
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+process.env.DEPOSIT_ADDRESS_MODE = 'shared';
+process.env.DEPOSIT_PROVIDER = 'fake';
+process.env.MIN_CONFIRMATIONS = '12';
+
+const { createDepositProvider } = require('../src/Investment/src/modules/deposit/providers/provider.registry');
+const { BinanceProvider } = require('../src/Investment/src/modules/deposit/providers/binance.provider');
+const { EtherscanProvider } = require('../src/Investment/src/modules/deposit/providers/etherscan.provider');
+const { FakeDepositProvider } = require('../src/Investment/src/modules/deposit/providers/fakeDeposit.provider');
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+
+const TX = (n) => '0x' + String(n).repeat(64).slice(0, 64);
+
+describe('deposit provider registry', () => {
+  it('builds the configured provider and rejects unknown names', () => {
+    const provider = createDepositProvider({ logger: { warn() {} } });
+    assert.ok(provider instanceof FakeDepositProvider);
+    assert.strictEqual(provider.addresses.ERC20, OUR);
+
+    assert.ok(createDepositProvider({ name: 'etherscan', env: { ETHERSCAN_API_KEY: 'k' } }) instanceof EtherscanProvider);
+    assert.ok(createDepositProvider({ name: 'binance', env: {} }) instanceof BinanceProvider);
+    assert.throws(() => createDepositProvider({ name: 'coinbase' }), /Unknown deposit provider "coinbase"/);
+    assert.throws(() => createDepositProvider({ name: 'alchemy' }), /"alchemy" was removed; use etherscan/);
+  });
+});
+
+describe('EtherscanProvider', () => {
+  // tokentx responses keyed by page; `requests` records the query strings
+  const api = { pages: {}, requests: [], fail: false };
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const q = new URL(req.url, 'http://localhost').searchParams;
+      api.requests.push(q);
+      res.setHeader('Content-Type', 'application/json');
+      if (api.fail) return res.end(JSON.stringify({ status: '0', message: 'NOTOK', result: 'Invalid API Key' }));
+      const rows = api.pages[q.get('page')] || [];
+      res.end(JSON.stringify(rows.length
+        ? { status: '1', message: 'OK', result: rows }
+        : { status: '0', message: 'No transactions found', result: [] }));
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const provider = () => new EtherscanProvider({ apiKey: 'test-key', baseUrl, addresses: { ERC20: OUR }, timeout: 2000 });
+  const transfer = (n, { to = OUR, value = '25000000', confirmations = '40', ts }) => ({
+    hash: TX(n), to, from: OTHER, value, tokenDecimal: '6', tokenSymbol: 'USDT', confirmations, timeStamp: String(ts),
+  });
+
+  it('lists incoming USDT transfers since the cursor with a status from confirmations', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    api.pages = {
+      1: [
+        transfer(1, { ts: now - 10, confirmations: '3' }),
+        transfer(2, { ts: now - 20, to: OTHER }), // outgoing
+        transfer(3, { ts: now - 30, value: '1500000' }),
+        transfer(4, { ts: now - 5000 }), // before sinceMs
+      ],
+    };
+    api.requests = [];
+
+    const deposits = await provider().listRecentDeposits({ sinceMs: (now - 100) * 1000, network: 'ETH' });
+    assert.deepStrictEqual(deposits.map((d) => [d.txId, d.amount, d.status]), [
+      [TX(1), 25, 'PENDING'],
+      [TX(3), 1.5, 'SUCCESS'],
+    ]);
+    assert.strictEqual(deposits[0].network, 'ETH');
+    assert.strictEqual(deposits[0].insertTime, (now - 10) * 1000);
+
+    const q = api.requests[0];
+    assert.strictEqual(q.get('action'), 'tokentx');
+    assert.strictEqual(q.get('chainid'), '1');
+    assert.strictEqual(q.get('address'), OUR);
+    assert.strictEqual(q.get('contractaddress').toLowerCase(), '0xdac17f958d2ee523a2206206994597c13d831ec7');
+    assert.strictEqual(q.get('apikey'), 'test-key');
+
+    const found = await provider().getDepositByTxId({ txId: TX(3).toUpperCase().replace('0X', '0x'), network: 'ETH' });
+    assert.strictEqual(found.amount, 1.5);
+  });
+
+  it('treats "No transactions found" as empty and throws on API errors', async () => {
+    api.pages = {};
+    assert.deepStrictEqual(await provider().listRecentDeposits({ sinceMs: 0, network: 'ETH' }), []);
+
+    api.fail = true;
+    try {
+      await assert.rejects(provider().listRecentDeposits({ sinceMs: 0, network: 'ETH' }), /Invalid API Key/);
+    } finally {
+      api.fail = false;
+    }
+    await assert.rejects(provider().getDepositAddress({ account: 'sub@x', network: 'ETH' }), /sub-accounts/);
+  });
+});
+
+describe('DepositService on the fake provider', () => {
+  function makeService(provider) {
+    const credits = [];
+    const deposits = [];
+    const svc = new DepositService({
+      db: { query: async () => ({ rows: [], rowCount: 0 }) },
+      walletService: { creditAccount: async (userId, amount) => { credits.push({ userId, amount }); } },
+      provider,
+      logger: { info() {}, warn() {}, error() {}, debug() {} },
+      emailService: {},
+      depositLogger: {
+        connect: async () => {},
+        createLog: async () => 'log-1',
+        addStage: async () => {},
+        updateDepositId: async () => {},
+      },
+    });
+    svc.repo = {
+      findByTxId: async (txId) => deposits.find((d) => d.tx_id === txId) || null,
+      createPending: async (p) => {
+        const d = { deposit_id: `d${deposits.length + 1}`, user_id: p.userId, tx_id: p.txId, network: p.network, amount_usd: p.amountUsd, status: 'pending' };
+        deposits.push(d);
+        return d;
+      },
+      markConfirmed: async (id) => Object.assign(deposits.find((d) => d.deposit_id === id), { status: 'completed' }),
+    };
+    svc._sendDepositEmails = async () => {};
+    return { svc, credits };
+  }
+
+  it('credits a deposit once the fake provider reports it as successful', async () => {
+    const provider = createDepositProvider();
+    const dep = provider.addDeposit({ amount: 75, network: 'ERC20', status: 'PENDING' });
+    assert.strictEqual(dep.address, OUR);
+    const { svc, credits } = makeService(provider);
+
+    await assert.rejects(
+      svc.submitDeposit({ userId: 'user-a', txId: dep.txId, network: 'ERC20' }),
+      (err) => err.code === 'ERR_PENDING_CONFIRMATION'
+    );
+
+    provider.setStatus(dep.txId, 'SUCCESS');
+    const res = await svc.submitDeposit({ userId: 'user-a', txId: dep.txId, network: 'ERC20' });
+    assert.strictEqual(res.status, 'completed');
+    assert.deepStrictEqual(credits, [{ userId: 'user-a', amount: 75 }]);
+
+    await assert.rejects(
+      svc.submitDeposit({ userId: 'user-a', txId: TX(9), network: 'ERC20' }),
+      (err) => err.code === 'ERR_TXID_NOT_FOUND'
+    );
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+const { ReferralRewardSweepJob } = require('../src/Investment/src/modules/deposit/jobs/referralRewardSweep.job');
+
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const USER = '11111111-1111-4111-8111-111111111111';
+
+/** DepositService over in-memory confirmed deposits; `failures` makes the next bonus calls throw. */
+function fixture({ failures = 0 } = {}) {
+  const deposits = [
+    { deposit_id: 'd1', user_id: USER, amount_usd: '400.00', status: 'completed', referral_rewards_paid_at: null },
+  ];
+  const calls = [];
+  const referralService = {
+    awardFirstDepositBonus: async (p) => {
+      calls.push(['bonus', p.depositId]);
+      if (failures > 0) { failures--; throw new Error('db timeout'); }
+    },
+    payCommissions: async (p) => { calls.push(['commissions', p.sourceRef]); return []; },
+  };
+  const svc = new DepositService({
+    db: { query: async () => ({ rows: [], rowCount: 0 }) },
+    walletService: {},
+    provider: {},
+    referralService,
+    logger: quietLogger,
+    emailService: {},
+    depositLogger: { connect: async () => {} },
+  });
+  svc.repo = {
+    markReferralRewardsPaid: async (id) => { deposits.find((d) => d.deposit_id === id).referral_rewards_paid_at = new Date(); },
+    listReferralRewardsDue: async (limit) => deposits.filter((d) => !d.referral_rewards_paid_at).slice(0, limit),
+  };
+  return { svc, deposits, calls };
+}
+
+describe('deposit referral rewards', () => {
+  it('marks the deposit settled once bonus and commissions went through', async () => {
+    const { svc, deposits, calls } = fixture();
+
+    assert.strictEqual(await svc._payReferralRewards(USER, deposits[0]), true);
+    assert.ok(deposits[0].referral_rewards_paid_at);
+    assert.deepStrictEqual(calls, [['bonus', 'd1'], ['commissions', 'd1']]);
+  });
+
+  it('leaves a failed payout for the sweep, which retries it', async () => {
+    const { svc, deposits, calls } = fixture({ failures: 1 });
+
+    assert.strictEqual(await svc._payReferralRewards(USER, deposits[0]), false);
+    assert.strictEqual(deposits[0].referral_rewards_paid_at, null);
+
+    const job = new ReferralRewardSweepJob({ depositService: svc, logger: quietLogger });
+    assert.deepStrictEqual(await job.run(), { total: 1, settled: 1, failed: 0 });
+    assert.ok(deposits[0].referral_rewards_paid_at);
+    assert.strictEqual(calls.filter(([kind]) => kind === 'bonus').length, 2);
+
+    assert.deepStrictEqual(await job.run(), { total: 0, settled: 0, failed: 0 });
+  });
+});
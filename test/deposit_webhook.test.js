@@ -0,0 +1,137 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const express = require('express');
+const { describe, it, before, after } = require('node:test');
+
+const OUR = '0x54af84786bc0386d44fe908b2946f7f50c0f513f';
+process.env.DEPOSIT_ADDRESS = OUR;
+process.env.DEPOSIT_NETWORKS = 'ERC20';
+process.env.DEPOSIT_ADDRESS_MODE = 'shared';
+
+const { DepositService } = require('../src/Investment/src/modules/deposit/services/deposit.service');
+const { createDepositRouter } = require('../src/Investment/src/modules/deposit/routes/deposit.routes');
+const { createWebhookHandler } = require('../src/Investment/src/modules/deposit/jobs/webhookHandler');
+
+const SECRET = 'whsec-test';
+const TX = (n) => '0x' + String(n).repeat(64).slice(0, 64);
+const quietLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function sign(body, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(12).toString('hex'), secret = SECRET } = {}) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${nonce}.${body}`).digest('hex');
+  return {
+    'Content-Type': 'application/json',
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': `sha256=${signature}`,
+  };
+}
+
+describe('deposit webhook', () => {
+  const events = []; // deposit_webhook_events rows
+  const verified = [];
+  let failVerify = false;
+  let server;
+  let url;
+  let svc;
+
+  before(async () => {
+    svc = new DepositService({
+      db: { query: async () => ({ rows: [], rowCount: 0 }) },
+      walletService: {},
+      provider: {},
+      logger: quietLogger,
+      emailService: {},
+      depositLogger: { connect: async () => {} },
+    });
+    svc.webhookEvents = {
+      insert: async ({ nonce, sentAt, payload }) => {
+        if (events.some((e) => e.nonce === nonce)) return null;
+        const row = { event_id: `e${events.length + 1}`, nonce, sent_at: sentAt, payload, status: 'received', attempts: 0 };
+        events.push(row);
+        return row;
+      },
+      markResult: async (eventId, { status, depositStatus = null, error = null }) =>
+        Object.assign(events.find((e) => e.event_id === eventId), { status, deposit_status: depositStatus, error }),
+      listRetryable: async () => events.filter((e) => e.status === 'received' || e.status === 'failed'),
+    };
+    svc.verifyAndConfirm = async ({ txId }) => {
+      if (failVerify) throw new Error('provider down');
+      verified.push(txId);
+      return { status: 'completed' };
+    };
+
+    const app = express();
+    app.use('/api/v1/deposit', createDepositRouter({
+      depositService: svc,
+      authenticate: (req, res, next) => next(),
+      webhookHandler: createWebhookHandler({ depositService: svc, webhookSecret: SECRET, toleranceSec: 300, logger: quietLogger }),
+    }));
+    server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    url = `http://127.0.0.1:${server.address().port}/api/v1/deposit/webhook`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  const post = async (body, headers) => {
+    const res = await fetch(url, { method: 'POST', body, headers });
+    return { status: res.status, body: await res.json() };
+  };
+
+  it('verifies the signature over the raw bytes and rejects replays', async () => {
+    // non-canonical spacing: a re-serialized req.body would not match the signature
+    const body = `{ "type": "deposit",  "txId": "${TX(1)}", "address": "${OUR}" }`;
+    const headers = sign(body);
+
+    const first = await post(body, headers);
+    assert.strictEqual(first.status, 200);
+    assert.deepStrictEqual(first.body, { ok: true, txId: TX(1), status: 'completed' });
+    assert.deepStrictEqual(verified, [TX(1)]);
+    assert.strictEqual(events[0].status, 'processed');
+
+    const replay = await post(body, headers);
+    assert.strictEqual(replay.status, 409);
+    assert.strictEqual(replay.body.error, 'replayed');
+    assert.strictEqual(verified.length, 1);
+
+    const tampered = await post(body.replace(TX(1), TX(2)), sign(body));
+    assert.strictEqual(tampered.status, 401);
+    assert.strictEqual(tampered.body.error, 'invalid_signature');
+
+    const wrongKey = await post(body, sign(body, { secret: 'other' }));
+    assert.strictEqual(wrongKey.status, 401);
+
+    const unsigned = await post(body, { 'Content-Type': 'application/json' });
+    assert.strictEqual(unsigned.status, 401);
+  });
+
+  it('rejects timestamps outside the window', async () => {
+    const body = JSON.stringify({ type: 'deposit', txId: TX(3) });
+    const stale = await post(body, sign(body, { timestamp: Math.floor(Date.now() / 1000) - 301 }));
+    assert.strictEqual(stale.status, 401);
+    assert.strictEqual(stale.body.error, 'stale_timestamp');
+
+    const future = await post(body, sign(body, { timestamp: Math.floor(Date.now() / 1000) + 301 }));
+    assert.strictEqual(future.status, 401);
+    assert.ok(!verified.includes(TX(3)));
+  });
+
+  it('stores every authenticated event and reprocesses failures', async () => {
+    const foreign = JSON.stringify({ type: 'deposit', txId: TX(4), address: '0x2222222222222222222222222222222222222222' });
+    const ignored = await post(foreign, sign(foreign));
+    assert.strictEqual(ignored.status, 202);
+    assert.strictEqual(events.at(-1).status, 'ignored');
+    assert.strictEqual(events.at(-1).error, 'address_mismatch');
+
+    const body = JSON.stringify({ type: 'deposit', txId: TX(5) });
+    failVerify = true;
+    const failed = await post(body, sign(body));
+    assert.strictEqual(failed.status, 500);
+    assert.strictEqual(events.at(-1).status, 'failed');
+
+    failVerify = false;
+    const summary = await svc.reprocessWebhookEvents();
+    assert.deepStrictEqual(summary, { total: 1, processed: 1, ignored: 0, failed: 0 });
+    assert.strictEqual(events.at(-1).status, 'processed');
+    assert.ok(verified.includes(TX(5)));
+  });
+});
@@ -0,0 +1,120 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+  daysRemaining,
+  penaltyPctFor,
+  quoteEarlyRedemption,
+} = require('../src/Investment/src/modules/wallet/policies/earlyRedemption.policy');
+const { EarlyRedemptionService } = require('../src/Investment/src/modules/wallet/services/earlyRedemption.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2025-03-01T12:00:00Z');
+const tiers = [
+  { minDaysRemaining: 0, penaltyPct: 2 },
+  { minDaysRemaining: 7, penaltyPct: 5 },
+  { minDaysRemaining: 30, penaltyPct: 10 },
+];
+
+describe('early redemption policy', () => {
+  it('counts a partial day as a full day remaining', () => {
+    assert.strictEqual(daysRemaining(new Date(NOW.getTime() + 1000), NOW), 1);
+    assert.strictEqual(daysRemaining(new Date(NOW.getTime() + 7 * DAY_MS), NOW), 7);
+    assert.strictEqual(daysRemaining(new Date(NOW.getTime() - 1000), NOW), 0);
+  });
+
+  it('slides the penalty down as the lock nears maturity', () => {
+    assert.strictEqual(penaltyPctFor(45, tiers), 10);
+    assert.strictEqual(penaltyPctFor(30, tiers), 10);
+    assert.strictEqual(penaltyPctFor(29, tiers), 5);
+    assert.strictEqual(penaltyPctFor(1, tiers), 2);
+  });
+
+  it('quotes penalty and net amount in cents', () => {
+    const quote = quoteEarlyRedemption({
+      principal: '1234.56',
+      lockedUntil: new Date(NOW.getTime() + 10 * DAY_MS),
+      now: NOW,
+      tiers,
+    });
+    assert.deepStrictEqual(quote, { principal: 1234.56, daysRemaining: 10, penaltyPct: 5, penalty: 61.73, netAmount: 1172.83 });
+  });
+});
+
+describe('EarlyRedemptionService', () => {
+  function fixture(lockOver = {}) {
+    const lock = {
+      transfer_id: 't1', user_id: 'u1', amount: '1000', status: 'active', unlocked_at: null,
+      locked_until: new Date(Date.now() + 20 * DAY_MS), ...lockOver,
+    };
+    const wallets = {
+      'u1:trading': { wallet_id: 'wt', balance: 1000, locked_balance: 1000 },
+      'rev:account': { wallet_id: 'wr', balance: 0, locked_balance: 0 },
+    };
+    const ledger = [];
+    const updates = [];
+    const client = {
+      query: async (sql, params) => {
+        if (sql.includes('FROM wallet_transfers')) return { rows: [lock], rowCount: 1 };
+        if (sql.includes('UPDATE wallet_transfers')) updates.push(params);
+        return { rows: [], rowCount: 0 };
+      },
+    };
+    const byId = (id) => Object.values(wallets).find((w) => w.wallet_id === id);
+    const walletService = {
+      withTransaction: (fn) => fn(client),
+      ensureUserWallets: async () => {},
+      getWalletForUpdate: async (c, userId, type) => ({ ...wallets[`${userId}:${type}`] }),
+      adjustTradingLock: async (c, userId, delta) => { wallets['u1:trading'].locked_balance += delta; },
+      debit: async (c, e) => { ledger.push(['debit', e]); return (byId(e.walletId).balance -= e.amount); },
+      credit: async (c, e) => { ledger.push(['credit', e]); return (byId(e.walletId).balance += e.amount); },
+      getBalances: async () => ({ account: 0, trading: 0, tradingLocked: 0, referral: 0 }),
+    };
+    const notified = [];
+    const svc = new EarlyRedemptionService({
+      db: client,
+      walletService,
+      revenueUserId: 'rev',
+      penaltyTiers: tiers,
+      notificationService: { sendEarlyRedemption: async (userId, r) => notified.push(r.transferId) },
+      logger: { info() {}, warn() {} },
+    });
+    return { svc, wallets, ledger, updates, notified };
+  }
+
+  it('releases the lock, moves the penalty to revenue and marks the transfer', async () => {
+    const { svc, wallets, ledger, updates, notified } = fixture();
+    const result = await svc.redeem({ userId: 'u1', transferId: 't1' });
+
+    // 20 days left -> 5%
+    assert.strictEqual(result.penalty, 50);
+    assert.strictEqual(result.netAmount, 950);
+    assert.strictEqual(wallets['u1:trading'].locked_balance, 0);
+    assert.strictEqual(wallets['u1:trading'].balance, 950);
+    assert.strictEqual(wallets['rev:account'].balance, 50);
+    assert.deepStrictEqual(ledger.map(([dir, e]) => [dir, e.reason, e.idempotencyKey]), [
+      ['debit', 'early_redemption_penalty', 'redemption:t1:penalty'],
+      ['credit', 'early_redemption_penalty', 'redemption:t1:penalty'],
+    ]);
+    assert.deepStrictEqual(updates, [['t1']]);
+    assert.deepStrictEqual(notified, ['t1']);
+  });
+
+  it('rejects a penalty above the accepted quote', async () => {
+    await assert.rejects(
+      fixture().svc.redeem({ userId: 'u1', transferId: 't1', maxPenalty: 10 }),
+      { code: 'PENALTY_CHANGED', status: 409 }
+    );
+  });
+
+  it('refuses matured and already released locks', async () => {
+    await assert.rejects(
+      fixture({ locked_until: new Date(Date.now() - 1000) }).svc.redeem({ userId: 'u1', transferId: 't1' }),
+      { code: 'LOCK_MATURED', status: 409 }
+    );
+    await assert.rejects(
+      fixture({ status: 'unlocked' }).svc.quote({ userId: 'u1', transferId: 't1' }),
+      { code: 'LOCK_NOT_ACTIVE', status: 409 }
+    );
+  });
+});
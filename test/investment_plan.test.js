@@ -0,0 +1,150 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { planDailyRatePct, checkPlanAmount } = require('../src/Investment/src/modules/plan/policies/plan.policy');
+const { PlanService } = require('../src/Investment/src/modules/plan/services/plan.service');
+const { validateCreatePlanBody, validateUpdatePlanBody } = require('../src/Investment/src/modules/plan/validations/plan.validation');
+const { validateTransferBody } = require('../src/Investment/src/modules/wallet/validations/wallet.validation');
+const { TransferService } = require('../src/Investment/src/modules/wallet/services/transfer.service');
+
+const PLAN_ID = '11111111-1111-4111-8111-111111111111';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const plan = (over = {}) => ({
+  plan_id: PLAN_ID,
+  name: 'Growth',
+  min_amount: '100.00',
+  max_amount: '5000.00',
+  lock_days: 90,
+  rate_pct: '0.8000',
+  rate_period: 'daily',
+  compounding: false,
+  is_active: true,
+  ...over,
+});
+
+// answers plan lookups and "in use" checks; records every query
+function stubDb({ row = plan(), inUse = false } = {}) {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.includes('FROM investment_plans')) return { rows: row ? [row] : [], rowCount: row ? 1 : 0 };
+      if (sql.includes('FROM wallet_transfers')) return { rows: [], rowCount: inUse ? 1 : 0 };
+      if (sql.startsWith('UPDATE investment_plans')) return { rows: [{ ...row, ...params }], rowCount: 1 };
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+const serviceFor = (db) => new PlanService({ db, withTransaction: (fn) => fn(db), logger: { info() {}, warn() {}, error() {} } });
+
+describe('plan policy', () => {
+  it('spreads a monthly rate over 30 days', () => {
+    assert.strictEqual(planDailyRatePct(plan({ rate_pct: '0.5', rate_period: 'daily' })), 0.5);
+    assert.strictEqual(planDailyRatePct(plan({ rate_pct: '15', rate_period: 'monthly' })), 0.5);
+  });
+
+  it('checks the amount band and active flag', () => {
+    assert.strictEqual(checkPlanAmount(plan(), 100), null);
+    assert.strictEqual(checkPlanAmount(plan(), 5000), null);
+    assert.strictEqual(checkPlanAmount(plan(), 99.99).code, 'AMOUNT_BELOW_PLAN_MIN');
+    assert.strictEqual(checkPlanAmount(plan(), 5000.01).code, 'AMOUNT_ABOVE_PLAN_MAX');
+    assert.strictEqual(checkPlanAmount(plan({ max_amount: null }), 1e6), null);
+    assert.strictEqual(checkPlanAmount(plan({ is_active: false }), 200).code, 'PLAN_INACTIVE');
+  });
+});
+
+describe('plan validation', () => {
+  it('accepts a plan and applies defaults', () => {
+    const out = validateCreatePlanBody({ name: 'Starter', minAmount: '50', lockDays: 30, ratePct: 12, ratePeriod: 'monthly' });
+    assert.deepStrictEqual(out, { name: 'Starter', minAmount: 50, lockDays: 30, ratePct: 12, ratePeriod: 'monthly', compounding: false, isActive: true });
+  });
+
+  it('rejects an inverted amount band, unknown fields and empty updates', () => {
+    assert.throws(() => validateCreatePlanBody({ name: 'X', minAmount: 500, maxAmount: 100, lockDays: 30, ratePct: 1, ratePeriod: 'daily' }));
+    assert.throws(() => validateCreatePlanBody({ name: 'X', minAmount: 50, lockDays: 30, ratePct: 1, ratePeriod: 'daily', extra: 1 }));
+    assert.throws(() => validateUpdatePlanBody({}));
+  });
+
+  it('only allows planId on account to trading transfers', () => {
+    const ok = validateTransferBody({ fromWallet: 'account', toWallet: 'trading', amount: 100, planId: PLAN_ID });
+    assert.strictEqual(ok.planId, PLAN_ID);
+    assert.throws(() => validateTransferBody({ fromWallet: 'trading', toWallet: 'account', amount: 100, planId: PLAN_ID }));
+  });
+});
+
+describe('PlanService', () => {
+  it('resolves an open plan for a principal within its band', async () => {
+    const svc = serviceFor(stubDb());
+    const row = await svc.resolveForPrincipal(svc.db, PLAN_ID, 250);
+    assert.strictEqual(row.plan_id, PLAN_ID);
+    await assert.rejects(svc.resolveForPrincipal(svc.db, PLAN_ID, 50), { code: 'AMOUNT_BELOW_PLAN_MIN' });
+  });
+
+  it('reports a missing plan as not found', async () => {
+    const svc = serviceFor(stubDb({ row: null }));
+    await assert.rejects(svc.resolveForPrincipal(svc.db, PLAN_ID, 250), { code: 'PLAN_NOT_FOUND', status: 404 });
+  });
+
+  it('freezes terms once the plan has locks but still allows deactivation', async () => {
+    const svc = serviceFor(stubDb({ inUse: true }));
+    await assert.rejects(
+      svc.updatePlan({ adminId: 'a1', planId: PLAN_ID, changes: { ratePct: 1 } }),
+      { code: 'PLAN_IN_USE', status: 409 }
+    );
+    await svc.updatePlan({ adminId: 'a1', planId: PLAN_ID, changes: { isActive: false } });
+  });
+});
+
+describe('TransferService account to trading lock', () => {
+  // wallet stub: every wallet holds 1000; plan lookups go to the plan stub db
+  function transferFixture(planService) {
+    const inserts = [];
+    const planDb = stubDb();
+    const client = {
+      query: async (sql, params) => {
+        if (sql.includes('INSERT INTO wallet_transfers')) {
+          inserts.push(params);
+          return { rows: [{ transfer_id: 't1' }] };
+        }
+        return planDb.query(sql, params);
+      },
+    };
+    const walletService = {
+      withTransaction: (fn) => fn(client),
+      ensureUserWallets: async () => {},
+      getWalletForUpdate: async () => ({ wallet_id: 'w', balance: 1000, locked_balance: 0 }),
+      debit: async () => 0,
+      credit: async () => 0,
+      adjustTradingLock: async () => {},
+      getBalances: async () => ({}),
+    };
+    const svc = new TransferService({ db: client, walletService, planService, logger: { warn() {} } });
+    return { svc, inserts };
+  }
+
+  it("uses the plan's lock days and records the plan", async () => {
+    const { svc, inserts } = transferFixture(serviceFor(stubDb()));
+    const before = Date.now();
+    const result = await svc.transferAccountToTrading('u1', 200, undefined, PLAN_ID);
+
+    assert.strictEqual(result.planId, PLAN_ID);
+    assert.strictEqual(inserts[0][3], PLAN_ID);
+    const days = (result.lockedUntil.getTime() - before) / DAY_MS;
+    assert.ok(days >= 90 && days < 90.01);
+  });
+
+  it('falls back to PRINCIPAL_LOCK_DAYS without a plan', async () => {
+    const { PRINCIPAL_LOCK_DAYS } = require('../src/Investment/src/modules/wallet/policies/wallet.policy');
+    const { svc, inserts } = transferFixture(null);
+    const before = Date.now();
+    const result = await svc.transferAccountToTrading('u1', 200);
+
+    assert.strictEqual(result.planId, null);
+    assert.strictEqual(inserts[0][3], null);
+    const days = (result.lockedUntil.getTime() - before) / DAY_MS;
+    assert.ok(days >= PRINCIPAL_LOCK_DAYS && days < PRINCIPAL_LOCK_DAYS + 0.01);
+  });
+});
@@ -0,0 +1,176 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.PROFIT_RATE_TIERS = '0:0.5,1000:0.7,10000:1';
+
+const {
+  dailyRateFor,
+  computeDailyProfit,
+  compoundsProfit,
+  accrualDateKey,
+} = require('../src/Investment/src/modules/wallet/policies/profitRate.policy');
+const { ProfitAccrualJob } = require('../src/Investment/src/modules/wallet/jobs/profitAccrual.job');
+const { ProfitAccrualService } = require('../src/Investment/src/modules/wallet/services/profitAccrual.service');
+
+const tiers = [
+  { minPrincipal: 10, dailyRatePct: 0.5 },
+  { minPrincipal: 1000, dailyRatePct: 0.7 },
+  { minPrincipal: 10000, dailyRatePct: 1 },
+];
+
+describe('profit rate policy', () => {
+  it('picks the highest tier the principal reaches', () => {
+    assert.strictEqual(dailyRateFor(5, tiers), 0);
+    assert.strictEqual(dailyRateFor(10, tiers), 0.5);
+    assert.strictEqual(dailyRateFor(999.99, tiers), 0.5);
+    assert.strictEqual(dailyRateFor(1000, tiers), 0.7);
+    assert.strictEqual(dailyRateFor(250000, tiers), 1);
+  });
+
+  it('computes a day of profit rounded to cents', () => {
+    assert.strictEqual(computeDailyProfit(1000, 0.7), 7);
+    assert.strictEqual(computeDailyProfit(333.33, 0.5), 1.67);
+    assert.strictEqual(computeDailyProfit(100, 0), 0);
+  });
+
+  it('compounds only for opted-in users whose plan allows it', () => {
+    assert.strictEqual(compoundsProfit({ profit_compounding: false, plan_id: null }), false);
+    assert.strictEqual(compoundsProfit({ profit_compounding: true, plan_id: null }), true);
+    assert.strictEqual(compoundsProfit({ profit_compounding: true, plan_id: 'p1', plan_compounding: false }), false);
+    assert.strictEqual(compoundsProfit({ profit_compounding: true, plan_id: 'p1', plan_compounding: true }), true);
+  });
+
+  it('keys accruals by UTC calendar date', () => {
+    assert.strictEqual(accrualDateKey(new Date('2025-03-01T23:59:59.999Z')), '2025-03-01');
+  });
+});
+
+describe('ProfitAccrualJob.run', () => {
+  it('accrues each catch-up day up to yesterday, oldest first', async () => {
+    const dates = [];
+    const svc = { accrueForDate: async (d) => { dates.push(accrualDateKey(d)); return {}; } };
+    const job = new ProfitAccrualJob({ profitAccrualService: svc, catchupDays: 3, logger: { info() {} } });
+
+    await job.run(new Date('2025-03-10T00:05:00Z'));
+    assert.deepStrictEqual(dates, ['2025-03-07', '2025-03-08', '2025-03-09']);
+  });
+});
+
+describe('ProfitAccrualService compounding', () => {
+  // trading wallet holding the 1000 principal, fully locked
+  function fixture() {
+    const trading = { wallet_id: 'w1', balance: 1000, locked_balance: 1000 };
+    const queries = [];
+    const client = {
+      query: async (sql, params) => {
+        queries.push({ sql, params });
+        return { rows: [], rowCount: 0 };
+      },
+    };
+    const walletService = {
+      withTransaction: (fn) => fn(client),
+      getWalletForUpdate: async () => ({ ...trading }),
+      credit: async (c, { amount }) => { trading.balance += amount; return trading.balance; },
+      adjustTradingLock: async (c, userId, delta) => {
+        trading.locked_balance += delta;
+        assert.ok(trading.locked_balance <= trading.balance, 'locked exceeds balance');
+        return { locked: trading.locked_balance, balance: trading.balance };
+      },
+    };
+    const svc = new ProfitAccrualService({ db: client, walletService, logger: { info() {}, warn() {} } });
+    return { svc, trading, queries };
+  }
+
+  const lock = (over = {}) => ({
+    transfer_id: 't1', user_id: 'u1', amount: '1000', created_at: new Date('2025-03-01T00:00:00Z'),
+    plan_id: 'p1', rate_pct: '1', rate_period: 'daily', lock_days: 60, plan_compounding: true,
+    profit_compounding: true, ...over,
+  });
+
+  it('locks compounded profit in a child transfer', async () => {
+    const { svc, trading, queries } = fixture();
+    const outcome = await svc._accrueOne(lock(), new Date('2025-03-05T00:00:00Z'));
+
+    assert.strictEqual(outcome, 'compounded');
+    assert.strictEqual(trading.balance, 1010);
+    assert.strictEqual(trading.locked_balance, 1010);
+    const child = queries.find((q) => q.sql.includes('INSERT INTO wallet_transfers'));
+    assert.ok(child, 'child transfer inserted');
+    assert.deepStrictEqual([child.params[0], child.params[1], child.params[2], child.params[4], child.params[5]], ['u1', 10, 'compound', 'p1', 't1']);
+  });
+
+  it('accrues a plan-less compound child at its root principal\'s tier', async () => {
+    const { svc, trading } = fixture();
+    const child = lock({ transfer_id: 't2', amount: '100', plan_id: null, root_amount: '10000' });
+    await svc._accrueOne(child, new Date('2025-03-05T00:00:00Z'));
+    assert.strictEqual(trading.balance, 1001); // 1% of 100, not the 0.5% tier of 100 itself
+
+    const { svc: svc2, trading: trading2 } = fixture();
+    await svc2._accrueOne(lock({ amount: '100', plan_id: null }), new Date('2025-03-05T00:00:00Z'));
+    assert.strictEqual(trading2.balance, 1000.5);
+  });
+
+  it('holds profit as a PROFIT_LOCK_DAYS tranche when compounding is off', async () => {
+    const { PROFIT_LOCK_DAYS } = require('../src/Investment/src/modules/wallet/policies/wallet.policy');
+    const { svc, trading, queries } = fixture();
+    const before = Date.now();
+    const outcome = await svc._accrueOne(lock({ profit_compounding: false }), new Date('2025-03-05T00:00:00Z'));
+
+    assert.strictEqual(outcome, 'credited');
+    assert.strictEqual(trading.balance, 1010);
+    assert.strictEqual(trading.locked_balance, 1010);
+    const tranche = queries.find((q) => q.sql.includes('INSERT INTO wallet_transfers'));
+    assert.strictEqual(tranche.params[2], 'profit_lock');
+    const days = (tranche.params[3].getTime() - before) / (24 * 60 * 60 * 1000);
+    assert.ok(days >= PROFIT_LOCK_DAYS && days < PROFIT_LOCK_DAYS + 0.01);
+  });
+});
+
+describe('ProfitAccrualService eligibility', () => {
+  const at = (iso) => new Date(iso);
+  // wallet_transfers in memory; the stub applies the same predicates as _listEligible
+  function fixture(rows) {
+    const db = {
+      query: async (sql, [dayStart, dayEnd, after]) => {
+        assert.ok(sql.includes('t.locked_until >= $2') && sql.includes('t.unlocked_at >= $2'));
+        const eligible = rows.filter((r) => r.created_at < dayStart
+          && r.locked_until >= dayEnd
+          && (!r.unlocked_at || r.unlocked_at >= dayEnd)
+          && (!after || r.transfer_id > after));
+        return { rows: eligible, rowCount: eligible.length };
+      },
+    };
+    const svc = new ProfitAccrualService({ db, walletService: { withTransaction: (fn) => fn(db) }, logger: { info() {}, warn() {} } });
+    const accrued = [];
+    svc._accrueOne = async (t, dayStart) => { accrued.push([t.transfer_id, accrualDateKey(dayStart)]); return 'credited'; };
+    const job = new ProfitAccrualJob({ profitAccrualService: svc, catchupDays: 3, logger: { info() {} } });
+    return { job, accrued };
+  }
+
+  it('catches up a lock released after the missed days', async () => {
+    const { job, accrued } = fixture([{
+      transfer_id: 't1',
+      created_at: at('2025-03-01T00:00:00Z'),
+      locked_until: at('2025-03-09T06:00:00Z'),
+      // released by WalletUnlockJob before the catch-up run
+      status: 'unlocked',
+      unlocked_at: at('2025-03-09T06:01:00Z'),
+    }]);
+
+    await job.run(at('2025-03-10T00:05:00Z'));
+    assert.deepStrictEqual(accrued, [['t1', '2025-03-07'], ['t1', '2025-03-08']]);
+  });
+
+  it('does not accrue past maturity while the lock awaits release', async () => {
+    const { job, accrued } = fixture([{
+      transfer_id: 't1',
+      created_at: at('2025-03-01T00:00:00Z'),
+      locked_until: at('2025-03-08T00:00:00Z'),
+      status: 'active',
+      unlocked_at: null,
+    }]);
+
+    await job.run(at('2025-03-10T00:05:00Z'));
+    assert.deepStrictEqual(accrued, [['t1', '2025-03-07']]);
+  });
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.PROFIT_ACCRUAL_ENABLED = 'true';
+
+const { buildProjection } = require('../src/Investment/src/modules/wallet/policies/projection.policy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = new Date('2025-03-10T15:00:00Z');
+const day = (n) => new Date(Date.parse('2025-03-10T00:00:00Z') + n * DAY_MS);
+const tiers = [{ minPrincipal: 0, dailyRatePct: 0.5 }];
+
+const principal = (over = {}) => ({
+  transferId: 't1',
+  type: 'principal',
+  amount: 1000,
+  createdAt: day(-5),
+  lockedUntil: new Date(day(3).getTime() + 6 * 3600 * 1000), // matures during day 3
+  planId: null,
+  planRatePct: null,
+  lockDays: 30,
+  compounds: false,
+  ...over,
+});
+
+describe('buildProjection', () => {
+  it('accrues until the lock matures and releases it on its date', () => {
+    const p = buildProjection({
+      locks: [principal()],
+      tradingBalance: 1000,
+      lockedBalance: 1000,
+      start: START,
+      days: 5,
+      profitLockDays: 0,
+      tiers,
+    });
+
+    assert.strictEqual(p.from, '2025-03-10');
+    assert.strictEqual(p.to, '2025-03-14');
+    // earns days 0..2; on day 3 it is released before the day ends
+    assert.deepStrictEqual(p.days.map((d) => d.profit), [5, 5, 5, 0, 0]);
+    assert.deepStrictEqual(p.days.map((d) => d.released), [0, 0, 0, 1000, 0]);
+    assert.deepStrictEqual(p.maturities.map((m) => [m.date, m.transferId, m.amount]), [['2025-03-13', 't1', 1000]]);
+    assert.deepStrictEqual(p.summary.endBalances, { trading: 1015, locked: 0, available: 1015 });
+  });
+
+  it('holds profit in tranches for profitLockDays', () => {
+    const p = buildProjection({
+      locks: [principal({ lockedUntil: day(60) })],
+      tradingBalance: 1000,
+      lockedBalance: 1000,
+      start: START,
+      days: 4,
+      profitLockDays: 2,
+      tiers,
+    });
+
+    // day 0 tranche is credited at day 1 00:00 and released two days later (day 2 end)
+    assert.deepStrictEqual(p.days.map((d) => d.balances.locked), [1005, 1010, 1010, 1010]);
+    assert.deepStrictEqual(p.maturities.map((m) => [m.date, m.type, m.transferId]), [
+      ['2025-03-12', 'profit_lock', null],
+      ['2025-03-13', 'profit_lock', null],
+    ]);
+  });
+
+  it('compounds into a child lock that earns from the next full day', () => {
+    const p = buildProjection({
+      locks: [principal({ lockedUntil: day(60), compounds: true, planRatePct: 1 })],
+      tradingBalance: 1000,
+      lockedBalance: 1000,
+      start: START,
+      days: 3,
+      profitLockDays: 7,
+      tiers,
+    });
+
+    // day 0: 10; day 1: 10 (child from day 0 not yet a full day old); day 2: 10 + 0.10 from the child
+    assert.deepStrictEqual(p.days.map((d) => d.profit), [10, 10, 10.1]);
+    assert.deepStrictEqual(p.days.map((d) => d.compounded), [10, 10, 10.1]);
+    assert.strictEqual(p.summary.endBalances.available, 0);
+    assert.strictEqual(p.summary.projectedProfit, 30.1);
+  });
+
+  it('ignores locks opened today until they have a full day', () => {
+    const p = buildProjection({
+      locks: [principal({ createdAt: START, lockedUntil: day(60) })],
+      tradingBalance: 1000,
+      lockedBalance: 1000,
+      start: START,
+      days: 2,
+      profitLockDays: 0,
+      tiers,
+    });
+    assert.deepStrictEqual(p.days.map((d) => d.profit), [0, 5]);
+  });
+
+  it('projects no profit while accrual is disabled, only releases', () => {
+    const p = buildProjection({
+      locks: [principal({ compounds: true })],
+      tradingBalance: 1000,
+      lockedBalance: 1000,
+      start: START,
+      days: 5,
+      profitLockDays: 30,
+      tiers,
+      accrualEnabled: false,
+    });
+    assert.deepStrictEqual(p.days.map((d) => d.profit), [0, 0, 0, 0, 0]);
+    assert.strictEqual(p.summary.projectedProfit, 0);
+    assert.strictEqual(p.summary.projectedCompounded, 0);
+    assert.strictEqual(p.summary.maturingAmount, 1000);
+    assert.deepStrictEqual(p.summary.endBalances, { trading: 1000, locked: 0, available: 1000 });
+  });
+});
@@ -0,0 +1,590 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+  CODE_ALPHABET,
+  CODE_LENGTH,
+  generateReferralCode,
+  normalizeReferralCode,
+} = require('../src/Investment/src/modules/referral/policies/referralCode.policy');
+const { ReferralService } = require('../src/Investment/src/modules/referral/services/referral.service');
+const { computeReferralBonus, bonusTermsFor, capToBudget } = require('../src/Investment/src/modules/referral/policies/referralBonus.policy');
+const { ReferralCampaignService } = require('../src/Investment/src/modules/referral/services/referralCampaign.service');
+const { planCommissions, buildDownlineTree } = require('../src/Investment/src/modules/referral/policies/referralCommission.policy');
+const { detectReferralFraud, normalizeEmail, holdsPayout } = require('../src/Investment/src/modules/referral/policies/referralFraud.policy');
+const { maskEmail, maskName, makeDownlineTreeDTO, makeLeaderboardDTO } = require('../src/Investment/src/modules/referral/dto/referral.dto');
+
+const REFERRER_ID = '11111111-1111-4111-8111-111111111111';
+const REFEREE_ID = '22222222-2222-4222-8222-222222222222';
+const DEPOSIT_ID = '33333333-3333-4333-8333-333333333333';
+const quiet = { info() {}, warn() {}, error() {} };
+
+// in-memory referrals table + user statuses; records every query
+function stubDb({ referrals = [], statuses = { [REFERRER_ID]: 'active' }, takenCodes = [] } = {}) {
+  const queries = [];
+  return {
+    queries,
+    referrals,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      if (sql.includes('FROM referrals WHERE referral_code')) {
+        return { rows: referrals.filter((r) => r.referral_code === params[0]) };
+      }
+      if (sql.includes('FROM referrals WHERE referrer_id')) {
+        return { rows: referrals.filter((r) => r.referrer_id === params[0]) };
+      }
+      if (sql.includes('INSERT INTO referrals')) {
+        const [userId, code] = params;
+        if (takenCodes.includes(code)) throw Object.assign(new Error('duplicate key'), { code: '23505' });
+        if (referrals.some((r) => r.referrer_id === userId)) return { rows: [] };
+        const row = { referral_id: `ref-${referrals.length + 1}`, referrer_id: userId, referral_code: code, created_at: new Date() };
+        referrals.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('FROM users WHERE user_id')) {
+        const status = statuses[params[0]];
+        return { rows: status ? [{ user_id: params[0], account_status: status }] : [] };
+      }
+      if (sql.includes('COUNT(*)')) return { rows: [{ total: 0, active: 0 }] };
+      return { rows: [] };
+    },
+  };
+}
+
+const serviceFor = (db, codes) => new ReferralService({
+  db,
+  generateCode: codes ? () => codes.shift() : undefined,
+  logger: quiet,
+});
+
+describe('referral code policy', () => {
+  it('generates codes from the unambiguous alphabet', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = generateReferralCode();
+      assert.strictEqual(code.length, CODE_LENGTH);
+      assert.ok([...code].every((c) => CODE_ALPHABET.includes(c)), code);
+    }
+  });
+
+  it('normalizes user input and rejects non-codes', () => {
+    assert.strictEqual(normalizeReferralCode('  ab12cd34 '), 'AB12CD34');
+    assert.strictEqual(normalizeReferralCode('AB-12'), null);
+    assert.strictEqual(normalizeReferralCode('ABCDEFGHIJK'), null);
+    assert.strictEqual(normalizeReferralCode(12345678), null);
+    assert.strictEqual(normalizeReferralCode(''), null);
+  });
+});
+
+describe('ReferralService', () => {
+  it('issues one code per user and returns it on later calls', async () => {
+    const db = stubDb();
+    const svc = serviceFor(db, ['AAAA2222', 'BBBB3333']);
+
+    const first = await svc.issueCode(REFERRER_ID);
+    const again = await svc.issueCode(REFERRER_ID);
+
+    assert.strictEqual(first.referral_code, 'AAAA2222');
+    assert.strictEqual(again.referral_id, first.referral_id);
+    assert.strictEqual(db.referrals.length, 1);
+  });
+
+  it('retries when a generated code is already taken', async () => {
+    const db = stubDb({ takenCodes: ['TAKEN222'] });
+    const svc = serviceFor(db, ['TAKEN222', 'FRESH333']);
+
+    const row = await svc.issueCode(REFERRER_ID);
+
+    assert.strictEqual(row.referral_code, 'FRESH333');
+  });
+
+  it('resolves a code case-insensitively to its owner', async () => {
+    const db = stubDb({ referrals: [{ referral_id: 'ref-1', referrer_id: REFERRER_ID, referral_code: 'AAAA2222' }] });
+
+    const referrer = await serviceFor(db).resolveCode(' aaaa2222');
+
+    assert.deepStrictEqual(referrer, { referralId: 'ref-1', referrerId: REFERRER_ID, code: 'AAAA2222' });
+  });
+
+  it('rejects unknown codes and codes of inactive users', async () => {
+    const referrals = [{ referral_id: 'ref-1', referrer_id: REFERRER_ID, referral_code: 'AAAA2222' }];
+
+    await assert.rejects(serviceFor(stubDb({ referrals })).resolveCode('ZZZZ9999'), { code: 'REFERRAL_CODE_INVALID' });
+    await assert.rejects(serviceFor(stubDb({ referrals })).resolveCode('not a code'), { code: 'REFERRAL_CODE_INVALID' });
+    await assert.rejects(
+      serviceFor(stubDb({ referrals, statuses: { [REFERRER_ID]: 'suspended' } })).resolveCode('AAAA2222'),
+      { code: 'REFERRAL_CODE_INVALID' }
+    );
+  });
+
+  it('issues a missing code on the summary only for active accounts', async () => {
+    const active = await serviceFor(stubDb(), ['AAAA2222']).getSummary({ userId: REFERRER_ID });
+    const pending = await serviceFor(stubDb({ statuses: { [REFERRER_ID]: 'pending' } }), ['AAAA2222'])
+      .getSummary({ userId: REFERRER_ID });
+
+    assert.strictEqual(active.referral.referral_code, 'AAAA2222');
+    assert.strictEqual(pending.referral, null);
+  });
+});
+
+// bonus flow: referrer link, deposits, referral_bonuses with unique referee; wallet credits recorded
+function bonusFixture({
+  link = { referral_id: 'ref-1', referrer_id: REFERRER_ID },
+  firstDepositId = DEPOSIT_ID,
+  sessions = [],
+  campaign = null,
+  spent = 0,
+} = {}) {
+  const bonuses = [];
+  const credits = [];
+  const actions = [];
+  const db = {
+    query: async (sql, params) => {
+      if (sql.includes('FROM referral_campaigns')) return { rows: campaign ? [campaign] : [] };
+      if (sql.includes('SUM(bonus_amount)')) return { rows: [{ spent }] };
+      if (sql.includes('FROM referral_bonuses b')) {
+        const row = bonuses.find((b) => b.bonus_id === params[0]);
+        return { rows: row ? [{ ...row, referrer_id: REFERRER_ID }] : [] };
+      }
+      if (sql.includes('JOIN referrals r')) return { rows: link ? [link] : [] };
+      if (sql.includes('FROM deposits')) return { rows: firstDepositId ? [{ deposit_id: firstDepositId }] : [] };
+      if (sql.includes('FROM users WHERE user_id = ANY')) {
+        return { rows: params[0].map((id) => ({ user_id: id, email: `${id}@example.com`, phone_number: null, last_login_ip: null })) };
+      }
+      if (sql.includes('FROM user_sessions')) return { rows: sessions };
+      if (sql.includes('INSERT INTO referral_bonuses')) {
+        if (bonuses.some((b) => b.referee_id === params[1])) return { rows: [] };
+        const row = {
+          bonus_id: `bonus-${bonuses.length + 1}`, referral_id: params[0], referee_id: params[1],
+          deposit_amount: params[2], bonus_amount: params[3], status: params[4], fraud_flags: JSON.parse(params[5]),
+          campaign_id: params[6],
+        };
+        bonuses.push(row);
+        return { rows: [row] };
+      }
+      if (sql.includes('UPDATE referral_bonuses')) {
+        const row = bonuses.find((b) => b.bonus_id === params[0]);
+        Object.assign(row, { status: params[1], reviewed_by: params[2], review_note: params[3] });
+        return { rows: [row] };
+      }
+      if (sql.includes('INSERT INTO admin_actions')) { actions.push(params); return { rows: [] }; }
+      return { rows: [] };
+    },
+  };
+  const walletService = {
+    ensureUserWallets: async () => {},
+    getWalletForUpdate: async (client, userId, type) => ({ wallet_id: `${type}-${userId}`, balance: '0.00' }),
+    credit: async (client, p) => { credits.push(p); return p.amount; },
+  };
+  const svc = new ReferralService({
+    db,
+    walletService,
+    withTransaction: (fn) => fn(db),
+    bonusTerms: { pct: 5, maxUsd: 100 },
+    fraudCheck: true,
+    logger: quiet,
+  });
+  return { svc, bonuses, credits, actions };
+}
+
+describe('referral bonus', () => {
+  it('computes a capped percentage of the deposit', () => {
+    assert.strictEqual(computeReferralBonus(250, { pct: 5 }), 12.5);
+    assert.strictEqual(computeReferralBonus(10000, { pct: 5, maxUsd: 100 }), 100);
+    assert.strictEqual(computeReferralBonus(250, { pct: 0 }), 0);
+    assert.strictEqual(computeReferralBonus(0, { pct: 5 }), 0);
+  });
+
+  it('credits the referral wallet once per referee', async () => {
+    const { svc, bonuses, credits } = bonusFixture();
+
+    const paid = await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+    const again = await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+
+    assert.strictEqual(paid.bonus_amount, 20);
+    assert.strictEqual(again, null);
+    assert.strictEqual(bonuses.length, 1);
+    assert.strictEqual(credits.length, 1);
+    assert.strictEqual(credits[0].walletId, `referral-${REFERRER_ID}`);
+    assert.strictEqual(credits[0].amount, 20);
+    assert.strictEqual(credits[0].reason, 'referral_bonus');
+    assert.strictEqual(credits[0].idempotencyKey, `referral_bonus:${REFEREE_ID}`);
+  });
+
+  it('uses the running campaign rate and records the campaign', async () => {
+    const campaign = { campaign_id: 'camp-1', bonus_pct: '10.0000', bonus_max_usd: null, budget_usd: null };
+    const { svc, credits } = bonusFixture({ campaign });
+
+    const paid = await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+
+    assert.strictEqual(paid.bonus_amount, 40);
+    assert.strictEqual(paid.campaign_id, 'camp-1');
+    assert.strictEqual(credits[0].amount, 40);
+  });
+
+  it('trims to the campaign budget and falls back to default terms once it is spent', async () => {
+    const campaign = { campaign_id: 'camp-1', bonus_pct: '10', bonus_max_usd: null, budget_usd: '1000.00' };
+
+    const trimmed = await bonusFixture({ campaign, spent: 985 }).svc
+      .awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+    const fallback = await bonusFixture({ campaign, spent: 1000 }).svc
+      .awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+
+    assert.deepStrictEqual([trimmed.bonus_amount, trimmed.campaign_id], [15, 'camp-1']);
+    assert.deepStrictEqual([fallback.bonus_amount, fallback.campaign_id], [20, null]);
+  });
+
+  it('pays nothing during a zero-rate campaign', async () => {
+    const campaign = { campaign_id: 'camp-1', bonus_pct: '0', bonus_max_usd: null, budget_usd: null };
+    const { svc, credits } = bonusFixture({ campaign });
+
+    assert.strictEqual(await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 }), null);
+    assert.strictEqual(credits.length, 0);
+  });
+
+  it('holds the bonus for review when the pair shares an ip', async () => {
+    const sessions = [
+      { user_id: REFERRER_ID, ip_address: '9.9.9.9', user_agent: 'UA-1' },
+      { user_id: REFEREE_ID, ip_address: '9.9.9.9', user_agent: 'UA-2' },
+    ];
+    const { svc, bonuses, credits } = bonusFixture({ sessions });
+
+    const held = await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+
+    assert.strictEqual(held.status, 'pending_review');
+    assert.deepStrictEqual(bonuses[0].fraud_flags.map((f) => f.code), ['SHARED_IP']);
+    assert.strictEqual(credits.length, 0);
+  });
+
+  it('credits the bonus when the pair only shares a user agent, recording the flag', async () => {
+    const sessions = [
+      { user_id: REFERRER_ID, ip_address: '1.1.1.1', user_agent: 'Mozilla/5.0 Chrome/120' },
+      { user_id: REFEREE_ID, ip_address: '2.2.2.2', user_agent: 'Mozilla/5.0 Chrome/120' },
+    ];
+    const { svc, bonuses, credits } = bonusFixture({ sessions });
+
+    const paid = await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+
+    assert.strictEqual(paid.status, 'credited');
+    assert.deepStrictEqual(bonuses[0].fraud_flags.map((f) => f.code), ['SHARED_DEVICE']);
+    assert.strictEqual(credits.length, 1);
+  });
+
+  it('credits a held bonus on approval, once', async () => {
+    const sessions = [
+      { user_id: REFERRER_ID, ip_address: '9.9.9.9' },
+      { user_id: REFEREE_ID, ip_address: '9.9.9.9' },
+    ];
+    const { svc, credits, actions } = bonusFixture({ sessions });
+    const held = await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+
+    const approved = await svc.approveBonus({ adminId: 'admin-1', bonusId: held.bonus_id, note: 'family, verified' });
+
+    assert.strictEqual(approved.status, 'credited');
+    assert.strictEqual(credits.length, 1);
+    assert.strictEqual(credits[0].idempotencyKey, `referral_bonus:${REFEREE_ID}`);
+    assert.strictEqual(actions[0][2], 'REFERRAL_BONUS_APPROVED');
+    await assert.rejects(svc.rejectBonus({ adminId: 'admin-1', bonusId: held.bonus_id, note: 'late' }), { code: 'BONUS_NOT_PENDING' });
+  });
+
+  it('credits nothing on rejection', async () => {
+    const sessions = [
+      { user_id: REFERRER_ID, ip_address: '9.9.9.9' },
+      { user_id: REFEREE_ID, ip_address: '9.9.9.9' },
+    ];
+    const { svc, credits, actions } = bonusFixture({ sessions });
+    const held = await svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 });
+
+    const rejected = await svc.rejectBonus({ adminId: 'admin-1', bonusId: held.bonus_id, note: 'same device farm' });
+
+    assert.strictEqual(rejected.status, 'rejected');
+    assert.strictEqual(credits.length, 0);
+    assert.strictEqual(actions[0][2], 'REFERRAL_BONUS_REJECTED');
+    await assert.rejects(svc.approveBonus({ adminId: 'admin-1', bonusId: 'missing' }), { code: 'BONUS_NOT_FOUND' });
+  });
+
+  it('pays nothing for later deposits or users without a referrer', async () => {
+    const later = bonusFixture({ firstDepositId: 'earlier-deposit' });
+    const unreferred = bonusFixture({ link: null });
+
+    assert.strictEqual(await later.svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 }), null);
+    assert.strictEqual(await unreferred.svc.awardFirstDepositBonus({ refereeId: REFEREE_ID, depositId: DEPOSIT_ID, depositAmount: 400 }), null);
+    assert.strictEqual(later.credits.length + unreferred.credits.length, 0);
+  });
+});
+
+describe('referral fraud policy', () => {
+  it('normalizes plus tags and gmail dots', () => {
+    assert.strictEqual(normalizeEmail('John.Doe+ref@GoogleMail.com'), 'johndoe@gmail.com');
+    assert.strictEqual(normalizeEmail('john.doe+ref@example.com'), 'john.doe@example.com');
+    assert.strictEqual(normalizeEmail('not-an-email'), null);
+  });
+
+  it('flags shared ips, devices, payout addresses and contact details', () => {
+    const flags = detectReferralFraud(
+      { email: 'ann@gmail.com', phoneNumber: '+100', ips: ['1.1.1.1', '2.2.2.2'], userAgents: ['UA-1'], payoutAddresses: ['0xABC'] },
+      { email: 'a.n.n+2@gmail.com', phoneNumber: '+100', ips: ['2.2.2.2'], userAgents: ['UA-1'], payoutAddresses: ['0xabc'] }
+    );
+    assert.deepStrictEqual(flags.map((f) => f.code), ['SHARED_IP', 'SHARED_DEVICE', 'SHARED_PAYOUT_ADDRESS', 'SHARED_PHONE', 'SIMILAR_EMAIL']);
+    assert.deepStrictEqual(flags[0].values, ['2.2.2.2']);
+    assert.deepStrictEqual(flags[2].values, ['0xabc']);
+    assert.strictEqual(flags[1].advisory, true);
+  });
+
+  it('holds payouts on every flag but a shared user agent', () => {
+    assert.strictEqual(holdsPayout([{ code: 'SHARED_DEVICE', advisory: true }]), false);
+    assert.strictEqual(holdsPayout([{ code: 'SHARED_DEVICE', advisory: true }, { code: 'SHARED_IP' }]), true);
+    assert.strictEqual(holdsPayout([]), false);
+  });
+
+  it('passes unrelated users and ignores missing values', () => {
+    const flags = detectReferralFraud(
+      { email: 'ann@example.com', ips: ['1.1.1.1', null], userAgents: [''] },
+      { email: 'bob@example.com', ips: ['3.3.3.3', null], userAgents: [''] }
+    );
+    assert.deepStrictEqual(flags, []);
+  });
+});
+
+describe('referral commission policy', () => {
+  const ancestor = (user_id, level, account_status = 'active') => ({ user_id, level, account_status });
+
+  it('pays each level its percentage', () => {
+    const lines = planCommissions({
+      ancestors: [ancestor('a', 1), ancestor('b', 2), ancestor('c', 3)],
+      pcts: [5, 2, 1],
+      baseAmount: 1000,
+      sourceUserId: 'src',
+    });
+    assert.deepStrictEqual(lines.map((l) => [l.beneficiaryId, l.level, l.amount]), [['a', 1, 50], ['b', 2, 20], ['c', 3, 10]]);
+  });
+
+  it('skips inactive ancestors without shifting levels', () => {
+    const lines = planCommissions({
+      ancestors: [ancestor('a', 1, 'suspended'), ancestor('b', 2)],
+      pcts: [5, 2],
+      baseAmount: 1000,
+      sourceUserId: 'src',
+    });
+    assert.deepStrictEqual(lines.map((l) => [l.beneficiaryId, l.level, l.amount]), [['b', 2, 20]]);
+  });
+
+  it('never pays the source user or an ancestor twice', () => {
+    const lines = planCommissions({
+      ancestors: [ancestor('a', 1), ancestor('src', 2), ancestor('a', 3)],
+      pcts: [5, 2, 1],
+      baseAmount: 1000,
+      sourceUserId: 'src',
+    });
+    assert.deepStrictEqual(lines.map((l) => l.beneficiaryId), ['a']);
+  });
+
+  it('ignores levels beyond the configured depth and dust amounts', () => {
+    assert.strictEqual(planCommissions({ ancestors: [ancestor('a', 2)], pcts: [5], baseAmount: 100, sourceUserId: 'src' }).length, 0);
+    assert.strictEqual(planCommissions({ ancestors: [ancestor('a', 1)], pcts: [1], baseAmount: 0.4, sourceUserId: 'src' }).length, 0);
+  });
+
+  it('nests downline rows under their referrer', () => {
+    const rows = [
+      { user_id: 'a', parent_id: 'root', level: 1 },
+      { user_id: 'b', parent_id: 'root', level: 1 },
+      { user_id: 'c', parent_id: 'a', level: 2 },
+      { user_id: 'orphan', parent_id: 'missing', level: 2 },
+    ];
+    const tree = buildDownlineTree(rows, 'root');
+    assert.deepStrictEqual(tree.map((n) => [n.user_id, n.children.map((c) => c.user_id)]), [['a', ['c']], ['b', []]]);
+  });
+});
+
+describe('referral commissions', () => {
+  const CHAIN = [
+    { user_id: 'bbbb', level: 1, account_status: 'active' },
+    { user_id: 'aaaa', level: 2, account_status: 'active' },
+  ];
+
+  function commissionFixture({ terms = { depositPcts: [5, 2], profitPcts: [1], minDepositUsd: 50 }, sessions = [] } = {}) {
+    const commissions = [];
+    const credits = [];
+    const locked = [];
+    const actions = [];
+    const db = {
+      query: async (sql, params) => {
+        if (sql.includes('WITH RECURSIVE chain')) return { rows: CHAIN.filter((a) => a.level <= params[1]) };
+        if (sql.includes('FROM users WHERE user_id = ANY')) {
+          return { rows: params[0].map((id) => ({ user_id: id, email: `${id}@example.com`, phone_number: null, last_login_ip: null })) };
+        }
+        if (sql.includes('FROM user_sessions')) return { rows: sessions };
+        if (sql.includes('INSERT INTO referral_commissions')) {
+          const [beneficiaryId, sourceUserId, sourceType, sourceRef, level, , , amount, status, fraudFlags] = params;
+          if (commissions.some((c) => c.source_type === sourceType && c.source_ref === sourceRef && c.level === level)) {
+            return { rows: [] };
+          }
+          const row = {
+            commission_id: `c-${commissions.length + 1}`, beneficiary_id: beneficiaryId, source_user_id: sourceUserId,
+            source_type: sourceType, source_ref: sourceRef, level, amount, status, fraud_flags: JSON.parse(fraudFlags),
+          };
+          commissions.push(row);
+          return { rows: [row] };
+        }
+        if (sql.includes('FROM referral_commissions c')) {
+          const row = commissions.find((c) => c.commission_id === params[0]);
+          return { rows: row ? [{ ...row }] : [] };
+        }
+        if (sql.includes('UPDATE referral_commissions')) {
+          const row = commissions.find((c) => c.commission_id === params[0]);
+          Object.assign(row, { status: params[1], reviewed_by: params[2], review_note: params[3] });
+          return { rows: [{ ...row }] };
+        }
+        if (sql.includes('INSERT INTO admin_actions')) { actions.push(params); return { rows: [] }; }
+        return { rows: [] };
+      },
+    };
+    const walletService = {
+      ensureUserWallets: async () => {},
+      getWalletForUpdate: async (client, userId, type) => { locked.push(userId); return { wallet_id: `${type}-${userId}`, balance: '0.00' }; },
+      credit: async (client, p) => { credits.push(p); return p.amount; },
+    };
+    const svc = new ReferralService({ db, walletService, withTransaction: (fn) => fn(db), commissionTerms: terms, fraudCheck: true, logger: quiet });
+    return { svc, db, commissions, credits, locked, actions };
+  }
+
+  it('credits every level once per deposit', async () => {
+    const { svc, credits, locked } = commissionFixture();
+    const event = { sourceType: 'deposit', sourceUserId: REFEREE_ID, sourceRef: DEPOSIT_ID, baseAmount: 1000 };
+
+    const paid = await svc.payCommissions(event);
+    const retried = await svc.payCommissions(event);
+
+    assert.deepStrictEqual(paid.map((r) => [r.beneficiary_id, r.level, r.amount]), [['bbbb', 1, 50], ['aaaa', 2, 20]]);
+    assert.strictEqual(retried.length, 0);
+    assert.strictEqual(credits.length, 2);
+    assert.deepStrictEqual(locked.slice(0, 2), ['aaaa', 'bbbb']);
+    assert.ok(credits.every((c) => c.reason === 'referral_commission' && c.idempotencyKey.startsWith('referral_commission:')));
+  });
+
+  it('uses the profit levels inside the caller transaction', async () => {
+    const { svc, db, credits } = commissionFixture();
+
+    const paid = await svc.payCommissions(
+      { sourceType: 'profit', sourceUserId: REFEREE_ID, sourceRef: 'transfer-1:2026-01-01', baseAmount: 300 },
+      db
+    );
+
+    assert.deepStrictEqual(paid.map((r) => [r.beneficiary_id, r.amount]), [['bbbb', 3]]);
+    assert.strictEqual(credits.length, 1);
+  });
+
+  it('holds the level whose beneficiary is flagged against the source user', async () => {
+    const sessions = [
+      { user_id: 'aaaa', ip_address: '9.9.9.9' },
+      { user_id: REFEREE_ID, ip_address: '9.9.9.9' },
+    ];
+    const { svc, commissions, credits, actions } = commissionFixture({ sessions });
+    const event = { sourceType: 'deposit', sourceUserId: REFEREE_ID, sourceRef: DEPOSIT_ID, baseAmount: 1000 };
+
+    const paid = await svc.payCommissions(event);
+
+    assert.deepStrictEqual(paid.map((r) => r.beneficiary_id), ['bbbb']);
+    assert.deepStrictEqual(commissions.map((c) => c.status), ['credited', 'pending_review']);
+    assert.deepStrictEqual(commissions[1].fraud_flags.map((f) => f.code), ['SHARED_IP']);
+    assert.deepStrictEqual(credits.map((c) => c.walletId), ['referral-bbbb']);
+    assert.deepStrictEqual(await svc.payCommissions(event), []);
+
+    const approved = await svc.approveCommission({ adminId: 'admin-1', commissionId: 'c-2', note: 'checked' });
+    assert.strictEqual(approved.status, 'credited');
+    assert.deepStrictEqual(credits.map((c) => [c.walletId, c.amount, c.idempotencyKey]).at(-1), ['referral-aaaa', 20, 'referral_commission:c-2']);
+    assert.strictEqual(actions[0][2], 'REFERRAL_COMMISSION_APPROVED');
+    await assert.rejects(svc.rejectCommission({ adminId: 'admin-1', commissionId: 'c-2', note: 'late' }), { code: 'COMMISSION_NOT_PENDING' });
+    await assert.rejects(svc.approveCommission({ adminId: 'admin-1', commissionId: 'missing' }), { code: 'COMMISSION_NOT_FOUND' });
+  });
+
+  it('pays nothing below the minimum deposit or with no levels configured', async () => {
+    const small = commissionFixture();
+    const off = commissionFixture({ terms: { depositPcts: [], profitPcts: [], minDepositUsd: 0 } });
+
+    assert.deepStrictEqual(await small.svc.payCommissions({ sourceType: 'deposit', sourceUserId: REFEREE_ID, sourceRef: DEPOSIT_ID, baseAmount: 49 }), []);
+    assert.deepStrictEqual(await off.svc.payCommissions({ sourceType: 'deposit', sourceUserId: REFEREE_ID, sourceRef: DEPOSIT_ID, baseAmount: 1000 }), []);
+  });
+});
+
+describe('referral campaigns', () => {
+  it('maps campaign terms and caps to the budget', () => {
+    const defaults = { pct: 5, maxUsd: 100 };
+    assert.strictEqual(bonusTermsFor(null, defaults), defaults);
+    assert.deepStrictEqual(bonusTermsFor({ bonus_pct: '7.5', bonus_max_usd: null }, defaults), { pct: 7.5, maxUsd: 0 });
+    assert.deepStrictEqual(bonusTermsFor({ bonus_pct: '7.5', bonus_max_usd: '50.00' }, defaults), { pct: 7.5, maxUsd: 50 });
+
+    assert.strictEqual(capToBudget(40, { budget_usd: null }, 1e6), 40);
+    assert.strictEqual(capToBudget(40, { budget_usd: '100' }, 70), 30);
+    assert.strictEqual(capToBudget(40, { budget_usd: '100' }, 100), 0);
+  });
+
+  it('rejects an active campaign that overlaps another', async () => {
+    const queries = [];
+    const db = {
+      query: async (sql, params) => {
+        queries.push(sql);
+        if (sql.includes('starts_at < $2')) return { rows: [{ campaign_id: 'camp-1', name: 'Spring' }] };
+        return { rows: [] };
+      },
+    };
+    const svc = new ReferralCampaignService({ db, withTransaction: (fn) => fn(db), logger: quiet });
+
+    await assert.rejects(
+      svc.createCampaign({
+        adminId: 'admin-1',
+        fields: { name: 'Summer', startsAt: new Date('2026-06-01'), endsAt: new Date('2026-07-01'), bonusPct: 10 },
+      }),
+      { code: 'CAMPAIGN_OVERLAP', status: 409 }
+    );
+    assert.ok(queries[0].startsWith('LOCK TABLE referral_campaigns'));
+    assert.ok(!queries.some((q) => q.includes('INSERT INTO referral_campaigns')));
+  });
+
+  it('returns an empty leaderboard when no campaign is running', async () => {
+    const svc = new ReferralCampaignService({ db: { query: async () => ({ rows: [] }) }, withTransaction: (fn) => fn(), logger: quiet });
+    assert.deepStrictEqual(await svc.getLeaderboard(), { campaign: null, leaders: [] });
+  });
+
+  it('masks leaderboard names and ranks in order', () => {
+    assert.strictEqual(maskName('john doe'), 'J*** D.');
+    assert.strictEqual(maskName('Alice'), 'A***');
+    assert.strictEqual(maskName('  '), 'Anonymous');
+
+    const dto = makeLeaderboardDTO({
+      campaign: { name: 'Spring', starts_at: 's', ends_at: 'e', bonus_pct: '10.0000' },
+      leaders: [{ full_name: 'Ann Lee', referrals: 9 }, { full_name: 'Bob', referrals: 4 }],
+    });
+    assert.deepStrictEqual(dto.leaders, [{ rank: 1, name: 'A*** L.', referrals: 9 }, { rank: 2, name: 'B***', referrals: 4 }]);
+    assert.strictEqual(dto.campaign.bonusPct, 10);
+  });
+});
+
+describe('referral dto', () => {
+  it('shows admins ids and full emails, users a masked tree', () => {
+    const tree = {
+      depth: 2,
+      total: 2,
+      truncated: false,
+      nodes: [{
+        user_id: 'a', full_name: 'Ann', email: 'ann@example.com', account_status: 'active', level: 1, commission_earned: '5.00',
+        children: [{ user_id: 'b', full_name: 'Bob', email: 'bob@example.com', account_status: 'pending', level: 2, children: [] }],
+      }],
+    };
+
+    const user = makeDownlineTreeDTO(tree);
+    const admin = makeDownlineTreeDTO(tree, { admin: true, userId: 'root' });
+
+    assert.strictEqual(user.referees[0].email, 'an***@example.com');
+    assert.strictEqual(user.referees[0].userId, undefined);
+    assert.strictEqual(user.referees[0].commissionEarned, 5);
+    assert.strictEqual(user.referees[0].children[0].commissionEarned, 0);
+    assert.strictEqual(admin.userId, 'root');
+    assert.strictEqual(admin.referees[0].children[0].userId, 'b');
+    assert.strictEqual(admin.referees[0].children[0].email, 'bob@example.com');
+  });
+
+  it('masks referee emails', () => {
+    assert.strictEqual(maskEmail('john.doe@example.com'), 'jo***@example.com');
+    assert.strictEqual(maskEmail(null), null);
+  });
+});
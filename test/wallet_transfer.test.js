@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.MIN_PROFIT_WITHDRAWAL = '25';
+
+const { ValidationService } = require('../src/Investment/src/modules/wallet/services/validation.service');
+const { TransferService } = require('../src/Investment/src/modules/wallet/services/transfer.service');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+/** TransferService over in-memory Account/Trading/Referral wallets; `inserts` counts wallet_transfers rows. */
+function fixture({ trading = 100, tradingLocked = 0, account = 0, referral = 0 } = {}) {
+  const wallets = {
+    account: { wallet_id: 'wa', balance: account, locked_balance: 0 },
+    trading: { wallet_id: 'wt', balance: trading, locked_balance: tradingLocked },
+    referral: { wallet_id: 'wr', balance: referral, locked_balance: 0 },
+  };
+  const byId = (walletId) => Object.values(wallets).find((w) => w.wallet_id === walletId);
+  let inserts = 0;
+  const client = {
+    query: async () => {
+      inserts++;
+      return { rows: [{ transfer_id: `t${inserts}` }], rowCount: 1 };
+    },
+  };
+  const walletService = {
+    withTransaction: (fn) => fn(client),
+    ensureUserWallets: async () => {},
+    getWalletForUpdate: async (_c, _userId, type) => ({ ...wallets[type] }),
+    debit: async (_c, { walletId, amount }) => { byId(walletId).balance -= amount; },
+    credit: async (_c, { walletId, amount }) => { byId(walletId).balance += amount; },
+    getBalances: async () => ({ account: wallets.account.balance, trading: wallets.trading.balance }),
+  };
+  const svc = new TransferService({ db: client, walletService, logger: quietLogger });
+  return { svc, wallets, inserts: () => inserts };
+}
+
+describe('MIN_PROFIT_WITHDRAWAL', () => {
+  it('rejects Trading -> Account amounts below the minimum', () => {
+    const rules = new ValidationService();
+    assert.throws(() => rules.assertMinProfitWithdrawal(24.99), (err) => err.code === 'MIN_PROFIT_WITHDRAWAL');
+    assert.doesNotThrow(() => rules.assertMinProfitWithdrawal(25));
+  });
+
+  it('is checked before anything is locked or written', async () => {
+    const { svc, wallets, inserts } = fixture();
+
+    await assert.rejects(svc.transfer('u1', 'trading', 'account', 10), (err) => err.code === 'MIN_PROFIT_WITHDRAWAL');
+    assert.strictEqual(inserts(), 0);
+    assert.strictEqual(wallets.trading.balance, 100);
+  });
+
+  it('moves unlocked profit at or above the minimum, never the locked part', async () => {
+    const { svc, wallets } = fixture({ trading: 100, tradingLocked: 60 });
+
+    await assert.rejects(svc.transfer('u1', 'trading', 'account', 50), (err) => err.code === 'LOCKED_PRINCIPAL');
+    await svc.transfer('u1', 'trading', 'account', 40);
+    assert.strictEqual(wallets.trading.balance, 60);
+    assert.strictEqual(wallets.account.balance, 40);
+  });
+
+  it('does not apply to other flows', async () => {
+    const { svc, wallets } = fixture({ referral: 30 });
+
+    await svc.transfer('u1', 'referral', 'account', 10);
+    assert.strictEqual(wallets.account.balance, 10);
+  });
+});
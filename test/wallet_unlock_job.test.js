@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const { WalletUnlockJob } = require('../src/Investment/src/modules/wallet/jobs/walletUnlock.job');
+
+const quietLogger = { info() {}, warn() {}, error() {} };
+
+/**
+ * wallet_transfers rows in memory; `scan` is what the job's first SELECT sees
+ * (a snapshot, so it can go stale before _unlockOne runs).
+ */
+function fixture(transfers, { lockedBalance, balance = lockedBalance } = {}) {
+  const trading = { wallet_id: 'w1', balance, locked_balance: lockedBalance };
+  const rows = new Map(transfers.map((t) => [t.transfer_id, { status: 'active', ...t }]));
+  const client = {
+    query: async (sql, params) => {
+      if (sql.includes('FOR UPDATE')) {
+        const row = rows.get(params[0]);
+        return { rows: row ? [{ amount: row.amount, status: row.status }] : [], rowCount: row ? 1 : 0 };
+      }
+      if (sql.includes('UPDATE wallet_transfers')) {
+        const row = rows.get(params[0]);
+        if (!row || row.status !== 'active') return { rows: [], rowCount: 0 };
+        row.status = 'unlocked';
+        return { rows: [], rowCount: 1 };
+      }
+      // matured-lock scan
+      const matured = [...rows.values()].filter((r) => r.status === 'active'
+        && (!r.transfer_type || sql.includes(`'${r.transfer_type}'`))
+        && (!r.locked_until || r.locked_until <= new Date()));
+      return { rows: matured.map((r) => ({ ...r })), rowCount: matured.length };
+    },
+  };
+  const walletService = {
+    withTransaction: (fn) => fn(client),
+    getWalletForUpdate: async () => ({ ...trading }),
+    adjustTradingLock: async (c, userId, delta) => {
+      trading.locked_balance = Math.max(0, trading.locked_balance + delta);
+      return { locked: trading.locked_balance, balance: trading.balance };
+    },
+  };
+  const job = new WalletUnlockJob({ db: client, walletService, logger: quietLogger });
+  return { job, trading, rows };
+}
+
+describe('WalletUnlockJob', () => {
+  it('releases the amount the lock holds at unlock time, not the scanned one', async () => {
+    const { job, trading, rows } = fixture([
+      { transfer_id: 't1', user_id: 'u1', amount: 100 },
+    ], { lockedBalance: 150 });
+
+    const stale = { transfer_id: 't1', user_id: 'u1', amount: 50 };
+    assert.strictEqual(await job._unlockOne(stale), true);
+    assert.strictEqual(trading.locked_balance, 50);
+    assert.strictEqual(rows.get('t1').status, 'unlocked');
+  });
+
+  it('releases matured profit_lock tranches so the profit can leave Trading', async () => {
+    const past = new Date(Date.now() - 1000);
+    const { job, trading, rows } = fixture([
+      { transfer_id: 'p1', user_id: 'u1', amount: 5, transfer_type: 'profit_lock', locked_until: past },
+      { transfer_id: 'p2', user_id: 'u1', amount: 5, transfer_type: 'profit_lock', locked_until: new Date(Date.now() + 60000) },
+      { transfer_id: 't1', user_id: 'u1', amount: 100, transfer_type: 'principal', locked_until: new Date(Date.now() + 60000) },
+    ], { lockedBalance: 110 });
+
+    await job.run();
+    assert.strictEqual(rows.get('p1').status, 'unlocked');
+    assert.strictEqual(rows.get('p2').status, 'active');
+    assert.strictEqual(rows.get('t1').status, 'active');
+    assert.strictEqual(trading.locked_balance, 105);
+  });
+
+  it('skips a lock that was released meanwhile', async () => {
+    const { job, trading } = fixture([
+      { transfer_id: 't1', user_id: 'u1', amount: 100, status: 'redeemed_early' },
+    ], { lockedBalance: 100 });
+
+    assert.strictEqual(await job._unlockOne({ transfer_id: 't1', user_id: 'u1', amount: 100 }), false);
+    assert.strictEqual(trading.locked_balance, 100);
+  });
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x0000000000000000000000000000000000000001';
+
+const { keccak256 } = require('../src/Investment/src/modules/deposit/utils/keccak');
+const { toChecksumAddress, isValidAddress } = require('../src/Investment/src/modules/deposit/utils/txUtils');
+const { WithdrawalAddressService } = require('../src/Investment/src/modules/withdrawal/services/withdrawalAddress.service');
+
+// rows returned by the stubbed db, keyed by address_id
+function stubDb(rows) {
+  return {
+    query: async (sql, params) => {
+      if (sql.includes('FROM withdrawal_addresses')) {
+        const row = rows.find((r) => r.address_id === params[0] && r.user_id === params[1]);
+        return { rows: row ? [row] : [], rowCount: row ? 1 : 0 };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+describe('keccak256', () => {
+  it('matches known digests', () => {
+    assert.strictEqual(keccak256(''), 'c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+    assert.strictEqual(keccak256('abc'), '4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+  });
+});
+
+describe('EIP-55 address validation', () => {
+  // vectors from the EIP-55 spec
+  const vectors = [
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb',
+  ];
+
+  it('produces the checksummed form', () => {
+    for (const addr of vectors) {
+      assert.strictEqual(toChecksumAddress(addr.toLowerCase()), addr);
+    }
+  });
+
+  it('accepts checksummed and single-case addresses', () => {
+    for (const addr of vectors) {
+      assert.strictEqual(isValidAddress(addr), true);
+      assert.strictEqual(isValidAddress(addr.toLowerCase()), true);
+    }
+  });
+
+  it('rejects a bad checksum and malformed input', () => {
+    assert.strictEqual(isValidAddress('0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD'), false);
+    assert.strictEqual(isValidAddress('0x5aaeb6053f3e94c9b9a09f33669435e7ef1bea'), false);
+    assert.strictEqual(isValidAddress('5aaeb6053f3e94c9b9a09f33669435e7ef1beaed'), false);
+  });
+});
+
+describe('WithdrawalAddressService.getUsableAddress', () => {
+  const base = { user_id: 'u1', network: 'ERC20', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed' };
+
+  it('refuses an address still in its cooling-off period', async () => {
+    const rows = [{ ...base, address_id: 'a1', usable_after: new Date(Date.now() + 3600000) }];
+    const svc = new WithdrawalAddressService({ db: stubDb(rows), otp: {}, logger: { info() {} } });
+
+    await assert.rejects(
+      svc.getUsableAddress({ userId: 'u1', addressId: 'a1' }),
+      (err) => err.code === 'ADDRESS_COOLING_OFF' && err.status === 409
+    );
+  });
+
+  it('returns the address once the cooling-off period has passed', async () => {
+    const rows = [{ ...base, address_id: 'a2', usable_after: new Date(Date.now() - 1000) }];
+    const svc = new WithdrawalAddressService({ db: stubDb(rows), otp: {}, logger: { info() {} } });
+
+    const row = await svc.getUsableAddress({ userId: 'u1', addressId: 'a2' });
+    assert.strictEqual(row.address, base.address);
+  });
+
+  it("does not resolve another user's address", async () => {
+    const rows = [{ ...base, address_id: 'a3', usable_after: new Date(0) }];
+    const svc = new WithdrawalAddressService({ db: stubDb(rows), otp: {}, logger: { info() {} } });
+
+    await assert.rejects(
+      svc.getUsableAddress({ userId: 'u2', addressId: 'a3' }),
+      (err) => err.code === 'ADDRESS_NOT_FOUND'
+    );
+  });
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x0000000000000000000000000000000000000001';
+process.env.WITHDRAWAL_NETWORK = 'TRC20';
+
+const { WithdrawalAddressService } = require('../src/Investment/src/modules/withdrawal/services/withdrawalAddress.service');
+const { validateAddWithdrawalAddressBody } = require('../src/Investment/src/modules/withdrawal/validations/withdrawal.validation');
+
+const TRON_ADDR = 'TQn9Y2khEsLJW1ChVWFMSMeRDow5KcbLSE';
+
+// withdrawal_addresses in memory
+function stubDb(rows) {
+  return {
+    query: async (sql, params) => {
+      if (sql.includes('INSERT INTO')) {
+        const [user_id, label, network, address, usable_after] = params;
+        const row = { address_id: `a${rows.length + 1}`, user_id, label, network, address, usable_after };
+        rows.push(row);
+        return { rows: [row], rowCount: 1 };
+      }
+      if (sql.includes('removed_at IS NULL')) {
+        return { rows: rows.filter((r) => r.user_id === params[0]) };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+describe('WithdrawalAddressService.addAddress on TRC20', () => {
+  const otp = { verify: async () => true };
+
+  it('stores the base58 address as given', async () => {
+    const rows = [];
+    const svc = new WithdrawalAddressService({ db: stubDb(rows), otp, logger: { info() {} } });
+
+    const body = validateAddWithdrawalAddressBody({ label: 'Tron', network: 'TRC20', address: ` ${TRON_ADDR} `, code: '123456' });
+    const row = await svc.addAddress({ userId: 'u1', ...body });
+
+    assert.strictEqual(row.network, 'TRC20');
+    assert.strictEqual(row.address, TRON_ADDR);
+    assert.strictEqual(rows[0].address, TRON_ADDR);
+  });
+
+  it('rejects an EVM address and explains the expected format', async () => {
+    const svc = new WithdrawalAddressService({ db: stubDb([]), otp, logger: { info() {} } });
+
+    await assert.rejects(
+      svc.addAddress({ userId: 'u1', label: 'x', network: 'TRC20', address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed', code: '123456' }),
+      (err) => err.code === 'ADDRESS_INVALID' && /base58 address starting with T/.test(err.message)
+    );
+  });
+});
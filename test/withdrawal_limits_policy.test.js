@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+const {
+  computeFees,
+  evaluateLimits,
+  remainingAllowance,
+} = require('../src/Investment/src/modules/wallet/policies/withdrawalLimits.policy');
+
+const fees = { networkFee: 1, platformFeePct: 0.5, platformFeeMin: 2 };
+const limits = { daily: 1000, weekly: 3000, monthly: 5000, maxPerDay: 3 };
+const noUsage = { day: 0, week: 0, month: 0, dayCount: 0 };
+
+describe('computeFees', () => {
+  it('charges the percentage fee when it exceeds the minimum', () => {
+    const q = computeFees(1000, fees);
+    assert.deepStrictEqual(q, { amount: 1000, networkFee: 1, platformFee: 5, totalFees: 6, totalDebit: 1006 });
+  });
+
+  it('falls back to the minimum platform fee on small amounts', () => {
+    const q = computeFees(100, fees);
+    assert.strictEqual(q.platformFee, 2);
+    assert.strictEqual(q.totalDebit, 103);
+  });
+
+  it('charges nothing when no fees are configured', () => {
+    const q = computeFees(50, { networkFee: 0, platformFeePct: 0, platformFeeMin: 0 });
+    assert.strictEqual(q.totalFees, 0);
+    assert.strictEqual(q.totalDebit, 50);
+  });
+});
+
+describe('evaluateLimits', () => {
+  it('allows a withdrawal within every cap', () => {
+    assert.deepStrictEqual(evaluateLimits({ amount: 500, usage: noUsage, limits }), { allowed: true });
+  });
+
+  it('rejects when the daily amount would be exceeded', () => {
+    const r = evaluateLimits({ amount: 300, usage: { ...noUsage, day: 800, week: 800, month: 800 }, limits });
+    assert.strictEqual(r.allowed, false);
+    assert.strictEqual(r.code, 'DAILY_LIMIT_EXCEEDED');
+    assert.deepStrictEqual(r.meta, { limit: 1000, used: 800, remaining: 200 });
+  });
+
+  it('checks weekly and monthly windows', () => {
+    const weekly = evaluateLimits({ amount: 200, usage: { day: 0, week: 2900, month: 2900, dayCount: 0 }, limits });
+    assert.strictEqual(weekly.code, 'WEEKLY_LIMIT_EXCEEDED');
+
+    const monthly = evaluateLimits({ amount: 200, usage: { day: 0, week: 0, month: 4900, dayCount: 0 }, limits });
+    assert.strictEqual(monthly.code, 'MONTHLY_LIMIT_EXCEEDED');
+  });
+
+  it('rejects once the daily withdrawal count is reached', () => {
+    const r = evaluateLimits({ amount: 10, usage: { ...noUsage, dayCount: 3 }, limits });
+    assert.strictEqual(r.code, 'DAILY_COUNT_EXCEEDED');
+  });
+
+  it('treats unset caps as unlimited', () => {
+    const r = evaluateLimits({ amount: 1e9, usage: noUsage, limits: {} });
+    assert.strictEqual(r.allowed, true);
+  });
+
+  it('caps nothing by default, including the daily count', () => {
+    const r = evaluateLimits({ amount: 1e9, usage: { day: 1e9, week: 1e9, month: 1e9, dayCount: 50 } });
+    assert.strictEqual(r.allowed, true);
+  });
+});
+
+describe('remainingAllowance', () => {
+  it('reports what is left in each window', () => {
+    const left = remainingAllowance({ day: 250, week: 1000, month: 6000, dayCount: 1 }, limits);
+    assert.deepStrictEqual(left, { daily: 750, weekly: 2000, monthly: 0, withdrawalsToday: 2 });
+  });
+});
@@ -0,0 +1,144 @@
+const assert = require('assert');
+const { describe, it, beforeEach } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x0000000000000000000000000000000000000001';
+
+const { WithdrawalPayoutJob } = require('../src/Investment/src/modules/withdrawal/jobs/withdrawalPayout.job');
+const { FakePayoutProvider } = require('../src/Investment/src/modules/withdrawal/providers/fakePayout.provider');
+const { canTransition } = require('../src/Investment/src/modules/withdrawal/policies/withdrawal.policy');
+const { WithdrawalError } = require('../src/Investment/src/modules/withdrawal/models/withdrawal.model');
+
+const silent = { info() {}, warn() {}, error() {} };
+
+// in-memory stand-in for the payout methods of WithdrawalRepository
+class MemoryRepo {
+  constructor(rows) {
+    this.rows = new Map(rows.map((r) => [r.withdrawal_id, { payout_attempts: 0, ...r }]));
+  }
+
+  _move(id, to, set = {}, from = undefined) {
+    const row = this.rows.get(id);
+    const allowed = from ? from.includes(row.status) : canTransition(row.status, to);
+    if (!allowed) throw new WithdrawalError('INVALID_TRANSITION', `${row.status} -> ${to}`, 409);
+    Object.assign(row, set, { status: to });
+    return { ...row };
+  }
+
+  async listPayable() {
+    const now = Date.now();
+    return [...this.rows.values()]
+      .filter((r) => r.status === 'approved' && (!r.next_payout_at || r.next_payout_at.getTime() <= now))
+      .map((r) => ({ ...r }));
+  }
+
+  async listProcessing() {
+    return [...this.rows.values()].filter((r) => r.status === 'processing').map((r) => ({ ...r }));
+  }
+
+  async markProcessing(_db, id, { attempts }) {
+    return this._move(id, 'processing', { payout_attempts: attempts, submitted_at: new Date() });
+  }
+
+  async setProviderWithdrawalId(_db, id, providerId) {
+    const row = this.rows.get(id);
+    if (row.status === 'processing') row.provider_withdrawal_id = providerId;
+    return { ...row };
+  }
+
+  async markPayoutRetry(_db, id, { error, nextPayoutAt }) {
+    return this._move(id, 'approved', { payout_error: error, next_payout_at: nextPayoutAt }, ['processing']);
+  }
+
+  async markPayoutFailed(_db, id, { error }) {
+    return this._move(id, 'failed', { payout_error: error });
+  }
+
+  async markCompleted(_db, id, { txId }) {
+    return this._move(id, 'completed', { binance_tx_id: txId, completed_at: new Date() });
+  }
+}
+
+const approved = (id) => ({
+  withdrawal_id: id,
+  status: 'approved',
+  amount: '25.00',
+  binance_address: '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+});
+
+describe('WithdrawalPayoutJob', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new FakePayoutProvider();
+  });
+
+  it('submits approved withdrawals and completes them once settled', async () => {
+    const repo = new MemoryRepo([approved('w1')]);
+    const job = new WithdrawalPayoutJob({ provider, repo, logger: silent });
+
+    await job.run();
+    const submitted = repo.rows.get('w1');
+    assert.strictEqual(submitted.status, 'processing');
+    assert.strictEqual(submitted.provider_withdrawal_id, provider.payouts.get('w1').providerId);
+    assert.strictEqual(provider.payouts.get('w1').amount, 25);
+
+    provider.settle('w1', '0xabc');
+    await job.run();
+    assert.strictEqual(repo.rows.get('w1').status, 'completed');
+    assert.strictEqual(repo.rows.get('w1').binance_tx_id, '0xabc');
+    assert.strictEqual(provider.submitCalls, 1);
+  });
+
+  it('adopts a payout that already exists for the withdrawal instead of resubmitting', async () => {
+    await provider.submitWithdrawal({ withdrawOrderId: 'w2', address: '0x1', amount: 25 });
+    const repo = new MemoryRepo([approved('w2')]);
+    const job = new WithdrawalPayoutJob({ provider, repo, logger: silent });
+
+    await job.run();
+    assert.strictEqual(provider.submitCalls, 1);
+    assert.strictEqual(repo.rows.get('w2').provider_withdrawal_id, provider.payouts.get('w2').providerId);
+  });
+
+  it('schedules a retry with backoff when the provider errors', async () => {
+    provider.failNextSubmit(new Error('timeout'));
+    const repo = new MemoryRepo([approved('w3')]);
+    const job = new WithdrawalPayoutJob({ provider, repo, logger: silent, maxAttempts: 3, retryDelayMs: 60_000 });
+
+    const counts = await job.run();
+    const row = repo.rows.get('w3');
+    assert.strictEqual(counts.retry, 1);
+    assert.strictEqual(row.status, 'approved');
+    assert.strictEqual(row.payout_attempts, 1);
+    assert.strictEqual(row.payout_error, 'timeout');
+    assert.ok(row.next_payout_at.getTime() > Date.now());
+
+    // not due yet
+    await job.run();
+    assert.strictEqual(provider.submitCalls, 1);
+  });
+
+  it('marks the withdrawal failed once retries are exhausted', async () => {
+    provider.failNextSubmit(new Error('down'), 2);
+    const repo = new MemoryRepo([approved('w4')]);
+    const job = new WithdrawalPayoutJob({ provider, repo, logger: silent, maxAttempts: 2, retryDelayMs: 0 });
+
+    await job.run();
+    assert.strictEqual(repo.rows.get('w4').status, 'approved');
+    repo.rows.get('w4').next_payout_at = new Date(0);
+
+    await job.run();
+    assert.strictEqual(repo.rows.get('w4').status, 'failed');
+    assert.strictEqual(repo.rows.get('w4').payout_attempts, 2);
+  });
+
+  it('marks the withdrawal failed when the provider rejects the payout', async () => {
+    const repo = new MemoryRepo([approved('w5')]);
+    const job = new WithdrawalPayoutJob({ provider, repo, logger: silent });
+
+    await job.run();
+    provider.fail('w5', 'Address blocked');
+    await job.run();
+    assert.strictEqual(repo.rows.get('w5').status, 'failed');
+    assert.strictEqual(repo.rows.get('w5').payout_error, 'Address blocked');
+  });
+});
@@ -0,0 +1,495 @@
+const assert = require('assert');
+const { describe, it } = require('node:test');
+
+process.env.DEPOSIT_ADDRESS = process.env.DEPOSIT_ADDRESS || '0x0000000000000000000000000000000000000001';
+process.env.PLATFORM_REVENUE_USER_ID = process.env.PLATFORM_REVENUE_USER_ID || 'revenue';
+
+const { WithdrawalService } = require('../src/Investment/src/modules/withdrawal/services/withdrawal.service');
+const { WithdrawalExpiryJob } = require('../src/Investment/src/modules/withdrawal/jobs/withdrawalExpiry.job');
+const { FakePayoutProvider } = require('../src/Investment/src/modules/withdrawal/providers/fakePayout.provider');
+const { canTransition, sourcesFor, OPEN_STATUSES } = require('../src/Investment/src/modules/withdrawal/policies/withdrawal.policy');
+const { WithdrawalError } = require('../src/Investment/src/modules/withdrawal/models/withdrawal.model');
+
+const silent = { info() {}, warn() {}, error() {} };
+const USER = 'u1';
+
+/**
+ * WithdrawalService over an in-memory withdrawals table and Account wallets.
+ * `balances` maps userId -> opening Account balance; state changes go through
+ * canTransition like the repository's guarded UPDATE.
+ */
+function makeService(rows = [], { payoutProvider, balances = {}, otp = {} } = {}) {
+  const table = new Map(rows.map((r) => [r.withdrawal_id, { user_id: USER, payout_attempts: 0, network_fee: 0, platform_fee: 0, ...r }]));
+  const wallets = new Map(Object.entries({ [USER]: 0, revenue: 0, ...balances })
+    .map(([userId, balance]) => [userId, { wallet_id: `w-${userId}`, user_id: userId, balance }]));
+  const byId = (walletId) => [...wallets.values()].find((w) => w.wallet_id === walletId);
+  const audit = [];
+  const ledger = [];
+
+  const walletService = {
+    withTransaction: (fn) => fn({}),
+    ensureUserWallets: async () => {},
+    getWalletForUpdate: async (_c, userId) => ({ ...wallets.get(userId) }),
+    credit: async (_c, { walletId, amount, reason }) => {
+      const w = byId(walletId);
+      w.balance += amount;
+      ledger.push([reason, amount]);
+      return w.balance;
+    },
+    debit: async (_c, { walletId, amount, reason }) => {
+      const w = byId(walletId);
+      if (w.balance < amount) throw Object.assign(new Error('Insufficient funds'), { code: 'INSUFFICIENT_FUNDS' });
+      w.balance -= amount;
+      ledger.push([reason, -amount]);
+      return w.balance;
+    },
+  };
+
+  const transition = (id, to, set = {}) => {
+    const row = table.get(id);
+    if (!row || !canTransition(row.status, to)) {
+      throw new WithdrawalError('INVALID_TRANSITION', `${row && row.status} -> ${to}`, 409);
+    }
+    Object.assign(row, { status: to }, set);
+    return { ...row };
+  };
+  const mine = (userId) => [...table.values()].filter((r) => r.user_id === userId);
+
+  const db = {
+    query: async (sql) => (sql.includes('FROM users')
+      ? { rows: [{ email: 'u1@example.com', phone_number: null, preferred_contact_method: 'email' }] }
+      : { rows: [] }),
+  };
+  const addressService = {
+    getUsableAddress: async ({ addressId }) => {
+      if (addressId !== 'a1') throw new WithdrawalError('ADDRESS_NOT_FOUND', 'Withdrawal address not found', 404);
+      return { address_id: 'a1', address: '0x0000000000000000000000000000000000000abc' };
+    },
+  };
+
+  const svc = new WithdrawalService({ db, walletService, otp, addressService, payoutProvider, logger: silent });
+  svc.repo = {
+    create: async ({ userId, amount, address, addressId, networkFee, platformFee, confirmationExpiresAt }) => {
+      const row = {
+        withdrawal_id: `w${table.size + 1}`, user_id: userId, amount: String(amount), binance_address: address,
+        address_id: addressId, network_fee: networkFee, platform_fee: platformFee, payout_attempts: 0,
+        status: 'awaiting_confirmation', confirmation_expires_at: confirmationExpiresAt, requested_at: new Date(),
+      };
+      table.set(row.withdrawal_id, row);
+      return { ...row };
+    },
+    findById: async (id) => (table.has(id) ? { ...table.get(id) } : null),
+    findForUpdate: async (_c, id, userId) => {
+      const row = table.get(id);
+      return row && (!userId || row.user_id === userId) ? { ...row } : null;
+    },
+    findAwaitingForUser: async (userId) => mine(userId).find((r) => r.status === 'awaiting_confirmation') || null,
+    countOpenForUser: async (userId) => mine(userId).filter((r) => OPEN_STATUSES.includes(r.status)).length,
+    getUsage: async () => ({ day: 0, week: 0, month: 0, dayCount: 0 }),
+    listForUser: async (userId, { status } = {}) => {
+      const items = mine(userId).filter((r) => !status || r.status === status);
+      return { items, total: items.length };
+    },
+    listByStatus: async ({ status } = {}) => {
+      const items = [...table.values()].filter((r) => !status || r.status === status);
+      return { items, total: items.length };
+    },
+    listExpiredUnconfirmed: async () => [...table.values()]
+      .filter((r) => r.status === 'awaiting_confirmation' && r.confirmation_expires_at <= new Date()),
+    markConfirmed: async (_c, id) => transition(id, 'pending', { confirmed_at: new Date() }),
+    markCancelled: async (_c, id) => transition(id, 'cancelled'),
+    markExpired: async (_c, id) => transition(id, 'expired'),
+    markApproved: async (_c, id, { adminId }) => {
+      if (table.get(id).status !== 'pending') throw new WithdrawalError('INVALID_TRANSITION', 'Only pending withdrawals can become approved', 409);
+      return transition(id, 'approved', { admin_approved: true, approved_by: adminId });
+    },
+    markRejected: async (_c, id, { adminId, reason }) =>
+      transition(id, 'rejected', { rejected_by: adminId, rejection_reason: reason, next_payout_at: null }),
+    markCompleted: async (_c, id, { txId }) => transition(id, 'completed', { binance_tx_id: txId }),
+    logAdminAction: async (_c, entry) => audit.push(entry),
+    recordFeeRefundShortfall: async (_c, id, amount) => Object.assign(table.get(id), { fee_refund_shortfall: amount }),
+  };
+  return { svc, table, wallets, audit, ledger };
+}
+
+describe('WithdrawalService.requestWithdrawal', () => {
+  const otp = () => {
+    const sent = [];
+    return { sent, generate: async (p) => sent.push(p), verify: async () => true };
+  };
+
+  it('holds the amount and opens a withdrawal awaiting its OTP', async () => {
+    const codes = otp();
+    const { svc, wallets, ledger } = makeService([], { balances: { [USER]: 100 }, otp: codes });
+
+    const { withdrawal, delivery } = await svc.requestWithdrawal({ userId: USER, amount: 40, addressId: 'a1' });
+    assert.strictEqual(withdrawal.status, 'awaiting_confirmation');
+    assert.strictEqual(withdrawal.address_id, 'a1');
+    assert.ok(withdrawal.confirmation_expires_at > new Date());
+    assert.strictEqual(delivery, 'email');
+    assert.strictEqual(codes.sent[0].purpose, 'withdrawal');
+    assert.strictEqual(wallets.get(USER).balance, 60);
+    assert.deepStrictEqual(ledger, [['withdrawal_hold', -40]]);
+  });
+
+  it('refuses amounts below the minimum or above the balance', async () => {
+    const { svc, table, wallets } = makeService([], { balances: { [USER]: 30 }, otp: otp() });
+
+    await assert.rejects(svc.requestWithdrawal({ userId: USER, amount: 5, addressId: 'a1' }), (err) => err.code === 'MIN_WITHDRAWAL');
+    await assert.rejects(svc.requestWithdrawal({ userId: USER, amount: 40, addressId: 'a1' }), (err) => err.code === 'INSUFFICIENT_FUNDS');
+    await assert.rejects(svc.requestWithdrawal({ userId: USER, amount: 20, addressId: 'nope' }), (err) => err.code === 'ADDRESS_NOT_FOUND');
+    assert.strictEqual(table.size, 0);
+    assert.strictEqual(wallets.get(USER).balance, 30);
+  });
+
+  it('allows only one request awaiting confirmation at a time', async () => {
+    const { svc } = makeService([], { balances: { [USER]: 100 }, otp: otp() });
+
+    const { withdrawal } = await svc.requestWithdrawal({ userId: USER, amount: 20, addressId: 'a1' });
+    await assert.rejects(
+      svc.requestWithdrawal({ userId: USER, amount: 20, addressId: 'a1' }),
+      (err) => err.code === 'CONFIRMATION_PENDING' && err.status === 409 && err.meta.withdrawalId === withdrawal.withdrawal_id
+    );
+  });
+
+  it('keeps the hold when the OTP cannot be delivered', async () => {
+    const failing = { generate: async () => { throw new Error('smtp down'); } };
+    const { svc, wallets } = makeService([], { balances: { [USER]: 100 }, otp: failing });
+
+    const { withdrawal, delivery } = await svc.requestWithdrawal({ userId: USER, amount: 20, addressId: 'a1' });
+    assert.strictEqual(delivery, null);
+    assert.strictEqual(withdrawal.status, 'awaiting_confirmation');
+    assert.strictEqual(wallets.get(USER).balance, 80);
+  });
+});
+
+describe('WithdrawalService list and cancel', () => {
+  it('lists and reads only the user\'s own withdrawals', async () => {
+    const { svc } = makeService([
+      { withdrawal_id: 'w1', status: 'pending', amount: '10' },
+      { withdrawal_id: 'w2', status: 'completed', amount: '20' },
+      { withdrawal_id: 'w3', status: 'pending', amount: '30', user_id: 'u2' },
+    ]);
+
+    const { items, total } = await svc.listWithdrawals({ userId: USER, status: 'pending' });
+    assert.strictEqual(total, 1);
+    assert.strictEqual(items[0].withdrawal_id, 'w1');
+    assert.strictEqual((await svc.getWithdrawal({ userId: USER, withdrawalId: 'w2' })).amount, '20');
+    await assert.rejects(svc.getWithdrawal({ userId: USER, withdrawalId: 'w3' }), (err) => err.code === 'WITHDRAWAL_NOT_FOUND' && err.status === 404);
+  });
+
+  it('releases the hold and fees when a pending withdrawal is cancelled', async () => {
+    const { svc, table, wallets, ledger } = makeService(
+      [{ withdrawal_id: 'w1', status: 'pending', amount: '40', network_fee: '1', platform_fee: '2' }],
+      { balances: { revenue: 3 } }
+    );
+
+    await svc.cancelWithdrawal({ userId: USER, withdrawalId: 'w1' });
+    assert.strictEqual(table.get('w1').status, 'cancelled');
+    assert.strictEqual(wallets.get(USER).balance, 43);
+    assert.strictEqual(wallets.get('revenue').balance, 0);
+    assert.deepStrictEqual(ledger.filter(([, amount]) => amount > 0), [['withdrawal_release', 40], ['withdrawal_fee_refund', 3]]);
+  });
+
+  it('cannot cancel once an admin approved it, or someone else\'s', async () => {
+    const { svc, wallets } = makeService([
+      { withdrawal_id: 'w1', status: 'approved', amount: '40' },
+      { withdrawal_id: 'w2', status: 'pending', amount: '40', user_id: 'u2' },
+    ]);
+
+    await assert.rejects(svc.cancelWithdrawal({ userId: USER, withdrawalId: 'w1' }), (err) => err.code === 'INVALID_TRANSITION' && err.status === 409);
+    await assert.rejects(svc.cancelWithdrawal({ userId: USER, withdrawalId: 'w2' }), (err) => err.code === 'WITHDRAWAL_NOT_FOUND');
+    assert.strictEqual(wallets.get(USER).balance, 0);
+  });
+});
+
+describe('WithdrawalService OTP confirmation', () => {
+  const soon = () => new Date(Date.now() + 60000);
+  const otp = (valid) => ({ checked: [], generate: async () => {}, async verify(p) { this.checked.push(p); return valid; } });
+
+  it('moves a withdrawal to pending once the code checks out', async () => {
+    const codes = otp(true);
+    const { svc, table } = makeService([{ withdrawal_id: 'w1', status: 'awaiting_confirmation', amount: '40', confirmation_expires_at: soon() }], { otp: codes });
+
+    const row = await svc.confirmWithdrawal({ userId: USER, withdrawalId: 'w1', code: '123456' });
+    assert.strictEqual(row.status, 'pending');
+    assert.ok(table.get('w1').confirmed_at);
+    assert.deepStrictEqual(codes.checked, [{ userId: USER, code: '123456', purpose: 'withdrawal' }]);
+  });
+
+  it('rejects a wrong code and leaves the withdrawal waiting', async () => {
+    const { svc, table } = makeService([{ withdrawal_id: 'w1', status: 'awaiting_confirmation', amount: '40', confirmation_expires_at: soon() }], { otp: otp(false) });
+
+    await assert.rejects(svc.confirmWithdrawal({ userId: USER, withdrawalId: 'w1', code: '000000' }), (err) => err.code === 'OTP_INVALID');
+    assert.strictEqual(table.get('w1').status, 'awaiting_confirmation');
+  });
+
+  it('refuses once the window has passed, already confirmed, or not the user\'s', async () => {
+    const codes = otp(true);
+    const { svc } = makeService([
+      { withdrawal_id: 'w1', status: 'awaiting_confirmation', amount: '40', confirmation_expires_at: new Date(Date.now() - 1000) },
+      { withdrawal_id: 'w2', status: 'pending', amount: '40' },
+      { withdrawal_id: 'w3', status: 'awaiting_confirmation', amount: '40', confirmation_expires_at: soon(), user_id: 'u2' },
+    ], { otp: codes });
+
+    const confirm = (withdrawalId) => svc.confirmWithdrawal({ userId: USER, withdrawalId, code: '123456' });
+    await assert.rejects(confirm('w1'), (err) => err.code === 'CONFIRMATION_EXPIRED' && err.status === 410);
+    await assert.rejects(confirm('w2'), (err) => err.code === 'NOT_AWAITING_CONFIRMATION' && err.status === 409);
+    await assert.rejects(confirm('w3'), (err) => err.code === 'WITHDRAWAL_NOT_FOUND');
+    assert.strictEqual(codes.checked.length, 0);
+  });
+
+  it('resends a code only while the withdrawal awaits confirmation', async () => {
+    const sent = [];
+    const { svc } = makeService([
+      { withdrawal_id: 'w1', status: 'awaiting_confirmation', amount: '40', confirmation_expires_at: soon() },
+      { withdrawal_id: 'w2', status: 'cancelled', amount: '40' },
+    ], { otp: { generate: async (p) => sent.push(p.purpose) } });
+
+    assert.strictEqual((await svc.resendConfirmation({ userId: USER, withdrawalId: 'w1' })).delivery, 'email');
+    await assert.rejects(svc.resendConfirmation({ userId: USER, withdrawalId: 'w2' }), (err) => err.code === 'NOT_AWAITING_CONFIRMATION');
+    assert.deepStrictEqual(sent, ['withdrawal']);
+  });
+});
+
+describe('WithdrawalExpiryJob', () => {
+  it('expires unconfirmed requests past their window and releases the hold', async () => {
+    const past = new Date(Date.now() - 1000);
+    const { svc, table, wallets } = makeService([
+      { withdrawal_id: 'w1', status: 'awaiting_confirmation', amount: '40', network_fee: '1', confirmation_expires_at: past },
+      { withdrawal_id: 'w2', status: 'awaiting_confirmation', amount: '10', confirmation_expires_at: new Date(Date.now() + 60000) },
+      { withdrawal_id: 'w3', status: 'pending', amount: '10', confirmation_expires_at: past },
+    ], { balances: { revenue: 1 } });
+
+    await new WithdrawalExpiryJob({ withdrawalService: svc, logger: silent }).run();
+    assert.strictEqual(table.get('w1').status, 'expired');
+    assert.strictEqual(table.get('w2').status, 'awaiting_confirmation');
+    assert.strictEqual(table.get('w3').status, 'pending');
+    assert.strictEqual(wallets.get(USER).balance, 41);
+  });
+
+  it('keeps going when one request was confirmed in the meantime', async () => {
+    const past = new Date(Date.now() - 1000);
+    const { svc, table, wallets } = makeService([
+      { withdrawal_id: 'w1', status: 'awaiting_confirmation', amount: '40', confirmation_expires_at: past },
+      { withdrawal_id: 'w2', status: 'awaiting_confirmation', amount: '10', confirmation_expires_at: past },
+    ]);
+    const list = svc.listExpiredUnconfirmed.bind(svc);
+    svc.listExpiredUnconfirmed = async (limit) => {
+      const rows = await list(limit);
+      table.get('w1').status = 'pending';
+      return rows;
+    };
+
+    await new WithdrawalExpiryJob({ withdrawalService: svc, logger: silent }).run();
+    assert.strictEqual(table.get('w1').status, 'pending');
+    assert.strictEqual(table.get('w2').status, 'expired');
+    assert.strictEqual(wallets.get(USER).balance, 10);
+  });
+});
+
+describe('withdrawal state transitions', () => {
+  it('only moves forward along the allowed edges', () => {
+    assert.ok(canTransition('awaiting_confirmation', 'pending'));
+    assert.ok(canTransition('pending', 'approved'));
+    assert.ok(canTransition('approved', 'completed'));
+    assert.ok(!canTransition('awaiting_confirmation', 'approved'));
+    assert.ok(!canTransition('pending', 'completed'));
+    assert.ok(!canTransition('approved', 'cancelled'));
+    for (const terminal of ['completed', 'rejected', 'cancelled', 'expired']) {
+      for (const to of ['pending', 'approved', 'completed', 'rejected']) {
+        assert.ok(!canTransition(terminal, to), `${terminal} -> ${to}`);
+      }
+    }
+  });
+
+  it('sources each guarded UPDATE from exactly the states that may reach it', () => {
+    assert.deepStrictEqual(sourcesFor('completed').sort(), ['approved', 'processing']);
+    assert.deepStrictEqual(sourcesFor('cancelled').sort(), ['awaiting_confirmation', 'pending']);
+    assert.deepStrictEqual(sourcesFor('expired'), ['awaiting_confirmation']);
+  });
+});
+
+describe('WithdrawalService admin queue', () => {
+  const TX = '0x' + 'a'.repeat(64);
+
+  it('lists the queue by status', async () => {
+    const { svc } = makeService([
+      { withdrawal_id: 'w1', status: 'pending', amount: '10' },
+      { withdrawal_id: 'w2', status: 'approved', amount: '20' },
+      { withdrawal_id: 'w3', status: 'pending', amount: '30', user_id: 'u2' },
+    ]);
+
+    const { items, total } = await svc.listForAdmin({ status: 'pending' });
+    assert.strictEqual(total, 2);
+    assert.deepStrictEqual(items.map((r) => r.withdrawal_id), ['w1', 'w3']);
+  });
+
+  it('approves then completes a pending withdrawal, auditing each step', async () => {
+    const { svc, table, audit } = makeService([{ withdrawal_id: 'w1', status: 'pending', amount: '40' }]);
+
+    const approved = await svc.approveWithdrawal({ adminId: 'a1', withdrawalId: 'w1' });
+    assert.strictEqual(approved.status, 'approved');
+    assert.strictEqual(approved.approved_by, 'a1');
+
+    const completed = await svc.completeWithdrawal({ adminId: 'a1', withdrawalId: 'w1', txId: TX });
+    assert.strictEqual(completed.status, 'completed');
+    assert.strictEqual(table.get('w1').binance_tx_id, TX);
+    assert.deepStrictEqual(audit.map((a) => a.action), ['WITHDRAWAL_APPROVE', 'WITHDRAWAL_COMPLETE']);
+    assert.deepStrictEqual(audit[1].details, { withdrawalId: 'w1', amount: 40, txId: TX });
+  });
+
+  it('refuses to approve or complete out of order', async () => {
+    const { svc, table, audit } = makeService([
+      { withdrawal_id: 'w1', status: 'awaiting_confirmation', amount: '40' },
+      { withdrawal_id: 'w2', status: 'pending', amount: '40' },
+      { withdrawal_id: 'w3', status: 'rejected', amount: '40' },
+    ]);
+
+    await assert.rejects(svc.approveWithdrawal({ adminId: 'a1', withdrawalId: 'w1' }), (err) => err.code === 'INVALID_TRANSITION' && err.status === 409);
+    await assert.rejects(svc.completeWithdrawal({ adminId: 'a1', withdrawalId: 'w2', txId: TX }), (err) => err.code === 'INVALID_TRANSITION');
+    await assert.rejects(svc.completeWithdrawal({ adminId: 'a1', withdrawalId: 'w3', txId: TX }), (err) => err.code === 'INVALID_TRANSITION');
+    await assert.rejects(svc.approveWithdrawal({ adminId: 'a1', withdrawalId: 'nope' }), (err) => err.code === 'WITHDRAWAL_NOT_FOUND');
+    assert.strictEqual(table.get('w3').status, 'rejected');
+    assert.strictEqual(audit.length, 0);
+  });
+
+  it('completes a processing payout only once the provider reports it, with the provider tx id', async () => {
+    const PROVIDER_TX = '0x' + 'cd'.repeat(32);
+    let providerStatus = { status: 'PROCESSING', txId: null };
+    const provider = { getWithdrawalStatus: async () => providerStatus };
+    const { svc, table, audit } = makeService([{ withdrawal_id: 'w1', status: 'processing', amount: '40', payout_attempts: 1 }], { payoutProvider: provider });
+
+    await assert.rejects(
+      svc.completeWithdrawal({ adminId: 'a1', withdrawalId: 'w1', txId: TX }),
+      (err) => err.code === 'PAYOUT_NOT_COMPLETED' && err.status === 409
+    );
+    assert.strictEqual(table.get('w1').status, 'processing');
+
+    providerStatus = { status: 'COMPLETED', txId: PROVIDER_TX };
+    const completed = await svc.completeWithdrawal({ adminId: 'a1', withdrawalId: 'w1', txId: TX });
+    assert.strictEqual(completed.status, 'completed');
+    assert.strictEqual(table.get('w1').binance_tx_id, PROVIDER_TX);
+    assert.deepStrictEqual(audit[0].details, {
+      withdrawalId: 'w1',
+      amount: 40,
+      txId: PROVIDER_TX,
+      previousStatus: 'processing',
+      providerStatus: 'COMPLETED',
+      adminTxId: TX,
+    });
+  });
+
+  it('needs the provider to complete a processing payout, and a tx id for a manual one', async () => {
+    const { svc, table } = makeService([
+      { withdrawal_id: 'w1', status: 'processing', amount: '40' },
+      { withdrawal_id: 'w2', status: 'approved', amount: '40' },
+    ]);
+
+    await assert.rejects(svc.completeWithdrawal({ adminId: 'a1', withdrawalId: 'w1', txId: TX }), (err) => err.code === 'PAYOUT_STATUS_UNAVAILABLE');
+    await assert.rejects(svc.completeWithdrawal({ adminId: 'a1', withdrawalId: 'w2' }), (err) => err.code === 'TXID_REQUIRED');
+    assert.strictEqual(table.get('w1').status, 'processing');
+    assert.strictEqual(table.get('w2').status, 'approved');
+  });
+
+  it('cannot reject a completed withdrawal', async () => {
+    const provider = { getWithdrawalStatus: async () => null };
+    const { svc, wallets } = makeService([{ withdrawal_id: 'w1', status: 'completed', amount: '40' }], { payoutProvider: provider });
+
+    await assert.rejects(svc.rejectWithdrawal({ adminId: 'a1', withdrawalId: 'w1', reason: 'ops' }), (err) => err.status === 409);
+    assert.strictEqual(wallets.get(USER).balance, 0);
+  });
+});
+
+describe('WithdrawalService.rejectWithdrawal', () => {
+  const reject = (svc, withdrawalId) => svc.rejectWithdrawal({ adminId: 'a1', withdrawalId, reason: 'ops' });
+
+  it('rejects a pending withdrawal without asking the provider', async () => {
+    const provider = { getWithdrawalStatus: async () => assert.fail('provider asked for a pending withdrawal') };
+    const { svc, table, wallets } = makeService([{ withdrawal_id: 'w1', status: 'pending', amount: '40' }], { payoutProvider: provider });
+
+    await reject(svc, 'w1');
+    assert.strictEqual(table.get('w1').status, 'rejected');
+    assert.strictEqual(wallets.get(USER).balance, 40);
+  });
+
+  it('refuses while the provider has the payout in flight or sent', async () => {
+    const provider = new FakePayoutProvider();
+    await provider.submitWithdrawal({ withdrawOrderId: 'w1', coin: 'USDT', amount: 40 });
+    const { svc, table, wallets } = makeService([{ withdrawal_id: 'w1', status: 'approved', amount: '40', payout_attempts: 1, next_payout_at: new Date() }], { payoutProvider: provider });
+
+    await assert.rejects(reject(svc, 'w1'), (err) => err.code === 'PAYOUT_IN_FLIGHT' && err.status === 409);
+    provider.settle('w1');
+    await assert.rejects(reject(svc, 'w1'), (err) => err.code === 'PAYOUT_IN_FLIGHT');
+    assert.strictEqual(table.get('w1').status, 'approved');
+    assert.strictEqual(wallets.get(USER).balance, 0);
+  });
+
+  it('rejects once the provider confirms the payout failed, cancelling the retry', async () => {
+    const provider = new FakePayoutProvider();
+    await provider.submitWithdrawal({ withdrawOrderId: 'w1', coin: 'USDT', amount: 40 });
+    provider.fail('w1');
+    const { svc, table, wallets, audit } = makeService([
+      { withdrawal_id: 'w1', status: 'approved', amount: '40', payout_attempts: 1, next_payout_at: new Date() },
+      { withdrawal_id: 'w2', status: 'failed', amount: '10', payout_attempts: 3 },
+    ], { payoutProvider: provider });
+
+    await reject(svc, 'w1');
+    assert.strictEqual(table.get('w1').status, 'rejected');
+    assert.strictEqual(table.get('w1').next_payout_at, null);
+    assert.strictEqual(audit[0].details.providerStatus, 'FAILED');
+
+    // no order at the provider at all
+    await reject(svc, 'w2');
+    assert.strictEqual(wallets.get(USER).balance, 50);
+  });
+
+  it('refuses when the payout status cannot be confirmed', async () => {
+    const rows = [{ withdrawal_id: 'w1', status: 'failed', amount: '40' }];
+    const down = { getWithdrawalStatus: async () => { throw new Error('timeout'); } };
+
+    await assert.rejects(reject(makeService(rows, { payoutProvider: down }).svc, 'w1'), (err) => err.code === 'PAYOUT_STATUS_UNAVAILABLE' && err.status === 503);
+    await assert.rejects(reject(makeService(rows).svc, 'w1'), (err) => err.code === 'PAYOUT_STATUS_UNAVAILABLE');
+  });
+
+  it('refuses when the payout job claimed the withdrawal during the check', async () => {
+    let table;
+    const provider = {
+      getWithdrawalStatus: async () => {
+        Object.assign(table.get('w1'), { status: 'processing', payout_attempts: 1 });
+        return null;
+      },
+    };
+    const made = makeService([{ withdrawal_id: 'w1', status: 'approved', amount: '40' }], { payoutProvider: provider });
+    table = made.table;
+
+    await assert.rejects(reject(made.svc, 'w1'), (err) => err.code === 'WITHDRAWAL_CHANGED');
+    assert.strictEqual(made.wallets.get(USER).balance, 0);
+  });
+});
+
+describe('WithdrawalService fee refunds', () => {
+  it('refunds the user in full and records what the revenue wallet could not cover', async () => {
+    const { svc, table, wallets } = makeService(
+      [{ withdrawal_id: 'w1', status: 'pending', amount: '100', network_fee: '1', platform_fee: '5' }],
+      { balances: { revenue: 2.5 } }
+    );
+
+    await svc.rejectWithdrawal({ adminId: 'a1', withdrawalId: 'w1', reason: 'ops' });
+    assert.strictEqual(wallets.get(USER).balance, 106);
+    assert.strictEqual(wallets.get('revenue').balance, 0);
+    assert.strictEqual(table.get('w1').fee_refund_shortfall, 3.5);
+  });
+
+  it('takes the whole refund from revenue when it can', async () => {
+    const { svc, table, wallets } = makeService(
+      [{ withdrawal_id: 'w1', status: 'pending', amount: '100', network_fee: '1', platform_fee: '5' }],
+      { balances: { revenue: 50 } }
+    );
+
+    await svc.rejectWithdrawal({ adminId: 'a1', withdrawalId: 'w1', reason: 'ops' });
+    assert.strictEqual(wallets.get(USER).balance, 106);
+    assert.strictEqual(wallets.get('revenue').balance, 44);
+    assert.strictEqual(table.get('w1').fee_refund_shortfall, undefined);
+  });
+});